@@ -11,6 +11,15 @@ const chatRoutes = require('./routes/chat');
 const sessionRoutes = require('./routes/sessions');
 const uploadRoutes = require('./routes/upload');
 const documentRoutes = require('./routes/documents');
+const adminRoutes = require('./routes/admin');
+const usageRoutes = require('./routes/usage');
+const personaRoutes = require('./routes/personas');
+const searchRoutes = require('./routes/search');
+const folderRoutes = require('./routes/folders');
+const trashRoutes = require('./routes/trash');
+const sharedRoutes = require('./routes/shared');
+const workspaceRoutes = require('./routes/workspaces');
+const { createRateLimitStore, userOrIpKey } = require('./services/rateLimitStore');
 
 const app = express();
 
@@ -26,19 +35,26 @@ if (process.env.NODE_ENV !== 'test') {
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
     credentials: true,
+    // Lets the frontend name downloads (e.g. session exports) after the server's filename
+    exposedHeaders: ['Content-Disposition'],
 }));
 app.use(express.json({ limit: '5mb' }));
 app.use(cookieParser());
 
-// Rate limiting — stricter in production, relaxed in development
+// Rate limiting — stricter in production, relaxed in development.
+// Counters live in a shared store (RATE_LIMIT_STORE) so limits hold across replicas;
+// if the store fails, requests are let through rather than rejected.
 const isProduction = process.env.NODE_ENV === 'production';
 
-// Global: 100 req/15min (prod) or 1000 req/15min (dev)
+// Global: 100 req/15min (prod) or 1000 req/15min (dev), per signed-in user (IP when anonymous)
 const globalLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: isProduction ? 100 : 1000,
     standardHeaders: true,
     legacyHeaders: false,
+    store: createRateLimitStore('global:'),
+    keyGenerator: userOrIpKey,
+    passOnStoreError: true,
     message: { error: 'Too many requests, please try again later' },
 });
 app.use('/api', globalLimiter);
@@ -49,6 +65,8 @@ const loginLimiter = rateLimit({
     max: isProduction ? 10 : 100,
     standardHeaders: true,
     legacyHeaders: false,
+    store: createRateLimitStore('login:'),
+    passOnStoreError: true,
     message: { error: 'Too many login attempts, please try again later' },
 });
 app.use('/api/auth/login', loginLimiter);
@@ -59,6 +77,8 @@ const registerLimiter = rateLimit({
     max: isProduction ? 5 : 50,
     standardHeaders: true,
     legacyHeaders: false,
+    store: createRateLimitStore('register:'),
+    passOnStoreError: true,
     message: { error: 'Too many registration attempts, please try again later' },
 });
 app.use('/api/auth/register', registerLimiter);
@@ -72,6 +92,14 @@ app.use('/api/upload', uploadRoutes);
 // This allows /api/documents (CRUD) and /api/commands/generate-plan to both work
 app.use('/api/documents', documentRoutes);
 app.use('/api/commands', documentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/personas', personaRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
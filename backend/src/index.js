@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const app = require('./app');
+const { startPurgeJob } = require('./services/trashService');
+const { attachCollabServer } = require('./services/collabService');
 
 const PORT = process.env.BACKEND_PORT;
 const MONGO_URI = process.env.MONGO_URI;
@@ -16,10 +18,12 @@ async function start() {
     try {
         await mongoose.connect(MONGO_URI);
         console.log('✅ Connected to MongoDB');
+        startPurgeJob();
 
-        app.listen(PORT, '0.0.0.0', () => {
+        const server = app.listen(PORT, '0.0.0.0', () => {
             console.log(`🚀 Backend server running on port ${PORT}`);
         });
+        attachCollabServer(server);
     } catch (err) {
         console.error('❌ Failed to connect to MongoDB:', err.message);
         app.listen(PORT, '0.0.0.0', () => {
@@ -118,4 +118,6 @@ async function authMiddleware(req, res, next) {
 }
 
 module.exports = authMiddleware;
+// Also used to key rate limits by user before a route's auth runs
+module.exports.verifyToken = verifyToken;
 
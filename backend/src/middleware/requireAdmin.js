@@ -0,0 +1,16 @@
+const ADMIN_ROLE = process.env.ADMIN_ROLE || 'admin';
+
+/**
+ * Express middleware that only lets Keycloak admins through.
+ * Must run after authMiddleware. Checks the realm role (ADMIN_ROLE, default 'admin')
+ * in the token's `realm_access.roles` claim.
+ */
+function requireAdmin(req, res, next) {
+    const roles = req.user?.realm_access?.roles || [];
+    if (!roles.includes(ADMIN_ROLE)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    return next();
+}
+
+module.exports = requireAdmin;
@@ -0,0 +1,24 @@
+const { checkQuota } = require('../services/quotaService');
+
+/**
+ * Express middleware factory that rejects requests once one of the given
+ * per-user quotas is used up. Must run after authMiddleware.
+ *
+ * Responds 429 with the exhausted quota (`quota`, `limit`, `used`, `resetAt`)
+ * and a Retry-After header, so the client can say when it can try again.
+ *
+ * @param {...string} names - quota names, e.g. 'messagesPerDay', 'tokensPerMonth'
+ */
+function requireQuota(...names) {
+    return async (req, res, next) => {
+        const exceeded = await checkQuota(req.user.sub, names);
+        if (!exceeded) {
+            return next();
+        }
+        const retryAfter = Math.max(1, Math.ceil((new Date(exceeded.resetAt) - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json(exceeded);
+    };
+}
+
+module.exports = requireQuota;
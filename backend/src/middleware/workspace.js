@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const { hasRole, getMemberRole } = require('../services/workspaceService');
+
+const WORKSPACE_HEADER = 'x-workspace-id';
+
+/**
+ * Express middleware factory that resolves the workspace the client is working
+ * in (X-Workspace-Id header) into `req.workspace` = { id, role }, or null for
+ * the user's personal space when the header is absent. Must run after authMiddleware.
+ *
+ * Responds 404 when the user is not a member of that workspace and 403 when
+ * their role there is below minRole. In the personal space they are the owner.
+ *
+ * @param {string} [minRole] - e.g. 'editor' for routes that create content
+ */
+function resolveWorkspace(minRole = 'viewer') {
+    return async (req, res, next) => {
+        const workspaceId = req.get(WORKSPACE_HEADER);
+        if (!workspaceId) {
+            req.workspace = null;
+            return next();
+        }
+        if (!mongoose.isValidObjectId(workspaceId)) {
+            return res.status(400).json({ error: 'Invalid workspace ID' });
+        }
+
+        try {
+            const workspace = await Workspace.findOne({ _id: workspaceId, 'members.userId': req.user.sub })
+                .select('members')
+                .lean();
+            if (!workspace) {
+                return res.status(404).json({ error: 'Workspace not found' });
+            }
+
+            const role = getMemberRole(workspace, req.user.sub);
+            if (!hasRole(role, minRole)) {
+                return res.status(403).json({ error: `${minRole[0].toUpperCase()}${minRole.slice(1)} access required` });
+            }
+
+            req.workspace = { id: workspace._id, role };
+            return next();
+        } catch (err) {
+            console.error('[Workspace] Resolve error:', err.message);
+            return res.status(500).json({ error: 'Failed to load workspace' });
+        }
+    };
+}
+
+module.exports = resolveWorkspace;
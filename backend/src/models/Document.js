@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
+const { blockNoteToText } = require('../utils/blockNote');
 
 const assetSchema = new mongoose.Schema({
     assetId: { type: String, required: true },      // GCS object path
@@ -13,6 +15,12 @@ const documentSchema = new mongoose.Schema({
         required: true,
         index: true,
     },
+    // Shared with the workspace's members (see services/workspaceService.js); null = personal
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null,
+    },
     sessionId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Session',
@@ -41,16 +49,50 @@ const documentSchema = new mongoose.Schema({
         prompt: String,
         model: String,
         generatedAt: Date,
+        // Token usage and estimated cost of generating the text and the images
+        usage: {
+            promptTokens: Number,
+            completionTokens: Number,
+            totalTokens: Number,
+            costUsd: Number,
+        },
+        imageUsage: {
+            images: Number,
+            promptTokens: Number,
+            completionTokens: Number,
+            totalTokens: Number,
+            costUsd: Number,
+        },
     },
     assets: {
         type: [assetSchema],
         default: [],
     },
+    // Plain text of `content`, kept in sync on save for the full-text index
+    searchText: {
+        type: String,
+        select: false,
+    },
 }, { timestamps: true });
 
 // Index for efficient queries
 documentSchema.index({ userId: 1, createdAt: -1 });
+documentSchema.index({ workspaceId: 1, createdAt: -1 });
 documentSchema.index({ sessionId: 1 });
+// Full-text search (GET /api/search) — title matches rank above body matches
+documentSchema.index(
+    { title: 'text', searchText: 'text' },
+    { name: 'document_text', weights: { title: 10, searchText: 1 } },
+);
+
+documentSchema.pre('save', function () {
+    if (this.isModified('content') || this.searchText === undefined) {
+        this.searchText = blockNoteToText(this.content);
+    }
+});
+
+// Deleting moves to the trash (deletedAt); the trash is purged after TRASH_RETENTION_DAYS
+documentSchema.plugin(softDelete);
 
 const Document = mongoose.model('Document', documentSchema);
 
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One Yjs update to a document's collaborative state (see services/collabService.js).
+// Applying all of a document's updates in order rebuilds its Y.Doc; they are merged
+// into one record when the last editor leaves.
+const documentUpdateSchema = new mongoose.Schema({
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        required: true,
+    },
+    update: {
+        type: Buffer,
+        required: true,
+    },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+documentUpdateSchema.index({ documentId: 1, _id: 1 });
+
+const DocumentUpdate = mongoose.model('DocumentUpdate', documentUpdateSchema);
+
+module.exports = DocumentUpdate;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a document's title and content (see services/documentVersionService.js)
+const documentVersionSchema = new mongoose.Schema({
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        required: true,
+    },
+    // Author: the user who saved, or who asked the AI to generate the content
+    userId: {
+        type: String,
+        required: true,
+    },
+    source: {
+        type: String,
+        enum: ['user', 'ai'],
+        required: true,
+    },
+    title: {
+        type: String,
+        default: '',
+    },
+    content: {
+        type: Object,
+        required: true,
+    },
+    // Editor session (one open editor) whose autosaves this version collects
+    editSession: {
+        type: String,
+        default: null,
+    },
+    // Set when this version was created by restoring an older one
+    restoredFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+}, { timestamps: true });
+
+documentVersionSchema.index({ documentId: 1, createdAt: -1 });
+
+const DocumentVersion = mongoose.model('DocumentVersion', documentVersionSchema);
+
+module.exports = DocumentVersion;
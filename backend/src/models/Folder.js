@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// User-defined folder for organising chat sessions in the sidebar
+const folderSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+}, {
+    timestamps: true,
+});
+
+module.exports = mongoose.model('Folder', folderSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One chunk of a user's document or uploaded file, embedded for retrieval (see retrievalService)
+const passageSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    // Workspace of the source document — its members can retrieve the passage (null = personal)
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null,
+        index: true,
+    },
+    sourceType: {
+        type: String,
+        required: true,
+        enum: ['document', 'file'],
+    },
+    // Document _id, or the GCS object path of an upload
+    sourceId: {
+        type: String,
+        required: true,
+    },
+    // Document title or original file name, shown in citations
+    title: {
+        type: String,
+        default: '',
+    },
+    // Position of the chunk within its source
+    index: {
+        type: Number,
+        required: true,
+    },
+    text: {
+        type: String,
+        required: true,
+    },
+    embedding: {
+        type: [Number],
+        required: true,
+    },
+    // Embedding model — passages from another model are not comparable and get skipped
+    model: {
+        type: String,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+passageSchema.index({ userId: 1, sourceType: 1, sourceId: 1 });
+
+module.exports = mongoose.model('Passage', passageSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Reusable assistant setup a user can attach to chat sessions
+const personaSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    // Replaces the default system instruction
+    systemPrompt: {
+        type: String,
+        required: true,
+        maxlength: 20000,
+    },
+    // "providerId/modelId" picked when the persona is selected ('' = keep the current model)
+    model: {
+        type: String,
+        default: '',
+    },
+    // null = provider default
+    temperature: {
+        type: Number,
+        min: 0,
+        max: 2,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+module.exports = mongoose.model('Persona', personaSchema);
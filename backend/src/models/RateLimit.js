@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Hit counter of one rate limit window, shared by every backend replica.
+// _id is the limiter prefix + client key ('global:user:<sub>', 'login:ip:<addr>').
+const rateLimitSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+    },
+    hits: {
+        type: Number,
+        default: 0,
+    },
+    resetTime: {
+        type: Date,
+        required: true,
+    },
+}, {
+    versionKey: false,
+});
+
+// MongoDB drops counters once their window is over
+rateLimitSchema.index({ resetTime: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 const attachmentSchema = new mongoose.Schema({
     fileId: { type: String, required: true },      // GCS object path
@@ -9,7 +10,28 @@ const attachmentSchema = new mongoose.Schema({
     downloadUrl: { type: String, required: true },  // API URL for frontend
 }, { _id: false });
 
+// Token usage and estimated cost of the request that produced an assistant message
+const usageSchema = new mongoose.Schema({
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    costUsd: { type: Number, default: 0 },
+}, { _id: false });
+
+// Sampling settings for every answer in the session (unset fields = persona / model defaults)
+const generationSchema = new mongoose.Schema({
+    temperature: { type: Number, min: 0, max: 2 },
+    topP: { type: Number, min: 0, max: 1 },
+    maxOutputTokens: { type: Number, min: 1 },
+    stopSequences: { type: [String], default: undefined },
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
+    // Parent message in the branch tree (null for a root). Absent on messages saved
+    // before branching existed — those form a linear chain (see utils/messageTree.js)
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
     role: {
         type: String,
         required: true,
@@ -23,6 +45,13 @@ const messageSchema = new mongoose.Schema({
         type: [attachmentSchema],
         default: [],
     },
+    // "providerId/modelId" that actually produced an assistant message (may differ from session.model after fallback)
+    model: {
+        type: String,
+    },
+    usage: {
+        type: usageSchema,
+    },
     metadata: {
         type: mongoose.Schema.Types.Mixed,
     },
@@ -37,6 +66,12 @@ const sessionSchema = new mongoose.Schema({
         required: true,
         index: true,
     },
+    // Shared with the workspace's members (see services/workspaceService.js); null = personal
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null,
+    },
     title: {
         type: String,
         default: 'New Chat',
@@ -45,15 +80,76 @@ const sessionSchema = new mongoose.Schema({
         type: String,
         default: '',
     },
+    // Persona whose system prompt and temperature are used for answers (null = default assistant)
+    personaId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Persona',
+        default: null,
+    },
+    generation: {
+        type: generationSchema,
+    },
+    // Sidebar organisation: pinned sessions are listed first, folderId null = not in a folder
+    pinned: {
+        type: Boolean,
+        default: false,
+    },
+    folderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder',
+        default: null,
+    },
+    // Archived sessions are hidden from the list unless asked for (?archived=true)
+    archived: {
+        type: Boolean,
+        default: false,
+    },
+    // Lowercase labels for filtering (GET /api/sessions?tag=...)
+    tags: {
+        type: [String],
+        default: [],
+    },
+    // Set on sessions imported from another app's export (see services/sessionImportService.js);
+    // re-importing the same conversation is skipped
+    importedFrom: {
+        source: { type: String, enum: ['chatgpt', 'dragon'] },
+        externalId: { type: String },
+        importedAt: { type: Date },
+    },
     messages: {
         type: [messageSchema],
         default: [],
     },
+    // Leaf of the branch currently shown to the user
+    activeLeafId: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    // Rolling summary of turns that no longer fit the model's context budget
+    summary: {
+        content: { type: String },
+        throughMessageId: { type: String },  // last message folded into the summary
+        updatedAt: { type: Date },
+    },
 }, {
     timestamps: true,
 });
 
 // Compound index for listing user's sessions by most recent
 sessionSchema.index({ userId: 1, updatedAt: -1 });
+sessionSchema.index({ userId: 1, tags: 1 });
+sessionSchema.index({ userId: 1, folderId: 1 });
+sessionSchema.index({ workspaceId: 1, updatedAt: -1 });
+sessionSchema.index(
+    { userId: 1, 'importedFrom.source': 1, 'importedFrom.externalId': 1 },
+    { partialFilterExpression: { 'importedFrom.externalId': { $type: 'string' } } },
+);
+// Full-text search (GET /api/search) — title matches rank above message matches
+sessionSchema.index(
+    { title: 'text', 'messages.content': 'text' },
+    { name: 'session_text', weights: { title: 10, 'messages.content': 1 } },
+);
+
+// Deleting moves to the trash (deletedAt); the trash is purged after TRASH_RETENTION_DAYS
+sessionSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Read-only public link to a session (GET /api/shared/:token); revoking keeps the record
+const shareLinkSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+    },
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        required: true,
+    },
+    // Last message shared — the branch that was active when the link was created
+    leafMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    // Random URL-safe secret; anyone with the link can read the session
+    token: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    includeAttachments: {
+        type: Boolean,
+        default: false,
+    },
+    // null = never expires
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+shareLinkSchema.index({ userId: 1, sessionId: 1 });
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Counters shared by the daily totals and the per-kind breakdown
+const counterSchema = new mongoose.Schema({
+    requests: { type: Number, default: 0 },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    images: { type: Number, default: 0 },
+    costUsd: { type: Number, default: 0 },
+}, { _id: false });
+
+// One document per user per UTC day, incremented atomically by usageService
+const usageSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+    },
+    // UTC day, 'YYYY-MM-DD'
+    date: {
+        type: String,
+        required: true,
+    },
+    totals: {
+        type: counterSchema,
+        default: () => ({}),
+    },
+    // kind ('chat', 'title', 'summary', 'plan', 'image', 'index', 'retrieval') → counters
+    byKind: {
+        type: Map,
+        of: counterSchema,
+        default: {},
+    },
+}, {
+    timestamps: true,
+});
+
+usageSchema.index({ userId: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('Usage', usageSchema);
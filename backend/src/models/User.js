@@ -24,6 +24,13 @@ const userSchema = new mongoose.Schema({
         theme: { type: String, default: 'dark' },
         language: { type: String, default: 'en' },
     },
+    // Per-user quota overrides (null = use the QUOTA_* defaults), set via /api/admin/users/:userId/quotas
+    quotas: {
+        messagesPerDay: { type: Number, default: null, min: 0 },
+        tokensPerMonth: { type: Number, default: null, min: 0 },
+        imagesPerMonth: { type: Number, default: null, min: 0 },
+        plansPerDay: { type: Number, default: null, min: 0 },
+    },
     lastLoginAt: {
         type: Date,
         default: Date.now,
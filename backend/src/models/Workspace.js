@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+    // Keycloak user ID (sub), like userId elsewhere
+    userId: {
+        type: String,
+        required: true,
+    },
+    // owner: manage members and the workspace; editor: create and change content; viewer: read only
+    role: {
+        type: String,
+        enum: ['owner', 'editor', 'viewer'],
+        required: true,
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// Team space whose sessions and documents (workspaceId) are shared by its members
+const workspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    members: {
+        type: [memberSchema],
+        default: [],
+    },
+}, {
+    timestamps: true,
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
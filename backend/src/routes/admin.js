@@ -0,0 +1,48 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { getPoolStatus } = require('../services/keyPool');
+const { QUOTAS, getQuotaStatus, setUserQuotas } = require('../services/quotaService');
+
+const router = express.Router();
+
+// GET /api/admin/ai-keys — Gemini key pool health (masked keys, failures, cooldowns)
+router.get('/ai-keys', authMiddleware, requireAdmin, (req, res) => {
+    res.json(getPoolStatus());
+});
+
+// GET /api/admin/users/:userId/quotas — a user's quota limits and current usage
+router.get('/users/:userId/quotas', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        res.json(await getQuotaStatus(req.params.userId));
+    } catch (err) {
+        console.error('[Admin] Get quotas error:', err.message);
+        res.status(500).json({ error: 'Failed to get quotas' });
+    }
+});
+
+// PUT /api/admin/users/:userId/quotas — override quota limits ({ messagesPerDay: 100, ... }; null = default)
+router.put('/users/:userId/quotas', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const quotas = req.body || {};
+        for (const [name, value] of Object.entries(quotas)) {
+            if (!QUOTAS[name]) {
+                return res.status(400).json({ error: `Unknown quota: ${name}` });
+            }
+            if (value !== null && (!Number.isInteger(value) || value < 0)) {
+                return res.status(400).json({ error: `${name} must be a non-negative integer or null` });
+            }
+        }
+
+        const found = await setUserQuotas(req.params.userId, quotas);
+        if (!found) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(await getQuotaStatus(req.params.userId));
+    } catch (err) {
+        console.error('[Admin] Update quotas error:', err.message);
+        res.status(500).json({ error: 'Failed to update quotas' });
+    }
+});
+
+module.exports = router;
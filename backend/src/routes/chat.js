@@ -1,151 +1,454 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const authMiddleware = require('../middleware/auth');
+const requireQuota = require('../middleware/requireQuota');
+const resolveWorkspace = require('../middleware/workspace');
 const { getProviders, resolveModel, streamChat } = require('../services/aiProvider');
 const { generateTitle } = require('../services/titleGenerator');
 const Session = require('../models/Session');
+const Persona = require('../models/Persona');
+const { buildContext } = require('../services/contextBuilder');
+const { priceUsage, recordUsage } = require('../services/usageService');
+const { appendMessage, findMessage, getActiveLeafId } = require('../utils/messageTree');
+const {
+    createStream,
+    pushEvent,
+    finishStream,
+    cancelStream,
+    subscribe,
+    getStream,
+    findActiveStream,
+} = require('../services/streamBuffer');
+const { verifyFileOwnership } = require('../services/storageService');
+const { getToolDeclarations, getToolLabel, executeTool } = require('../services/chatTools');
+const { retrievePassages, formatPassagesForPrompt } = require('../services/retrievalService');
+const { validateGeneration, mergeGeneration } = require('../utils/generation');
+const { hasRole, getAccess, isReadOnly } = require('../services/workspaceService');
 
 const router = express.Router();
 
+const SSE_HEADERS = {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx buffering
+};
+
+// Length of the passage excerpt kept with each citation
+const CITATION_EXCERPT_CHARS = 300;
+
+/**
+ * Write a buffered event; the `id:` field lets clients resume with Last-Event-ID.
+ */
+function writeSseEvent(res, { id, data }) {
+    res.write(`id: ${id}\ndata: ${data}\n\n`);
+}
+
 // GET /api/chat/models — return available providers and models
 router.get('/models', authMiddleware, (req, res) => {
     const providers = getProviders();
     res.json({ providers });
 });
 
+/**
+ * Validate a single client-sent message. Returns an error string or null.
+ */
+function validateMessage(msg) {
+    if (!msg || typeof msg !== 'object') {
+        return 'message must be an object';
+    }
+    if (!msg.role) {
+        return 'Each message must have a role';
+    }
+    if (!msg.content && (!msg.attachments || msg.attachments.length === 0)) {
+        return 'Each message must have content or attachments';
+    }
+    if (!['user', 'assistant'].includes(msg.role)) {
+        return 'Message role must be "user" or "assistant"';
+    }
+    return null;
+}
+
 // POST /api/chat — SSE streaming chat with session support
-router.post('/', authMiddleware, async (req, res) => {
-    const { messages, model, sessionId } = req.body;
+//
+// Two request shapes are accepted:
+//  - { message, sessionId?, model? } — server-side history: only the new user turn is sent
+//    and the conversation context is rebuilt from Session.messages (preferred)
+//  - { messages, sessionId?, model? } — legacy: the client sends the full conversation
+//
+// Branching (server-side history only, requires sessionId):
+//  - { message, editMessageId } — the new turn becomes a sibling of the edited user message
+//  - { regenerate: true } — answer the active branch's last user message again as a sibling reply
+//
+// `personaId` picks the persona of a new session; existing sessions keep theirs
+// (change it with PATCH /api/sessions/:id). Without `model`, the persona's model is used.
+//
+// `generation` ({ temperature, topP, maxOutputTokens, stopSequences }) applies to this
+// request only, on top of the session's settings, the persona's temperature and the
+// model defaults from AI_PROVIDERS_CONFIG. A new session keeps it as its settings.
+//
+// `retrieval: true` grounds the answer in the user's own documents and uploads: the
+// best-matching passages are added to the prompt and sent first as { citations: [...] }
+// ([n] in the answer refers to citations[n - 1]).
+//
+// The model may call server-side tools (services/chatTools.js) while answering; each
+// call is streamed as { tool: { id, name, label, status: 'running' | 'done' | 'error' } }.
+//
+// A new session is created in the active workspace; workspace viewers can't send messages.
+router.post('/', authMiddleware, resolveWorkspace(), requireQuota('messagesPerDay', 'tokensPerMonth'), async (req, res) => {
+    const {
+        messages, message, model, sessionId, editMessageId, regenerate, personaId, generation, retrieval,
+    } = req.body;
 
-    // Validate messages
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-        return res.status(400).json({ error: 'messages array is required and must not be empty' });
+    const generationError = validateGeneration(generation);
+    if (generationError) {
+        return res.status(400).json({ error: generationError });
     }
+    const useServerHistory = message !== undefined || regenerate === true;
 
-    // Validate each message has role and content (or attachments)
-    for (const msg of messages) {
-        if (!msg.role) {
-            return res.status(400).json({ error: 'Each message must have a role' });
+    if ((editMessageId || regenerate) && !sessionId) {
+        return res.status(400).json({ error: 'sessionId is required to edit or regenerate messages' });
+    }
+
+    if (regenerate === true) {
+        if (message !== undefined || editMessageId) {
+            return res.status(400).json({ error: 'regenerate cannot be combined with message or editMessageId' });
+        }
+    } else if (useServerHistory) {
+        const error = validateMessage({ role: 'user', ...message });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (message.role && message.role !== 'user') {
+            return res.status(400).json({ error: 'message role must be "user"' });
+        }
+        // Attachments are re-downloaded by the model provider, so only allow the user's own uploads
+        for (const attachment of message.attachments || []) {
+            if (!attachment?.fileId || !(await verifyFileOwnership(attachment.fileId, req.user.sub))) {
+                return res.status(403).json({ error: 'Access denied to attachment' });
+            }
         }
-        if (!msg.content && (!msg.attachments || msg.attachments.length === 0)) {
-            return res.status(400).json({ error: 'Each message must have content or attachments' });
+    } else {
+        if (editMessageId) {
+            return res.status(400).json({ error: 'editMessageId requires the message field' });
         }
-        if (!['user', 'assistant'].includes(msg.role)) {
-            return res.status(400).json({ error: 'Message role must be "user" or "assistant"' });
+
+        // Validate messages
+        if (!messages || !Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ error: 'messages array is required and must not be empty' });
+        }
+
+        // Validate each message has role and content (or attachments)
+        for (const msg of messages) {
+            const error = validateMessage(msg);
+            if (error) {
+                return res.status(400).json({ error });
+            }
         }
     }
 
     // Resolve model
-    const resolved = resolveModel(model);
+    let resolved = resolveModel(model);
     if (!resolved) {
         return res.status(400).json({ error: 'Invalid model specified or no models configured' });
     }
 
     // --- Session handling ---
     let session = null;
-    const modelString = model || `${resolved.providerId}/${resolved.modelId}`;
+    let access = null; // the caller's workspace roles — tools and retrieval see what they can read
+    let persona = null;
+    let contextMessages = messages;
+    let summary = null;
+    let userMessageId = null;
+    let replyParentId = null; // user message the assistant answer hangs under
+    const assistantMessageId = new mongoose.Types.ObjectId();
+    let modelString = model || `${resolved.providerId}/${resolved.modelId}`;
 
     try {
+        access = await getAccess(req.user.sub);
         if (sessionId) {
-            // Load existing session — verify ownership
+            // Load existing session — verify the user may write to it
             session = await Session.findOne({
                 _id: sessionId,
-                userId: req.user.sub,
+                ...access.filter('editor'),
             });
             if (!session) {
+                if (await isReadOnly(Session, { _id: sessionId }, access)) {
+                    return res.status(403).json({ error: 'Editor access required' });
+                }
                 return res.status(404).json({ error: 'Session not found' });
             }
+            if (session.personaId) {
+                // Always one of the creator's personas (only they can set it, see routes/sessions.js),
+                // also when a workspace member continues the chat. May be gone (deleted persona) —
+                // then the default assistant answers
+                persona = await Persona.findOne({ _id: session.personaId, userId: session.userId }).lean();
+            }
         } else {
+            if (req.workspace && !hasRole(req.workspace.role, 'editor')) {
+                return res.status(403).json({ error: 'Editor access required' });
+            }
+            if (personaId) {
+                persona = mongoose.isValidObjectId(personaId)
+                    ? await Persona.findOne({ _id: personaId, userId: req.user.sub }).lean()
+                    : null;
+                if (!persona) {
+                    return res.status(404).json({ error: 'Persona not found' });
+                }
+            }
             // Create new session
             session = await Session.create({
                 userId: req.user.sub,
+                workspaceId: req.workspace?.id || null,
                 title: 'New Chat',
                 model: modelString,
+                personaId: persona?._id || null,
+                generation: generation || undefined,
                 messages: [],
             });
         }
 
-        // Save the latest user message to session
-        const lastUserMsg = messages[messages.length - 1];
-        if (lastUserMsg && lastUserMsg.role === 'user') {
-            const msgData = {
-                role: lastUserMsg.role,
-                content: lastUserMsg.content || '',
-            };
-            // Include attachments if present
-            if (lastUserMsg.attachments && lastUserMsg.attachments.length > 0) {
-                msgData.attachments = lastUserMsg.attachments;
+        // No model requested — answer with the persona's model when it is still configured
+        const personaModel = !model && persona?.model && resolveModel(persona.model);
+        if (personaModel) {
+            resolved = personaModel;
+            modelString = persona.model;
+        }
+
+        if (regenerate === true) {
+            // Re-answer the user turn behind the active leaf; the old answer stays as a sibling branch
+            const leaf = findMessage(session, getActiveLeafId(session));
+            const target = leaf?.message.role === 'assistant' ? findMessage(session, leaf.parentId) : leaf;
+            if (!target || target.message.role !== 'user') {
+                return res.status(400).json({ error: 'Nothing to regenerate' });
             }
-            session.messages.push(msgData);
+            session.activeLeafId = target.message._id;
+            replyParentId = target.message._id;
             session.model = modelString;
             await session.save();
+        } else {
+            let parentId = getActiveLeafId(session);
+            if (editMessageId) {
+                const edited = findMessage(session, editMessageId);
+                if (!edited || edited.message.role !== 'user') {
+                    return res.status(404).json({ error: 'Message to edit not found' });
+                }
+                parentId = edited.parentId;
+            }
+            replyParentId = parentId;
+
+            // Save the latest user message to session
+            const lastUserMsg = useServerHistory
+                ? { role: 'user', content: message.content, attachments: message.attachments }
+                : messages[messages.length - 1];
+            if (lastUserMsg && lastUserMsg.role === 'user') {
+                const msgData = {
+                    role: lastUserMsg.role,
+                    content: lastUserMsg.content || '',
+                };
+                // Include attachments if present
+                if (lastUserMsg.attachments && lastUserMsg.attachments.length > 0) {
+                    msgData.attachments = lastUserMsg.attachments;
+                }
+                const added = appendMessage(session, msgData, parentId);
+                userMessageId = added._id;
+                replyParentId = added._id;
+                session.model = modelString;
+                await session.save();
+            }
         }
     } catch (err) {
         if (err.name === 'CastError') {
             return res.status(404).json({ error: 'Session not found' });
         }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ error: 'Invalid attachment metadata' });
+        }
         console.error('[Chat] Session error:', err.message);
         return res.status(500).json({ error: 'Failed to manage session' });
     }
 
     // Set up SSE
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'X-Accel-Buffering': 'no', // Disable nginx buffering
-    });
+    res.writeHead(200, SSE_HEADERS);
 
     // Flush headers immediately
     res.flushHeaders();
 
-    // Send sessionId as first event (so frontend can update URL)
-    res.write(`data: ${JSON.stringify({ sessionId: session._id })}\n\n`);
+    // Events are buffered under the answer's message ID so a client that drops
+    // can reattach via GET /api/chat/stream/:messageId; generation doesn't depend
+    // on this connection staying open.
+    const streamId = assistantMessageId.toString();
+    const signal = createStream(streamId, { userId: req.user.sub, sessionId: session._id.toString() });
+    const send = (payload) => pushEvent(streamId, payload === '[DONE]' ? payload : JSON.stringify(payload));
+
+    const detach = subscribe(streamId, 0, event => writeSseEvent(res, event), () => res.end());
+    req.on('close', detach);
 
-    // Handle client disconnect
-    let aborted = false;
-    req.on('close', () => {
-        aborted = true;
-    });
+    // Send sessionId as first event (so frontend can update URL), with the IDs
+    // the new user turn and the upcoming answer will be stored under
+    send({ sessionId: session._id, userMessageId, assistantMessageId });
+
+    // Rebuild context from the stored, authoritative history within the model's token budget.
+    // Done once the stream is open: folding older turns into the summary is an AI call.
+    if (useServerHistory) {
+        const context = await buildContext(session, resolved, { userId: req.user.sub });
+        contextMessages = context.messages;
+        summary = context.summary;
+        if (session.isModified('summary')) {
+            // Only the summary — the session is not saved over changes made meanwhile
+            try {
+                await Session.updateOne({ _id: session._id }, { $set: { summary: session.summary } });
+            } catch (err) {
+                console.error('[Chat] Failed to save summary:', err.message);
+            }
+        }
+    }
+
+    // Retrieval failures only cost the grounding, never the answer
+    let citations = [];
+    let references = null;
+    if (retrieval === true) {
+        const question = [...contextMessages].reverse().find(m => m.role === 'user')?.content;
+        try {
+            const passages = await retrievePassages(req.user.sub, question, { access });
+            if (passages.length > 0) {
+                references = formatPassagesForPrompt(passages);
+                citations = passages.map((p, i) => ({
+                    index: i + 1,
+                    sourceType: p.sourceType,
+                    sourceId: p.sourceId,
+                    title: p.title,
+                    excerpt: p.text.slice(0, CITATION_EXCERPT_CHARS),
+                    score: Math.round(p.score * 1000) / 1000,
+                }));
+                send({ citations });
+            }
+        } catch (err) {
+            console.error('[Chat] Retrieval failed:', err.message);
+        }
+    }
 
     let fullResponse = '';
+    let answeredBy = modelString;
+    let answered = resolved;
+    let tokenUsage = null;
+    const toolCalls = []; // { name, label, status } shown above the answer, also after a reload
+    let planDocumentId = null; // plan created by the create_project_plan tool
+
+    // Tool calls run as the requesting user, seeing what they can read; every step is streamed as a { tool } event
+    const tools = {
+        declarations: getToolDeclarations(),
+        execute: async ({ name, args }) => {
+            const toolCall = { id: `tool-${toolCalls.length + 1}`, name, label: getToolLabel(name), status: 'running' };
+            toolCalls.push(toolCall);
+            send({ tool: toolCall });
+
+            const result = await executeTool(name, args, { userId: req.user.sub, sessionId: session._id, access });
+            toolCall.status = result.error ? 'error' : 'done';
+            if (name === 'create_project_plan' && result.documentId) {
+                planDocumentId = result.documentId;
+                toolCall.documentId = result.documentId;
+            }
+            send({ tool: toolCall });
+            return result;
+        },
+    };
 
     try {
-        const stream = streamChat(resolved.providerId, resolved.modelId, messages);
+        const stream = streamChat(resolved.providerId, resolved.modelId, contextMessages, {
+            summary,
+            systemPrompt: persona?.systemPrompt,
+            references,
+            generation: mergeGeneration(
+                { temperature: persona?.temperature },
+                session.generation?.toObject(),
+                generation,
+            ),
+            tools,
+            signal,
+            // Tell the client which model actually answered (differs from the request after a fallback)
+            onModelSelected: ({ providerId, modelId, fallback }) => {
+                answered = { providerId, modelId };
+                answeredBy = `${providerId}/${modelId}`;
+                send({ model: answeredBy, fallback });
+            },
+            onUsage: (usage) => {
+                tokenUsage = usage;
+            },
+        });
 
         for await (const chunk of stream) {
-            if (aborted) break;
+            if (signal.aborted) break;
             fullResponse += chunk;
-            res.write(`data: ${JSON.stringify({ chunk })}\n\n`);
-        }
-
-        if (!aborted) {
-            res.write('data: [DONE]\n\n');
+            send({ chunk });
         }
     } catch (err) {
-        console.error('[Chat] Stream error:', err.message);
-        if (!aborted) {
-            res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
-            res.write('data: [DONE]\n\n');
+        if (!signal.aborted) {
+            console.error('[Chat] Stream error:', err.message);
+            send({ error: err.message });
         }
     } finally {
-        if (!aborted) {
-            res.end();
+        const stopped = signal.aborted;
+        if (stopped) {
+            send({ stopped: true });
+        }
+        send('[DONE]');
+
+        const usage = tokenUsage && priceUsage(answered.providerId, answered.modelId, tokenUsage);
+        // Counted even without token usage from the provider — it feeds the messages/day quota
+        if (usage || fullResponse) {
+            recordUsage(req.user.sub, 'chat', usage || {});
         }
 
-        // Save assistant response to session (async, fire-and-forget)
-        if (fullResponse) {
-            session.messages.push({
+        // Save assistant response to session before the stream ends, so a client reloading
+        // the session afterwards finds it. A stopped answer is kept even when empty so the
+        // "stopped" marker survives a reload, and so is one that only ran tools (e.g. created
+        // a plan) before failing.
+        if (fullResponse || stopped || toolCalls.length > 0) {
+            // A tool still running when the answer ended (stopped mid-call) never reports back
+            toolCalls.forEach(call => {
+                if (call.status === 'running') call.status = 'error';
+            });
+            const assistantMessage = {
+                _id: assistantMessageId,
                 role: 'assistant',
                 content: fullResponse,
-            });
-            session.save().catch(err =>
-                console.error('[Chat] Failed to save assistant message:', err.message)
-            );
+                model: answeredBy,
+            };
+            if (stopped || toolCalls.length > 0 || citations.length > 0) {
+                assistantMessage.metadata = {
+                    ...(stopped && { stopped: true }),
+                    ...(toolCalls.length > 0 && { toolCalls }),
+                    ...(citations.length > 0 && { citations }),
+                    // Lets the client open the plan from this answer, like a /plan command result
+                    ...(planDocumentId && { planAction: true, documentId: planDocumentId }),
+                };
+            }
+            if (usage) {
+                assistantMessage.usage = usage;
+            }
+            // Stored atomically: the session may have changed while the answer was generated
+            // (branch switched, title set), so the loaded copy is not saved over it
+            const leafBefore = session.activeLeafId || null;
+            const added = appendMessage(session, assistantMessage, replyParentId);
+            try {
+                await Session.updateOne({ _id: session._id }, { $push: { messages: added.toObject() } });
+                // Show the answer unless the user switched to another branch meanwhile
+                await Session.updateOne(
+                    { _id: session._id, activeLeafId: leafBefore },
+                    { $set: { activeLeafId: added._id } },
+                );
+            } catch (err) {
+                console.error('[Chat] Failed to save assistant message:', err.message);
+            }
         }
 
+        // Ends every attached client
+        finishStream(streamId);
+
         // Auto-generate title if this is the first exchange (2 messages = user + assistant)
         if (session.title === 'New Chat' && session.messages.length >= 2) {
-            generateTitle(session.messages).then(title => {
+            generateTitle(session.messages, { userId: req.user.sub }).then(title => {
                 Session.findByIdAndUpdate(session._id, { title }).catch(err =>
                     console.error('[Chat] Failed to update title:', err.message)
                 );
@@ -154,4 +457,34 @@ router.post('/', authMiddleware, async (req, res) => {
     }
 });
 
+// POST /api/chat/:sessionId/cancel — stop the answer being generated for a session.
+// The partial text is saved with metadata.stopped and attached clients get a { stopped } event.
+router.post('/:sessionId/cancel', authMiddleware, (req, res) => {
+    const messageId = findActiveStream(req.params.sessionId);
+    const stream = messageId && getStream(messageId);
+    if (!stream || stream.userId !== req.user.sub) {
+        return res.status(404).json({ error: 'No answer is being generated for this session' });
+    }
+
+    cancelStream(messageId);
+    res.json({ cancelled: true, messageId });
+});
+
+// GET /api/chat/stream/:messageId — reattach to an answer that is still being generated
+// (or finished within the last few minutes). Replays events after Last-Event-ID.
+router.get('/stream/:messageId', authMiddleware, (req, res) => {
+    const stream = getStream(req.params.messageId);
+    if (!stream || stream.userId !== req.user.sub) {
+        return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+
+    res.writeHead(200, SSE_HEADERS);
+    res.flushHeaders();
+
+    const detach = subscribe(req.params.messageId, lastEventId, event => writeSseEvent(res, event), () => res.end());
+    req.on('close', detach);
+});
+
 module.exports = router;
@@ -1,9 +1,20 @@
 const express = require('express');
 const multer = require('multer');
 const authMiddleware = require('../middleware/auth');
+const requireQuota = require('../middleware/requireQuota');
+const resolveWorkspace = require('../middleware/workspace');
 const Document = require('../models/Document');
 const Session = require('../models/Session');
+const DocumentVersion = require('../models/DocumentVersion');
+const User = require('../models/User');
 const { generateProjectPlan } = require('../services/planGenerationService');
+const { appendMessage } = require('../utils/messageTree');
+const { blockNoteToMarkdown } = require('../utils/blockNote');
+const { indexDocument, scheduleDocumentIndex, removeSource } = require('../services/retrievalService');
+const { getPurgeAt } = require('../services/trashService');
+const { hasRole, getScopeFilter, getAccess, isReadOnly } = require('../services/workspaceService');
+const { hasCollabState, resetCollabState } = require('../services/collabService');
+const { ensureBaseVersion, recordVersion } = require('../services/documentVersionService');
 const {
     uploadFile,
     getSignedDownloadUrl,
@@ -27,8 +38,21 @@ const assetUpload = multer({
     },
 });
 
+const MAX_EDIT_SESSION_LENGTH = 100;
+
+/**
+ * The editor session an autosave comes from (see services/documentVersionService.js), or null.
+ */
+function getEditSession(body) {
+    const { editSession } = body;
+    return typeof editSession === 'string' && editSession && editSession.length <= MAX_EDIT_SESSION_LENGTH
+        ? editSession
+        : null;
+}
+
 // POST /api/commands/generate-plan — generate project plan via AI (Streaming)
-router.post('/generate-plan', authMiddleware, async (req, res) => {
+// A new chat and its plan go to the active workspace; an existing chat keeps its own
+router.post('/generate-plan', authMiddleware, resolveWorkspace('editor'), requireQuota('plansPerDay', 'tokensPerMonth'), async (req, res) => {
     try {
         let { sessionId, prompt, options = {} } = req.body;
         const userId = req.user.sub;
@@ -40,16 +64,17 @@ router.post('/generate-plan', authMiddleware, async (req, res) => {
         // Create or load chat session
         let session;
         if (sessionId) {
-            session = await Session.findOne({ _id: sessionId, userId });
+            const access = await getAccess(userId);
+            session = await Session.findOne({ _id: sessionId, ...access.filter('editor') });
         }
         if (!session) {
-            session = new Session({ userId, title: 'New Chat', messages: [] });
+            session = new Session({ userId, workspaceId: req.workspace?.id || null, title: 'New Chat', messages: [] });
             await session.save();
             sessionId = session._id.toString();
         }
 
         // Save user message to session (short label, not full prompt)
-        session.messages.push({ role: 'user', content: '📋 Generate Project Plan' });
+        const planRequest = appendMessage(session, { role: 'user', content: '📋 Generate Project Plan' });
         await session.save();
 
         // Set headers for SSE
@@ -79,11 +104,11 @@ router.post('/generate-plan', authMiddleware, async (req, res) => {
 
         // Save assistant message to session (async, don't block response)
         if (completedTitle) {
-            session.messages.push({
+            appendMessage(session, {
                 role: 'assistant',
                 content: `**Project Plan Generated!**\n\n**${completedTitle}**`,
                 metadata: { planAction: true, documentId: completedDocId.toString() },
-            });
+            }, planRequest._id);
             session.title = completedTitle;
             session.save().catch(err => console.error('Failed to save session:', err));
         }
@@ -100,13 +125,12 @@ router.post('/generate-plan', authMiddleware, async (req, res) => {
     }
 });
 
-// GET /api/documents — list user's documents
-router.get('/', authMiddleware, async (req, res) => {
+// GET /api/documents — list the active workspace's documents, or the user's own
+router.get('/', authMiddleware, resolveWorkspace(), async (req, res) => {
     try {
         const { type, limit = 50, offset = 0 } = req.query;
-        const userId = req.user.sub;
 
-        const filter = { userId };
+        const filter = getScopeFilter(req.user.sub, req.workspace);
         if (type) {
             filter.type = type;
         }
@@ -115,7 +139,7 @@ router.get('/', authMiddleware, async (req, res) => {
             .sort({ createdAt: -1 })
             .limit(parseInt(limit))
             .skip(parseInt(offset))
-            .select('_id userId sessionId title type createdAt updatedAt metadata.generatedBy');
+            .select('_id userId workspaceId sessionId title type createdAt updatedAt metadata.generatedBy');
 
         const total = await Document.countDocuments(filter);
 
@@ -131,19 +155,45 @@ router.get('/', authMiddleware, async (req, res) => {
     }
 });
 
+// POST /api/documents/reindex — rebuild the retrieval and search indexes of the active workspace's
+// documents, or the user's own (e.g. for documents created before indexing existed, or after changing EMBEDDING_MODEL)
+router.post('/reindex', authMiddleware, resolveWorkspace('editor'), async (req, res) => {
+    try {
+        const documents = await Document.find(getScopeFilter(req.user.sub, req.workspace))
+            .select('_id userId workspaceId title content');
+
+        let passages = 0;
+        for (const document of documents) {
+            await document.save(); // refreshes searchText
+            passages += await indexDocument(document);
+        }
+
+        res.json({ documents: documents.length, passages });
+    } catch (error) {
+        console.error('[Documents] Reindex error:', error);
+        res.status(500).json({ error: 'Failed to reindex documents' });
+    }
+});
+
 // GET /api/documents/:id — retrieve single document
 router.get('/:id', authMiddleware, async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.sub;
+        const access = await getAccess(req.user.sub);
 
-        const document = await Document.findOne({ _id: id, userId });
+        const document = await Document.findOne({ _id: id, ...access.filter() });
 
         if (!document) {
             return res.status(404).json({ error: 'Document not found' });
         }
 
-        res.json(document);
+        // The caller's role: viewers get a read-only editor. Until someone has opened the
+        // document for collaborative editing (hasCollabState), viewers are shown `content`
+        res.json({
+            ...document.toJSON(),
+            role: access.roleFor(document),
+            hasCollabState: await hasCollabState(document._id),
+        });
     } catch (error) {
         console.error('Error retrieving document:', error);
         if (error.name === 'CastError') {
@@ -154,29 +204,43 @@ router.get('/:id', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/documents/:id — update document
+// `collab: true` marks a snapshot saved by a collaborative editor; any other new
+// content replaces the shared editing state (see services/collabService.js).
+// Autosaves of one open editor send the same `editSession`. A collaborative snapshot
+// arriving after the shared state was dropped (e.g. a restore) is stale: 409
 router.put('/:id', authMiddleware, async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.sub;
-        const { title, content } = req.body;
+        const { title, content, collab } = req.body;
 
         // Validate inputs
         if (!title && !content) {
             return res.status(400).json({ error: 'title or content is required' });
         }
 
-        // Find document and verify ownership
-        const document = await Document.findOne({ _id: id, userId });
+        // Find document and verify access
+        const access = await getAccess(req.user.sub);
+        const document = await Document.findOne({ _id: id, ...access.filter() });
 
         if (!document) {
             return res.status(404).json({ error: 'Document not found' });
         }
+        if (!hasRole(access.roleFor(document), 'editor')) {
+            return res.status(403).json({ error: 'Editor access required' });
+        }
+        if (content && collab && !(await hasCollabState(document._id))) {
+            return res.status(409).json({ error: 'Document content was replaced' });
+        }
 
         // Update fields
+        if (content) await ensureBaseVersion(document);
         if (title) document.title = title;
         if (content) document.content = content;
 
         await document.save();
+        if (content && !collab) await resetCollabState(document._id);
+        await recordVersion(document, { userId: req.user.sub, editSession: getEditSession(req.body) });
+        scheduleDocumentIndex(document);
 
         res.json(document);
     } catch (error) {
@@ -188,19 +252,35 @@ router.put('/:id', authMiddleware, async (req, res) => {
     }
 });
 
-// DELETE /api/documents/:id — delete document
+// DELETE /api/documents/:id — move document to the trash (see routes/trash.js)
 router.delete('/:id', authMiddleware, async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.sub;
+        const access = await getAccess(req.user.sub);
 
-        const result = await Document.deleteOne({ _id: id, userId });
+        const document = await Document.findOneAndUpdate(
+            { _id: id, ...access.filter('editor') },
+            { deletedAt: new Date() },
+            { new: true, timestamps: false }
+        );
 
-        if (result.deletedCount === 0) {
+        if (!document) {
+            if (await isReadOnly(Document, { _id: id }, access)) {
+                return res.status(403).json({ error: 'Editor access required' });
+            }
             return res.status(404).json({ error: 'Document not found' });
         }
 
-        res.json({ success: true, message: 'Document deleted' });
+        // Trashed documents are not cited in chat answers; restoring re-indexes them
+        removeSource(document.userId, 'document', id).catch(err =>
+            console.error('[Documents] Failed to remove passages:', err.message)
+        );
+        res.json({
+            success: true,
+            message: 'Document moved to trash',
+            deletedAt: document.deletedAt,
+            purgeAt: getPurgeAt(document.deletedAt),
+        });
     } catch (error) {
         console.error('Error deleting document:', error);
         if (error.name === 'CastError') {
@@ -210,81 +290,145 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     }
 });
 
-// ---- BlockNote JSON → Markdown converter ----
+// POST /api/documents/:id/restore — bring a document back from the trash
+router.post('/:id/restore', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const access = await getAccess(req.user.sub);
+        const inTrash = { _id: id, deletedAt: { $ne: null } };
 
-/**
- * Convert BlockNote inline content to markdown string
- */
-function inlineContentToMarkdown(content) {
-    if (!content || !Array.isArray(content)) return '';
-    return content.map(node => {
-        if (node.type === 'link') {
-            const linkText = inlineContentToMarkdown(node.content);
-            return `[${linkText}](${node.href})`;
-        }
-        let text = node.text || '';
-        if (node.styles?.bold) text = `**${text}**`;
-        if (node.styles?.italic) text = `*${text}*`;
-        if (node.styles?.code) text = `\`${text}\``;
-        return text;
-    }).join('');
-}
+        const document = await Document.findOneAndUpdate(
+            { ...inTrash, ...access.filter('editor') },
+            { deletedAt: null },
+            { new: true, timestamps: false }
+        );
 
-/**
- * Convert BlockNote blocks array to markdown string
- */
-function blockNoteToMarkdown(blocks) {
-    if (!blocks || !Array.isArray(blocks)) return '';
+        if (!document) {
+            if (await isReadOnly(Document, inTrash, access)) {
+                return res.status(403).json({ error: 'Editor access required' });
+            }
+            return res.status(404).json({ error: 'Document not found in trash' });
+        }
 
-    return blocks.map(block => {
-        const text = inlineContentToMarkdown(block.content);
+        indexDocument(document).catch(err =>
+            console.error('[Documents] Failed to index restored document:', err.message)
+        );
+        res.json(document);
+    } catch (error) {
+        console.error('Error restoring document:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid document ID' });
+        }
+        res.status(500).json({ error: 'Failed to restore document' });
+    }
+});
 
-        switch (block.type) {
-            case 'heading': {
-                const prefix = '#'.repeat(block.props?.level || 1);
-                return `${prefix} ${text}`;
-            }
-            case 'paragraph':
-                return text || '';
-            case 'bulletListItem':
-                return `- ${text}`;
-            case 'numberedListItem':
-                return `1. ${text}`;
-            case 'checkListItem':
-                return `- [${block.props?.checked ? 'x' : ' '}] ${text}`;
-            case 'image':
-                return `![${block.props?.caption || ''}](${block.props?.url || ''})`;
-            case 'table': {
-                if (!block.content?.rows) return '';
-                const rows = block.content.rows.map(row => {
-                    const cells = row.cells.map(cell => {
-                        // Each cell is an array of blocks
-                        if (Array.isArray(cell)) {
-                            return cell.map(b => inlineContentToMarkdown(b.content)).join('');
-                        }
-                        return '';
-                    });
-                    return `| ${cells.join(' | ')} |`;
-                });
-                // Insert separator after header row
-                if (rows.length > 0) {
-                    const colCount = block.content.rows[0]?.cells?.length || 1;
-                    const separator = `| ${Array(colCount).fill('---').join(' | ')} |`;
-                    rows.splice(1, 0, separator);
-                }
-                return rows.join('\n');
-            }
-            default:
-                return text || '';
+// GET /api/documents/:id/versions — version history, newest first (see services/documentVersionService.js)
+router.get('/:id/versions', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const access = await getAccess(req.user.sub);
+        const document = await Document.findOne({ _id: id, ...access.filter() }).select('_id');
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
         }
-    }).join('\n\n');
-}
+
+        const versions = await DocumentVersion.find({ documentId: document._id })
+            .sort({ createdAt: -1, _id: -1 })
+            .select('userId source title restoredFrom createdAt updatedAt')
+            .lean();
+
+        const authors = await User.find({ keycloakId: { $in: [...new Set(versions.map(v => v.userId))] } })
+            .select('keycloakId email displayName')
+            .lean();
+        const byId = new Map(authors.map(u => [u.keycloakId, u]));
+
+        res.json({
+            versions: versions.map(v => ({
+                ...v,
+                authorName: byId.get(v.userId)?.displayName || byId.get(v.userId)?.email || '',
+            })),
+        });
+    } catch (error) {
+        console.error('Error listing document versions:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid document ID' });
+        }
+        res.status(500).json({ error: 'Failed to list document versions' });
+    }
+});
+
+// GET /api/documents/:id/versions/:versionId — one version, with its Markdown for diffing
+router.get('/:id/versions/:versionId', authMiddleware, async (req, res) => {
+    try {
+        const { id, versionId } = req.params;
+        const access = await getAccess(req.user.sub);
+        const document = await Document.findOne({ _id: id, ...access.filter() }).select('_id');
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const version = await DocumentVersion.findOne({ _id: versionId, documentId: document._id }).lean();
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        res.json({ ...version, markdown: blockNoteToMarkdown(version.content) });
+    } catch (error) {
+        console.error('Error retrieving document version:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid document or version ID' });
+        }
+        res.status(500).json({ error: 'Failed to retrieve document version' });
+    }
+});
+
+// POST /api/documents/:id/versions/:versionId/restore — make an older version current again
+// The restore is itself a new version, so it can be undone the same way
+router.post('/:id/versions/:versionId/restore', authMiddleware, async (req, res) => {
+    try {
+        const { id, versionId } = req.params;
+        const access = await getAccess(req.user.sub);
+        const document = await Document.findOne({ _id: id, ...access.filter() });
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        if (!hasRole(access.roleFor(document), 'editor')) {
+            return res.status(403).json({ error: 'Editor access required' });
+        }
+
+        const version = await DocumentVersion.findOne({ _id: versionId, documentId: document._id });
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        await ensureBaseVersion(document);
+        document.title = version.title || document.title;
+        document.content = version.content;
+        await document.save();
+
+        // Editors connected to the document reload it with the restored content
+        await resetCollabState(document._id);
+        await recordVersion(document, { userId: req.user.sub, restoredFrom: version._id });
+        scheduleDocumentIndex(document);
+
+        res.json(document);
+    } catch (error) {
+        console.error('Error restoring document version:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ error: 'Invalid document or version ID' });
+        }
+        res.status(500).json({ error: 'Failed to restore document version' });
+    }
+});
 
 // POST /api/documents/:id/export — export document to Markdown
 router.post('/:id/export', authMiddleware, async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.sub;
         const { format } = req.body;
 
         // Only support markdown for now
@@ -292,8 +436,9 @@ router.post('/:id/export', authMiddleware, async (req, res) => {
             return res.status(400).json({ error: 'format must be "markdown"' });
         }
 
-        // Find document and verify ownership
-        const document = await Document.findOne({ _id: id, userId });
+        // Find document and verify access
+        const access = await getAccess(req.user.sub);
+        const document = await Document.findOne({ _id: id, ...access.filter() });
 
         if (!document) {
             return res.status(404).json({ error: 'Document not found' });
@@ -337,11 +482,15 @@ router.post('/:id/assets/upload', authMiddleware, (req, res) => {
             const { id } = req.params;
             const userId = req.user.sub;
 
-            // Verify document ownership
-            const document = await Document.findOne({ _id: id, userId });
+            // Verify document access
+            const access = await getAccess(userId);
+            const document = await Document.findOne({ _id: id, ...access.filter() });
             if (!document) {
                 return res.status(404).json({ error: 'Document not found' });
             }
+            if (!hasRole(access.roleFor(document), 'editor')) {
+                return res.status(403).json({ error: 'Editor access required' });
+            }
 
             // Upload to GCS
             const uploadResult = await uploadFile(
@@ -374,24 +523,32 @@ router.post('/:id/assets/upload', authMiddleware, (req, res) => {
 });
 
 // PATCH /api/documents/:id — partial update document content (for autosave)
+// `collab` and `editSession` as for PUT
 router.patch('/:id', authMiddleware, async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.sub;
-        const { content, contentType } = req.body;
+        const { content, contentType, collab } = req.body;
 
         if (!content) {
             return res.status(400).json({ error: 'content is required' });
         }
 
-        // Find document and verify ownership
-        const document = await Document.findOne({ _id: id, userId });
+        // Find document and verify access
+        const access = await getAccess(req.user.sub);
+        const document = await Document.findOne({ _id: id, ...access.filter() });
 
         if (!document) {
             return res.status(404).json({ error: 'Document not found' });
         }
+        if (!hasRole(access.roleFor(document), 'editor')) {
+            return res.status(403).json({ error: 'Editor access required' });
+        }
+        if (collab && !(await hasCollabState(document._id))) {
+            return res.status(409).json({ error: 'Document content was replaced' });
+        }
 
         // Update content and contentType
+        await ensureBaseVersion(document);
         document.content = content;
         if (contentType) {
             document.contentType = contentType;
@@ -399,6 +556,9 @@ router.patch('/:id', authMiddleware, async (req, res) => {
         document.updatedAt = new Date();
 
         await document.save();
+        if (!collab) await resetCollabState(document._id);
+        await recordVersion(document, { userId: req.user.sub, editSession: getEditSession(req.body) });
+        scheduleDocumentIndex(document);
 
         res.json({
             success: true,
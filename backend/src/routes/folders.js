@@ -0,0 +1,116 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const Folder = require('../models/Folder');
+const Session = require('../models/Session');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Returns an error string for an invalid folder name, or null.
+ */
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        return `name is required and must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+function formatFolder(folder) {
+    return {
+        id: folder._id,
+        name: folder.name,
+        createdAt: folder.createdAt,
+        updatedAt: folder.updatedAt,
+    };
+}
+
+// GET /api/folders — list the user's session folders (alphabetical)
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const folders = await Folder.find({ userId: req.user.sub })
+            .collation({ locale: 'en' })
+            .sort({ name: 1 })
+            .lean();
+        res.json({ folders: folders.map(formatFolder) });
+    } catch (err) {
+        console.error('[Folders] List error:', err.message);
+        res.status(500).json({ error: 'Failed to list folders' });
+    }
+});
+
+// POST /api/folders — create a folder
+router.post('/', authMiddleware, async (req, res) => {
+    try {
+        const error = validateName(req.body.name);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const folder = await Folder.create({ userId: req.user.sub, name: req.body.name.trim() });
+        res.status(201).json(formatFolder(folder));
+    } catch (err) {
+        console.error('[Folders] Create error:', err.message);
+        res.status(500).json({ error: 'Failed to create folder' });
+    }
+});
+
+// PATCH /api/folders/:id — rename a folder
+router.patch('/:id', authMiddleware, async (req, res) => {
+    try {
+        const error = validateName(req.body.name);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const folder = await Folder.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user.sub },
+            { name: req.body.name.trim() },
+            { new: true }
+        );
+
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        res.json(formatFolder(folder));
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+        console.error('[Folders] Update error:', err.message);
+        res.status(500).json({ error: 'Failed to update folder' });
+    }
+});
+
+// DELETE /api/folders/:id — delete a folder; its sessions are kept and move out of it
+router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+        const folder = await Folder.findOneAndDelete({
+            _id: req.params.id,
+            userId: req.user.sub,
+        });
+
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        // Also workspace sessions other members created and the user filed here
+        await Session.updateMany(
+            { folderId: folder._id },
+            { folderId: null },
+            { timestamps: false }
+        );
+
+        res.json({ success: true });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+        console.error('[Folders] Delete error:', err.message);
+        res.status(500).json({ error: 'Failed to delete folder' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const Persona = require('../models/Persona');
+const Session = require('../models/Session');
+const { resolveModel } = require('../services/aiProvider');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+const MAX_PROMPT_LENGTH = 20000;
+
+/**
+ * Validate persona fields. With `partial`, missing fields are allowed (PATCH).
+ * Returns an error string or null.
+ */
+function validatePersona(body, { partial = false } = {}) {
+    const { name, systemPrompt, model, temperature } = body;
+
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            return `name is required and must be at most ${MAX_NAME_LENGTH} characters`;
+        }
+    }
+    if (!partial || systemPrompt !== undefined) {
+        if (typeof systemPrompt !== 'string' || !systemPrompt.trim() || systemPrompt.length > MAX_PROMPT_LENGTH) {
+            return `systemPrompt is required and must be at most ${MAX_PROMPT_LENGTH} characters`;
+        }
+    }
+    if (model !== undefined && model !== '' && (typeof model !== 'string' || !resolveModel(model))) {
+        return 'Invalid model specified';
+    }
+    if (temperature !== undefined && temperature !== null
+        && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+        return 'temperature must be a number between 0 and 2';
+    }
+    return null;
+}
+
+function formatPersona(persona) {
+    return {
+        id: persona._id,
+        name: persona.name,
+        systemPrompt: persona.systemPrompt,
+        model: persona.model,
+        temperature: persona.temperature ?? null,
+        createdAt: persona.createdAt,
+        updatedAt: persona.updatedAt,
+    };
+}
+
+function pickFields({ name, systemPrompt, model, temperature }) {
+    const fields = {};
+    if (name !== undefined) fields.name = name.trim();
+    if (systemPrompt !== undefined) fields.systemPrompt = systemPrompt;
+    if (model !== undefined) fields.model = model;
+    if (temperature !== undefined) fields.temperature = temperature;
+    return fields;
+}
+
+// GET /api/personas — list the user's personas (alphabetical)
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const personas = await Persona.find({ userId: req.user.sub })
+            .sort({ name: 1 })
+            .lean();
+        res.json({ personas: personas.map(formatPersona) });
+    } catch (err) {
+        console.error('[Personas] List error:', err.message);
+        res.status(500).json({ error: 'Failed to list personas' });
+    }
+});
+
+// POST /api/personas — create a persona
+router.post('/', authMiddleware, async (req, res) => {
+    try {
+        const error = validatePersona(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const persona = await Persona.create({
+            userId: req.user.sub,
+            ...pickFields(req.body),
+        });
+
+        res.status(201).json(formatPersona(persona));
+    } catch (err) {
+        console.error('[Personas] Create error:', err.message);
+        res.status(500).json({ error: 'Failed to create persona' });
+    }
+});
+
+// PATCH /api/personas/:id — update name, systemPrompt, model or temperature
+router.patch('/:id', authMiddleware, async (req, res) => {
+    try {
+        const error = validatePersona(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const persona = await Persona.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user.sub },
+            pickFields(req.body),
+            { new: true }
+        );
+
+        if (!persona) {
+            return res.status(404).json({ error: 'Persona not found' });
+        }
+
+        res.json(formatPersona(persona));
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Persona not found' });
+        }
+        console.error('[Personas] Update error:', err.message);
+        res.status(500).json({ error: 'Failed to update persona' });
+    }
+});
+
+// DELETE /api/personas/:id — delete a persona; sessions using it fall back to the default assistant
+router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+        const persona = await Persona.findOneAndDelete({
+            _id: req.params.id,
+            userId: req.user.sub,
+        });
+
+        if (!persona) {
+            return res.status(404).json({ error: 'Persona not found' });
+        }
+
+        await Session.updateMany(
+            { userId: req.user.sub, personaId: persona._id },
+            { personaId: null }
+        );
+
+        res.json({ success: true });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Persona not found' });
+        }
+        console.error('[Personas] Delete error:', err.message);
+        res.status(500).json({ error: 'Failed to delete persona' });
+    }
+});
+
+module.exports = router;
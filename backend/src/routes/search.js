@@ -0,0 +1,31 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { search } = require('../services/searchService');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// GET /api/search?q=...&limit=10 — full-text search over the user's sessions and documents
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!q) {
+            return res.status(400).json({ error: 'q is required' });
+        }
+        if (q.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({ error: `q must be at most ${MAX_QUERY_LENGTH} characters` });
+        }
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT));
+
+        const results = await search(req.user.sub, q, { limit });
+        res.json({ query: q, results });
+    } catch (err) {
+        console.error('[Search] Error:', err.message);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+module.exports = router;
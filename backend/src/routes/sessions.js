@@ -1,25 +1,98 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const authMiddleware = require('../middleware/auth');
+const resolveWorkspace = require('../middleware/workspace');
 const Session = require('../models/Session');
 const Document = require('../models/Document');
+const Persona = require('../models/Persona');
+const Folder = require('../models/Folder');
+const ShareLink = require('../models/ShareLink');
+const { getActivePath, describeBranches, findNewestLeaf, findMessage } = require('../utils/messageTree');
+const { findActiveStream } = require('../services/streamBuffer');
+const { addUsage } = require('../utils/usage');
+const { validateGeneration, mergeGeneration } = require('../utils/generation');
+const { getPurgeAt } = require('../services/trashService');
+const { EXPORT_FORMATS, exportSession } = require('../services/sessionExportService');
+const { parseImport, importConversation } = require('../services/sessionImportService');
+const { generateToken, isShareActive } = require('../services/shareService');
+const { hasRole, getScopeFilter, getAccess, isReadOnly } = require('../services/workspaceService');
 
 const router = express.Router();
 
-// POST /api/sessions — create a new session
-router.post('/', authMiddleware, async (req, res) => {
+const SSE_HEADERS = {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx buffering
+};
+
+// Conversation exports can be large (years of history)
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: (parseInt(process.env.IMPORT_MAX_MB, 10) || 50) * 1024 * 1024, files: 1 },
+});
+
+/**
+ * Whether personaId is a valid ID of one of the user's personas.
+ * A session's persona is always one of its creator's (see routes/chat.js).
+ */
+async function isOwnPersona(personaId, userId) {
+    if (typeof personaId !== 'string' || !mongoose.isValidObjectId(personaId)) return false;
+    return Boolean(await Persona.exists({ _id: personaId, userId }));
+}
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Whether folderId is a valid ID of one of the user's folders.
+ */
+async function isOwnFolder(folderId, userId) {
+    if (typeof folderId !== 'string' || !mongoose.isValidObjectId(folderId)) return false;
+    return Boolean(await Folder.exists({ _id: folderId, userId }));
+}
+
+/**
+ * Validate and normalise session tags: trimmed, lowercase, whitespace collapsed, no duplicates.
+ * Returns { tags } or { error }.
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) {
+        return { error: 'tags must be an array of strings' };
+    }
+    const normalized = [...new Set(tags.map(t => t.trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) {
+        return { error: `A session can have at most ${MAX_TAGS} tags` };
+    }
+    if (normalized.some(t => t.length > MAX_TAG_LENGTH)) {
+        return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    return { tags: normalized };
+}
+
+// POST /api/sessions — create a new session (in the active workspace)
+router.post('/', authMiddleware, resolveWorkspace('editor'), async (req, res) => {
     try {
-        const { title, model } = req.body;
+        const { title, model, personaId } = req.body;
+
+        if (personaId && !(await isOwnPersona(personaId, req.user.sub))) {
+            return res.status(404).json({ error: 'Persona not found' });
+        }
 
         const session = await Session.create({
             userId: req.user.sub,
+            workspaceId: req.workspace?.id || null,
             title: title || 'New Chat',
             model: model || '',
+            personaId: personaId || null,
         });
 
         res.status(201).json({
             id: session._id,
             title: session.title,
             model: session.model,
+            personaId: session.personaId,
             messages: [],
             createdAt: session.createdAt,
             updatedAt: session.updatedAt,
@@ -30,21 +103,94 @@ router.post('/', authMiddleware, async (req, res) => {
     }
 });
 
-// GET /api/sessions — list user's sessions (newest first)
-router.get('/', authMiddleware, async (req, res) => {
+// POST /api/sessions/import — import a ChatGPT conversations.json or Dragon JSON export
+// (multipart field 'file'). Streams SSE events: { total, source }, one { result } per
+// conversation ({ index, title, status: imported|skipped|failed, sessionId, messages, error }),
+// then { done, imported, skipped, failed }. Sessions go to the active workspace.
+router.post('/import', authMiddleware, resolveWorkspace('editor'), (req, res) => {
+    importUpload.single('file')(req, res, async (err) => {
+        if (err) {
+            if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({ error: 'File too large' });
+            }
+            return res.status(400).json({ error: err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file provided' });
+        }
+
+        let data;
+        try {
+            data = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch {
+            return res.status(400).json({ error: 'File is not valid JSON' });
+        }
+
+        const parsed = parseImport(data);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const { source, conversations } = parsed;
+        let aborted = false;
+        res.on('close', () => { aborted = !res.writableEnded; });
+
+        res.writeHead(200, SSE_HEADERS);
+        res.flushHeaders();
+        const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+        const counts = { imported: 0, skipped: 0, failed: 0 };
+        send({ total: conversations.length, source });
+        for (const [index, conversation] of conversations.entries()) {
+            // Conversations already saved are kept if the client goes away
+            if (aborted) break;
+            const result = await importConversation(req.user.sub, source, conversation, req.workspace?.id || null);
+            counts[result.status]++;
+            send({ result: { index, ...result } });
+        }
+        send({ done: true, ...counts });
+        res.end();
+    });
+});
+
+// GET /api/sessions — list the active workspace's sessions, or the user's own (pinned first, then newest first)
+// Filters: ?tag=a&tag=b (sessions with all of them), ?folderId=<id>|none, ?pinned=true|false,
+// ?archived=true (archived sessions instead of the others)
+router.get('/', authMiddleware, resolveWorkspace(), async (req, res) => {
     try {
         const page = Math.max(1, parseInt(req.query.page) || 1);
         const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
         const skip = (page - 1) * limit;
 
+        const filter = {
+            ...getScopeFilter(req.user.sub, req.workspace),
+            archived: req.query.archived === 'true' ? true : { $ne: true },
+        };
+        if (req.query.tag !== undefined) {
+            const tags = [].concat(req.query.tag).map(t => String(t).trim().toLowerCase()).filter(Boolean);
+            if (tags.length > 0) filter.tags = { $all: tags };
+        }
+        if (req.query.folderId !== undefined) {
+            if (req.query.folderId === 'none') {
+                filter.folderId = null;
+            } else if (mongoose.isValidObjectId(req.query.folderId)) {
+                filter.folderId = req.query.folderId;
+            } else {
+                return res.status(400).json({ error: 'Invalid folderId' });
+            }
+        }
+        if (req.query.pinned === 'true' || req.query.pinned === 'false') {
+            filter.pinned = req.query.pinned === 'true' ? true : { $ne: true };
+        }
+
         const [sessions, total] = await Promise.all([
-            Session.find({ userId: req.user.sub })
-                .select('title model updatedAt createdAt')
-                .sort({ updatedAt: -1 })
+            Session.find(filter)
+                .select('userId title model pinned archived folderId tags updatedAt createdAt')
+                .sort({ pinned: -1, updatedAt: -1 })
                 .skip(skip)
                 .limit(limit)
                 .lean(),
-            Session.countDocuments({ userId: req.user.sub }),
+            Session.countDocuments(filter),
         ]);
 
         res.json({
@@ -52,6 +198,11 @@ router.get('/', authMiddleware, async (req, res) => {
                 id: s._id,
                 title: s.title,
                 model: s.model,
+                pinned: Boolean(s.pinned),
+                archived: Boolean(s.archived),
+                // Folders are the creator's; other workspace members see the session unfiled
+                folderId: s.userId === req.user.sub ? s.folderId || null : null,
+                tags: s.tags || [],
                 updatedAt: s.updatedAt,
                 createdAt: s.createdAt,
             })),
@@ -68,17 +219,66 @@ router.get('/', authMiddleware, async (req, res) => {
     }
 });
 
-// GET /api/sessions/:id — get session with messages
+// GET /api/sessions/tags — tags in the active workspace with how many sessions use each (alphabetical)
+router.get('/tags', authMiddleware, resolveWorkspace(), async (req, res) => {
+    try {
+        const tags = await Session.aggregate([
+            { $match: getScopeFilter(req.user.sub, req.workspace) },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+        ]);
+        res.json({ tags: tags.map(t => ({ name: t._id, count: t.count })) });
+    } catch (err) {
+        console.error('[Sessions] List tags error:', err.message);
+        res.status(500).json({ error: 'Failed to list tags' });
+    }
+});
+
+/**
+ * Messages on the session's active branch, each with its branch position
+ * so the client can render "< 2/3 >" switchers on edited/regenerated turns.
+ */
+function formatActivePath(session) {
+    const path = getActivePath(session);
+    const branches = describeBranches(session, path);
+    return path.map((m, i) => ({
+        id: m._id,
+        parentId: m.parentId || null,
+        role: m.role,
+        content: m.content,
+        attachments: m.attachments || [],
+        model: m.model || null,
+        metadata: m.metadata || null,
+        usage: m.usage || null,
+        createdAt: m.createdAt,
+        ...branches[i],
+    }));
+}
+
+/**
+ * Tokens and estimated cost of every answer in the session — all branches were
+ * generated (and billed), not just the active one. Null when nothing was recorded.
+ */
+function sumSessionUsage(messages) {
+    const usage = addUsage(...messages.map(m => m.usage));
+    if (!usage) return null;
+    const cost = messages.reduce((sum, m) => sum + (m.usage?.costUsd || 0), 0);
+    return { ...usage, costUsd: Math.round(cost * 1e6) / 1e6 };
+}
+
+// GET /api/sessions/:id — get session with messages on the active branch
 router.get('/:id', authMiddleware, async (req, res) => {
     try {
+        const access = await getAccess(req.user.sub);
         const [session, documents] = await Promise.all([
             Session.findOne({
                 _id: req.params.id,
-                userId: req.user.sub,
+                ...access.filter(),
             }).lean(),
             Document.find({
                 sessionId: req.params.id,
-                userId: req.user.sub,
+                ...access.filter(),
             }).select('_id title type').lean(),
         ]);
 
@@ -90,14 +290,21 @@ router.get('/:id', authMiddleware, async (req, res) => {
             id: session._id,
             title: session.title,
             model: session.model,
-            messages: session.messages.map(m => ({
-                id: m._id,
-                role: m.role,
-                content: m.content,
-                attachments: m.attachments || [],
-                metadata: m.metadata || null,
-                createdAt: m.createdAt,
-            })),
+            personaId: session.personaId || null,
+            generation: session.generation || null,
+            pinned: Boolean(session.pinned),
+            archived: Boolean(session.archived),
+            folderId: session.userId === req.user.sub ? session.folderId || null : null,
+            tags: session.tags || [],
+            workspaceId: session.workspaceId || null,
+            // The caller's role: viewers can read but not continue the chat
+            role: access.roleFor(session),
+            // Only the creator picks the persona and folder (their own)
+            isCreator: session.userId === req.user.sub,
+            messages: formatActivePath(session),
+            usage: sumSessionUsage(session.messages),
+            // Answer still being generated — the client can reattach via GET /api/chat/stream/:id
+            streamingMessageId: findActiveStream(session._id),
             documents: documents.map(d => ({
                 id: d._id,
                 title: d.title,
@@ -116,28 +323,190 @@ router.get('/:id', authMiddleware, async (req, res) => {
     }
 });
 
-// PATCH /api/sessions/:id — rename session
+// GET /api/sessions/:id/export?format=markdown|json|pdf — download the conversation (active branch)
+router.get('/:id/export', authMiddleware, async (req, res) => {
+    try {
+        const format = req.query.format || 'markdown';
+        if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+
+        const access = await getAccess(req.user.sub);
+        const [session, documents] = await Promise.all([
+            Session.findOne({
+                _id: req.params.id,
+                ...access.filter(),
+            }).lean(),
+            Document.find({
+                sessionId: req.params.id,
+                ...access.filter(),
+            }).select('_id title type').sort({ createdAt: 1 }).lean(),
+        ]);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const { body, contentType, filename } = await exportSession(session, documents, format, {
+            baseUrl: `${req.protocol}://${req.get('host')}`,
+        });
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(body);
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        console.error('[Sessions] Export error:', err.message);
+        res.status(500).json({ error: 'Failed to export session' });
+    }
+});
+
+// POST /api/sessions/:id/switch-branch — make the branch containing messageId active
+router.post('/:id/switch-branch', authMiddleware, async (req, res) => {
+    try {
+        const { messageId } = req.body;
+        if (!messageId || typeof messageId !== 'string') {
+            return res.status(400).json({ error: 'messageId is required' });
+        }
+
+        const access = await getAccess(req.user.sub);
+        const session = await Session.findOne({
+            _id: req.params.id,
+            ...access.filter(),
+        });
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        // The active branch is shared by everyone in the workspace
+        if (!hasRole(access.roleFor(session), 'editor')) {
+            return res.status(403).json({ error: 'Editor access required' });
+        }
+        if (!findMessage(session, messageId)) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        // Land on the newest state of the chosen branch
+        session.activeLeafId = findNewestLeaf(session, messageId);
+        await session.save();
+
+        res.json({
+            id: session._id,
+            messages: formatActivePath(session),
+        });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        console.error('[Sessions] Switch branch error:', err.message);
+        res.status(500).json({ error: 'Failed to switch branch' });
+    }
+});
+
+// PATCH /api/sessions/:id — rename session, change its persona (personaId: null = default assistant),
+// replace its generation settings (generation: null = persona and model defaults)
+// and/or organise it: pinned, archived, folderId (null = no folder), tags (replaces the list)
 router.patch('/:id', authMiddleware, async (req, res) => {
     try {
-        const { title } = req.body;
+        const { title, personaId, generation, pinned, archived, folderId, tags } = req.body;
+        const update = {};
+        const organising = pinned !== undefined || archived !== undefined || folderId !== undefined || tags !== undefined;
+
+        if (title !== undefined || (personaId === undefined && generation === undefined && !organising)) {
+            if (!title || typeof title !== 'string' || title.trim().length === 0) {
+                return res.status(400).json({ error: 'Title is required and must be a non-empty string' });
+            }
+            update.title = title.trim();
+        }
+
+        if (personaId !== undefined) {
+            if (personaId !== null && !(await isOwnPersona(personaId, req.user.sub))) {
+                return res.status(404).json({ error: 'Persona not found' });
+            }
+            update.personaId = personaId;
+        }
 
-        if (!title || typeof title !== 'string' || title.trim().length === 0) {
-            return res.status(400).json({ error: 'Title is required and must be a non-empty string' });
+        if (generation !== undefined) {
+            const error = validateGeneration(generation);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            const settings = mergeGeneration(generation);
+            if (Object.keys(settings).length > 0) {
+                update.generation = settings;
+            } else {
+                update.$unset = { generation: 1 };
+            }
+        }
+
+        if (pinned !== undefined) {
+            if (typeof pinned !== 'boolean') {
+                return res.status(400).json({ error: 'pinned must be a boolean' });
+            }
+            update.pinned = pinned;
+        }
+
+        if (archived !== undefined) {
+            if (typeof archived !== 'boolean') {
+                return res.status(400).json({ error: 'archived must be a boolean' });
+            }
+            update.archived = archived;
+        }
+
+        if (folderId !== undefined) {
+            if (folderId !== null && !(await isOwnFolder(folderId, req.user.sub))) {
+                return res.status(404).json({ error: 'Folder not found' });
+            }
+            update.folderId = folderId;
+        }
+
+        if (tags !== undefined) {
+            const result = normalizeTags(tags);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            update.tags = result.tags;
+        }
+
+        // Organising a session doesn't move it up the "most recent" list
+        const onlyOrganising = organising && title === undefined && personaId === undefined && generation === undefined;
+
+        const access = await getAccess(req.user.sub);
+
+        // Personas and folders belong to one user, so only the session's creator picks them
+        if (personaId !== undefined || folderId !== undefined) {
+            const existing = await Session.findOne({ _id: req.params.id, ...access.filter('editor') })
+                .select('userId')
+                .lean();
+            if (existing && existing.userId !== req.user.sub) {
+                return res.status(403).json({ error: 'Only the creator of the chat can change its persona or folder' });
+            }
         }
 
         const session = await Session.findOneAndUpdate(
-            { _id: req.params.id, userId: req.user.sub },
-            { title: title.trim() },
-            { new: true }
+            { _id: req.params.id, ...access.filter('editor') },
+            update,
+            { new: true, timestamps: !onlyOrganising }
         );
 
         if (!session) {
+            if (await isReadOnly(Session, { _id: req.params.id }, access)) {
+                return res.status(403).json({ error: 'Editor access required' });
+            }
             return res.status(404).json({ error: 'Session not found' });
         }
 
         res.json({
             id: session._id,
             title: session.title,
+            personaId: session.personaId || null,
+            generation: session.generation || null,
+            pinned: Boolean(session.pinned),
+            archived: Boolean(session.archived),
+            folderId: session.userId === req.user.sub ? session.folderId || null : null,
+            tags: session.tags || [],
             updatedAt: session.updatedAt,
         });
     } catch (err) {
@@ -149,19 +518,130 @@ router.patch('/:id', authMiddleware, async (req, res) => {
     }
 });
 
-// DELETE /api/sessions/:id — delete session
-router.delete('/:id', authMiddleware, async (req, res) => {
+const MAX_SHARE_DAYS = 365;
+
+function formatShare(share) {
+    return {
+        id: share._id,
+        token: share.token,
+        // Frontend route (SharedSessionPage); the API snapshot is GET /api/shared/:token
+        path: `/shared/${share.token}`,
+        includeAttachments: share.includeAttachments,
+        expiresAt: share.expiresAt,
+        createdAt: share.createdAt,
+    };
+}
+
+// POST /api/sessions/:id/share — create a read-only link to the session as it is now
+// Body: { expiresInDays?: 1-365 (omitted = never expires), includeAttachments?: boolean }
+router.post('/:id/share', authMiddleware, async (req, res) => {
     try {
-        const session = await Session.findOneAndDelete({
+        const { expiresInDays, includeAttachments = false } = req.body;
+
+        if (expiresInDays !== undefined && expiresInDays !== null
+            && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_SHARE_DAYS)) {
+            return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${MAX_SHARE_DAYS}` });
+        }
+        if (typeof includeAttachments !== 'boolean') {
+            return res.status(400).json({ error: 'includeAttachments must be a boolean' });
+        }
+
+        const access = await getAccess(req.user.sub);
+        const session = await Session.findOne({
             _id: req.params.id,
+            ...access.filter(),
+        }).select('userId workspaceId messages._id messages.parentId activeLeafId').lean();
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!hasRole(access.roleFor(session), 'editor')) {
+            return res.status(403).json({ error: 'Editor access required' });
+        }
+        if (session.messages.length === 0) {
+            return res.status(400).json({ error: 'Cannot share an empty session' });
+        }
+
+        const path = getActivePath(session);
+        const share = await ShareLink.create({
             userId: req.user.sub,
+            sessionId: session._id,
+            leafMessageId: path[path.length - 1]?._id,
+            token: generateToken(),
+            includeAttachments,
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
         });
 
-        if (!session) {
+        res.status(201).json(formatShare(share));
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        console.error('[Sessions] Share error:', err.message);
+        res.status(500).json({ error: 'Failed to share session' });
+    }
+});
+
+// GET /api/sessions/:id/share — the session's share links that can still be opened
+router.get('/:id/share', authMiddleware, async (req, res) => {
+    try {
+        const shares = await ShareLink.find({
+            sessionId: req.params.id,
+            userId: req.user.sub,
+            revokedAt: null,
+        }).sort({ createdAt: -1 }).lean();
+
+        res.json({ shares: shares.filter(share => isShareActive(share)).map(formatShare) });
+    } catch (err) {
+        if (err.name === 'CastError') {
             return res.status(404).json({ error: 'Session not found' });
         }
+        console.error('[Sessions] List shares error:', err.message);
+        res.status(500).json({ error: 'Failed to list share links' });
+    }
+});
+
+// DELETE /api/sessions/:id/share/:shareId — revoke a share link
+router.delete('/:id/share/:shareId', authMiddleware, async (req, res) => {
+    try {
+        const share = await ShareLink.findOneAndUpdate(
+            { _id: req.params.shareId, sessionId: req.params.id, userId: req.user.sub, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true }
+        );
+
+        if (!share) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
 
         res.json({ success: true });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        console.error('[Sessions] Revoke share error:', err.message);
+        res.status(500).json({ error: 'Failed to revoke share link' });
+    }
+});
+
+// DELETE /api/sessions/:id — move session to the trash (see routes/trash.js)
+router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+        const access = await getAccess(req.user.sub);
+        const session = await Session.findOneAndUpdate(
+            { _id: req.params.id, ...access.filter('editor') },
+            { deletedAt: new Date() },
+            { new: true, timestamps: false }
+        );
+
+        if (!session) {
+            if (await isReadOnly(Session, { _id: req.params.id }, access)) {
+                return res.status(403).json({ error: 'Editor access required' });
+            }
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ success: true, deletedAt: session.deletedAt, purgeAt: getPurgeAt(session.deletedAt) });
     } catch (err) {
         if (err.name === 'CastError') {
             return res.status(404).json({ error: 'Session not found' });
@@ -171,4 +651,32 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     }
 });
 
+// POST /api/sessions/:id/restore — bring a session back from the trash
+router.post('/:id/restore', authMiddleware, async (req, res) => {
+    try {
+        const access = await getAccess(req.user.sub);
+        const inTrash = { _id: req.params.id, deletedAt: { $ne: null } };
+        const session = await Session.findOneAndUpdate(
+            { ...inTrash, ...access.filter('editor') },
+            { deletedAt: null },
+            { new: true, timestamps: false }
+        );
+
+        if (!session) {
+            if (await isReadOnly(Session, inTrash, access)) {
+                return res.status(403).json({ error: 'Editor access required' });
+            }
+            return res.status(404).json({ error: 'Session not found in trash' });
+        }
+
+        res.json({ id: session._id, title: session.title, updatedAt: session.updatedAt });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Session not found in trash' });
+        }
+        console.error('[Sessions] Restore error:', err.message);
+        res.status(500).json({ error: 'Failed to restore session' });
+    }
+});
+
 module.exports = router;
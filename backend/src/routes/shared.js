@@ -0,0 +1,42 @@
+const express = require('express');
+const { findSharedSession, buildSharedSnapshot, isSharedAttachment } = require('../services/shareService');
+const { getSignedDownloadUrl } = require('../services/storageService');
+
+// Public, unauthenticated routes for share links (see POST /api/sessions/:id/share)
+const router = express.Router();
+
+// GET /api/shared/:token — read-only snapshot of a shared session
+router.get('/:token', async (req, res) => {
+    try {
+        const shared = await findSharedSession(req.params.token);
+        if (!shared) {
+            return res.status(404).json({ error: 'This link is invalid, expired or has been revoked' });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.json(buildSharedSnapshot(shared.share, shared.session));
+    } catch (err) {
+        console.error('[Shared] Get error:', err.message);
+        res.status(500).json({ error: 'Failed to load shared session' });
+    }
+});
+
+// GET /api/shared/:token/attachments/:fileId — signed download URL for an attachment
+// of a shared message (only for links created with includeAttachments)
+router.get('/:token/attachments/:fileId', async (req, res) => {
+    try {
+        const shared = await findSharedSession(req.params.token);
+        const fileId = decodeURIComponent(req.params.fileId);
+        if (!shared || !isSharedAttachment(shared.share, shared.session, fileId)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const signedUrl = await getSignedDownloadUrl(fileId);
+        res.json({ url: signedUrl });
+    } catch (err) {
+        console.error('[Shared] Download error:', err.message);
+        res.status(500).json({ error: 'Failed to generate download URL' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const resolveWorkspace = require('../middleware/workspace');
+const Session = require('../models/Session');
+const Document = require('../models/Document');
+const { getPurgeAt, purgeSession, purgeDocument, emptyTrash } = require('../services/trashService');
+const { getScopeFilter, getAccess, isReadOnly } = require('../services/workspaceService');
+
+const router = express.Router();
+
+const IN_TRASH = { $ne: null };
+
+// GET /api/trash — deleted sessions and documents of the active workspace (or the user's own),
+// most recently deleted first
+router.get('/', authMiddleware, resolveWorkspace(), async (req, res) => {
+    try {
+        const filter = { ...getScopeFilter(req.user.sub, req.workspace), deletedAt: IN_TRASH };
+        const [sessions, documents] = await Promise.all([
+            Session.find(filter).select('title deletedAt updatedAt').sort({ deletedAt: -1 }).lean(),
+            Document.find(filter).select('title type deletedAt updatedAt').sort({ deletedAt: -1 }).lean(),
+        ]);
+
+        const trashed = (record) => ({
+            id: record._id,
+            title: record.title,
+            deletedAt: record.deletedAt,
+            purgeAt: getPurgeAt(record.deletedAt),
+            updatedAt: record.updatedAt,
+        });
+        const items = [
+            ...sessions.map(s => ({ type: 'session', ...trashed(s) })),
+            ...documents.map(d => ({ type: 'document', documentType: d.type, ...trashed(d) })),
+        ];
+
+        res.json({ items: items.sort((a, b) => b.deletedAt - a.deletedAt) });
+    } catch (err) {
+        console.error('[Trash] List error:', err.message);
+        res.status(500).json({ error: 'Failed to list trash' });
+    }
+});
+
+/**
+ * DELETE handler that purges one trashed record of `Model` right away.
+ */
+function purgeOne(Model, purge, label) {
+    return async (req, res) => {
+        try {
+            const access = await getAccess(req.user.sub);
+            const inTrash = { _id: req.params.id, deletedAt: IN_TRASH };
+            const record = await Model.findOne({ ...inTrash, ...access.filter('editor') }).lean();
+            if (!record) {
+                if (await isReadOnly(Model, inTrash, access)) {
+                    return res.status(403).json({ error: 'Editor access required' });
+                }
+                return res.status(404).json({ error: `${label} not found in trash` });
+            }
+
+            if (!(await purge(record))) {
+                return res.status(502).json({ error: `Failed to delete the ${label.toLowerCase()}'s files, try again later` });
+            }
+
+            res.json({ success: true });
+        } catch (err) {
+            if (err.name === 'CastError') {
+                return res.status(404).json({ error: `${label} not found in trash` });
+            }
+            console.error(`[Trash] Purge ${label.toLowerCase()} error:`, err.message);
+            res.status(500).json({ error: `Failed to delete ${label.toLowerCase()}` });
+        }
+    };
+}
+
+// DELETE /api/trash/sessions/:id — delete a trashed session forever, with its attachments
+router.delete('/sessions/:id', authMiddleware, purgeOne(Session, purgeSession, 'Session'));
+
+// DELETE /api/trash/documents/:id — delete a trashed document forever, with its assets
+router.delete('/documents/:id', authMiddleware, purgeOne(Document, purgeDocument, 'Document'));
+
+// DELETE /api/trash — empty the trash (a workspace's trash only by its owners)
+router.delete('/', authMiddleware, resolveWorkspace('owner'), async (req, res) => {
+    try {
+        const { purged, remaining } = await emptyTrash(getScopeFilter(req.user.sub, req.workspace));
+        res.json({ success: remaining.sessions + remaining.documents === 0, purged, remaining });
+    } catch (err) {
+        console.error('[Trash] Empty error:', err.message);
+        res.status(500).json({ error: 'Failed to empty trash' });
+    }
+});
+
+module.exports = router;
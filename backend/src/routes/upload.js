@@ -8,6 +8,7 @@ const {
     verifyFileOwnership,
     getMaxUploadBytes,
 } = require('../services/storageService');
+const { indexFile } = require('../services/retrievalService');
 
 const router = express.Router();
 
@@ -85,6 +86,9 @@ router.post('/', authMiddleware, (req, res, next) => {
                     ...result,
                     downloadUrl: `/api/upload/${encodeURIComponent(result.fileId)}/download`,
                 });
+
+                // Make PDFs and CSVs searchable by chat retrieval (background; never throws)
+                indexFile(result, userId, file.buffer);
             }
 
             res.status(201).json({ files: uploadResults });
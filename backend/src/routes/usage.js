@@ -0,0 +1,33 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { getUsageSummary } = require('../services/usageService');
+const { getQuotaStatus } = require('../services/quotaService');
+
+const router = express.Router();
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+// GET /api/usage?days=30 — token, image and cost usage of the current user (daily rollups)
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const days = Math.min(MAX_DAYS, Math.max(1, parseInt(req.query.days, 10) || DEFAULT_DAYS));
+        const summary = await getUsageSummary(req.user.sub, days);
+        res.json(summary);
+    } catch (err) {
+        console.error('[Usage] Get error:', err.message);
+        res.status(500).json({ error: 'Failed to get usage' });
+    }
+});
+
+// GET /api/usage/quotas — the current user's quota limits, usage and reset times
+router.get('/quotas', authMiddleware, async (req, res) => {
+    try {
+        res.json(await getQuotaStatus(req.user.sub));
+    } catch (err) {
+        console.error('[Usage] Get quotas error:', err.message);
+        res.status(500).json({ error: 'Failed to get quotas' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,296 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const Workspace = require('../models/Workspace');
+const Session = require('../models/Session');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const { ROLES, hasRole, getMemberRole } = require('../services/workspaceService');
+const { refreshCollabAccess } = require('../services/collabService');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Returns an error string for an invalid workspace name, or null.
+ */
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        return `name is required and must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Returns an error string for an invalid member role, or null.
+ */
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        return `role must be one of: ${ROLES.join(', ')}`;
+    }
+    return null;
+}
+
+function formatWorkspace(workspace, userId) {
+    return {
+        id: workspace._id,
+        name: workspace.name,
+        role: getMemberRole(workspace, userId),
+        memberCount: workspace.members.length,
+        createdAt: workspace.createdAt,
+        updatedAt: workspace.updatedAt,
+    };
+}
+
+/**
+ * Members with their email and display name (from the users collection).
+ */
+async function formatMembers(workspace, userId) {
+    const users = await User.find({ keycloakId: { $in: workspace.members.map(m => m.userId) } })
+        .select('keycloakId email displayName')
+        .lean();
+    const byId = new Map(users.map(u => [u.keycloakId, u]));
+    return workspace.members.map(m => ({
+        userId: m.userId,
+        email: byId.get(m.userId)?.email || null,
+        displayName: byId.get(m.userId)?.displayName || '',
+        role: m.role,
+        addedAt: m.addedAt,
+        isCurrentUser: m.userId === userId,
+    }));
+}
+
+/**
+ * Load a workspace the user is a member of, or null.
+ */
+function findMembership(id, userId) {
+    return Workspace.findOne({ _id: id, 'members.userId': userId });
+}
+
+const isLastOwner = (workspace, userId) =>
+    getMemberRole(workspace, userId) === 'owner' && workspace.members.filter(m => m.role === 'owner').length === 1;
+
+// GET /api/workspaces — workspaces the user belongs to, with their role (alphabetical)
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const workspaces = await Workspace.find({ 'members.userId': req.user.sub })
+            .collation({ locale: 'en' })
+            .sort({ name: 1 })
+            .lean();
+        res.json({ workspaces: workspaces.map(w => formatWorkspace(w, req.user.sub)) });
+    } catch (err) {
+        console.error('[Workspaces] List error:', err.message);
+        res.status(500).json({ error: 'Failed to list workspaces' });
+    }
+});
+
+// POST /api/workspaces — create a workspace; the creator is its owner
+router.post('/', authMiddleware, async (req, res) => {
+    try {
+        const error = validateName(req.body.name);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const workspace = await Workspace.create({
+            name: req.body.name.trim(),
+            members: [{ userId: req.user.sub, role: 'owner' }],
+        });
+        res.status(201).json(formatWorkspace(workspace, req.user.sub));
+    } catch (err) {
+        console.error('[Workspaces] Create error:', err.message);
+        res.status(500).json({ error: 'Failed to create workspace' });
+    }
+});
+
+// GET /api/workspaces/:id — a workspace with its members
+router.get('/:id', authMiddleware, async (req, res) => {
+    try {
+        const workspace = await findMembership(req.params.id, req.user.sub);
+        if (!workspace) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+
+        res.json({ ...formatWorkspace(workspace, req.user.sub), members: await formatMembers(workspace, req.user.sub) });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        console.error('[Workspaces] Get error:', err.message);
+        res.status(500).json({ error: 'Failed to get workspace' });
+    }
+});
+
+// PATCH /api/workspaces/:id — rename a workspace (owners)
+router.patch('/:id', authMiddleware, async (req, res) => {
+    try {
+        const error = validateName(req.body.name);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const workspace = await findMembership(req.params.id, req.user.sub);
+        if (!workspace) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        if (!hasRole(getMemberRole(workspace, req.user.sub), 'owner')) {
+            return res.status(403).json({ error: 'Owner access required' });
+        }
+
+        workspace.name = req.body.name.trim();
+        await workspace.save();
+        res.json(formatWorkspace(workspace, req.user.sub));
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        console.error('[Workspaces] Update error:', err.message);
+        res.status(500).json({ error: 'Failed to update workspace' });
+    }
+});
+
+// DELETE /api/workspaces/:id — delete an empty workspace (owners). Its chats and documents
+// must be moved to the trash first; trashed ones are purged as usual.
+router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+        const workspace = await findMembership(req.params.id, req.user.sub);
+        if (!workspace) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        if (!hasRole(getMemberRole(workspace, req.user.sub), 'owner')) {
+            return res.status(403).json({ error: 'Owner access required' });
+        }
+
+        const [sessions, documents] = await Promise.all([
+            Session.exists({ workspaceId: workspace._id }),
+            Document.exists({ workspaceId: workspace._id }),
+        ]);
+        if (sessions || documents) {
+            return res.status(409).json({ error: 'Delete the workspace\'s chats and documents first' });
+        }
+
+        await workspace.deleteOne();
+        res.json({ success: true });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        console.error('[Workspaces] Delete error:', err.message);
+        res.status(500).json({ error: 'Failed to delete workspace' });
+    }
+});
+
+// POST /api/workspaces/:id/members — add a registered user by email (owners)
+// Body: { email, role: owner|editor|viewer }
+router.post('/:id/members', authMiddleware, async (req, res) => {
+    try {
+        const { email, role } = req.body;
+        if (typeof email !== 'string' || !email.trim()) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+        const roleError = validateRole(role);
+        if (roleError) {
+            return res.status(400).json({ error: roleError });
+        }
+
+        const workspace = await findMembership(req.params.id, req.user.sub);
+        if (!workspace) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        if (!hasRole(getMemberRole(workspace, req.user.sub), 'owner')) {
+            return res.status(403).json({ error: 'Owner access required' });
+        }
+
+        const user = await User.findOne({ email: email.trim() })
+            .collation({ locale: 'en', strength: 2 }) // case-insensitive
+            .select('keycloakId')
+            .lean();
+        if (!user) {
+            return res.status(404).json({ error: 'No user with that email' });
+        }
+        if (getMemberRole(workspace, user.keycloakId)) {
+            return res.status(409).json({ error: 'User is already a member' });
+        }
+
+        workspace.members.push({ userId: user.keycloakId, role });
+        await workspace.save();
+        res.status(201).json({ members: await formatMembers(workspace, req.user.sub) });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        console.error('[Workspaces] Add member error:', err.message);
+        res.status(500).json({ error: 'Failed to add member' });
+    }
+});
+
+// PATCH /api/workspaces/:id/members/:userId — change a member's role (owners)
+router.patch('/:id/members/:userId', authMiddleware, async (req, res) => {
+    try {
+        const roleError = validateRole(req.body.role);
+        if (roleError) {
+            return res.status(400).json({ error: roleError });
+        }
+
+        const workspace = await findMembership(req.params.id, req.user.sub);
+        if (!workspace) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        if (!hasRole(getMemberRole(workspace, req.user.sub), 'owner')) {
+            return res.status(403).json({ error: 'Owner access required' });
+        }
+
+        const member = workspace.members.find(m => m.userId === req.params.userId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (req.body.role !== 'owner' && isLastOwner(workspace, member.userId)) {
+            return res.status(400).json({ error: 'A workspace needs at least one owner' });
+        }
+
+        member.role = req.body.role;
+        await workspace.save();
+        await refreshCollabAccess(member.userId);
+        res.json({ members: await formatMembers(workspace, req.user.sub) });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        console.error('[Workspaces] Update member error:', err.message);
+        res.status(500).json({ error: 'Failed to update member' });
+    }
+});
+
+// DELETE /api/workspaces/:id/members/:userId — remove a member (owners), or leave (any member)
+router.delete('/:id/members/:userId', authMiddleware, async (req, res) => {
+    try {
+        const workspace = await findMembership(req.params.id, req.user.sub);
+        if (!workspace) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        const leaving = req.params.userId === req.user.sub;
+        if (!leaving && !hasRole(getMemberRole(workspace, req.user.sub), 'owner')) {
+            return res.status(403).json({ error: 'Owner access required' });
+        }
+
+        if (!getMemberRole(workspace, req.params.userId)) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (isLastOwner(workspace, req.params.userId)) {
+            return res.status(400).json({ error: 'A workspace needs at least one owner' });
+        }
+
+        workspace.members = workspace.members.filter(m => m.userId !== req.params.userId);
+        await workspace.save();
+        await refreshCollabAccess(req.params.userId);
+        res.json({ success: true });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        console.error('[Workspaces] Remove member error:', err.message);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+module.exports = router;
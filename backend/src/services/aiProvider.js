@@ -1,16 +1,10 @@
-const { GoogleGenAI } = require('@google/genai');
+const keyPool = require('./keyPool');
+const { mergeGeneration } = require('../utils/generation');
 
 // --- Key Rotation ---
-const keys = (process.env.GEMINI_API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
-let keyIndex = 0;
-
+// Gemini keys come from the shared health-aware pool (see keyPool.js)
 function getNextApiKey() {
-    if (keys.length === 0) {
-        throw new Error('No Gemini API keys configured. Set GEMINI_API_KEYS in .env');
-    }
-    const key = keys[keyIndex % keys.length];
-    keyIndex++;
-    return key;
+    return keyPool.acquireKey();
 }
 
 // --- Provider Config ---
@@ -29,14 +23,76 @@ function getProviders() {
     return providersConfig.providers.map(p => ({
         id: p.id,
         name: p.name,
-        models: p.models.map(m => ({
-            id: m.id,
-            name: m.name,
-            default: m.default || false,
-        })),
+        models: p.models.map(m => {
+            const generation = getGenerationDefaults(p.id, m.id);
+            const maxOutputTokens = getMaxOutputTokens(p.id, m.id);
+            return {
+                id: m.id,
+                name: m.name,
+                default: m.default || false,
+                // Only exposed when configured, so the UI can show defaults and limits
+                ...(Object.keys(generation).length > 0 && { generation }),
+                ...(maxOutputTokens && { maxOutputTokens }),
+            };
+        }),
     }));
 }
 
+/**
+ * Default generation settings for a model: `generation` on the provider entry,
+ * overridden by `generation` on the model entry in AI_PROVIDERS_CONFIG.
+ */
+function getGenerationDefaults(providerId, modelId) {
+    const provider = providersConfig.providers.find(p => p.id === providerId);
+    const model = provider?.models?.find(m => m.id === modelId);
+    return mergeGeneration(provider?.generation, model?.generation);
+}
+
+/**
+ * Upper bound for maxOutputTokens (`maxOutputTokens` per model or provider). Null when unlimited.
+ */
+function getMaxOutputTokens(providerId, modelId) {
+    const provider = providersConfig.providers.find(p => p.id === providerId);
+    const model = provider?.models?.find(m => m.id === modelId);
+    return model?.maxOutputTokens || provider?.maxOutputTokens || null;
+}
+
+/**
+ * Generation settings for one model: its configured defaults overridden by the
+ * caller's settings, with maxOutputTokens capped at the model's limit.
+ */
+function getGenerationConfig(providerId, modelId, overrides) {
+    const config = mergeGeneration(getGenerationDefaults(providerId, modelId), overrides);
+    const limit = getMaxOutputTokens(providerId, modelId);
+    if (limit && config.maxOutputTokens > limit) {
+        config.maxOutputTokens = limit;
+    }
+    return config;
+}
+
+// Default prompt budget (tokens) when a model doesn't declare `contextBudget`
+const DEFAULT_CONTEXT_BUDGET = 32000;
+
+/**
+ * Token budget for the conversation context sent to a model.
+ * Configured per model (`contextBudget`) or per provider in AI_PROVIDERS_CONFIG.
+ */
+function getContextBudget(providerId, modelId) {
+    const provider = providersConfig.providers.find(p => p.id === providerId);
+    const model = provider?.models?.find(m => m.id === modelId);
+    return model?.contextBudget || provider?.contextBudget || DEFAULT_CONTEXT_BUDGET;
+}
+
+/**
+ * Token pricing for a model, configured as `pricing: { input, output }` (USD per
+ * 1M tokens) on the model entry in AI_PROVIDERS_CONFIG. Null when not configured.
+ */
+function getModelPricing(providerId, modelId) {
+    const provider = providersConfig.providers.find(p => p.id === providerId);
+    const model = provider?.models?.find(m => m.id === modelId);
+    return model?.pricing || null;
+}
+
 function getDefaultModel() {
     for (const provider of providersConfig.providers) {
         for (const model of provider.models) {
@@ -128,18 +184,100 @@ async function buildParts(msg, isLatestUserMessage) {
     return parts;
 }
 
-async function* streamChat(providerId, modelId, messages) {
-    if (providerId !== 'google') {
-        throw new Error(`Unsupported provider: ${providerId}. Currently only 'google' is supported.`);
+// --- Provider Adapters ---
+// Each provider entry in AI_PROVIDERS_CONFIG may declare a `type` selecting its adapter.
+// When omitted, the provider ID itself is used (so `{ "id": "google" }` keeps working).
+const adapters = {
+    google: require('./providers/gemini'),
+    openai: require('./providers/openai'),
+    anthropic: require('./providers/anthropic'),
+};
+
+const SYSTEM_INSTRUCTION = 'You are Dragon AI, a helpful, friendly, and knowledgeable assistant. Respond in markdown format when appropriate. Be concise but thorough.';
+
+function getProviderConfig(providerId) {
+    return providersConfig.providers.find(p => p.id === providerId) || null;
+}
+
+function getAdapter(providerId) {
+    // 'google' predates AI_PROVIDERS_CONFIG adapters, so it works even without a config entry
+    const provider = getProviderConfig(providerId) || (providerId === 'google' ? { id: 'google' } : null);
+    const type = provider && (provider.type || provider.id);
+    const adapter = type && adapters[type];
+    if (!adapter) {
+        throw new Error(`Unsupported provider: ${providerId}. Supported types: ${Object.keys(adapters).join(', ')}.`);
+    }
+    return { provider, type, adapter };
+}
+
+// --- Fallback Chain ---
+
+/**
+ * Build the ordered list of models to try for a request.
+ * A model entry may declare `fallbacks: ["providerId/modelId", "modelId", ...]`
+ * in AI_PROVIDERS_CONFIG; unknown or duplicate entries are skipped.
+ *
+ * @returns {Array<{ providerId: string, modelId: string }>}
+ */
+function getFallbackChain(providerId, modelId) {
+    const chain = [{ providerId, modelId }];
+    const provider = getProviderConfig(providerId);
+    const model = provider?.models?.find(m => m.id === modelId);
+
+    for (const fallback of model?.fallbacks || []) {
+        const resolved = resolveModel(fallback);
+        if (!resolved) continue;
+        const seen = chain.some(c => c.providerId === resolved.providerId && c.modelId === resolved.modelId);
+        if (!seen) chain.push(resolved);
     }
 
-    const apiKey = getNextApiKey();
-    const ai = new GoogleGenAI({ apiKey });
+    return chain;
+}
+
+/**
+ * Whether a failed attempt should move on to the next key/model.
+ * Quota (429), auth/key problems (401/403), timeouts and server errors are
+ * retryable; anything else (e.g. 400 bad request) would fail on every model.
+ */
+function isRetryableError(err) {
+    const status = err.status || err.response?.status;
+    if (!status) return true; // network errors, missing keys, unsupported providers
+    return status === 401 || status === 403 || status === 408 || status === 429 || status >= 500;
+}
 
-    // Convert messages to Gemini format
-    // Gemini expects: { role: 'user'|'model', parts: [{ text }] or [{ inlineData }, { text }] }
-    const systemInstruction = 'You are Dragon AI, a helpful, friendly, and knowledgeable assistant. Respond in markdown format when appropriate. Be concise but thorough.';
+/**
+ * Number of attempts for one model — Gemini providers using the shared rotation
+ * get one attempt per key, everything else a single attempt.
+ */
+function getAttemptCount(provider, type) {
+    return type === 'google' && !provider.apiKey ? Math.max(keyPool.getKeyCount(), 1) : 1;
+}
 
+/**
+ * Stream a chat completion, transparently falling back to the next key and then
+ * the next model in the chain when an attempt fails before its first chunk.
+ * Once any text has been yielded, errors propagate to the caller unchanged.
+ *
+ * @param {string} providerId
+ * @param {string} modelId
+ * @param {Array} messages - { role, content, attachments } messages
+ * @param {object} [options]
+ * @param {Function} [options.onModelSelected] - called with { providerId, modelId, fallback }
+ *   once a model starts answering (before its first chunk is yielded)
+ * @param {string} [options.summary] - rolling summary of older turns, added to the system instruction
+ * @param {string} [options.systemPrompt] - replaces the default system instruction (e.g. a persona's prompt)
+ * @param {string} [options.references] - retrieved passages to ground the answer in, appended to the
+ *   system instruction (see retrievalService.formatPassagesForPrompt)
+ * @param {object} [options.generation] - { temperature, topP, maxOutputTokens, stopSequences }, applied
+ *   on top of each model's configured defaults (see getGenerationConfig)
+ * @param {{ declarations: Array, execute: Function }} [options.tools] - tools the model may call
+ *   (adapters without function calling ignore them); once a tool has run, the answer is never retried
+ * @param {AbortSignal} [options.signal] - cancels the upstream request; a cancelled stream is never retried
+ * @param {Function} [options.onUsage] - called with { promptTokens, completionTokens, totalTokens }
+ *   once the answering model reports token usage
+ * @returns {AsyncGenerator<string>} text chunks
+ */
+async function* streamChat(providerId, modelId, messages, options = {}) {
     // Find the last user message index for multimodal handling
     let lastUserIdx = -1;
     for (let i = messages.length - 1; i >= 0; i--) {
@@ -149,31 +287,86 @@ async function* streamChat(providerId, modelId, messages) {
         }
     }
 
-    const contents = [];
+    // Build provider-neutral { role, parts } messages — adapters translate parts to their own format
+    const prepared = [];
     for (let i = 0; i < messages.length; i++) {
         const msg = messages[i];
         const isLatestUser = (i === lastUserIdx);
         const parts = await buildParts(msg, isLatestUser);
-        contents.push({
-            role: msg.role === 'assistant' ? 'model' : 'user',
-            parts,
-        });
+        prepared.push({ role: msg.role, parts });
+    }
+
+    const basePrompt = options.systemPrompt || SYSTEM_INSTRUCTION;
+    let systemInstruction = options.summary
+        ? `${basePrompt}\n\nSummary of the earlier part of this conversation (older messages are not shown):\n${options.summary}`
+        : basePrompt;
+    if (options.references) {
+        systemInstruction += `\n\n${options.references}`;
     }
 
-    const response = await ai.models.generateContentStream({
-        model: modelId,
-        contents,
-        config: {
-            systemInstruction,
-        },
-    });
-
-    for await (const chunk of response) {
-        const text = chunk.text;
-        if (text) {
-            yield text;
+    const chain = getFallbackChain(providerId, modelId);
+    let lastError = null;
+
+    for (let c = 0; c < chain.length; c++) {
+        const candidate = chain[c];
+        let attempts = 1;
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            let started = false;
+            let pooledKey = null;
+            const start = () => {
+                if (started) return;
+                started = true;
+                options.onModelSelected?.({ ...candidate, fallback: c > 0 });
+            };
+            try {
+                const { provider, type, adapter } = getAdapter(candidate.providerId);
+                attempts = getAttemptCount(provider, type);
+
+                // Gemini providers draw from the shared key pool unless a key is pinned in config
+                pooledKey = type === 'google' && !provider.apiKey ? getNextApiKey() : null;
+                const apiKey = pooledKey || provider.apiKey;
+
+                const stream = adapter.streamChat({
+                    provider,
+                    apiKey,
+                    modelId: candidate.modelId,
+                    messages: prepared,
+                    systemInstruction,
+                    // Resolved per candidate — fallback models may have other defaults and limits
+                    generation: getGenerationConfig(candidate.providerId, candidate.modelId, options.generation),
+                    // Tools may have side effects (e.g. creating a plan) — the model counts as answering
+                    tools: options.tools && {
+                        declarations: options.tools.declarations,
+                        execute: (call) => {
+                            start();
+                            return options.tools.execute(call);
+                        },
+                    },
+                    signal: options.signal,
+                    onUsage: options.onUsage,
+                });
+
+                for await (const chunk of stream) {
+                    start();
+                    yield chunk;
+                }
+
+                start();
+                if (pooledKey) keyPool.reportSuccess(pooledKey);
+                return;
+            } catch (err) {
+                // Cancelled by the caller — not the key's or the model's fault
+                if (options.signal?.aborted) throw err;
+                if (pooledKey) keyPool.reportFailure(pooledKey, err);
+                if (started || !isRetryableError(err)) throw err;
+                lastError = err;
+                console.warn(`[AI Provider] ${candidate.providerId}/${candidate.modelId} attempt ${attempt + 1}/${attempts} failed: ${err.message}`);
+            }
         }
     }
+
+    throw lastError;
 }
 
 // --- Exports ---
@@ -181,6 +374,10 @@ module.exports = {
     getProviders,
     getDefaultModel,
     resolveModel,
+    getContextBudget,
+    getModelPricing,
+    getGenerationConfig,
     streamChat,
+    getFallbackChain,
     getNextApiKey, // exported for testing
 };
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const Session = require('../models/Session');
+const { generateProjectPlan } = require('./planGenerationService');
+const { checkQuota } = require('./quotaService');
+const { getActivePath } = require('../utils/messageTree');
+const { blockNoteToMarkdown } = require('../utils/blockNote');
+
+/**
+ * Server-side tools the chat model may call mid-answer (Gemini function calling).
+ *
+ * Each tool declares a JSON schema for its arguments and an `execute(args, context)`
+ * that runs with the caller's identity — `context` is { userId, sessionId, access },
+ * `access` from workspaceService.getAccess — so a tool only ever sees the user's own
+ * data and that of their workspaces. Results are plain objects sent back to the
+ * model; failures are returned as { error } so the model can explain them.
+ */
+
+// Keep tool results well inside the model's context budget
+const MAX_RESULT_CHARS = 8000;
+const MAX_SEARCH_RESULTS = 5;
+const SEARCH_SCAN_LIMIT = 200;
+const EXCERPT_CHARS = 300;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * ~EXCERPT_CHARS of text around the first occurrence of any term.
+ */
+function excerptAround(text, terms) {
+    const lower = text.toLowerCase();
+    const index = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i >= 0));
+    const start = Math.max(0, index - EXCERPT_CHARS / 2);
+    const excerpt = text.slice(start, start + EXCERPT_CHARS).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${excerpt}${start + EXCERPT_CHARS < text.length ? '…' : ''}`;
+}
+
+async function searchDocuments({ query }, { access }) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+        return { error: 'query is required' };
+    }
+
+    const documents = await Document.find(access.filter())
+        .select('title type content updatedAt')
+        .sort({ updatedAt: -1 })
+        .limit(SEARCH_SCAN_LIMIT)
+        .lean();
+
+    const results = documents
+        .map(doc => {
+            const text = `${doc.title}\n\n${blockNoteToMarkdown(doc.content)}`;
+            const lower = text.toLowerCase();
+            const score = terms.filter(t => lower.includes(t)).length;
+            return { doc, text, score };
+        })
+        .filter(r => r.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SEARCH_RESULTS)
+        .map(({ doc, text }) => ({
+            documentId: doc._id.toString(),
+            title: doc.title,
+            type: doc.type,
+            updatedAt: doc.updatedAt,
+            excerpt: excerptAround(text, terms),
+        }));
+
+    return { results };
+}
+
+async function readSession({ sessionId, title }, { access }) {
+    let session = null;
+    if (sessionId) {
+        session = mongoose.isValidObjectId(sessionId)
+            ? await Session.findOne({ _id: sessionId, ...access.filter() })
+            : null;
+    } else if (title) {
+        session = await Session.findOne({ ...access.filter(), title: new RegExp(escapeRegExp(String(title)), 'i') })
+            .sort({ updatedAt: -1 });
+    } else {
+        return { error: 'sessionId or title is required' };
+    }
+    if (!session) {
+        return { error: 'Session not found' };
+    }
+
+    // Newest turns matter most — drop the oldest ones once over the limit
+    const path = getActivePath(session);
+    const messages = [];
+    let chars = 0;
+    for (const msg of [...path].reverse()) {
+        chars += (msg.content || '').length;
+        if (chars > MAX_RESULT_CHARS && messages.length > 0) break;
+        messages.unshift({ role: msg.role, content: (msg.content || '').slice(0, MAX_RESULT_CHARS) });
+    }
+
+    return {
+        sessionId: session._id.toString(),
+        title: session.title,
+        truncated: messages.length < path.length,
+        messages,
+    };
+}
+
+async function createProjectPlan({ prompt }, { userId, sessionId }) {
+    if (!prompt) {
+        return { error: 'prompt is required' };
+    }
+    const exceeded = await checkQuota(userId, ['plansPerDay', 'tokensPerMonth']);
+    if (exceeded) {
+        return { error: exceeded.error, resetAt: exceeded.resetAt };
+    }
+
+    // Not for-await: leaving that loop would close the generator, and images are
+    // generated after 'complete' — they finish in the background instead
+    const plan = generateProjectPlan(prompt, { includeImages: true }, userId, sessionId);
+    for (let step = await plan.next(); !step.done; step = await plan.next()) {
+        const update = step.value;
+        if (update.type === 'complete') {
+            (async () => {
+                for await (const _ of plan) { /* images */ }
+            })().catch(err => console.error('[Tools] Plan image generation failed:', err.message));
+
+            return {
+                documentId: update.documentId.toString(),
+                title: update.title,
+                plan: update.finalMarkdown.slice(0, MAX_RESULT_CHARS),
+            };
+        }
+    }
+    return { error: 'The plan could not be generated' };
+}
+
+const TOOLS = [
+    {
+        name: 'search_documents',
+        label: 'Searching your documents',
+        description: 'Search the user\'s saved documents (project plans, roadmaps, workflows), including '
+            + 'those of their workspaces, by keywords. Returns the best matches with their IDs, titles and an excerpt.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Keywords to look for' },
+            },
+            required: ['query'],
+        },
+        execute: searchDocuments,
+    },
+    {
+        name: 'read_session',
+        label: 'Reading a conversation',
+        description: 'Read another of the user\'s chat conversations. Pass its ID, or part of its title '
+            + 'to read the most recent matching conversation.',
+        parameters: {
+            type: 'object',
+            properties: {
+                sessionId: { type: 'string', description: 'Conversation ID' },
+                title: { type: 'string', description: 'Part of the conversation title' },
+            },
+        },
+        execute: readSession,
+    },
+    {
+        name: 'create_project_plan',
+        label: 'Creating a project plan',
+        description: 'Generate a detailed project plan document and save it for the user. '
+            + 'Only use this when the user asks for a plan to be created.',
+        parameters: {
+            type: 'object',
+            properties: {
+                prompt: {
+                    type: 'string',
+                    description: 'Full description of the project, including everything relevant from the conversation',
+                },
+            },
+            required: ['prompt'],
+        },
+        execute: createProjectPlan,
+    },
+];
+
+/**
+ * Function declarations for the model (Gemini `functionDeclarations` format).
+ */
+function getToolDeclarations() {
+    return TOOLS.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        parametersJsonSchema: parameters,
+    }));
+}
+
+/**
+ * Human-readable status for a tool, shown while it runs.
+ */
+function getToolLabel(name) {
+    return TOOLS.find(t => t.name === name)?.label || `Running ${name}`;
+}
+
+/**
+ * Run a tool call. Never throws — errors become { error } results.
+ *
+ * @param {string} name
+ * @param {object} args - arguments chosen by the model
+ * @param {{ userId: string, sessionId?: string, access: object }} context
+ * @returns {Promise<object>}
+ */
+async function executeTool(name, args, context) {
+    const tool = TOOLS.find(t => t.name === name);
+    if (!tool) {
+        return { error: `Unknown tool: ${name}` };
+    }
+    try {
+        return await tool.execute(args || {}, context);
+    } catch (err) {
+        console.error(`[Tools] ${name} failed:`, err.message);
+        return { error: `${name} failed` };
+    }
+}
+
+module.exports = {
+    getToolDeclarations,
+    getToolLabel,
+    executeTool,
+};
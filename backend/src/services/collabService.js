@@ -0,0 +1,433 @@
+const mongoose = require('mongoose');
+const { WebSocketServer } = require('ws');
+const cookieParser = require('cookie-parser');
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const Document = require('../models/Document');
+const DocumentUpdate = require('../models/DocumentUpdate');
+const { verifyToken } = require('../middleware/auth');
+const { getAccess, hasRole } = require('./workspaceService');
+
+/**
+ * Real-time collaborative document editing (Yjs over WebSocket).
+ *
+ * Editors connect to ws(s)://<backend>/api/collab/:documentId and speak the
+ * y-websocket protocol: document sync, and awareness for cursors and presence.
+ * Every change is stored as a DocumentUpdate and merged into one record when the
+ * last client leaves — only the records this instance has applied, so changes
+ * another instance stored meanwhile are kept. Clients keep saving the merged blocks through
+ * PUT /api/documents/:id so search, export and retrieval see the latest content;
+ * any other write to `content` replaces the shared state (resetCollabState).
+ *
+ * A new shared state starts empty: the server asks exactly one connected editor
+ * to fill it from the saved `content` (MESSAGE_SEED, which the editor sends back
+ * once done), so two people opening the document at once do not both insert it.
+ * Viewers receive changes but their own are ignored.
+ *
+ * Access is checked at connection time and again whenever workspace membership
+ * changes (refreshCollabAccess) and every ACCESS_CHECK_MS; a connection whose role
+ * changed, or whose access token expired, is closed with CLOSE_CODES.unauthorized
+ * and the editor loads the document again.
+ *
+ * Rooms live in process memory: everyone editing a document has to reach the
+ * same instance to see each other's changes live (sticky sessions when running
+ * several instances).
+ */
+
+const COLLAB_PATH = '/api/collab/';
+
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const MESSAGE_SEED = 4;
+
+// 4400-4499: the client should not reconnect on its own (y-websocket convention)
+const CLOSE_CODES = {
+    badRequest: 4400,
+    unauthorized: 4401,
+    notFound: 4404,
+    contentReplaced: 4409,
+    internalError: 1011,
+};
+
+const ACCESS_CHECK_MS = 60 * 1000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Origin of updates applied from the database — they are already stored
+const PERSISTENCE = Symbol('persistence');
+
+const parseCookies = cookieParser();
+
+// documentId → { doc, awareness, conns: Map<ws, { userId, readOnly, synced, clientIds: Set, expiryTimer }>,
+//   updateIds (stored updates applied to doc), ready, saving, seeded, seedConn, reset }
+const rooms = new Map();
+
+// documentId → promise of a reset in progress; connections wait for it before loading the room
+const resets = new Map();
+
+function send(ws, message) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(message, err => {
+        if (err) ws.close();
+    });
+}
+
+function broadcast(room, message) {
+    for (const ws of room.conns.keys()) send(ws, message);
+}
+
+function encodeMessage(type, write) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, type);
+    write?.(encoder);
+    return encoding.toUint8Array(encoder);
+}
+
+function createRoom(documentId) {
+    const doc = new Y.Doc();
+    const awareness = new awarenessProtocol.Awareness(doc);
+    awareness.setLocalState(null);
+
+    const room = {
+        doc,
+        awareness,
+        conns: new Map(),
+        updateIds: [],
+        saving: Promise.resolve(),
+        seeded: false,
+        seedConn: null,
+        reset: false,
+    };
+
+    doc.on('update', (update, origin) => {
+        if (origin === PERSISTENCE || room.reset) return;
+        room.saving = room.saving
+            .then(() => DocumentUpdate.create({ documentId, update: Buffer.from(update) }))
+            .then(stored => room.updateIds.push(stored._id))
+            .catch(err => console.error(`[Collab] Failed to store update for ${documentId}:`, err.message));
+        broadcast(room, encodeMessage(MESSAGE_SYNC, e => syncProtocol.writeUpdate(e, update)));
+    });
+
+    awareness.on('update', ({ added, updated, removed }, ws) => {
+        const conn = room.conns.get(ws);
+        if (conn) {
+            added.forEach(id => conn.clientIds.add(id));
+            removed.forEach(id => conn.clientIds.delete(id));
+        }
+        const changed = [...added, ...updated, ...removed];
+        broadcast(room, encodeMessage(MESSAGE_AWARENESS, e =>
+            encoding.writeVarUint8Array(e, awarenessProtocol.encodeAwarenessUpdate(awareness, changed))
+        ));
+    });
+
+    room.ready = DocumentUpdate.find({ documentId }).sort({ _id: 1 }).select('_id update').lean()
+        .then(updates => {
+            for (const { _id, update } of updates) {
+                // Lean results hold a BSON Binary rather than a Buffer
+                Y.applyUpdate(doc, update instanceof Uint8Array ? update : update.buffer, PERSISTENCE);
+                room.updateIds.push(_id);
+            }
+            room.seeded = updates.length > 0;
+        });
+
+    return room;
+}
+
+function getRoom(documentId) {
+    let room = rooms.get(documentId);
+    if (!room) {
+        room = createRoom(documentId);
+        rooms.set(documentId, room);
+    }
+    return room;
+}
+
+/**
+ * Ask one editor to fill a shared state that is still empty.
+ */
+function offerSeed(room) {
+    if (room.seeded) return;
+    for (const [ws, conn] of room.conns) {
+        if (conn.readOnly || !conn.synced) continue;
+        room.seeded = true;
+        room.seedConn = ws;
+        send(ws, encodeMessage(MESSAGE_SEED));
+        return;
+    }
+}
+
+/**
+ * Replace the stored updates a room has applied with a single merged one. Updates
+ * stored by another instance (not in room.updateIds) are left for it to merge.
+ */
+async function compactUpdates(documentId, room) {
+    if (room.updateIds.length < 2) return;
+
+    await DocumentUpdate.create({ documentId, update: Buffer.from(Y.encodeStateAsUpdate(room.doc)) });
+    await DocumentUpdate.deleteMany({ _id: { $in: room.updateIds } });
+}
+
+async function closeRoom(documentId, room) {
+    if (rooms.get(documentId) === room) rooms.delete(documentId);
+    try {
+        await room.ready;
+        await room.saving;
+        if (!room.reset) await compactUpdates(documentId, room);
+    } catch (err) {
+        console.error(`[Collab] Failed to compact ${documentId}:`, err.message);
+    } finally {
+        room.awareness.destroy();
+        room.doc.destroy();
+    }
+}
+
+function handleMessage(room, ws, conn, data) {
+    try {
+        const decoder = decoding.createDecoder(new Uint8Array(data));
+        const type = decoding.readVarUint(decoder);
+
+        if (type === MESSAGE_SYNC) {
+            // Viewers may ask for the state (step 1) but not send changes
+            if (conn.readOnly && decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) return;
+
+            const encoder = encoding.createEncoder();
+            encoding.writeVarUint(encoder, MESSAGE_SYNC);
+            const syncType = syncProtocol.readSyncMessage(decoder, encoder, room.doc, ws);
+            if (encoding.length(encoder) > 1) send(ws, encoding.toUint8Array(encoder));
+
+            if (syncType === syncProtocol.messageYjsSyncStep2 && !conn.synced) {
+                conn.synced = true;
+                offerSeed(room);
+            }
+        } else if (type === MESSAGE_AWARENESS) {
+            awarenessProtocol.applyAwarenessUpdate(room.awareness, decoding.readVarUint8Array(decoder), ws);
+        } else if (type === MESSAGE_SEED && room.seedConn === ws) {
+            room.seedConn = null;
+        }
+    } catch (err) {
+        console.error('[Collab] Invalid message:', err.message);
+        ws.close(CLOSE_CODES.badRequest, 'Invalid message');
+    }
+}
+
+function handleClose(documentId, room, ws) {
+    const conn = room.conns.get(ws);
+    if (!conn) return;
+    clearTimeout(conn.expiryTimer);
+    room.conns.delete(ws);
+    awarenessProtocol.removeAwarenessStates(room.awareness, [...conn.clientIds], null);
+
+    // The editor asked to fill the document left before doing so — ask another one
+    if (room.seedConn === ws) {
+        room.seedConn = null;
+        room.seeded = false;
+        offerSeed(room);
+    }
+
+    if (room.conns.size === 0) closeRoom(documentId, room);
+}
+
+/**
+ * Whether a user may only view a document, or null when they cannot read it.
+ * @param {Map} [accessCache] - userId → getAccess() promise, shared across checks
+ */
+async function getReadOnly(userId, documentId, accessCache = new Map()) {
+    if (!accessCache.has(userId)) accessCache.set(userId, getAccess(userId));
+    const access = await accessCache.get(userId);
+
+    const document = await Document.findOne({ _id: documentId, ...access.filter() })
+        .select('userId workspaceId')
+        .lean();
+    if (!document) return null;
+    return !hasRole(access.roleFor(document), 'editor');
+}
+
+/**
+ * Authenticate the user of an upgrade request (access_token cookie) and check
+ * their access to the document.
+ * @returns {Promise<{ userId: string, readOnly: boolean, expiresAt: number|null } | { closeCode: number, reason: string }>}
+ */
+async function authorize(req, documentId) {
+    if (!mongoose.isValidObjectId(documentId)) {
+        return { closeCode: CLOSE_CODES.badRequest, reason: 'Invalid document ID' };
+    }
+
+    parseCookies(req, null, () => {});
+    let user;
+    try {
+        user = await verifyToken(req.cookies?.access_token);
+    } catch {
+        return { closeCode: CLOSE_CODES.unauthorized, reason: 'Invalid or expired token' };
+    }
+
+    const readOnly = await getReadOnly(user.sub, documentId);
+    if (readOnly === null) {
+        return { closeCode: CLOSE_CODES.notFound, reason: 'Document not found' };
+    }
+
+    return { userId: user.sub, readOnly, expiresAt: user.exp ? user.exp * 1000 : null };
+}
+
+async function handleConnection(ws, req, documentId) {
+    // Hold messages that arrive while authorizing and loading the document
+    const pending = [];
+    let onMessage = data => pending.push(data);
+    ws.on('message', data => onMessage(data));
+
+    let result;
+    try {
+        result = await authorize(req, documentId);
+    } catch (err) {
+        console.error('[Collab] Authorization error:', err.message);
+        result = { closeCode: CLOSE_CODES.internalError, reason: 'Failed to load document' };
+    }
+    if (result.closeCode) return ws.close(result.closeCode, result.reason);
+
+    // Loading while a reset deletes the stored updates would revive the old state
+    while (resets.has(documentId)) await resets.get(documentId);
+    if (ws.readyState !== ws.OPEN) return;
+
+    const room = getRoom(documentId);
+    const conn = { userId: result.userId, readOnly: result.readOnly, clientIds: new Set(), synced: false };
+    room.conns.set(ws, conn);
+    ws.on('close', () => handleClose(documentId, room, ws));
+
+    // The cookie is only read at the upgrade — end the session with the token
+    if (result.expiresAt) {
+        conn.expiryTimer = setTimeout(() => {
+            ws.close(CLOSE_CODES.unauthorized, 'Token expired');
+        }, Math.min(Math.max(result.expiresAt - Date.now(), 0), MAX_TIMEOUT_MS));
+    }
+
+    try {
+        await room.ready;
+    } catch (err) {
+        console.error(`[Collab] Failed to load ${documentId}:`, err.message);
+        if (rooms.get(documentId) === room) rooms.delete(documentId);
+        return ws.close(CLOSE_CODES.internalError, 'Failed to load document');
+    }
+    if (room.reset) return ws.close(CLOSE_CODES.contentReplaced, 'Document content was replaced');
+
+    send(ws, encodeMessage(MESSAGE_SYNC, e => syncProtocol.writeSyncStep1(e, room.doc)));
+    const states = [...room.awareness.getStates().keys()];
+    if (states.length > 0) {
+        send(ws, encodeMessage(MESSAGE_AWARENESS, e =>
+            encoding.writeVarUint8Array(e, awarenessProtocol.encodeAwarenessUpdate(room.awareness, states))
+        ));
+    }
+
+    onMessage = data => handleMessage(room, ws, conn, data);
+    pending.forEach(onMessage);
+}
+
+/**
+ * Accept collaboration WebSockets on an HTTP server (COLLAB_PATH + documentId).
+ * Connections from another origin than CORS_ORIGIN are refused, since the
+ * browser sends the auth cookie along with them.
+ * @param {import('http').Server} server
+ * @returns {WebSocketServer}
+ */
+function attachCollabServer(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: 5 * 1024 * 1024 });
+
+    server.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (!pathname.startsWith(COLLAB_PATH)) return socket.destroy();
+
+        const origin = req.headers.origin;
+        if (origin && process.env.CORS_ORIGIN && origin !== process.env.CORS_ORIGIN) {
+            socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return socket.destroy();
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => {
+            handleConnection(ws, req, decodeURIComponent(pathname.slice(COLLAB_PATH.length)));
+        });
+    });
+
+    // Documents also change hands without membership changes (moved, trashed)
+    const accessCheck = setInterval(refreshCollabAccess, ACCESS_CHECK_MS).unref();
+    server.on('close', () => clearInterval(accessCheck));
+
+    return wss;
+}
+
+/**
+ * Check the access of connected editors again — of one user, or of everyone —
+ * and disconnect those whose role on the document changed.
+ * Never throws.
+ * @param {string} [userId]
+ */
+async function refreshCollabAccess(userId) {
+    const accessCache = new Map();
+    const checks = [];
+
+    for (const [documentId, room] of rooms) {
+        for (const [ws, conn] of room.conns) {
+            if (userId && conn.userId !== userId) continue;
+            checks.push(getReadOnly(conn.userId, documentId, accessCache)
+                .then(readOnly => {
+                    if (readOnly !== conn.readOnly) ws.close(CLOSE_CODES.unauthorized, 'Access changed');
+                })
+                .catch(err => console.error(`[Collab] Failed to check access to ${documentId}:`, err.message)));
+        }
+    }
+
+    await Promise.all(checks);
+}
+
+/**
+ * Whether a document is being edited collaboratively or has stored shared state.
+ */
+async function hasCollabState(documentId) {
+    const id = documentId.toString();
+    if (resets.has(id)) return false;
+    return rooms.has(id) || Boolean(await DocumentUpdate.exists({ documentId: id }));
+}
+
+/**
+ * Drop a document's shared state after its `content` was replaced by other means
+ * (e.g. restoring a version). Connected editors are disconnected with
+ * CLOSE_CODES.contentReplaced once the stored updates are gone, and reload the
+ * document; new connections wait until then.
+ */
+async function resetCollabState(documentId) {
+    const id = documentId.toString();
+    while (resets.has(id)) await resets.get(id);
+
+    const room = rooms.get(id);
+    if (room) {
+        room.reset = true;
+        rooms.delete(id);
+    }
+
+    const reset = (async () => {
+        await room?.saving;
+        await DocumentUpdate.deleteMany({ documentId: id });
+    })();
+    const tombstone = reset.catch(() => {});
+    resets.set(id, tombstone);
+
+    try {
+        await reset;
+    } finally {
+        if (resets.get(id) === tombstone) resets.delete(id);
+        for (const ws of room?.conns.keys() || []) {
+            ws.close(CLOSE_CODES.contentReplaced, 'Document content was replaced');
+        }
+    }
+}
+
+module.exports = {
+    COLLAB_PATH,
+    MESSAGE_SEED,
+    CLOSE_CODES,
+    attachCollabServer,
+    refreshCollabAccess,
+    hasCollabState,
+    resetCollabState,
+};
@@ -0,0 +1,104 @@
+const { getContextBudget } = require('./aiProvider');
+const { generateSummary } = require('./summaryGenerator');
+const { getActivePath } = require('../utils/messageTree');
+
+// Rough token estimate: ~4 characters per token for English text and code
+const CHARS_PER_TOKEN = 4;
+// Flat cost per attachment (inline images/PDFs on the latest turn, a text note on older ones)
+const ATTACHMENT_TOKENS = 300;
+// Share of the budget held back for the rolling summary and the system instruction
+const SUMMARY_RESERVE_RATIO = 0.2;
+
+/**
+ * Estimate the number of tokens a message will cost in the prompt.
+ */
+function estimateTokens(msg) {
+    const textTokens = Math.ceil((msg.content || '').length / CHARS_PER_TOKEN);
+    const attachmentTokens = (msg.attachments?.length || 0) * ATTACHMENT_TOKENS;
+    return textTokens + attachmentTokens;
+}
+
+/**
+ * Convert stored session messages into the { role, content, attachments }
+ * shape streamChat expects.
+ */
+function toContextMessage(m) {
+    return {
+        role: m.role,
+        content: m.content || '',
+        attachments: m.attachments || [],
+    };
+}
+
+/**
+ * Build the prompt context for a session within the model's token budget.
+ *
+ * The most recent turns are kept verbatim, newest first, until the budget
+ * (minus a reserve for the summary) is used up. Everything older is folded
+ * into a rolling summary stored on `session.summary` and refreshed
+ * incrementally: only turns dropped since the last refresh are summarized.
+ * Only the active branch is considered; a summary that doesn't cover a prefix
+ * of that branch (e.g. after switching branches) is rebuilt.
+ * The caller is responsible for saving the session.
+ *
+ * @param {object} session - Mongoose Session document
+ * @param {{ providerId: string, modelId: string }} model
+ * @param {object} [options]
+ * @param {string} [options.userId] - user the summary's token usage is recorded for
+ * @returns {Promise<{ messages: Array, summary: string|null }>}
+ */
+async function buildContext(session, { providerId, modelId }, { userId } = {}) {
+    // Skip empty entries (e.g. aborted answers)
+    const stored = getActivePath(session).filter(m => m.content || (m.attachments && m.attachments.length > 0));
+
+    const budget = getContextBudget(providerId, modelId);
+    const recentBudget = Math.floor(budget * (1 - SUMMARY_RESERVE_RATIO));
+
+    // Walk back from the newest turn — the latest message is always kept
+    let keepFrom = stored.length;
+    let used = 0;
+    for (let i = stored.length - 1; i >= 0; i--) {
+        const tokens = estimateTokens(stored[i]);
+        if (keepFrom < stored.length && used + tokens > recentBudget) break;
+        used += tokens;
+        keepFrom = i;
+    }
+
+    // Start the verbatim window on a user turn so providers see a well-formed conversation
+    while (keepFrom > 0 && keepFrom < stored.length - 1 && stored[keepFrom].role !== 'user') {
+        keepFrom++;
+    }
+
+    if (keepFrom === 0) {
+        return { messages: stored.map(toContextMessage), summary: null };
+    }
+
+    const older = stored.slice(0, keepFrom);
+    const recent = stored.slice(keepFrom).map(toContextMessage);
+    const lastOlderId = older[older.length - 1]._id.toString();
+    const existing = session.summary;
+
+    if (existing?.content && existing.throughMessageId === lastOlderId) {
+        return { messages: recent, summary: existing.content };
+    }
+
+    // Extend the existing summary when it covers a prefix of `older`, otherwise start over
+    const coveredIdx = existing?.content
+        ? older.findIndex(m => m._id.toString() === existing.throughMessageId)
+        : -1;
+    const previous = coveredIdx >= 0 ? existing.content : null;
+    const toSummarize = older.slice(coveredIdx + 1).map(toContextMessage);
+
+    const summary = await generateSummary(previous, toSummarize, { userId });
+    if (summary) {
+        session.summary = {
+            content: summary,
+            throughMessageId: lastOlderId,
+            updatedAt: new Date(),
+        };
+    }
+
+    return { messages: recent, summary: summary || previous };
+}
+
+module.exports = { buildContext, estimateTokens };
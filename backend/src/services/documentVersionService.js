@@ -0,0 +1,99 @@
+const DocumentVersion = require('../models/DocumentVersion');
+
+/**
+ * Document version history.
+ *
+ * Every save of a document's content is kept as a DocumentVersion so an
+ * accidental edit or a bad regeneration can be undone. Autosave runs every few
+ * seconds while someone types, so the saves of one editor session (`editSession`,
+ * sent by the open editor) within VERSION_COALESCE_MS update the version that
+ * session started instead of adding one per keystroke pause. A version from before
+ * the session — the last save of someone else, an earlier visit or the base
+ * version — is never updated, so the content before each burst of edits can be
+ * restored. Saves without a session and restores always start a new version.
+ */
+
+const DEFAULT_COALESCE_MS = 10 * 60 * 1000;
+
+function getCoalesceMs() {
+    const ms = parseInt(process.env.VERSION_COALESCE_MS, 10);
+    return ms >= 0 ? ms : DEFAULT_COALESCE_MS;
+}
+
+function isSameSnapshot(version, document) {
+    return version.title === document.title
+        && JSON.stringify(version.content) === JSON.stringify(document.content);
+}
+
+/**
+ * Keep the content a document had before its first recorded save — documents
+ * created before version history existed have no versions yet.
+ * Call before changing `content`.
+ */
+async function ensureBaseVersion(document) {
+    if (await DocumentVersion.exists({ documentId: document._id })) return;
+
+    await DocumentVersion.create({
+        documentId: document._id,
+        userId: document.userId,
+        source: document.metadata?.generatedBy || 'user',
+        title: document.title,
+        content: document.content,
+        createdAt: document.updatedAt || document.createdAt,
+    });
+}
+
+/**
+ * Record a document's current title and content as a version.
+ * Never throws — a failed snapshot must not fail the save itself.
+ *
+ * @param {object} document - the saved Document
+ * @param {object} options
+ * @param {string} options.userId - author
+ * @param {'user'|'ai'} [options.source='user']
+ * @param {string} [options.editSession] - editor session the save comes from
+ * @param {ObjectId} [options.restoredFrom] - version being restored
+ * @param {Date} [options.now]
+ * @returns {Promise<object|null>} the new or updated version
+ */
+async function recordVersion(document, { userId, source = 'user', editSession = null, restoredFrom = null, now = new Date() }) {
+    try {
+        const latest = await DocumentVersion.findOne({ documentId: document._id }).sort({ createdAt: -1, _id: -1 });
+
+        if (!restoredFrom && latest) {
+            if (isSameSnapshot(latest, document)) return latest;
+
+            const canCoalesce = Boolean(editSession)
+                && latest.editSession === editSession
+                && latest.userId === userId
+                && latest.source === source
+                && !latest.restoredFrom
+                && now - latest.createdAt < getCoalesceMs();
+            if (canCoalesce) {
+                latest.title = document.title;
+                latest.content = document.content;
+                latest.markModified('content');
+                return await latest.save();
+            }
+        }
+
+        return await DocumentVersion.create({
+            documentId: document._id,
+            userId,
+            source,
+            title: document.title,
+            content: document.content,
+            editSession,
+            restoredFrom,
+        });
+    } catch (err) {
+        console.error(`[Versions] Failed to record version of ${document._id}:`, err.message);
+        return null;
+    }
+}
+
+module.exports = {
+    getCoalesceMs,
+    ensureBaseVersion,
+    recordVersion,
+};
@@ -1,4 +1,6 @@
 const { GoogleGenAI } = require('@google/genai');
+const keyPool = require('./keyPool');
+const { fromGeminiUsage } = require('../utils/usage');
 
 // --- Configuration (lazy initialization - only validate when used) ---
 let configValidated = false;
@@ -37,19 +39,6 @@ function ensureConfig() {
 // Valid aspect ratios
 const VALID_ASPECT_RATIOS = ['1:1', '16:9', '21:9', '9:16', '4:3'];
 
-// --- Key Rotation (shared pattern from aiProvider.js) ---
-const keys = (process.env.GEMINI_API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
-let keyIndex = 0;
-
-function getNextApiKey() {
-    if (keys.length === 0) {
-        throw new Error('No Gemini API keys configured. Set GEMINI_API_KEYS in .env');
-    }
-    const key = keys[keyIndex % keys.length];
-    keyIndex++;
-    return key;
-}
-
 /**
  * Validate image generation prompt
  * @param {string} prompt - Image description
@@ -93,7 +82,7 @@ function validateAspectRatio(aspectRatio) {
  * @param {string} options.aspectRatio - Image aspect ratio (default: '16:9')
  * @param {string} options.style - Style prefix (default: 'professional')
  * @param {boolean} options.includeText - Whether to request text response (default: false)
- * @returns {Promise<Object>} { buffer: Buffer, mimeType: string, text?: string }
+ * @returns {Promise<Object>} { buffer: Buffer, mimeType: string, text?: string, usage: Object|null }
  */
 async function generateImage(prompt, options = {}) {
     ensureConfig();  // Validate env vars on first use
@@ -120,8 +109,8 @@ async function generateImage(prompt, options = {}) {
 
     console.log(`[ImageGen] Generating image: "${prompt.substring(0, 50)}..." (${aspectRatio})`);
 
-    // Get API key (with rotation)
-    const apiKey = getNextApiKey();
+    // Get API key from the shared pool (skips keys in cooldown)
+    const apiKey = keyPool.acquireKey();
     const ai = new GoogleGenAI({ apiKey });
 
     try {
@@ -163,6 +152,8 @@ async function generateImage(prompt, options = {}) {
             throw new Error('No image data in API response');
         }
 
+        keyPool.reportSuccess(apiKey);
+
         const duration = Date.now() - startTime;
         console.log(`[ImageGen] ✓ Generated image in ${duration}ms (${Math.round(imageBuffer.length / 1024)}KB)`);
 
@@ -170,8 +161,10 @@ async function generateImage(prompt, options = {}) {
             buffer: imageBuffer,
             mimeType,
             text,
+            usage: fromGeminiUsage(response.usageMetadata),
         };
     } catch (error) {
+        keyPool.reportFailure(apiKey, error);
         const duration = Date.now() - startTime;
         console.error(`[ImageGen] ✗ Failed after ${duration}ms:`, error.message);
         throw error;
@@ -212,7 +205,7 @@ async function generateImageWithRetry(prompt, options = {}, maxRetries = MAX_RET
  * Generate multiple images in parallel
  * @param {Array<Object>} prompts - Array of {id, description, ...options}
  * @param {Object} globalOptions - Options to apply to all images
- * @returns {Promise<Array<Object>>} Array of {id, buffer, mimeType, text?, error?}
+ * @returns {Promise<Array<Object>>} Array of {id, buffer, mimeType, text?, usage?, error?}
  */
 async function generateMultipleImages(prompts, globalOptions = {}) {
     ensureConfig();  // Validate env vars on first use
@@ -232,6 +225,7 @@ async function generateMultipleImages(prompts, globalOptions = {}) {
                 buffer: result.buffer,
                 mimeType: result.mimeType,
                 text: result.text,
+                usage: result.usage,
             };
         } catch (error) {
             console.error(`[ImageGen] Failed to generate image ${promptObj.id}:`, error.message);
@@ -0,0 +1,165 @@
+/**
+ * Shared Gemini API key pool.
+ *
+ * Hands out keys from GEMINI_API_KEYS round-robin while tracking per-key health:
+ * rate-limited (429) keys and rejected (401/403) keys are put into an exponential
+ * cooldown and skipped until it expires. Chat, title and image generation all
+ * draw from this single pool so one caller's failures protect the others.
+ */
+
+// --- Cooldown policy (ms) ---
+const RATE_LIMIT_BASE_COOLDOWN = 30 * 1000;
+const RATE_LIMIT_MAX_COOLDOWN = 10 * 60 * 1000;
+const AUTH_BASE_COOLDOWN = 5 * 60 * 1000;
+const AUTH_MAX_COOLDOWN = 60 * 60 * 1000;
+
+const keys = (process.env.GEMINI_API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
+let keyIndex = 0;
+
+// key → health record
+const health = new Map(keys.map(key => [key, {
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+    lastError: null,
+    lastErrorType: null,
+    lastFailureAt: null,
+}]));
+
+/**
+ * Classify a provider error by how it should affect the key that caused it.
+ * @returns {'rate_limited'|'unauthorized'|'other'}
+ */
+function classifyError(err) {
+    const status = err.status || err.code || err.response?.status;
+    if (status === 429) return 'rate_limited';
+    if (status === 401 || status === 403) return 'unauthorized';
+
+    // Some SDK paths only surface the status in the message
+    const message = err.message || '';
+    if (/\b429\b|RESOURCE_EXHAUSTED|quota/i.test(message)) return 'rate_limited';
+    if (/\b(401|403)\b|PERMISSION_DENIED|API key not valid|UNAUTHENTICATED/i.test(message)) return 'unauthorized';
+
+    return 'other';
+}
+
+function computeCooldown(type, consecutiveFailures) {
+    const [base, max] = type === 'unauthorized'
+        ? [AUTH_BASE_COOLDOWN, AUTH_MAX_COOLDOWN]
+        : [RATE_LIMIT_BASE_COOLDOWN, RATE_LIMIT_MAX_COOLDOWN];
+    return Math.min(base * Math.pow(2, consecutiveFailures - 1), max);
+}
+
+/**
+ * Get the next healthy key (round-robin, skipping keys in cooldown).
+ * Throws when no keys are configured or every key is cooling down.
+ */
+function acquireKey() {
+    if (keys.length === 0) {
+        throw new Error('No Gemini API keys configured. Set GEMINI_API_KEYS in .env');
+    }
+
+    const now = Date.now();
+    for (let i = 0; i < keys.length; i++) {
+        const key = keys[keyIndex % keys.length];
+        keyIndex++;
+
+        const record = health.get(key);
+        if (record.cooldownUntil <= now) {
+            record.requests++;
+            return key;
+        }
+    }
+
+    const nextAvailable = Math.min(...keys.map(k => health.get(k).cooldownUntil));
+    const error = new Error(`All Gemini API keys are cooling down. Retry in ${Math.ceil((nextAvailable - now) / 1000)}s`);
+    error.status = 429;
+    throw error;
+}
+
+/**
+ * Record a successful call — clears the key's failure streak.
+ */
+function reportSuccess(key) {
+    const record = health.get(key);
+    if (!record) return;
+    record.successes++;
+    record.consecutiveFailures = 0;
+    record.cooldownUntil = 0;
+}
+
+/**
+ * Record a failed call. Rate-limit and auth failures put the key into an
+ * exponentially growing cooldown; other errors are counted but don't bench the key.
+ *
+ * @returns {'rate_limited'|'unauthorized'|'other'} the error classification
+ */
+function reportFailure(key, err) {
+    const type = classifyError(err);
+    const record = health.get(key);
+    if (!record) return type;
+
+    record.failures++;
+    record.lastError = err.message;
+    record.lastErrorType = type;
+    record.lastFailureAt = new Date();
+
+    if (type !== 'other') {
+        record.consecutiveFailures++;
+        const cooldown = computeCooldown(type, record.consecutiveFailures);
+        record.cooldownUntil = Date.now() + cooldown;
+        console.warn(`[KeyPool] Key ${maskKey(key)} ${type} — cooling down for ${Math.round(cooldown / 1000)}s`);
+    }
+
+    return type;
+}
+
+function maskKey(key) {
+    return key.length <= 8 ? '****' : `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+/**
+ * Snapshot of pool health for the admin endpoint. Keys are masked.
+ */
+function getPoolStatus() {
+    const now = Date.now();
+    const status = keys.map(key => {
+        const record = health.get(key);
+        const coolingDown = record.cooldownUntil > now;
+        return {
+            key: maskKey(key),
+            status: coolingDown ? record.lastErrorType : 'healthy',
+            requests: record.requests,
+            successes: record.successes,
+            failures: record.failures,
+            consecutiveFailures: record.consecutiveFailures,
+            cooldownUntil: coolingDown ? new Date(record.cooldownUntil).toISOString() : null,
+            lastError: record.lastError,
+            lastFailureAt: record.lastFailureAt,
+        };
+    });
+
+    return {
+        total: keys.length,
+        available: status.filter(k => k.status === 'healthy').length,
+        keys: status,
+    };
+}
+
+/**
+ * Number of configured keys (used to size retry loops).
+ */
+function getKeyCount() {
+    return keys.length;
+}
+
+module.exports = {
+    acquireKey,
+    reportSuccess,
+    reportFailure,
+    classifyError,
+    getPoolStatus,
+    getKeyCount,
+};
@@ -1,7 +1,16 @@
 const { GoogleGenAI } = require('@google/genai');
 const Document = require('../models/Document');
+const Session = require('../models/Session');
 const { generateMultipleImages } = require('./imageGenerationService');
 const storageService = require('./storageService');
+const { priceUsage, recordUsage } = require('./usageService');
+const { getQuotaStatus, describeExceeded } = require('./quotaService');
+const { fromGeminiUsage, addUsage } = require('../utils/usage');
+const { indexDocument } = require('./retrievalService');
+const { recordVersion } = require('./documentVersionService');
+const { resetCollabState } = require('./collabService');
+
+const PLAN_MODEL = 'gemini-2.5-flash';
 
 /**
  * Generate a project plan via AI (Streaming)
@@ -23,19 +32,31 @@ async function* generateProjectPlan(prompt, options = {}, userId, sessionId = nu
     // --- Phase 1: Stream text content ---
     console.log('[planGeneration] Phase 1: Streaming plan content');
     let planMarkdown = '';
+    let textUsage = null;
 
-    for await (const chunk of generatePlanContentStream(prompt, options)) {
+    const contentOptions = { ...options, onUsage: (usage) => { textUsage = usage; } };
+    for await (const chunk of generatePlanContentStream(prompt, contentOptions)) {
         planMarkdown += chunk;
         yield { type: 'text', chunk };
     }
 
+    const usage = textUsage && priceUsage('google', PLAN_MODEL, textUsage);
+    // Counted even without token usage — it feeds the plans/day quota
+    if (usage || planMarkdown) {
+        recordUsage(userId, 'plan', usage || {});
+    }
+
     // --- Phase 2: Save document immediately (with placeholders) ---
     const title = extractTitle(planMarkdown) || `Project Plan: ${prompt.slice(0, 50)}`;
     const blockNoteContent = markdownToBlockNote(planMarkdown);
 
+    // The plan belongs where the chat that asked for it does
+    const session = sessionId && await Session.findById(sessionId).select('workspaceId').lean();
+
     console.log('[planGeneration] Phase 2: Saving document to database');
     const document = new Document({
         userId,
+        workspaceId: session?.workspaceId || null,
         sessionId,
         title,
         type: 'project-plan',
@@ -43,13 +64,16 @@ async function* generateProjectPlan(prompt, options = {}, userId, sessionId = nu
         metadata: {
             generatedBy: 'ai',
             prompt,
-            model: 'gemini-2.5-flash',
+            model: PLAN_MODEL,
             generatedAt: new Date(),
+            ...(usage && { usage }),
         },
         assets: [],
     });
     await document.save();
     console.log(`[planGeneration] Document created: ${document._id}`);
+    await recordVersion(document, { userId, source: 'ai' });
+    indexDocument(document); // background; never throws
 
     // Send complete immediately — user can see the plan right away
     yield {
@@ -60,8 +84,24 @@ async function* generateProjectPlan(prompt, options = {}, userId, sessionId = nu
     };
 
     // --- Phase 3: Generate images async (after complete) ---
-    const imagePlaceholders = extractImagePlaceholders(planMarkdown);
+    let imagePlaceholders = extractImagePlaceholders(planMarkdown);
     if (options.includeImages !== false && imagePlaceholders.length > 0) {
+        // Only generate what is left of the monthly image quota; extra placeholders keep their text
+        const imageQuota = await getQuotaStatus(userId)
+            .then(status => status.imagesPerMonth)
+            .catch(err => {
+                console.error('[planGeneration] Failed to check image quota:', err.message);
+                return null;
+            });
+        if (imageQuota?.remaining === 0) {
+            console.log('[planGeneration] Image quota exhausted, skipping images');
+            yield { type: 'quota-exceeded', ...describeExceeded('imagesPerMonth', imageQuota) };
+            return;
+        }
+        if (imageQuota?.remaining != null && imageQuota.remaining < imagePlaceholders.length) {
+            imagePlaceholders = imagePlaceholders.slice(0, imageQuota.remaining);
+        }
+
         console.log(`[planGeneration] Phase 3: Generating ${imagePlaceholders.length} images`);
         yield { type: 'status', message: `Generating ${imagePlaceholders.length} images...` };
 
@@ -72,6 +112,12 @@ async function* generateProjectPlan(prompt, options = {}, userId, sessionId = nu
             );
 
             if (generatedImages.length > 0) {
+                const imageTokens = addUsage(...generatedImages.map(img => img.usage))
+                    || { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+                const imageUsage = priceUsage('google', process.env.GEMINI_IMAGE_MODEL, imageTokens, generatedImages.length);
+                recordUsage(userId, 'image', imageUsage);
+                document.metadata.imageUsage = imageUsage;
+
                 console.log('[planGeneration] Uploading images to GCS');
                 const uploadedImages = await uploadImagesToGCS(generatedImages, userId);
 
@@ -80,6 +126,9 @@ async function* generateProjectPlan(prompt, options = {}, userId, sessionId = nu
                 document.content = markdownToBlockNote(finalMarkdown);
                 document.assets = uploadedImages;
                 await document.save();
+                // Anyone who already opened the plan reloads it with the images
+                await resetCollabState(document._id);
+                await recordVersion(document, { userId, source: 'ai' });
 
                 console.log(`[planGeneration] Document updated with ${uploadedImages.length} images`);
                 yield { type: 'images-ready', finalMarkdown };
@@ -93,6 +142,9 @@ async function* generateProjectPlan(prompt, options = {}, userId, sessionId = nu
 
 /**
  * Generate plan content via Gemini AI (Streaming)
+ * @param {string} prompt - User's project description
+ * @param {Object} options - Generation options; `onUsage` receives the token usage after the last chunk
+ * @yields {string} markdown chunks
  */
 async function* generatePlanContentStream(prompt, options = {}) {
     const { sections } = options;
@@ -132,7 +184,7 @@ Generate realistic, detailed, professional content for each section. Be specific
     const ai = new GoogleGenAI({ apiKey });
 
     const result = await ai.models.generateContentStream({
-        model: 'gemini-2.5-flash',
+        model: PLAN_MODEL,
         contents: [{
             role: 'user',
             parts: [{
@@ -154,8 +206,13 @@ Generate realistic, detailed, professional content for each section. Be specific
         throw new Error('Gemini API result is not iterable');
     }
 
+    // usageMetadata is cumulative — the last chunk carries the totals
+    let usageMetadata = null;
+
     try {
         for await (const chunk of streamSource) {
+            if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+
             // Handle multiple chunk structures for SDK compatibility
             let text = null;
 
@@ -173,6 +230,8 @@ Generate realistic, detailed, professional content for each section. Be specific
         console.error('[generatePlanContentStream] Stream iteration error:', error.message);
         throw new Error(`Failed to iterate stream: ${error.message}`);
     }
+
+    if (usageMetadata) options.onUsage?.(fromGeminiUsage(usageMetadata));
 }
 
 /**
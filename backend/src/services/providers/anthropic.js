@@ -0,0 +1,166 @@
+const axios = require('axios');
+const { readSseEvents, readErrorMessage } = require('./sse');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Convert a buildParts() part into an Anthropic content block.
+ * - text → { type: 'text' }
+ * - images → { type: 'image' } with a base64 source
+ * - PDFs → { type: 'document' } with a base64 source
+ * - text-like files (CSV) → { type: 'document' } with a plain-text source
+ */
+function toContentBlock(part) {
+    if (!part.inlineData) {
+        return { type: 'text', text: part.text };
+    }
+
+    const { mimeType, data } = part.inlineData;
+
+    if (mimeType.startsWith('image/')) {
+        return {
+            type: 'image',
+            source: { type: 'base64', media_type: mimeType === 'image/jpg' ? 'image/jpeg' : mimeType, data },
+        };
+    }
+    if (mimeType === 'application/pdf') {
+        return {
+            type: 'document',
+            source: { type: 'base64', media_type: 'application/pdf', data },
+        };
+    }
+    return {
+        type: 'document',
+        source: { type: 'text', media_type: 'text/plain', data: Buffer.from(data, 'base64').toString('utf-8') },
+    };
+}
+
+/**
+ * Convert `{ role, parts }` messages into Anthropic Messages API format.
+ * The API requires strictly alternating user/assistant turns starting with
+ * a user turn, so consecutive same-role messages are merged and a leading
+ * assistant message is dropped.
+ */
+function toAnthropicMessages(messages) {
+    const result = [];
+
+    for (const msg of messages) {
+        const role = msg.role === 'assistant' ? 'assistant' : 'user';
+        const content = msg.parts.map(toContentBlock);
+
+        if (result.length === 0 && role === 'assistant') continue;
+
+        const prev = result[result.length - 1];
+        if (prev && prev.role === role) {
+            prev.content.push(...content);
+        } else {
+            result.push({ role, content });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Anthropic Messages API adapter — streams text from `content_block_delta` events.
+ *
+ * @param {object} params
+ * @param {object} params.provider - Provider config entry ({ apiKey, baseUrl?, maxTokens?, models })
+ * @param {string} params.modelId - Claude model ID
+ * @param {Array<{ role: string, parts: Array }>} params.messages
+ * @param {string} params.systemInstruction
+ * @param {{ temperature?: number, topP?: number, maxOutputTokens?: number, stopSequences?: string[] }} [params.generation] - sampling settings; omitted fields use the server default
+ * @param {AbortSignal} [params.signal] - cancels the upstream request
+ * @param {Function} [params.onUsage] - receives normalized token usage once the message ends
+ * @returns {AsyncGenerator<string>} text chunks
+ */
+async function* streamChat({ provider, modelId, messages, systemInstruction, generation = {}, signal, onUsage }) {
+    if (!provider.apiKey) {
+        throw new Error(`Provider '${provider.id}' is missing apiKey in AI_PROVIDERS_CONFIG`);
+    }
+
+    const baseUrl = (provider.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const modelConfig = (provider.models || []).find(m => m.id === modelId) || {};
+
+    const body = {
+        model: modelId,
+        max_tokens: generation.maxOutputTokens || modelConfig.maxTokens || provider.maxTokens || DEFAULT_MAX_TOKENS,
+        messages: toAnthropicMessages(messages),
+        stream: true,
+    };
+    if (systemInstruction) {
+        body.system = systemInstruction;
+    }
+    // Claude accepts 0–1; personas allow up to 2 for other providers
+    if (generation.temperature !== undefined) {
+        body.temperature = Math.min(generation.temperature, 1);
+    }
+    if (generation.topP !== undefined) {
+        body.top_p = generation.topP;
+    }
+    if (generation.stopSequences?.length) {
+        body.stop_sequences = generation.stopSequences;
+    }
+
+    let response;
+    try {
+        response = await axios.post(`${baseUrl}/v1/messages`, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': provider.apiKey,
+                'anthropic-version': ANTHROPIC_VERSION,
+            },
+            responseType: 'stream',
+            signal,
+        });
+    } catch (err) {
+        const message = await readErrorMessage(err);
+        const error = new Error(`[${provider.id}] ${message}`);
+        error.status = err.response?.status;
+        throw error;
+    }
+
+    // Input tokens arrive with message_start, the output count with message_delta
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for await (const { event, data } of readSseEvents(response.data)) {
+        if (event === 'message_stop') break;
+        if (!['content_block_delta', 'message_start', 'message_delta', 'error'].includes(event)) continue;
+
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch {
+            continue;
+        }
+
+        if (event === 'error') {
+            throw new Error(`[${provider.id}] ${payload.error?.message || 'Stream error'}`);
+        }
+        if (event === 'message_start') {
+            inputTokens = payload.message?.usage?.input_tokens || 0;
+            continue;
+        }
+        if (event === 'message_delta') {
+            outputTokens = payload.usage?.output_tokens || outputTokens;
+            continue;
+        }
+
+        if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+            yield payload.delta.text;
+        }
+    }
+
+    if (inputTokens || outputTokens) {
+        onUsage?.({
+            promptTokens: inputTokens,
+            completionTokens: outputTokens,
+            totalTokens: inputTokens + outputTokens,
+        });
+    }
+}
+
+module.exports = { streamChat, toAnthropicMessages };
@@ -0,0 +1,86 @@
+const { GoogleGenAI } = require('@google/genai');
+const { fromGeminiUsage, addUsage } = require('../../utils/usage');
+
+// Model ↔ tool round trips per answer; the last round is sent without tools so it must answer
+const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * Google Gemini adapter.
+ *
+ * Messages arrive as `{ role, parts }` where parts come from buildParts(),
+ * which already uses Gemini's native part format — only roles need mapping.
+ *
+ * @param {object} params
+ * @param {string} params.apiKey - Gemini API key (from the rotation pool)
+ * @param {string} params.modelId - Gemini model ID
+ * @param {Array<{ role: string, parts: Array }>} params.messages
+ * @param {string} params.systemInstruction
+ * @param {{ temperature?: number, topP?: number, maxOutputTokens?: number, stopSequences?: string[] }} [params.generation] - sampling settings; omitted fields use the model default
+ * @param {AbortSignal} [params.signal] - cancels the upstream request
+ * @param {{ declarations: Array, execute: Function }} [params.tools] - function declarations the model
+ *   may call; execute({ id, name, args }) runs a call and resolves to its result object
+ * @param {Function} [params.onUsage] - receives normalized token usage (summed over tool rounds) at the end
+ * @returns {AsyncGenerator<string>} text chunks
+ */
+async function* streamChat({ apiKey, modelId, messages, systemInstruction, generation = {}, tools, signal, onUsage }) {
+    const ai = new GoogleGenAI({ apiKey });
+
+    const contents = messages.map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: msg.parts,
+    }));
+
+    const config = {
+        systemInstruction,
+        ...(generation.temperature !== undefined && { temperature: generation.temperature }),
+        ...(generation.topP !== undefined && { topP: generation.topP }),
+        ...(generation.maxOutputTokens !== undefined && { maxOutputTokens: generation.maxOutputTokens }),
+        ...(generation.stopSequences?.length && { stopSequences: generation.stopSequences }),
+        ...(signal && { abortSignal: signal }),
+    };
+    const toolConfig = tools?.declarations?.length
+        ? { ...config, tools: [{ functionDeclarations: tools.declarations }] }
+        : config;
+
+    let usage = null;
+    for (let round = 0; ; round++) {
+        const response = await ai.models.generateContentStream({
+            model: modelId,
+            contents,
+            config: round < MAX_TOOL_ROUNDS ? toolConfig : config,
+        });
+
+        // usageMetadata is cumulative within a response — the last chunk carries the totals
+        let usageMetadata = null;
+        const modelParts = [];
+        const calls = [];
+        for await (const chunk of response) {
+            if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+            const parts = chunk.candidates?.[0]?.content?.parts
+                ?? (chunk.text ? [{ text: chunk.text }] : []);
+            for (const part of parts) {
+                if (part.functionCall) {
+                    calls.push(part.functionCall);
+                } else if (part.text && !part.thought) {
+                    yield part.text;
+                }
+            }
+            modelParts.push(...parts);
+        }
+        usage = addUsage(usage, fromGeminiUsage(usageMetadata));
+
+        if (calls.length === 0 || !tools) break;
+
+        // Send the calls back unchanged (they carry thought signatures) with their results
+        const responses = [];
+        for (const call of calls) {
+            const result = await tools.execute({ id: call.id, name: call.name, args: call.args || {} });
+            responses.push({ functionResponse: { id: call.id, name: call.name, response: result } });
+        }
+        contents.push({ role: 'model', parts: modelParts }, { role: 'user', parts: responses });
+    }
+
+    if (usage) onUsage?.(usage);
+}
+
+module.exports = { streamChat };
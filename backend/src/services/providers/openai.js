@@ -0,0 +1,154 @@
+const axios = require('axios');
+const { readSseEvents, readErrorMessage } = require('./sse');
+
+// MIME types whose bytes are sent to the model as plain text rather than as a file
+const TEXT_MIME_TYPES = ['text/', 'application/json'];
+
+function isTextMimeType(mimeType) {
+    return TEXT_MIME_TYPES.some(prefix => mimeType.startsWith(prefix));
+}
+
+/**
+ * Convert a buildParts() part into an OpenAI chat content part.
+ * - text → { type: 'text' }
+ * - images → { type: 'image_url' } with a base64 data URL
+ * - text-like files (CSV, plain text, JSON) → decoded into a text part
+ * - other files (PDF) → { type: 'file' } with a base64 data URL
+ */
+function toContentPart(part) {
+    if (!part.inlineData) {
+        return { type: 'text', text: part.text };
+    }
+
+    const { mimeType, data } = part.inlineData;
+    const dataUrl = `data:${mimeType};base64,${data}`;
+
+    if (mimeType.startsWith('image/')) {
+        return { type: 'image_url', image_url: { url: dataUrl } };
+    }
+    if (isTextMimeType(mimeType)) {
+        return { type: 'text', text: Buffer.from(data, 'base64').toString('utf-8') };
+    }
+    return { type: 'file', file: { file_data: dataUrl } };
+}
+
+/**
+ * Convert `{ role, parts }` messages into OpenAI chat messages.
+ * Text-only messages are sent as a plain string for the widest compatibility
+ * with local servers (llama.cpp, vLLM) that don't accept content arrays.
+ */
+function toOpenAIMessages(messages, systemInstruction) {
+    const result = [];
+
+    if (systemInstruction) {
+        result.push({ role: 'system', content: systemInstruction });
+    }
+
+    for (const msg of messages) {
+        const hasBinary = msg.parts.some(p => p.inlineData);
+        const role = msg.role === 'assistant' ? 'assistant' : 'user';
+
+        if (!hasBinary || role === 'assistant') {
+            result.push({
+                role,
+                content: msg.parts.filter(p => p.text).map(p => p.text).join('\n\n'),
+            });
+        } else {
+            result.push({ role, content: msg.parts.map(toContentPart) });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * OpenAI-compatible adapter — speaks the streaming `/chat/completions` protocol
+ * used by OpenAI, llama.cpp server, vLLM, LiteLLM and most gateways.
+ *
+ * @param {object} params
+ * @param {object} params.provider - Provider config entry ({ baseUrl, apiKey })
+ * @param {string} params.modelId - Model ID sent as `model`
+ * @param {Array<{ role: string, parts: Array }>} params.messages
+ * @param {string} params.systemInstruction
+ * @param {{ temperature?: number, topP?: number, maxOutputTokens?: number, stopSequences?: string[] }} [params.generation] - sampling settings; omitted fields use the server default
+ * @param {AbortSignal} [params.signal] - cancels the upstream request
+ * @param {Function} [params.onUsage] - receives normalized token usage from the final chunk
+ * @returns {AsyncGenerator<string>} text chunks
+ */
+async function* streamChat({ provider, modelId, messages, systemInstruction, generation = {}, signal, onUsage }) {
+    if (!provider.baseUrl) {
+        throw new Error(`Provider '${provider.id}' is missing baseUrl in AI_PROVIDERS_CONFIG`);
+    }
+
+    const url = `${provider.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (provider.apiKey) {
+        headers.Authorization = `Bearer ${provider.apiKey}`;
+    }
+
+    const body = {
+        model: modelId,
+        messages: toOpenAIMessages(messages, systemInstruction),
+        stream: true,
+    };
+    if (generation.temperature !== undefined) {
+        body.temperature = generation.temperature;
+    }
+    if (generation.topP !== undefined) {
+        body.top_p = generation.topP;
+    }
+    if (generation.maxOutputTokens !== undefined) {
+        body.max_tokens = generation.maxOutputTokens;
+    }
+    if (generation.stopSequences?.length) {
+        body.stop = generation.stopSequences;
+    }
+    // Ask for a final chunk with token usage; servers that reject the field can opt out
+    if (provider.includeUsage !== false) {
+        body.stream_options = { include_usage: true };
+    }
+
+    let response;
+    try {
+        response = await axios.post(url, body, {
+            headers,
+            responseType: 'stream',
+            signal,
+        });
+    } catch (err) {
+        const message = await readErrorMessage(err);
+        const error = new Error(`[${provider.id}] ${message}`);
+        error.status = err.response?.status;
+        throw error;
+    }
+
+    for await (const { data } of readSseEvents(response.data)) {
+        if (data === '[DONE]') break;
+
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch {
+            continue; // Ignore keep-alive or malformed lines
+        }
+
+        if (payload.error) {
+            throw new Error(`[${provider.id}] ${payload.error.message || payload.error}`);
+        }
+
+        if (payload.usage) {
+            onUsage?.({
+                promptTokens: payload.usage.prompt_tokens || 0,
+                completionTokens: payload.usage.completion_tokens || 0,
+                totalTokens: payload.usage.total_tokens || 0,
+            });
+        }
+
+        const text = payload.choices?.[0]?.delta?.content;
+        if (text) {
+            yield text;
+        }
+    }
+}
+
+module.exports = { streamChat, toOpenAIMessages };
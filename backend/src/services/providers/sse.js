@@ -0,0 +1,91 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Parse a Server-Sent Events byte stream into events.
+ *
+ * Accepts any async iterable of Buffers/strings (e.g. an axios response stream)
+ * and yields `{ event, data }` for every complete event. Multi-line `data:`
+ * fields are joined with '\n', comments and `id:`/`retry:` fields are ignored.
+ * Bytes are decoded as UTF-8 across chunks, so characters split between two
+ * network chunks come out intact.
+ *
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @returns {AsyncGenerator<{ event: string, data: string }>}
+ */
+async function* readSseEvents(stream) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let event = 'message';
+    let dataLines = [];
+
+    function flush() {
+        if (dataLines.length === 0) {
+            event = 'message';
+            return null;
+        }
+        const result = { event, data: dataLines.join('\n') };
+        event = 'message';
+        dataLines = [];
+        return result;
+    }
+
+    for await (const chunk of stream) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+        let newlineIdx;
+        while ((newlineIdx = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newlineIdx).replace(/\r$/, '');
+            buffer = buffer.slice(newlineIdx + 1);
+
+            if (line === '') {
+                const result = flush();
+                if (result) yield result;
+                continue;
+            }
+            if (line.startsWith(':')) continue;
+
+            const colonIdx = line.indexOf(':');
+            const field = colonIdx === -1 ? line : line.slice(0, colonIdx);
+            const value = colonIdx === -1 ? '' : line.slice(colonIdx + 1).replace(/^ /, '');
+
+            if (field === 'event') {
+                event = value;
+            } else if (field === 'data') {
+                dataLines.push(value);
+            }
+        }
+    }
+
+    // Stream ended without a trailing blank line; a partial last line is dropped
+    decoder.end();
+    const result = flush();
+    if (result) yield result;
+}
+
+/**
+ * Extract a readable message from a failed streaming axios request.
+ * With responseType 'stream' axios hands back the error body as a stream,
+ * so it has to be drained before the provider's JSON error can be read.
+ *
+ * @param {Error} err - axios error
+ * @returns {Promise<string>}
+ */
+async function readErrorMessage(err) {
+    const stream = err.response?.data;
+    if (!stream || typeof stream[Symbol.asyncIterator] !== 'function') {
+        return err.message;
+    }
+
+    const decoder = new StringDecoder('utf8');
+    let body = '';
+    try {
+        for await (const chunk of stream) body += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        body += decoder.end();
+        const parsed = JSON.parse(body);
+        return parsed.error?.message || (typeof parsed.error === 'string' ? parsed.error : body);
+    } catch {
+        return body || err.message;
+    }
+}
+
+module.exports = { readSseEvents, readErrorMessage };
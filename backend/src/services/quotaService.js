@@ -0,0 +1,140 @@
+const Usage = require('../models/Usage');
+const User = require('../models/User');
+const { dayKey } = require('./usageService');
+
+/**
+ * Per-user quotas, counted from the daily usage rollups (see usageService).
+ *
+ * Defaults come from QUOTA_* env vars (unset = unlimited); admins can override
+ * them per user (User.quotas). Daily quotas reset at midnight UTC, monthly
+ * quotas on the first day of the month (UTC).
+ */
+const QUOTAS = {
+    messagesPerDay: { env: 'QUOTA_MESSAGES_PER_DAY', period: 'day', kind: 'chat', field: 'requests' },
+    tokensPerMonth: { env: 'QUOTA_TOKENS_PER_MONTH', period: 'month', field: 'totalTokens' },
+    imagesPerMonth: { env: 'QUOTA_IMAGES_PER_MONTH', period: 'month', field: 'images' },
+    plansPerDay: { env: 'QUOTA_PLANS_PER_DAY', period: 'day', kind: 'plan', field: 'requests' },
+};
+
+const QUOTA_MESSAGES = {
+    messagesPerDay: 'Daily message limit reached',
+    tokensPerMonth: 'Monthly token limit reached',
+    imagesPerMonth: 'Monthly image limit reached',
+    plansPerDay: 'Daily plan generation limit reached',
+};
+
+function getDefaultLimit(name) {
+    const value = parseInt(process.env[QUOTAS[name].env], 10);
+    return Number.isNaN(value) || value < 0 ? null : value;
+}
+
+/**
+ * When a quota period ends: next midnight UTC or the first day of next month (UTC).
+ */
+function getResetAt(period, now = new Date()) {
+    if (period === 'day') {
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    }
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Limit, usage and reset time of every quota for a user.
+ * `limit` and `remaining` are null for unlimited quotas.
+ *
+ * @param {string} userId - Keycloak `sub`
+ * @returns {Promise<Object<string, { limit, used, remaining, resetAt }>>}
+ */
+async function getQuotaStatus(userId) {
+    const now = new Date();
+    const today = dayKey(now);
+    const monthStart = `${today.slice(0, 7)}-01`;
+
+    const [user, rows] = await Promise.all([
+        User.findOne({ keycloakId: userId }).select('quotas').lean(),
+        Usage.find({ userId, date: { $gte: monthStart } }).select('date totals byKind').lean(),
+    ]);
+
+    const status = {};
+    for (const [name, quota] of Object.entries(QUOTAS)) {
+        const override = user?.quotas?.[name];
+        const limit = override ?? getDefaultLimit(name);
+        const used = rows
+            .filter(row => quota.period === 'month' || row.date === today)
+            .reduce((sum, row) => {
+                const counters = quota.kind ? row.byKind?.[quota.kind] : row.totals;
+                return sum + (counters?.[quota.field] || 0);
+            }, 0);
+
+        status[name] = {
+            limit,
+            used,
+            remaining: limit === null ? null : Math.max(0, limit - used),
+            resetAt: getResetAt(quota.period, now).toISOString(),
+        };
+    }
+    return status;
+}
+
+/**
+ * Check the given quotas before starting a request.
+ * Returns the first exhausted quota as a 429 response body, or null when the
+ * request may proceed. Lookup failures are logged and let the request through —
+ * accounting problems must not take the feature down.
+ *
+ * @param {string} userId
+ * @param {string[]} names - keys of QUOTAS
+ * @returns {Promise<null|{ error, code, quota, limit, used, resetAt }>}
+ */
+async function checkQuota(userId, names) {
+    let status;
+    try {
+        status = await getQuotaStatus(userId);
+    } catch (err) {
+        console.error('[Quota] Failed to check quota:', err.message);
+        return null;
+    }
+
+    const name = names.find(n => status[n].remaining === 0);
+    return name ? describeExceeded(name, status[name]) : null;
+}
+
+/**
+ * 429 response body for an exhausted quota.
+ */
+function describeExceeded(name, { limit, used, resetAt }) {
+    return {
+        error: QUOTA_MESSAGES[name],
+        code: 'QUOTA_EXCEEDED',
+        quota: name,
+        limit,
+        used,
+        resetAt,
+    };
+}
+
+/**
+ * Set per-user quota overrides. Keys missing from `quotas` are left as they
+ * are; null resets a quota to its default.
+ *
+ * @returns {Promise<boolean>} false when the user does not exist
+ */
+async function setUserQuotas(userId, quotas) {
+    const update = {};
+    for (const name of Object.keys(QUOTAS)) {
+        if (quotas[name] !== undefined) {
+            update[`quotas.${name}`] = quotas[name];
+        }
+    }
+    const result = await User.updateOne({ keycloakId: userId }, { $set: update }, { runValidators: true });
+    return result.matchedCount > 0;
+}
+
+module.exports = {
+    QUOTAS,
+    getQuotaStatus,
+    checkQuota,
+    describeExceeded,
+    setUserQuotas,
+    getResetAt,
+};
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const { MemoryStore, ipKeyGenerator } = require('express-rate-limit');
+const RateLimit = require('../models/RateLimit');
+const { verifyToken } = require('../middleware/auth');
+
+/**
+ * Shared hit counters for express-rate-limit, so limits hold across replicas.
+ *
+ * RATE_LIMIT_STORE picks the backend:
+ *  - 'mongo' (default) — RateLimit collection, expired windows dropped by a TTL index
+ *  - 'redis' — REDIS_URL, needs the optional `redis` package installed
+ *  - 'memory' — per-process counters (single instance / local development)
+ */
+
+/**
+ * express-rate-limit store backed by MongoDB. Each window is a single document
+ * updated atomically; while MongoDB is not connected (startup, tests) counting
+ * falls back to a per-process MemoryStore instead of blocking requests.
+ */
+class MongoStore {
+    constructor({ prefix = '' } = {}) {
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.fallback = new MemoryStore();
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+        this.fallback.init(options);
+    }
+
+    isConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    async get(key) {
+        if (!this.isConnected()) return this.fallback.get(key);
+        const doc = await RateLimit.findById(this.prefix + key).lean();
+        if (!doc || doc.resetTime <= new Date()) return undefined;
+        return { totalHits: doc.hits, resetTime: doc.resetTime };
+    }
+
+    async increment(key) {
+        if (!this.isConnected()) return this.fallback.increment(key);
+
+        // Start a new window when the stored one is over, otherwise count the hit
+        const now = new Date();
+        const windowOpen = { $gt: ['$resetTime', now] };
+        const doc = await RateLimit.findOneAndUpdate(
+            { _id: this.prefix + key },
+            [{
+                $set: {
+                    hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+                    resetTime: { $cond: [windowOpen, '$resetTime', new Date(now.getTime() + this.windowMs)] },
+                },
+            }],
+            { upsert: true, returnDocument: 'after', updatePipeline: true }
+        ).lean();
+        return { totalHits: doc.hits, resetTime: doc.resetTime };
+    }
+
+    async decrement(key) {
+        if (!this.isConnected()) return this.fallback.decrement(key);
+        await RateLimit.updateOne({ _id: this.prefix + key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+    }
+
+    async resetKey(key) {
+        if (!this.isConnected()) return this.fallback.resetKey(key);
+        await RateLimit.deleteOne({ _id: this.prefix + key });
+    }
+
+    shutdown() {
+        this.fallback.shutdown();
+    }
+}
+
+/**
+ * express-rate-limit store backed by Redis (node-redis v4+ client).
+ * The counter key expires with its window, so Redis does the cleanup.
+ */
+class RedisStore {
+    constructor({ client, prefix = '' }) {
+        this.client = client;
+        this.prefix = prefix;
+        this.localKeys = false;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async get(key) {
+        const [hits, ttl] = await this.client.multi()
+            .get(this.prefix + key)
+            .pTTL(this.prefix + key)
+            .exec();
+        if (hits === null) return undefined;
+        return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+    }
+
+    async increment(key) {
+        const redisKey = this.prefix + key;
+        // NX: only the first hit of a window sets the expiry
+        const [hits, , ttl] = await this.client.multi()
+            .incr(redisKey)
+            .pExpire(redisKey, this.windowMs, 'NX')
+            .pTTL(redisKey)
+            .exec();
+        return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+    }
+
+    async decrement(key) {
+        await this.client.decr(this.prefix + key);
+    }
+
+    async resetKey(key) {
+        await this.client.del(this.prefix + key);
+    }
+}
+
+let redisClient = null;
+
+function getRedisClient() {
+    if (!redisClient) {
+        if (!process.env.REDIS_URL) {
+            throw new Error('REDIS_URL is required when RATE_LIMIT_STORE=redis');
+        }
+        // Optional dependency — only needed when Redis is selected
+        const { createClient } = require('redis');
+        redisClient = createClient({ url: process.env.REDIS_URL });
+        redisClient.on('error', err => console.error('[RateLimit] Redis error:', err.message));
+        redisClient.connect().catch(err => console.error('[RateLimit] Redis connection failed:', err.message));
+    }
+    return redisClient;
+}
+
+/**
+ * Create the hit counter store for one limiter (see RATE_LIMIT_STORE).
+ * Returns undefined for 'memory' so express-rate-limit uses its own MemoryStore.
+ *
+ * @param {string} prefix - keeps the counters of different limiters apart, e.g. 'login:'
+ */
+function createRateLimitStore(prefix) {
+    const type = process.env.RATE_LIMIT_STORE || 'mongo';
+    switch (type) {
+        case 'memory':
+            return undefined;
+        case 'redis':
+            return new RedisStore({ client: getRedisClient(), prefix: `ratelimit:${prefix}` });
+        case 'mongo':
+            return new MongoStore({ prefix });
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${type}`);
+    }
+}
+
+/**
+ * Rate limit key for /api routes: the Keycloak `sub` of a valid access token,
+ * so a user's limit follows them across IPs and replicas; the client IP otherwise.
+ * The token is verified — an unverified `sub` could be forged to dodge the limit.
+ */
+async function userOrIpKey(req) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ')
+        ? authHeader.substring(7)
+        : req.cookies?.access_token;
+
+    if (token) {
+        try {
+            const { sub } = await verifyToken(token);
+            if (sub) return `user:${sub}`;
+        } catch {
+            // Expired or invalid token — limit by IP like anonymous requests
+        }
+    }
+    return `ip:${ipKeyGenerator(req.ip)}`;
+}
+
+module.exports = {
+    MongoStore,
+    RedisStore,
+    createRateLimitStore,
+    userOrIpKey,
+};
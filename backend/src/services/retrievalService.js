@@ -0,0 +1,314 @@
+const { GoogleGenAI } = require('@google/genai');
+const Passage = require('../models/Passage');
+const keyPool = require('./keyPool');
+const { downloadFileToBuffer } = require('./storageService');
+const { priceUsage, recordUsage } = require('./usageService');
+const { blockNoteToMarkdown } = require('../utils/blockNote');
+const { fromGeminiUsage } = require('../utils/usage');
+
+/**
+ * Retrieval over the user's documents and uploaded files.
+ *
+ * Sources are split into overlapping chunks, embedded with Gemini and stored as
+ * Passage records, under the workspace of their document. At question time the
+ * query is embedded and compared in-process (cosine similarity) against the
+ * passages the user can read — their own and those of their workspaces — so no
+ * vector database is needed at this scale. Indexing runs in the background and
+ * never fails the request that triggered it.
+ */
+
+const EMBEDDING_BATCH_SIZE = 100; // Gemini batchEmbedContents limit
+const CHUNK_CHARS = 1500;
+const CHUNK_OVERLAP_CHARS = 200;
+const MAX_CHUNKS_PER_SOURCE = 200;
+const MAX_PASSAGES_SCANNED = 5000;
+const EXTRACTION_MODEL = 'gemini-2.5-flash';
+// Embedding responses carry no token counts; they are estimated at ~4 characters per token
+const CHARS_PER_TOKEN = 4;
+// Edits (autosave) are re-indexed once the document has been quiet for this long
+const REINDEX_DELAY_MS = 30 * 1000;
+
+// Text-like uploads are indexed directly; PDFs are transcribed by Gemini first
+const TEXT_TYPES = ['text/csv', 'text/plain', 'text/markdown', 'application/csv'];
+const PDF_TYPE = 'application/pdf';
+
+function getEmbeddingModel() {
+    return process.env.EMBEDDING_MODEL || 'gemini-embedding-001';
+}
+
+function getEmbeddingDimensions() {
+    return parseInt(process.env.EMBEDDING_DIMENSIONS || '768', 10);
+}
+
+function isRetrievalEnabled() {
+    return process.env.RETRIEVAL_ENABLED !== 'false';
+}
+
+/**
+ * Split text into ~CHUNK_CHARS chunks on paragraph (then line, then hard) boundaries,
+ * repeating the last CHUNK_OVERLAP_CHARS of a chunk at the start of the next one.
+ */
+function chunkText(text, size = CHUNK_CHARS, overlap = CHUNK_OVERLAP_CHARS) {
+    const pieces = [];
+    for (const paragraph of (text || '').split(/\n\s*\n/)) {
+        const trimmed = paragraph.trim();
+        if (!trimmed) continue;
+        if (trimmed.length <= size) {
+            pieces.push(trimmed);
+            continue;
+        }
+        for (const line of trimmed.split('\n')) {
+            for (let i = 0; i < line.length; i += size) {
+                pieces.push(line.slice(i, i + size));
+            }
+        }
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length + 2 > size) {
+            chunks.push(current);
+            current = overlap > 0 ? current.slice(-overlap) : '';
+        }
+        current = current ? `${current}\n\n${piece}` : piece;
+    }
+    if (current.trim()) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Embed texts in batches. taskType is RETRIEVAL_DOCUMENT for passages, RETRIEVAL_QUERY for questions.
+ * The (estimated) token usage is recorded for `userId` under `kind`.
+ */
+async function embedTexts(texts, taskType, { userId, kind }) {
+    const apiKey = keyPool.acquireKey();
+    const ai = new GoogleGenAI({ apiKey });
+    const vectors = [];
+    try {
+        for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+            const result = await ai.models.embedContent({
+                model: getEmbeddingModel(),
+                contents: texts.slice(i, i + EMBEDDING_BATCH_SIZE),
+                config: { taskType, outputDimensionality: getEmbeddingDimensions() },
+            });
+            vectors.push(...result.embeddings.map(e => e.values));
+        }
+        keyPool.reportSuccess(apiKey);
+    } catch (err) {
+        keyPool.reportFailure(apiKey, err);
+        throw err;
+    }
+
+    const promptTokens = texts.reduce((sum, text) => sum + Math.ceil(text.length / CHARS_PER_TOKEN), 0);
+    recordUsage(userId, kind, priceUsage('google', getEmbeddingModel(), { promptTokens, totalTokens: promptTokens }));
+    return vectors;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Replace the passages of one source with freshly embedded chunks of `text`.
+ */
+async function indexText({ userId, workspaceId = null, sourceType, sourceId, title, text }) {
+    const chunks = chunkText(text).slice(0, MAX_CHUNKS_PER_SOURCE);
+    const embeddings = chunks.length > 0 ? await embedTexts(chunks, 'RETRIEVAL_DOCUMENT', { userId, kind: 'index' }) : [];
+    const model = getEmbeddingModel();
+
+    await Passage.deleteMany({ userId, sourceType, sourceId });
+    if (chunks.length > 0) {
+        await Passage.insertMany(chunks.map((chunk, index) => ({
+            userId, workspaceId, sourceType, sourceId, title, index, text: chunk, embedding: embeddings[index], model,
+        })));
+    }
+    return chunks.length;
+}
+
+/**
+ * (Re)index a Document. Errors are logged, not thrown.
+ *
+ * @param {{ _id, userId, workspaceId, title, content }} document
+ * @returns {Promise<number>} number of passages stored (0 on failure or when disabled)
+ */
+async function indexDocument(document) {
+    if (!isRetrievalEnabled()) return 0;
+    try {
+        const text = `# ${document.title}\n\n${blockNoteToMarkdown(document.content)}`;
+        return await indexText({
+            userId: document.userId,
+            workspaceId: document.workspaceId || null,
+            sourceType: 'document',
+            sourceId: document._id.toString(),
+            title: document.title,
+            text,
+        });
+    } catch (err) {
+        console.error(`[Retrieval] Failed to index document ${document._id}:`, err.message);
+        return 0;
+    }
+}
+
+const pendingReindex = new Map(); // documentId → timer
+
+/**
+ * Re-index a document after it stops changing, so autosave doesn't embed every keystroke.
+ */
+function scheduleDocumentIndex(document) {
+    if (!isRetrievalEnabled()) return;
+    const id = document._id.toString();
+    clearTimeout(pendingReindex.get(id));
+    const snapshot = {
+        _id: document._id,
+        userId: document.userId,
+        workspaceId: document.workspaceId,
+        title: document.title,
+        content: document.content,
+    };
+    const timer = setTimeout(() => {
+        pendingReindex.delete(id);
+        indexDocument(snapshot);
+    }, REINDEX_DELAY_MS);
+    timer.unref?.();
+    pendingReindex.set(id, timer);
+}
+
+/**
+ * Ask Gemini for the plain text of a PDF (there is no local PDF parser).
+ */
+async function extractPdfText(buffer, userId) {
+    const apiKey = keyPool.acquireKey();
+    const ai = new GoogleGenAI({ apiKey });
+    let result;
+    try {
+        result = await ai.models.generateContent({
+            model: EXTRACTION_MODEL,
+            contents: [{
+                role: 'user',
+                parts: [
+                    { inlineData: { mimeType: PDF_TYPE, data: buffer.toString('base64') } },
+                    { text: 'Transcribe the full text of this PDF as plain text. Keep headings and table rows on their own lines. Output only the text.' },
+                ],
+            }],
+        });
+        keyPool.reportSuccess(apiKey);
+    } catch (err) {
+        keyPool.reportFailure(apiKey, err);
+        throw err;
+    }
+    const usage = fromGeminiUsage(result.usageMetadata);
+    if (usage) {
+        recordUsage(userId, 'index', priceUsage('google', EXTRACTION_MODEL, usage));
+    }
+    return result.text || '';
+}
+
+/**
+ * Whether an uploaded file type can be indexed.
+ */
+function isIndexableFile(fileType) {
+    return TEXT_TYPES.includes(fileType) || fileType === PDF_TYPE;
+}
+
+/**
+ * Index an uploaded file. Errors are logged, not thrown.
+ *
+ * @param {{ fileId, fileName, fileType }} file - as returned by storageService.uploadFile
+ * @param {string} userId
+ * @param {Buffer} [buffer] - file contents when already in memory (otherwise downloaded)
+ * @returns {Promise<number>} number of passages stored
+ */
+async function indexFile({ fileId, fileName, fileType }, userId, buffer) {
+    if (!isRetrievalEnabled() || !isIndexableFile(fileType)) return 0;
+    try {
+        const data = buffer || await downloadFileToBuffer(fileId);
+        const text = fileType === PDF_TYPE ? await extractPdfText(data, userId) : data.toString('utf8');
+        return await indexText({ userId, sourceType: 'file', sourceId: fileId, title: fileName, text });
+    } catch (err) {
+        console.error(`[Retrieval] Failed to index file ${fileId}:`, err.message);
+        return 0;
+    }
+}
+
+/**
+ * Remove the passages of a deleted source.
+ */
+async function removeSource(userId, sourceType, sourceId) {
+    if (sourceType === 'document') {
+        clearTimeout(pendingReindex.get(String(sourceId)));
+        pendingReindex.delete(String(sourceId));
+    }
+    await Passage.deleteMany({ userId, sourceType, sourceId: String(sourceId) });
+}
+
+/**
+ * Top-k passages of the sources the user can read most similar to the query.
+ *
+ * @param {string} userId
+ * @param {string} query
+ * @param {object} [options]
+ * @param {object} [options.access] - the user's workspace access (workspaceService.getAccess);
+ *   without it only their personal sources are searched
+ * @param {number} [options.topK=5]
+ * @param {number} [options.minScore] - drop weaker matches (RETRIEVAL_MIN_SCORE, default 0.5)
+ * @returns {Promise<Array<{ sourceType, sourceId, title, text, score }>>}
+ */
+async function retrievePassages(userId, query, options = {}) {
+    const topK = options.topK || parseInt(process.env.RETRIEVAL_TOP_K || '5', 10);
+    const minScore = options.minScore ?? parseFloat(process.env.RETRIEVAL_MIN_SCORE || '0.5');
+    if (!query?.trim()) return [];
+
+    const scope = options.access ? options.access.filter() : { userId, workspaceId: null };
+    const passages = await Passage.find({ ...scope, model: getEmbeddingModel() })
+        .select('sourceType sourceId title text embedding')
+        .sort({ updatedAt: -1 })
+        .limit(MAX_PASSAGES_SCANNED)
+        .lean();
+    if (passages.length === 0) return [];
+
+    const [queryEmbedding] = await embedTexts([query], 'RETRIEVAL_QUERY', { userId, kind: 'retrieval' });
+    return passages
+        .map(p => ({
+            sourceType: p.sourceType,
+            sourceId: p.sourceId,
+            title: p.title,
+            text: p.text,
+            score: cosineSimilarity(queryEmbedding, p.embedding),
+        }))
+        .filter(p => p.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+}
+
+/**
+ * System-instruction block with numbered passages the answer should cite as [n].
+ */
+function formatPassagesForPrompt(passages) {
+    const sources = passages
+        .map((p, i) => `[${i + 1}] ${p.title || 'Untitled'} (${p.sourceType})\n${p.text}`)
+        .join('\n\n');
+    return 'Excerpts from the user\'s documents and files that may help answer. '
+        + 'When you use one, cite it inline as [n]. Ignore excerpts that are not relevant.\n\n'
+        + sources;
+}
+
+module.exports = {
+    chunkText,
+    cosineSimilarity,
+    isIndexableFile,
+    indexDocument,
+    scheduleDocumentIndex,
+    indexFile,
+    removeSource,
+    retrievePassages,
+    formatPassagesForPrompt,
+};
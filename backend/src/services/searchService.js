@@ -0,0 +1,174 @@
+const Session = require('../models/Session');
+const Document = require('../models/Document');
+const { getActivePath } = require('../utils/messageTree');
+const { flattenBlocks } = require('../utils/blockNote');
+
+/**
+ * Full-text search over the user's sessions (title + message content) and
+ * documents (title + block text), backed by MongoDB text indexes.
+ *
+ * MongoDB ranks the matches; snippets and highlight ranges are computed here
+ * from the query words, so they may miss a stemmed variant that the index
+ * matched (e.g. "ran" for "running") — the result is still returned, just
+ * without a highlighted snippet.
+ */
+
+const SNIPPET_CHARS = 160;
+const DEFAULT_LIMIT = 10;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Words to highlight: the query's words minus negated ones ("-draft").
+ * Common English suffixes are dropped so "plans" also highlights "plan".
+ */
+function parseTerms(query) {
+    return String(query)
+        .split(/\s+/)
+        .filter(word => word && !word.startsWith('-'))
+        .flatMap(word => word.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .map(term => {
+            const stem = term.replace(/(ing|ed|s)$/, '');
+            return stem.length >= 3 ? stem : term;
+        });
+}
+
+function termsRegExp(terms) {
+    if (terms.length === 0) return null;
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * Highlight ranges ([start, end) offsets) of every term in `text`.
+ */
+function findHighlights(text, regex) {
+    if (!regex || !text) return [];
+    return [...text.matchAll(regex)].map(m => [m.index, m.index + m[0].length]);
+}
+
+/**
+ * ~SNIPPET_CHARS of text around the first match, with highlight offsets
+ * relative to the snippet. Null when no term occurs in the text.
+ */
+function buildSnippet(text, regex) {
+    const highlights = findHighlights(text, regex);
+    if (highlights.length === 0) return null;
+
+    const [firstStart] = highlights[0];
+    let start = Math.max(0, firstStart - SNIPPET_CHARS / 3);
+    if (start > 0) {
+        // Start on a word boundary
+        const space = text.lastIndexOf(' ', firstStart);
+        start = space >= start ? space + 1 : start;
+    }
+    const end = Math.min(text.length, start + SNIPPET_CHARS);
+    const prefix = start > 0 ? '…' : '';
+
+    return {
+        text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+        highlights: highlights
+            .filter(([s, e]) => s >= start && e <= end)
+            .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]),
+    };
+}
+
+/**
+ * Best message of a session for the snippet: the first match on the branch
+ * the user is looking at, else a match on another branch.
+ */
+function findMessageMatch(session, regex) {
+    const activePath = getActivePath(session);
+    const activeIds = new Set(activePath.map(m => m._id.toString()));
+    const candidates = [...activePath, ...session.messages.filter(m => !activeIds.has(m._id.toString()))];
+
+    for (const message of candidates) {
+        const snippet = buildSnippet(message.content || '', regex);
+        if (snippet) {
+            return { messageId: message._id.toString(), role: message.role, snippet };
+        }
+    }
+    return null;
+}
+
+function findBlockMatch(document, regex) {
+    for (const block of flattenBlocks(document.content)) {
+        const snippet = buildSnippet(block.text, regex);
+        if (snippet) {
+            return { blockId: block.id, snippet };
+        }
+    }
+    return null;
+}
+
+/**
+ * Search the user's sessions and documents.
+ *
+ * @param {string} userId
+ * @param {string} query - MongoDB $text syntax: words, "exact phrases", -excluded
+ * @param {{ limit?: number }} [options] - max results per kind
+ * @returns {Promise<object[]>} results sorted by relevance, each
+ *   { type: 'session'|'document', id, title, titleHighlights, snippet, messageId|blockId, link, updatedAt, score }
+ */
+async function search(userId, query, { limit = DEFAULT_LIMIT } = {}) {
+    const regex = termsRegExp(parseTerms(query));
+    const textQuery = { userId, $text: { $search: query } };
+    const byScore = { score: { $meta: 'textScore' } };
+
+    const [sessions, documents] = await Promise.all([
+        Session.find(textQuery, byScore)
+            .select('title messages activeLeafId updatedAt')
+            .sort(byScore)
+            .limit(limit)
+            .lean(),
+        Document.find(textQuery, byScore)
+            .select('title type content updatedAt')
+            .sort(byScore)
+            .limit(limit)
+            .lean(),
+    ]);
+
+    const sessionResults = sessions.map(session => {
+        const id = session._id.toString();
+        const match = findMessageMatch(session, regex);
+        return {
+            type: 'session',
+            id,
+            title: session.title,
+            titleHighlights: findHighlights(session.title, regex),
+            snippet: match?.snippet || null,
+            messageId: match?.messageId || null,
+            role: match?.role || null,
+            link: match ? `/chat/${id}?message=${match.messageId}` : `/chat/${id}`,
+            updatedAt: session.updatedAt,
+            score: session.score,
+        };
+    });
+
+    const documentResults = documents.map(document => {
+        const id = document._id.toString();
+        const match = findBlockMatch(document, regex);
+        return {
+            type: 'document',
+            id,
+            title: document.title,
+            documentType: document.type,
+            titleHighlights: findHighlights(document.title, regex),
+            snippet: match?.snippet || null,
+            blockId: match?.blockId || null,
+            link: match?.blockId ? `/documents/${id}?block=${encodeURIComponent(match.blockId)}` : `/documents/${id}`,
+            updatedAt: document.updatedAt,
+            score: document.score,
+        };
+    });
+
+    return [...sessionResults, ...documentResults].sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    search,
+    parseTerms,
+    termsRegExp,
+    buildSnippet,
+};
@@ -0,0 +1,187 @@
+const PDFDocument = require('pdfkit');
+const { getActivePath } = require('../utils/messageTree');
+
+/**
+ * Chat session export (GET /api/sessions/:id/export).
+ *
+ * Exports the branch the user is looking at — the same messages the chat
+ * shows — with roles, timestamps, attachment links and the documents
+ * generated in the session. Attachment links point at the authenticated
+ * download endpoint, so they open for the session's owner.
+ *
+ * The PDF uses PDFKit's built-in Helvetica, which only covers Latin-1:
+ * characters outside it (emoji, CJK) don't render.
+ */
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+};
+
+const ROLE_LABELS = { user: 'User', assistant: 'Assistant' };
+
+/**
+ * "2026-03-01 14:05 UTC"
+ */
+function formatTimestamp(date) {
+    if (!date) return '';
+    return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+/**
+ * Format-independent view of the conversation, also the JSON export.
+ *
+ * @param {object} session - Session (lean or document)
+ * @param {object[]} documents - Documents generated in the session ({ _id, title, type })
+ * @param {{ baseUrl?: string }} [options] - Origin prepended to attachment links
+ */
+function buildTranscript(session, documents = [], { baseUrl = '' } = {}) {
+    return {
+        id: session._id.toString(),
+        title: session.title,
+        model: session.model || null,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        exportedAt: new Date(),
+        messages: getActivePath(session).map(m => ({
+            id: m._id.toString(),
+            role: m.role,
+            content: m.content || '',
+            model: m.model || null,
+            createdAt: m.createdAt || null,
+            attachments: (m.attachments || []).map(a => ({
+                fileName: a.fileName,
+                fileType: a.fileType,
+                fileSize: a.fileSize,
+                url: `${baseUrl}${a.downloadUrl}`,
+            })),
+        })),
+        documents: documents.map(d => ({
+            id: d._id.toString(),
+            title: d.title,
+            type: d.type,
+        })),
+    };
+}
+
+function messageHeading(message) {
+    const role = ROLE_LABELS[message.role] || message.role;
+    const model = message.role === 'assistant' && message.model ? ` (${message.model})` : '';
+    const time = message.createdAt ? ` — ${formatTimestamp(message.createdAt)}` : '';
+    return `${role}${model}${time}`;
+}
+
+function attachmentLabel(attachment) {
+    return `${attachment.fileName} (${attachment.fileType}, ${formatSize(attachment.fileSize)})`;
+}
+
+/**
+ * Markdown transcript; message content is already markdown and is kept as is.
+ */
+function transcriptToMarkdown(transcript) {
+    const lines = [
+        `# ${transcript.title}`,
+        '',
+        `_Exported ${formatTimestamp(transcript.exportedAt)} · Started ${formatTimestamp(transcript.createdAt)}_`,
+    ];
+
+    for (const message of transcript.messages) {
+        lines.push('', '---', '', `### ${messageHeading(message)}`, '', message.content);
+        if (message.attachments.length > 0) {
+            lines.push('', '**Attachments:**');
+            for (const attachment of message.attachments) {
+                lines.push(`- [${attachmentLabel(attachment)}](${attachment.url})`);
+            }
+        }
+    }
+
+    if (transcript.documents.length > 0) {
+        lines.push('', '---', '', '## Linked documents', '');
+        for (const document of transcript.documents) {
+            lines.push(`- ${document.title} (${document.type})`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * PDF transcript; message content is printed as plain text.
+ * @returns {Promise<Buffer>}
+ */
+function transcriptToPdf(transcript) {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({ margin: 50, info: { Title: transcript.title } });
+        const chunks = [];
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+
+        pdf.font('Helvetica-Bold').fontSize(18).text(transcript.title);
+        pdf.font('Helvetica').fontSize(9).fillColor('gray')
+            .text(`Exported ${formatTimestamp(transcript.exportedAt)} · Started ${formatTimestamp(transcript.createdAt)}`);
+
+        for (const message of transcript.messages) {
+            pdf.moveDown(1.2);
+            pdf.font('Helvetica-Bold').fontSize(11).fillColor('black').text(messageHeading(message));
+            pdf.moveDown(0.3);
+            pdf.font('Helvetica').fontSize(10).text(message.content || ' ');
+            for (const attachment of message.attachments) {
+                pdf.moveDown(0.2);
+                pdf.fontSize(9).fillColor('blue')
+                    .text(`Attachment: ${attachmentLabel(attachment)}`, { link: attachment.url, underline: true });
+            }
+        }
+
+        if (transcript.documents.length > 0) {
+            pdf.moveDown(1.5);
+            pdf.font('Helvetica-Bold').fontSize(12).fillColor('black').text('Linked documents');
+            pdf.font('Helvetica').fontSize(10);
+            for (const document of transcript.documents) {
+                pdf.text(`• ${document.title} (${document.type})`);
+            }
+        }
+
+        pdf.end();
+    });
+}
+
+/**
+ * Render a session in one of EXPORT_FORMATS.
+ *
+ * @param {object} session
+ * @param {object[]} documents - Documents generated in the session
+ * @param {'markdown'|'json'|'pdf'} format
+ * @param {{ baseUrl?: string }} [options]
+ * @returns {Promise<{ body: string|Buffer, contentType: string, filename: string }>}
+ */
+async function exportSession(session, documents, format, options) {
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    const transcript = buildTranscript(session, documents, options);
+
+    let body;
+    if (format === 'pdf') {
+        body = await transcriptToPdf(transcript);
+    } else if (format === 'json') {
+        body = JSON.stringify(transcript, null, 2);
+    } else {
+        body = transcriptToMarkdown(transcript);
+    }
+
+    const name = transcript.title.replace(/[^a-zA-Z0-9-_ ]/g, '').trim() || 'chat';
+    return { body, contentType, filename: `${name}.${extension}` };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildTranscript,
+    transcriptToMarkdown,
+    exportSession,
+};
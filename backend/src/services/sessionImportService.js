@@ -0,0 +1,216 @@
+const Session = require('../models/Session');
+
+/**
+ * Conversation import (POST /api/sessions/import).
+ *
+ * Two formats are recognised:
+ *   - ChatGPT `conversations.json` (Settings → Data controls → Export): an array
+ *     of conversations whose messages form a tree in `mapping`. Only the branch
+ *     ending at `current_node` — what ChatGPT showed last — is imported.
+ *   - Dragon JSON: the JSON session export (GET /api/sessions/:id/export?format=json),
+ *     a single session, an array of them or `{ conversations: [...] }`.
+ *
+ * Both are first normalised to { externalId, title, createdAt, updatedAt,
+ * messages: [{ role, content, model, createdAt }] }. Timestamps are kept, and a
+ * conversation that was imported before (same source and externalId) is skipped.
+ * Attachments are not imported: their files live in the other account.
+ */
+
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Date from an ISO string, Date or Unix seconds (ChatGPT); null when invalid.
+ */
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function cleanTitle(title) {
+    const text = typeof title === 'string' ? title.trim() : '';
+    return (text || 'Imported chat').slice(0, MAX_TITLE_LENGTH);
+}
+
+/**
+ * Consecutive messages of the same role (e.g. ChatGPT answers split around a
+ * tool call) become one, so the session alternates like a native one.
+ */
+function mergeConsecutive(messages) {
+    const merged = [];
+    for (const message of messages) {
+        const last = merged[merged.length - 1];
+        if (last && last.role === message.role) {
+            last.content = `${last.content}\n\n${message.content}`;
+            last.model = last.model || message.model;
+        } else {
+            merged.push({ ...message });
+        }
+    }
+    return merged;
+}
+
+// --- ChatGPT ---
+
+function isChatGptExport(data) {
+    return Array.isArray(data) && data.length > 0 && data.every(c => c && typeof c.mapping === 'object');
+}
+
+/**
+ * Visible text of a ChatGPT message, or '' for anything we don't import
+ * (system prompts, tool calls and results, hidden context).
+ */
+function chatGptText(message) {
+    if (!message || !['user', 'assistant'].includes(message.author?.role)) return '';
+    if (message.recipient && message.recipient !== 'all') return '';
+    if (message.metadata?.is_visually_hidden_from_conversation) return '';
+
+    const { content } = message;
+    if (!content || !['text', 'multimodal_text'].includes(content.content_type)) return '';
+    return (content.parts || [])
+        .map(part => (typeof part === 'string' ? part : '[Image not imported]'))
+        .join('\n')
+        .trim();
+}
+
+function normalizeChatGptConversation(conversation) {
+    const { mapping } = conversation;
+
+    // Walk up from the current node to the root, then read top-down
+    const path = [];
+    const seen = new Set();
+    let nodeId = conversation.current_node;
+    while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+        seen.add(nodeId);
+        path.unshift(mapping[nodeId]);
+        nodeId = mapping[nodeId].parent;
+    }
+
+    const messages = path
+        .map(node => {
+            const content = chatGptText(node.message);
+            if (!content) return null;
+            const slug = node.message.metadata?.model_slug;
+            return {
+                role: node.message.author.role,
+                content,
+                model: node.message.author.role === 'assistant' && slug ? `openai/${slug}` : undefined,
+                createdAt: toDate(node.message.create_time),
+            };
+        })
+        .filter(Boolean);
+
+    return {
+        externalId: conversation.conversation_id || conversation.id || null,
+        title: cleanTitle(conversation.title),
+        createdAt: toDate(conversation.create_time),
+        updatedAt: toDate(conversation.update_time),
+        messages: mergeConsecutive(messages),
+    };
+}
+
+// --- Dragon JSON ---
+
+function dragonConversations(data) {
+    const list = Array.isArray(data) ? data : Array.isArray(data?.conversations) ? data.conversations : [data];
+    const valid = list.length > 0 && list.every(c => c && Array.isArray(c.messages));
+    return valid ? list : null;
+}
+
+function normalizeDragonConversation(conversation) {
+    const messages = conversation.messages
+        .filter(m => m && ['user', 'assistant'].includes(m.role) && typeof m.content === 'string' && m.content.trim())
+        .map(m => ({
+            role: m.role,
+            content: m.content,
+            model: m.role === 'assistant' && typeof m.model === 'string' ? m.model : undefined,
+            createdAt: toDate(m.createdAt),
+        }));
+
+    return {
+        externalId: conversation.id ? String(conversation.id) : null,
+        title: cleanTitle(conversation.title),
+        createdAt: toDate(conversation.createdAt),
+        updatedAt: toDate(conversation.updatedAt),
+        messages: mergeConsecutive(messages),
+    };
+}
+
+/**
+ * Detect the format of an uploaded export and normalise its conversations.
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {{ source: 'chatgpt'|'dragon', conversations: object[] } | { error: string }}
+ */
+function parseImport(data) {
+    if (isChatGptExport(data)) {
+        return { source: 'chatgpt', conversations: data.map(normalizeChatGptConversation) };
+    }
+    const dragon = dragonConversations(data);
+    if (dragon) {
+        return { source: 'dragon', conversations: dragon.map(normalizeDragonConversation) };
+    }
+    return { error: 'Unrecognised file: expected a ChatGPT conversations.json or a Dragon JSON export' };
+}
+
+/**
+ * Save one normalised conversation as a session (messages on a single branch).
+ *
+ * @param {string} userId
+ * @param {string} source - 'chatgpt' | 'dragon'
+ * @param {object} conversation - From parseImport
+ * @param {ObjectId|null} [workspaceId] - Workspace to import into (null = personal)
+ * @returns {Promise<{ title: string, status: 'imported'|'skipped'|'failed', sessionId?: string, messages?: number, error?: string }>}
+ */
+async function importConversation(userId, source, conversation, workspaceId = null) {
+    const { title, externalId, messages } = conversation;
+    if (messages.length === 0) {
+        return { title, status: 'skipped', error: 'No messages to import' };
+    }
+
+    try {
+        if (externalId) {
+            const existing = await Session.findOne({
+                userId,
+                workspaceId,
+                'importedFrom.source': source,
+                'importedFrom.externalId': externalId,
+            }).select('_id').lean();
+            if (existing) {
+                return { title, status: 'skipped', sessionId: existing._id.toString(), error: 'Already imported' };
+            }
+        }
+
+        // Missing timestamps fall back to the neighbouring ones, so the order is kept
+        const createdAt = conversation.createdAt || messages.find(m => m.createdAt)?.createdAt || new Date();
+        let previous = createdAt;
+        const session = new Session({
+            userId,
+            workspaceId,
+            title,
+            importedFrom: { source, externalId, importedAt: new Date() },
+        });
+        for (const message of messages) {
+            previous = message.createdAt || previous;
+            session.messages.push({
+                ...message,
+                parentId: session.messages.length > 0 ? session.messages[session.messages.length - 1]._id : null,
+                createdAt: previous,
+            });
+        }
+        session.activeLeafId = session.messages[session.messages.length - 1]._id;
+        session.createdAt = createdAt;
+        session.updatedAt = conversation.updatedAt || previous;
+
+        await session.save({ timestamps: false });
+        return { title, status: 'imported', sessionId: session._id.toString(), messages: messages.length };
+    } catch (err) {
+        console.error('[Import] Conversation error:', err.message);
+        return { title, status: 'failed', error: 'Failed to save conversation' };
+    }
+}
+
+module.exports = {
+    parseImport,
+    importConversation,
+};
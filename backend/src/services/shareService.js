@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const ShareLink = require('../models/ShareLink');
+const Session = require('../models/Session');
+const { getActivePath } = require('../utils/messageTree');
+
+/**
+ * Read-only share links for sessions.
+ *
+ * A link shows the conversation as it was when it was created: the branch
+ * ending at the message that was active then, so later messages stay private.
+ * The public snapshot leaves out everything but the conversation itself — no
+ * user or persona details, usage, tool calls or citations — and attachments
+ * only when the link was created with includeAttachments.
+ */
+
+function generateToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Whether a share link can still be opened.
+ */
+function isShareActive(share, now = new Date()) {
+    return !share.revokedAt && (!share.expiresAt || share.expiresAt > now);
+}
+
+/**
+ * The active share link for a token together with its (non-deleted) session, or null.
+ * @param {string} token
+ * @returns {Promise<{ share: object, session: object } | null>}
+ */
+async function findSharedSession(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const share = await ShareLink.findOne({ token }).lean();
+    if (!share || !isShareActive(share)) return null;
+
+    const session = await Session.findById(share.sessionId).lean();
+    if (!session) return null;
+
+    return { share, session };
+}
+
+/**
+ * Messages visible through a share link (the branch shared).
+ */
+function getSharedMessages(share, session) {
+    return getActivePath({ ...session, activeLeafId: share.leafMessageId || session.activeLeafId });
+}
+
+/**
+ * Public JSON snapshot of a shared session.
+ */
+function buildSharedSnapshot(share, session) {
+    const messages = getSharedMessages(share, session);
+    return {
+        title: session.title,
+        sharedAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        includeAttachments: share.includeAttachments,
+        messages: messages.map(m => ({
+            id: m._id,
+            role: m.role,
+            content: m.content,
+            model: m.model || null,
+            createdAt: m.createdAt,
+            attachments: share.includeAttachments
+                ? (m.attachments || []).map(a => ({
+                    fileName: a.fileName,
+                    fileType: a.fileType,
+                    fileSize: a.fileSize,
+                    downloadUrl: `/api/shared/${share.token}/attachments/${encodeURIComponent(a.fileId)}`,
+                }))
+                : [],
+        })),
+    };
+}
+
+/**
+ * Whether fileId is attached to a message visible through the share link.
+ */
+function isSharedAttachment(share, session, fileId) {
+    if (!share.includeAttachments) return false;
+    return getSharedMessages(share, session).some(m => (m.attachments || []).some(a => a.fileId === fileId));
+}
+
+module.exports = {
+    generateToken,
+    isShareActive,
+    findSharedSession,
+    buildSharedSnapshot,
+    isSharedAttachment,
+};
@@ -120,6 +120,16 @@ async function downloadFileToBuffer(fileId) {
     return buffer;
 }
 
+/**
+ * Delete a file from GCS. Deleting a file that no longer exists is not an error.
+ * @param {string} fileId - The GCS object path
+ * @returns {Promise<void>}
+ */
+async function deleteFile(fileId) {
+    const { bucket } = getStorage();
+    await bucket.file(fileId).delete({ ignoreNotFound: true });
+}
+
 /**
  * Check if a file exists in GCS and belongs to a specific user.
  * @param {string} fileId - The GCS object path
@@ -138,6 +148,7 @@ module.exports = {
     uploadFile,
     getSignedDownloadUrl,
     downloadFileToBuffer,
+    deleteFile,
     verifyFileOwnership,
     getMaxUploadBytes,
     ALLOWED_MIME_TYPES,
@@ -0,0 +1,147 @@
+/**
+ * Per-message buffers for in-flight chat answers.
+ *
+ * Every SSE event of an answer is recorded under the assistant message ID with
+ * an increasing event ID, so a client that lost its connection can reattach via
+ * GET /api/chat/stream/:messageId and replay what it missed (Last-Event-ID).
+ * Generation itself keeps running when no client is attached; it only stops
+ * early when cancelled (POST /api/chat/:sessionId/cancel).
+ *
+ * Buffers live in process memory: a client has to reattach to the instance that
+ * is generating the answer (sticky sessions when running several instances).
+ * Finished buffers are kept for a short while so late reconnects can still
+ * replay the end of the answer.
+ */
+
+const RETENTION_MS = 5 * 60 * 1000;
+
+// messageId → { userId, sessionId, events: [{ id, data }], done, listeners: Set, controller }
+const streams = new Map();
+
+/**
+ * Start buffering events for an answer.
+ *
+ * @returns {AbortSignal} aborted when the answer is cancelled
+ */
+function createStream(messageId, { userId, sessionId }) {
+    const controller = new AbortController();
+    streams.set(messageId, {
+        userId,
+        sessionId,
+        events: [],
+        done: false,
+        listeners: new Set(),
+        controller,
+    });
+    return controller.signal;
+}
+
+/**
+ * Cancel an answer that is still being generated.
+ *
+ * @returns {boolean} false when the stream is unknown or already finished
+ */
+function cancelStream(messageId) {
+    const stream = streams.get(messageId);
+    if (!stream || stream.done) return false;
+    stream.controller.abort();
+    return true;
+}
+
+/**
+ * Record an event and deliver it to attached clients.
+ *
+ * @param {string} messageId
+ * @param {string} data - serialized `data:` payload (JSON or '[DONE]')
+ * @returns {number|null} the event ID, or null when the stream is gone or finished
+ */
+function pushEvent(messageId, data) {
+    const stream = streams.get(messageId);
+    if (!stream || stream.done) return null;
+
+    const event = { id: stream.events.length + 1, data };
+    stream.events.push(event);
+    for (const listener of stream.listeners) {
+        listener.onEvent(event);
+    }
+    return event.id;
+}
+
+/**
+ * Mark an answer as finished: attached clients are ended and the buffer is
+ * dropped after the retention period.
+ */
+function finishStream(messageId) {
+    const stream = streams.get(messageId);
+    if (!stream || stream.done) return;
+
+    stream.done = true;
+    for (const listener of stream.listeners) {
+        listener.onEnd();
+    }
+    stream.listeners.clear();
+
+    const timer = setTimeout(() => streams.delete(messageId), RETENTION_MS);
+    timer.unref?.();
+}
+
+/**
+ * Replay buffered events after `lastEventId`, then follow live events until the
+ * answer finishes. Returns a function that detaches the listener.
+ *
+ * @param {string} messageId
+ * @param {number} lastEventId - last event the client has seen (0 for all)
+ * @param {(event: { id: number, data: string }) => void} onEvent
+ * @param {() => void} onEnd
+ * @returns {() => void} detach
+ */
+function subscribe(messageId, lastEventId, onEvent, onEnd) {
+    const stream = streams.get(messageId);
+    if (!stream) {
+        onEnd();
+        return () => { };
+    }
+
+    for (const event of stream.events) {
+        if (event.id > lastEventId) onEvent(event);
+    }
+
+    if (stream.done) {
+        onEnd();
+        return () => { };
+    }
+
+    const listener = { onEvent, onEnd };
+    stream.listeners.add(listener);
+    return () => stream.listeners.delete(listener);
+}
+
+/**
+ * Buffer metadata ({ userId, sessionId, done }) or null.
+ */
+function getStream(messageId) {
+    const stream = streams.get(messageId);
+    if (!stream) return null;
+    return { userId: stream.userId, sessionId: stream.sessionId, done: stream.done };
+}
+
+/**
+ * ID of the answer still being generated for a session, if any.
+ */
+function findActiveStream(sessionId) {
+    const target = sessionId.toString();
+    for (const [messageId, stream] of streams) {
+        if (!stream.done && stream.sessionId === target) return messageId;
+    }
+    return null;
+}
+
+module.exports = {
+    createStream,
+    pushEvent,
+    finishStream,
+    cancelStream,
+    subscribe,
+    getStream,
+    findActiveStream,
+};
@@ -0,0 +1,68 @@
+const { GoogleGenAI } = require('@google/genai');
+const keyPool = require('./keyPool');
+const { priceUsage, recordUsage } = require('./usageService');
+const { fromGeminiUsage } = require('../utils/usage');
+
+const SUMMARY_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Generate (or extend) a rolling summary of older conversation turns.
+ *
+ * When a previous summary exists only the newly dropped turns are sent,
+ * so the cost of refreshing stays proportional to what changed.
+ * Uses the cheapest Gemini model for efficiency.
+ * Returns null if AI fails — callers then simply drop the older turns.
+ *
+ * @param {string|null} previousSummary - Summary covering turns before `messages`
+ * @param {Array<{ role: string, content: string, attachments?: Array }>} messages - Turns to fold in
+ * @param {object} [options]
+ * @param {string} [options.userId] - user the token usage is recorded for
+ * @returns {Promise<string|null>}
+ */
+async function generateSummary(previousSummary, messages, { userId } = {}) {
+    if (messages.length === 0) {
+        return previousSummary || null;
+    }
+
+    const transcript = messages.map(m => {
+        const files = m.attachments && m.attachments.length > 0
+            ? ` [attached: ${m.attachments.map(a => a.fileName).join(', ')}]`
+            : '';
+        return `${m.role}: ${m.content}${files}`;
+    }).join('\n');
+
+    const prompt = previousSummary
+        ? `Here is a summary of the earlier part of a conversation:\n${previousSummary}\n\nUpdate the summary so it also covers these later turns:\n${transcript}`
+        : `Summarize this conversation:\n${transcript}`;
+
+    let apiKey = null;
+    try {
+        apiKey = keyPool.acquireKey();
+        const ai = new GoogleGenAI({ apiKey });
+
+        const result = await ai.models.generateContent({
+            model: SUMMARY_MODEL,
+            contents: [{
+                role: 'user',
+                parts: [{
+                    text: `${prompt}\n\nWrite a concise summary (max 250 words) that preserves facts, decisions, names, numbers, code identifiers and open questions the assistant will need to continue the conversation. Only output the summary, nothing else.`,
+                }],
+            }],
+        });
+        keyPool.reportSuccess(apiKey);
+
+        const usage = fromGeminiUsage(result.usageMetadata);
+        if (usage && userId) {
+            recordUsage(userId, 'summary', priceUsage('google', SUMMARY_MODEL, usage));
+        }
+
+        const summary = result.text?.trim();
+        return summary || null;
+    } catch (err) {
+        if (apiKey) keyPool.reportFailure(apiKey, err);
+        console.error('[SummaryGenerator] Failed to generate summary:', err.message);
+        return null;
+    }
+}
+
+module.exports = { generateSummary };
@@ -1,5 +1,9 @@
 const { GoogleGenAI } = require('@google/genai');
-const { getNextApiKey } = require('./aiProvider');
+const keyPool = require('./keyPool');
+const { priceUsage, recordUsage } = require('./usageService');
+const { fromGeminiUsage } = require('../utils/usage');
+
+const TITLE_MODEL = 'gemini-2.5-flash';
 
 /**
  * Generate a short title (5-7 words) for a chat session
@@ -7,8 +11,12 @@ const { getNextApiKey } = require('./aiProvider');
  *
  * Uses the cheapest Gemini model for efficiency.
  * Falls back to truncating the first user message if AI fails.
+ *
+ * @param {Array} messages
+ * @param {object} [options]
+ * @param {string} [options.userId] - user the token usage is recorded for
  */
-async function generateTitle(messages) {
+async function generateTitle(messages, { userId } = {}) {
     // Need at least one user message
     const firstUserMsg = messages.find(m => m.role === 'user');
     if (!firstUserMsg) {
@@ -18,12 +26,13 @@ async function generateTitle(messages) {
     const fallbackTitle = firstUserMsg.content.slice(0, 50).trim() +
         (firstUserMsg.content.length > 50 ? '...' : '');
 
+    let apiKey = null;
     try {
-        const apiKey = getNextApiKey();
+        apiKey = keyPool.acquireKey();
         const ai = new GoogleGenAI({ apiKey });
 
         const result = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
+            model: TITLE_MODEL,
             contents: [{
                 role: 'user',
                 parts: [{
@@ -31,6 +40,12 @@ async function generateTitle(messages) {
                 }],
             }],
         });
+        keyPool.reportSuccess(apiKey);
+
+        const usage = fromGeminiUsage(result.usageMetadata);
+        if (usage && userId) {
+            recordUsage(userId, 'title', priceUsage('google', TITLE_MODEL, usage));
+        }
 
         const title = result.text?.trim();
         if (title && title.length > 0 && title.length < 100) {
@@ -39,6 +54,7 @@ async function generateTitle(messages) {
 
         return fallbackTitle;
     } catch (err) {
+        if (apiKey) keyPool.reportFailure(apiKey, err);
         console.error('[TitleGenerator] Failed to generate title:', err.message);
         return fallbackTitle;
     }
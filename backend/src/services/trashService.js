@@ -0,0 +1,200 @@
+const Session = require('../models/Session');
+const Document = require('../models/Document');
+const ShareLink = require('../models/ShareLink');
+const DocumentUpdate = require('../models/DocumentUpdate');
+const DocumentVersion = require('../models/DocumentVersion');
+const { deleteFile } = require('./storageService');
+const { removeSource } = require('./retrievalService');
+
+/**
+ * Trash retention and purging.
+ *
+ * Deleted sessions and documents keep a `deletedAt` date (see utils/softDelete.js)
+ * and can be restored until they are purged: automatically TRASH_RETENTION_DAYS
+ * after deletion, or right away from the Trash view. Purging also removes the
+ * GCS objects they own — chat attachments and document assets — their
+ * retrieval passages, a session's share links and a document's collaborative
+ * editing state and version history. A record whose files could
+ * not all be removed is kept, so the next run retries instead of orphaning them.
+ * An upload can be attached in several sessions; its file is only removed with
+ * the last session or document that uses it.
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const IN_TRASH = { $ne: null };
+
+function getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * When an item deleted at `deletedAt` will be purged automatically.
+ */
+function getPurgeAt(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + getRetentionDays() * DAY_MS);
+}
+
+/**
+ * Delete GCS objects, logging failures. Resolves to true when all are gone.
+ */
+async function deleteFiles(fileIds) {
+    let ok = true;
+    for (const fileId of new Set(fileIds)) {
+        try {
+            await deleteFile(fileId);
+        } catch (err) {
+            console.error(`[Trash] Failed to delete file ${fileId}:`, err.message);
+            ok = false;
+        }
+    }
+    return ok;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The fileIds also used by another session or by a document, live or in the trash.
+ */
+async function findFilesInUse(fileIds, sessionId) {
+    if (fileIds.length === 0) return new Set();
+
+    const sessionFilter = { _id: { $ne: sessionId }, 'messages.attachments.fileId': { $in: fileIds } };
+    // Asset IDs are object paths or gs:// URLs of them
+    const documentFilter = { 'assets.assetId': { $in: fileIds.map(id => new RegExp(`(^|/)${escapeRegExp(id)}$`)) } };
+    const used = (await Promise.all([
+        Session.distinct('messages.attachments.fileId', sessionFilter),
+        Session.distinct('messages.attachments.fileId', { ...sessionFilter, deletedAt: IN_TRASH }),
+        Document.distinct('assets.assetId', documentFilter),
+        Document.distinct('assets.assetId', { ...documentFilter, deletedAt: IN_TRASH }),
+    ])).flat();
+
+    return new Set(fileIds.filter(id => used.some(u => u === id || u.endsWith(`/${id}`))));
+}
+
+/**
+ * Permanently delete a trashed session, its uploaded attachments and share links.
+ * Attachments another session or document still uses are left in place.
+ * @returns {Promise<boolean>} false when it was kept (restored meanwhile, or files left to retry)
+ */
+async function purgeSession(session) {
+    const attached = [...new Set(session.messages.flatMap(m => (m.attachments || []).map(a => a.fileId)))];
+    const inUse = await findFilesInUse(attached, session._id);
+    const fileIds = attached.filter(fileId => !inUse.has(fileId));
+    if (!(await deleteFiles(fileIds))) return false;
+
+    await Promise.all(fileIds.map(fileId => removeSource(session.userId, 'file', fileId)));
+    const result = await Session.deleteOne({ _id: session._id, deletedAt: IN_TRASH });
+    if (result.deletedCount === 0) return false;
+
+    await ShareLink.deleteMany({ sessionId: session._id });
+    return true;
+}
+
+/**
+ * Permanently delete a trashed document, its image assets, collaborative editing state and versions.
+ * @returns {Promise<boolean>} false when it was kept (restored meanwhile, or files left to retry)
+ */
+async function purgeDocument(document) {
+    if (!(await deleteFiles((document.assets || []).map(a => a.assetId)))) return false;
+
+    await removeSource(document.userId, 'document', document._id.toString());
+    const result = await Document.deleteOne({ _id: document._id, deletedAt: IN_TRASH });
+    if (result.deletedCount === 0) return false;
+
+    await DocumentUpdate.deleteMany({ documentId: document._id });
+    await DocumentVersion.deleteMany({ documentId: document._id });
+    return true;
+}
+
+/**
+ * Purge the records of one model matching filter, PURGE_BATCH_SIZE at a time.
+ * Only one batch unless untilEmpty; records that were kept are not retried.
+ * @returns {Promise<number>} number of records purged
+ */
+async function purgeBatches(Model, filter, fields, purge, untilEmpty) {
+    let purged = 0;
+    const kept = [];
+    for (;;) {
+        const records = await Model.find(kept.length > 0 ? { ...filter, _id: { $nin: kept } } : filter)
+            .select(fields)
+            .limit(PURGE_BATCH_SIZE)
+            .lean();
+        for (const record of records) {
+            if (await purge(record)) purged++;
+            else kept.push(record._id);
+        }
+        if (!untilEmpty || records.length < PURGE_BATCH_SIZE) return purged;
+    }
+}
+
+async function purgeAll(filter, { untilEmpty = false } = {}) {
+    filter = { deletedAt: IN_TRASH, ...filter };
+    return {
+        sessions: await purgeBatches(Session, filter, 'userId messages.attachments', purgeSession, untilEmpty),
+        documents: await purgeBatches(Document, filter, 'userId assets', purgeDocument, untilEmpty),
+    };
+}
+
+/**
+ * Purge everything that has been in the trash longer than the retention period.
+ * Works in batches; anything left over is picked up by the next run.
+ * @param {Date} [now]
+ * @returns {Promise<{ sessions: number, documents: number }>}
+ */
+async function purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+    return purgeAll({ deletedAt: { $ne: null, $lte: cutoff } });
+}
+
+/**
+ * Purge a whole trash now — a user's personal one or a workspace's — batch after batch.
+ * `remaining` counts what is still in it, e.g. items whose files could not be deleted yet.
+ * @param {object} scope - from workspaceService.getScopeFilter
+ * @returns {Promise<{ purged: { sessions, documents }, remaining: { sessions, documents } }>}
+ */
+async function emptyTrash(scope) {
+    const purged = await purgeAll(scope, { untilEmpty: true });
+    const filter = { deletedAt: IN_TRASH, ...scope };
+    const [sessions, documents] = await Promise.all([
+        Session.countDocuments(filter),
+        Document.countDocuments(filter),
+    ]);
+    return { purged, remaining: { sessions, documents } };
+}
+
+/**
+ * Run purgeExpired now and then every TRASH_PURGE_INTERVAL_MS (default 1 hour).
+ * Safe to run on every replica — purging the same item twice is a no-op.
+ */
+function startPurgeJob() {
+    const intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || DEFAULT_PURGE_INTERVAL_MS;
+    const run = async () => {
+        try {
+            const { sessions, documents } = await purgeExpired();
+            if (sessions || documents) {
+                console.log(`[Trash] Purged ${sessions} session(s) and ${documents} document(s)`);
+            }
+        } catch (err) {
+            console.error('[Trash] Purge failed:', err.message);
+        }
+    };
+    run();
+    return setInterval(run, intervalMs).unref();
+}
+
+module.exports = {
+    getRetentionDays,
+    getPurgeAt,
+    purgeSession,
+    purgeDocument,
+    purgeExpired,
+    emptyTrash,
+    startPurgeJob,
+};
@@ -0,0 +1,129 @@
+const Usage = require('../models/Usage');
+const { getModelPricing } = require('./aiProvider');
+
+const COUNTERS = ['requests', 'promptTokens', 'completionTokens', 'totalTokens', 'images', 'costUsd'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC day key ('YYYY-MM-DD') used for daily rollups.
+ */
+function dayKey(date = new Date()) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Attach an estimated cost to normalized token usage.
+ *
+ * Token prices come from the model's `pricing` entry in AI_PROVIDERS_CONFIG
+ * (USD per 1M input/output tokens); generated images are priced per image via
+ * IMAGE_COST_USD. Unpriced models cost 0.
+ *
+ * @param {string} providerId
+ * @param {string} modelId
+ * @param {{ promptTokens, completionTokens, totalTokens }} usage
+ * @param {number} [images=0] - number of generated images
+ * @returns {{ promptTokens, completionTokens, totalTokens, images?, costUsd }}
+ */
+function priceUsage(providerId, modelId, usage, images = 0) {
+    const pricing = getModelPricing(providerId, modelId);
+    const tokenCost = pricing
+        ? ((usage.promptTokens || 0) * (pricing.input || 0) + (usage.completionTokens || 0) * (pricing.output || 0)) / 1e6
+        : 0;
+    const imageCost = images * (parseFloat(process.env.IMAGE_COST_USD) || 0);
+
+    const priced = {
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        totalTokens: usage.totalTokens || 0,
+        costUsd: roundCost(tokenCost + imageCost),
+    };
+    if (images) priced.images = images;
+    return priced;
+}
+
+/**
+ * Add one request's usage to the user's rollup for today.
+ * Never throws — accounting failures must not break the feature being used.
+ *
+ * @param {string} userId
+ * @param {'chat'|'title'|'summary'|'plan'|'image'|'index'|'retrieval'} kind
+ * @param {object} usage - output of priceUsage()
+ */
+async function recordUsage(userId, kind, usage) {
+    if (!userId || !usage) return;
+
+    const values = { requests: 1, ...usage };
+    const inc = {};
+    for (const field of COUNTERS) {
+        const value = values[field] || 0;
+        if (!value) continue;
+        inc[`totals.${field}`] = value;
+        inc[`byKind.${kind}.${field}`] = value;
+    }
+
+    try {
+        await Usage.updateOne(
+            { userId, date: dayKey() },
+            { $inc: inc },
+            { upsert: true }
+        );
+    } catch (err) {
+        console.error(`[Usage] Failed to record ${kind} usage:`, err.message);
+    }
+}
+
+function emptyCounters() {
+    return Object.fromEntries(COUNTERS.map(field => [field, 0]));
+}
+
+function sumCounters(rows) {
+    const sum = emptyCounters();
+    for (const row of rows) {
+        for (const field of COUNTERS) {
+            sum[field] += row?.[field] || 0;
+        }
+    }
+    sum.costUsd = roundCost(sum.costUsd);
+    return sum;
+}
+
+/**
+ * Usage report for the last `days` days (daily rows, oldest first) plus
+ * totals for that period and for the current calendar month (UTC).
+ */
+async function getUsageSummary(userId, days = 30) {
+    const now = new Date();
+    const since = dayKey(now.getTime() - (days - 1) * DAY_MS);
+    const monthStart = `${dayKey(now).slice(0, 7)}-01`;
+
+    const rows = await Usage.find({
+        userId,
+        date: { $gte: since < monthStart ? since : monthStart },
+    }).sort({ date: 1 }).lean();
+
+    const inPeriod = rows.filter(r => r.date >= since);
+    const inMonth = rows.filter(r => r.date >= monthStart);
+
+    return {
+        days: inPeriod.map(r => ({
+            date: r.date,
+            ...sumCounters([r.totals]),
+            byKind: Object.fromEntries(
+                Object.entries(r.byKind || {}).map(([kind, counters]) => [kind, sumCounters([counters])])
+            ),
+        })),
+        totals: { since, ...sumCounters(inPeriod.map(r => r.totals)) },
+        month: { since: monthStart, ...sumCounters(inMonth.map(r => r.totals)) },
+    };
+}
+
+module.exports = {
+    priceUsage,
+    recordUsage,
+    getUsageSummary,
+    dayKey,
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+
+/**
+ * Workspace roles and access checks.
+ *
+ * Sessions and documents belong either to one user (workspaceId null) or to a
+ * workspace: every member can read them, editors and owners can change them,
+ * and owners also manage the workspace and its members. Lists and new records
+ * follow the workspace the client has switched to (see middleware/workspace.js);
+ * a record opened by ID is checked against its own workspace instead, so links
+ * keep working whichever workspace is active.
+ */
+
+// Weakest first
+const ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Whether role grants at least minRole.
+ */
+function hasRole(role, minRole) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+function getMemberRole(workspace, userId) {
+    return workspace.members.find(m => m.userId === userId)?.role || null;
+}
+
+/**
+ * Query clause for the records listed in the active workspace — or the user's
+ * personal records when no workspace is active.
+ * @param {string} userId
+ * @param {{ id: ObjectId } | null} workspace - req.workspace
+ */
+function getScopeFilter(userId, workspace) {
+    return workspace ? { workspaceId: workspace.id } : { userId, workspaceId: null };
+}
+
+/**
+ * Look up the user's workspace roles once per request, for checking records by ID.
+ *
+ * `filter(minRole)` is a query clause matching the records the user has at least
+ * minRole on — their personal ones and those of workspaces where their role is
+ * high enough. `roleFor(record)` is the user's role on a loaded record, or null.
+ *
+ * @param {string} userId
+ * @returns {Promise<{ filter: (minRole?: string) => object, roleFor: (record: object) => string|null }>}
+ */
+async function getAccess(userId) {
+    const workspaces = await Workspace.find({ 'members.userId': userId }).select('members').lean();
+    const roles = new Map(workspaces.map(w => [w._id.toString(), getMemberRole(w, userId)]));
+
+    return {
+        filter(minRole = 'viewer') {
+            const workspaceIds = [...roles]
+                .filter(([, role]) => hasRole(role, minRole))
+                .map(([id]) => new mongoose.Types.ObjectId(id));
+            return { $or: [{ userId, workspaceId: null }, { workspaceId: { $in: workspaceIds } }] };
+        },
+        roleFor(record) {
+            if (record.workspaceId) return roles.get(record.workspaceId.toString()) || null;
+            return record.userId === userId ? 'owner' : null;
+        },
+    };
+}
+
+/**
+ * Whether the user can read a record that a write with editor access did not
+ * match — i.e. it exists but they are only a viewer (403 rather than 404).
+ */
+async function isReadOnly(Model, filter, access) {
+    return Boolean(await Model.exists({ ...filter, ...access.filter() }));
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    getMemberRole,
+    getScopeFilter,
+    getAccess,
+    isReadOnly,
+};
@@ -0,0 +1,117 @@
+/**
+ * BlockNote JSON → Markdown converter, used for document export and to give
+ * the AI a plain-text view of documents, plus plain-text helpers for search.
+ */
+
+/**
+ * Convert BlockNote inline content to markdown string
+ */
+function inlineContentToMarkdown(content) {
+    if (!content || !Array.isArray(content)) return '';
+    return content.map(node => {
+        if (node.type === 'link') {
+            const linkText = inlineContentToMarkdown(node.content);
+            return `[${linkText}](${node.href})`;
+        }
+        let text = node.text || '';
+        if (node.styles?.bold) text = `**${text}**`;
+        if (node.styles?.italic) text = `*${text}*`;
+        if (node.styles?.code) text = `\`${text}\``;
+        return text;
+    }).join('');
+}
+
+/**
+ * Convert BlockNote blocks array to markdown string
+ */
+function blockNoteToMarkdown(blocks) {
+    if (!blocks || !Array.isArray(blocks)) return '';
+
+    return blocks.map(block => {
+        const text = inlineContentToMarkdown(block.content);
+
+        switch (block.type) {
+            case 'heading': {
+                const prefix = '#'.repeat(block.props?.level || 1);
+                return `${prefix} ${text}`;
+            }
+            case 'paragraph':
+                return text || '';
+            case 'bulletListItem':
+                return `- ${text}`;
+            case 'numberedListItem':
+                return `1. ${text}`;
+            case 'checkListItem':
+                return `- [${block.props?.checked ? 'x' : ' '}] ${text}`;
+            case 'image':
+                return `![${block.props?.caption || ''}](${block.props?.url || ''})`;
+            case 'table': {
+                if (!block.content?.rows) return '';
+                const rows = block.content.rows.map(row => {
+                    const cells = row.cells.map(cell => {
+                        // Each cell is an array of blocks
+                        if (Array.isArray(cell)) {
+                            return cell.map(b => inlineContentToMarkdown(b.content)).join('');
+                        }
+                        return '';
+                    });
+                    return `| ${cells.join(' | ')} |`;
+                });
+                // Insert separator after header row
+                if (rows.length > 0) {
+                    const colCount = block.content.rows[0]?.cells?.length || 1;
+                    const separator = `| ${Array(colCount).fill('---').join(' | ')} |`;
+                    rows.splice(1, 0, separator);
+                }
+                return rows.join('\n');
+            }
+            default:
+                return text || '';
+        }
+    }).join('\n\n');
+}
+
+/**
+ * Plain text of BlockNote inline content (no markdown syntax)
+ */
+function inlineContentToText(content) {
+    if (!content || !Array.isArray(content)) return '';
+    return content.map(node => (node.type === 'link' ? inlineContentToText(node.content) : node.text || '')).join('');
+}
+
+/**
+ * Plain text of a single block, without its children
+ */
+function blockToText(block) {
+    if (block.type === 'table') {
+        return (block.content?.rows || [])
+            .map(row => row.cells.map(cell => (
+                Array.isArray(cell) ? cell.map(b => inlineContentToText(b.content)).join('') : ''
+            )).join(' '))
+            .join('\n');
+    }
+    if (block.type === 'image') {
+        return block.props?.caption || '';
+    }
+    return inlineContentToText(block.content);
+}
+
+/**
+ * Every block with its nested children, in reading order, as { id, text }
+ */
+function flattenBlocks(blocks) {
+    if (!blocks || !Array.isArray(blocks)) return [];
+    return blocks.flatMap(block => [
+        { id: block.id, text: blockToText(block) },
+        ...flattenBlocks(block.children),
+    ]);
+}
+
+/**
+ * Plain text of a whole document, one block per line
+ */
+function blockNoteToText(blocks) {
+    return flattenBlocks(blocks).map(b => b.text).filter(Boolean).join('\n');
+}
+
+module.exports = { blockNoteToMarkdown, blockNoteToText, flattenBlocks };
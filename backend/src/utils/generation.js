@@ -0,0 +1,74 @@
+/**
+ * Generation settings (sampling and output limits) accepted from clients,
+ * personas, sessions and AI_PROVIDERS_CONFIG defaults.
+ *
+ * Shape: { temperature, topP, maxOutputTokens, stopSequences }. Every field is
+ * optional; null means "not set" so a lower layer (or the model) decides.
+ */
+
+const MAX_OUTPUT_TOKENS = 65536;
+const MAX_STOP_SEQUENCES = 4; // the lowest common limit (OpenAI)
+const MAX_STOP_SEQUENCE_LENGTH = 100;
+
+const FIELDS = ['temperature', 'topP', 'maxOutputTokens', 'stopSequences'];
+
+function isNumberBetween(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate client-sent generation settings. Returns an error string or null.
+ */
+function validateGeneration(generation) {
+    if (generation === undefined || generation === null) return null;
+    if (typeof generation !== 'object' || Array.isArray(generation)) {
+        return 'generation must be an object';
+    }
+
+    const unknown = Object.keys(generation).find(key => !FIELDS.includes(key));
+    if (unknown) {
+        return `Unknown generation setting: ${unknown}`;
+    }
+
+    const { temperature, topP, maxOutputTokens, stopSequences } = generation;
+    if (temperature != null && !isNumberBetween(temperature, 0, 2)) {
+        return 'temperature must be a number between 0 and 2';
+    }
+    if (topP != null && !isNumberBetween(topP, 0, 1)) {
+        return 'topP must be a number between 0 and 1';
+    }
+    if (maxOutputTokens != null && (!Number.isInteger(maxOutputTokens) || !isNumberBetween(maxOutputTokens, 1, MAX_OUTPUT_TOKENS))) {
+        return `maxOutputTokens must be an integer between 1 and ${MAX_OUTPUT_TOKENS}`;
+    }
+    if (stopSequences != null) {
+        const valid = Array.isArray(stopSequences)
+            && stopSequences.length <= MAX_STOP_SEQUENCES
+            && stopSequences.every(s => typeof s === 'string' && s.length > 0 && s.length <= MAX_STOP_SEQUENCE_LENGTH);
+        if (!valid) {
+            return `stopSequences must be up to ${MAX_STOP_SEQUENCES} non-empty strings of at most ${MAX_STOP_SEQUENCE_LENGTH} characters`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Merge settings layers, later ones winning. Null/undefined fields don't
+ * override; an empty stopSequences array does (it clears inherited ones).
+ */
+function mergeGeneration(...layers) {
+    const merged = {};
+    for (const layer of layers) {
+        if (!layer) continue;
+        for (const field of FIELDS) {
+            if (layer[field] != null) merged[field] = layer[field];
+        }
+    }
+    if (merged.stopSequences?.length === 0) delete merged.stopSequences;
+    return merged;
+}
+
+module.exports = {
+    validateGeneration,
+    mergeGeneration,
+    GENERATION_FIELDS: FIELDS,
+};
@@ -0,0 +1,134 @@
+/**
+ * Helpers for the branching message tree stored in Session.messages.
+ *
+ * Messages are stored flat; each one points at its parent via `parentId`
+ * (null for a root). `session.activeLeafId` marks the end of the branch the
+ * user is currently looking at. Messages saved before branching existed have
+ * no `parentId` field at all — they are treated as a linear chain where each
+ * message's parent is the one stored before it.
+ */
+
+function idOf(value) {
+    return value ? value.toString() : null;
+}
+
+/**
+ * Effective parent ID of the message at `index` (handles legacy linear messages).
+ */
+function getParentId(messages, index) {
+    const msg = messages[index];
+    if (msg.parentId !== undefined) {
+        return idOf(msg.parentId);
+    }
+    return index > 0 ? idOf(messages[index - 1]._id) : null;
+}
+
+/**
+ * Index the tree once: parent and children lookups by message ID.
+ * Children are kept in storage order, so the last child is the newest branch.
+ */
+function indexTree(messages) {
+    const byId = new Map();
+    const parentOf = new Map();
+    const children = new Map(); // parentId ('' for roots) → [messageId]
+
+    messages.forEach((msg, i) => {
+        const id = idOf(msg._id);
+        const parentId = getParentId(messages, i);
+        byId.set(id, msg);
+        parentOf.set(id, parentId);
+        const key = parentId || '';
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(id);
+    });
+
+    return { byId, parentOf, children };
+}
+
+/**
+ * ID of the leaf of the active branch (falls back to the newest message).
+ */
+function getActiveLeafId(session) {
+    const messages = session.messages;
+    if (messages.length === 0) return null;
+    const leafId = idOf(session.activeLeafId);
+    if (leafId && messages.some(m => idOf(m._id) === leafId)) {
+        return leafId;
+    }
+    return idOf(messages[messages.length - 1]._id);
+}
+
+/**
+ * Messages on the active branch, root first.
+ */
+function getActivePath(session) {
+    const { byId, parentOf } = indexTree(session.messages);
+    const path = [];
+    let id = getActiveLeafId(session);
+    while (id && byId.has(id)) {
+        path.unshift(byId.get(id));
+        id = parentOf.get(id);
+    }
+    return path;
+}
+
+/**
+ * Branch position of every message on a path: which sibling it is (among
+ * messages sharing its parent) and the sibling IDs, for "< 2/3 >" controls.
+ */
+function describeBranches(session, path) {
+    const { parentOf, children } = indexTree(session.messages);
+    return path.map(msg => {
+        const id = idOf(msg._id);
+        const siblingIds = children.get(parentOf.get(id) || '') || [id];
+        return {
+            branchIndex: siblingIds.indexOf(id),
+            branchCount: siblingIds.length,
+            siblingIds,
+        };
+    });
+}
+
+/**
+ * Follow the newest child from `messageId` down to a leaf.
+ * Used when switching to a sibling branch: the user lands on its latest state.
+ */
+function findNewestLeaf(session, messageId) {
+    const { children } = indexTree(session.messages);
+    let id = idOf(messageId);
+    while (children.has(id)) {
+        const kids = children.get(id);
+        id = kids[kids.length - 1];
+    }
+    return id;
+}
+
+/**
+ * Find a message by ID. Returns { message, parentId } or null.
+ */
+function findMessage(session, messageId) {
+    const target = idOf(messageId);
+    const index = session.messages.findIndex(m => idOf(m._id) === target);
+    if (index === -1) return null;
+    return { message: session.messages[index], parentId: getParentId(session.messages, index) };
+}
+
+/**
+ * Append a message under `parentId` (default: the active leaf) and make it the active leaf.
+ * Returns the stored subdocument.
+ */
+function appendMessage(session, data, parentId = getActiveLeafId(session)) {
+    session.messages.push({ ...data, parentId: parentId || null });
+    const added = session.messages[session.messages.length - 1];
+    session.activeLeafId = added._id;
+    return added;
+}
+
+module.exports = {
+    getActiveLeafId,
+    getActivePath,
+    describeBranches,
+    findNewestLeaf,
+    findMessage,
+    appendMessage,
+};
@@ -0,0 +1,56 @@
+/**
+ * Mongoose plugin for soft deletion.
+ *
+ * Adds a `deletedAt` date (null = live) and hides deleted documents from every
+ * query and aggregation, so existing lookups (`findOne({ _id, userId })`, text
+ * search, counts, ...) keep seeing live data only. A query that mentions
+ * `deletedAt` in its filter — e.g. `{ deletedAt: { $ne: null } }` for the trash —
+ * is left as is.
+ */
+
+const QUERY_MIDDLEWARE = [
+    'countDocuments',
+    'distinct',
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'findOneAndDelete',
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+];
+
+function softDelete(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true,
+        },
+    });
+
+    schema.pre(QUERY_MIDDLEWARE, function () {
+        if (!('deletedAt' in this.getFilter())) {
+            this.where({ deletedAt: null });
+        }
+    });
+
+    // Merged into a leading $match rather than prepended, since stages such as
+    // a $text match must stay first in the pipeline
+    schema.pre('aggregate', function () {
+        const pipeline = this.pipeline();
+        const [first] = pipeline;
+        if (first?.$match) {
+            if (!('deletedAt' in first.$match)) {
+                pipeline[0] = { ...first, $match: { ...first.$match, deletedAt: null } };
+            }
+        } else {
+            pipeline.unshift({ $match: { deletedAt: null } });
+        }
+    });
+}
+
+module.exports = softDelete;
@@ -0,0 +1,36 @@
+/**
+ * Token usage helpers shared by the AI services.
+ *
+ * Every provider reports usage differently; the services normalize it to
+ * `{ promptTokens, completionTokens, totalTokens }` before it is stored.
+ */
+
+/**
+ * Normalize a Gemini `usageMetadata` object. Thinking tokens are billed as
+ * output, so they are counted as completion tokens. Returns null when missing.
+ */
+function fromGeminiUsage(usageMetadata) {
+    if (!usageMetadata) return null;
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const completionTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: usageMetadata.totalTokenCount || promptTokens + completionTokens,
+    };
+}
+
+/**
+ * Sum usage objects, ignoring nulls. Returns null when there is nothing to add.
+ */
+function addUsage(...items) {
+    const present = items.filter(Boolean);
+    if (present.length === 0) return null;
+    return present.reduce((sum, u) => ({
+        promptTokens: sum.promptTokens + (u.promptTokens || 0),
+        completionTokens: sum.completionTokens + (u.completionTokens || 0),
+        totalTokens: sum.totalTokens + (u.totalTokens || 0),
+    }), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+}
+
+module.exports = { fromGeminiUsage, addUsage };
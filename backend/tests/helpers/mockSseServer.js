@@ -0,0 +1,71 @@
+const http = require('http');
+
+/**
+ * Local HTTP server for testing streaming provider adapters.
+ *
+ * Records the last request (method, url, headers, parsed JSON body) and
+ * delegates the response to `server.respond`, which tests set per case.
+ *
+ * Usage:
+ *   const mock = createMockSseServer();
+ *   beforeAll(() => mock.start());
+ *   afterAll(() => mock.stop());
+ *   mock.respond = mock.sse([{ data: {...} }]);
+ */
+function createMockSseServer() {
+    const mock = {
+        baseUrl: null,
+        lastRequest: null,
+        respond: (req, res) => res.end(),
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            mock.lastRequest = {
+                method: req.method,
+                url: req.url,
+                headers: req.headers,
+                body: body ? JSON.parse(body) : null,
+            };
+            mock.respond(req, res);
+        });
+    });
+
+    /**
+     * Start listening on a random port. Resolves with the server origin.
+     */
+    mock.start = async () => {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        mock.baseUrl = `http://127.0.0.1:${server.address().port}`;
+        return mock.baseUrl;
+    };
+
+    mock.stop = () => new Promise(resolve => server.close(resolve));
+
+    /**
+     * Build a responder that writes the given events as an SSE stream.
+     * Each event is `{ event?, data }`; object data is JSON-encoded.
+     */
+    mock.sse = (events) => (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const { event, data } of events) {
+            const payload = typeof data === 'string' ? data : JSON.stringify(data);
+            res.write(`${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`);
+        }
+        res.end();
+    };
+
+    /**
+     * Build a responder that returns a JSON error with the given status.
+     */
+    mock.fail = (status, body) => (req, res) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    return mock;
+}
+
+module.exports = { createMockSseServer };
@@ -0,0 +1,127 @@
+/**
+ * Admin Routes — Unit Tests
+ *
+ * GET /api/admin/ai-keys:
+ *   1. should return key pool status for admins
+ *   2. should return 403 for users without the admin role
+ *
+ * GET/PUT /api/admin/users/:userId/quotas:
+ *   3. should return a user's quota status
+ *   4. should update quota overrides
+ *   5. should reject unknown quotas and invalid limits
+ *   6. should return 404 for unknown users
+ */
+const request = require('supertest');
+const express = require('express');
+
+let mockUser;
+jest.mock('../../src/middleware/auth', () => (req, res, next) => {
+    req.user = mockUser;
+    next();
+});
+
+const mockGetPoolStatus = jest.fn();
+jest.mock('../../src/services/keyPool', () => ({
+    getPoolStatus: (...args) => mockGetPoolStatus(...args),
+}));
+
+const mockGetQuotaStatus = jest.fn();
+const mockSetUserQuotas = jest.fn();
+jest.mock('../../src/services/quotaService', () => ({
+    QUOTAS: { messagesPerDay: {}, tokensPerMonth: {}, imagesPerMonth: {}, plansPerDay: {} },
+    getQuotaStatus: (...args) => mockGetQuotaStatus(...args),
+    setUserQuotas: (...args) => mockSetUserQuotas(...args),
+}));
+
+const adminRoutes = require('../../src/routes/admin');
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+    return app;
+}
+
+describe('Admin Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockGetPoolStatus.mockReturnValue({
+            total: 1,
+            available: 1,
+            keys: [{ key: 'AIza…1111', status: 'healthy' }],
+        });
+    });
+
+    it('should return key pool status for admins', async () => {
+        mockUser = { sub: 'admin-id', realm_access: { roles: ['user', 'admin'] } };
+
+        const res = await request(createApp()).get('/api/admin/ai-keys');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({
+            total: 1,
+            available: 1,
+            keys: [{ key: 'AIza…1111', status: 'healthy' }],
+        });
+    });
+
+    it('should return 403 for users without the admin role', async () => {
+        mockUser = { sub: 'user-id', realm_access: { roles: ['user'] } };
+
+        const res = await request(createApp()).get('/api/admin/ai-keys');
+
+        expect(res.status).toBe(403);
+        expect(res.body.error).toBe('Admin access required');
+        expect(mockGetPoolStatus).not.toHaveBeenCalled();
+    });
+
+    describe('quotas', () => {
+        const status = { messagesPerDay: { limit: 5, used: 1, remaining: 4, resetAt: '2026-01-02T00:00:00.000Z' } };
+
+        beforeEach(() => {
+            mockUser = { sub: 'admin-id', realm_access: { roles: ['admin'] } };
+            mockGetQuotaStatus.mockResolvedValue(status);
+            mockSetUserQuotas.mockResolvedValue(true);
+        });
+
+        it('should return a user\'s quota status', async () => {
+            const res = await request(createApp()).get('/api/admin/users/user-1/quotas');
+
+            expect(res.status).toBe(200);
+            expect(res.body).toEqual(status);
+            expect(mockGetQuotaStatus).toHaveBeenCalledWith('user-1');
+        });
+
+        it('should update quota overrides', async () => {
+            const res = await request(createApp())
+                .put('/api/admin/users/user-1/quotas')
+                .send({ messagesPerDay: 5, plansPerDay: null });
+
+            expect(res.status).toBe(200);
+            expect(mockSetUserQuotas).toHaveBeenCalledWith('user-1', { messagesPerDay: 5, plansPerDay: null });
+        });
+
+        it('should reject unknown quotas and invalid limits', async () => {
+            const unknown = await request(createApp())
+                .put('/api/admin/users/user-1/quotas')
+                .send({ storagePerMonth: 5 });
+            expect(unknown.status).toBe(400);
+
+            const negative = await request(createApp())
+                .put('/api/admin/users/user-1/quotas')
+                .send({ messagesPerDay: -1 });
+            expect(negative.status).toBe(400);
+            expect(mockSetUserQuotas).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 for unknown users', async () => {
+            mockSetUserQuotas.mockResolvedValue(false);
+
+            const res = await request(createApp())
+                .put('/api/admin/users/ghost/quotas')
+                .send({ messagesPerDay: 5 });
+
+            expect(res.status).toBe(404);
+        });
+    });
+});
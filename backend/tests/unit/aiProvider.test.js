@@ -260,6 +260,84 @@ describe('AI Provider Service', () => {
         });
     });
 
+    // =============================================
+    // getContextBudget
+    // =============================================
+    describe('getContextBudget', () => {
+        const config = JSON.stringify({
+            providers: [{
+                id: 'google',
+                name: 'Google Gemini',
+                contextBudget: 64000,
+                models: [
+                    { id: 'gemini-2.5-pro', name: 'Pro', contextBudget: 200000 },
+                    { id: 'gemini-2.5-flash', name: 'Flash' },
+                ],
+            }],
+        });
+
+        it('should prefer the model budget, then the provider budget', () => {
+            const { getContextBudget } = loadModuleWithEnv({ AI_PROVIDERS_CONFIG: config });
+            expect(getContextBudget('google', 'gemini-2.5-pro')).toBe(200000);
+            expect(getContextBudget('google', 'gemini-2.5-flash')).toBe(64000);
+        });
+
+        it('should fall back to the default budget for unknown models', () => {
+            const { getContextBudget } = loadModuleWithEnv({ AI_PROVIDERS_CONFIG: config });
+            expect(getContextBudget('other', 'x')).toBe(32000);
+        });
+    });
+
+    // =============================================
+    // Generation settings
+    // =============================================
+    describe('getGenerationConfig', () => {
+        const config = JSON.stringify({
+            providers: [{
+                id: 'google',
+                name: 'Google Gemini',
+                generation: { temperature: 0.8, topP: 0.95 },
+                maxOutputTokens: 8192,
+                models: [
+                    { id: 'gemini-2.5-pro', name: 'Pro', generation: { temperature: 0.4 }, maxOutputTokens: 2048 },
+                    { id: 'gemini-2.5-flash', name: 'Flash' },
+                ],
+            }],
+        });
+
+        it('should layer model defaults over provider defaults and caller settings over both', () => {
+            const { getGenerationConfig } = loadModuleWithEnv({ AI_PROVIDERS_CONFIG: config });
+            expect(getGenerationConfig('google', 'gemini-2.5-pro')).toEqual({ temperature: 0.4, topP: 0.95 });
+            expect(getGenerationConfig('google', 'gemini-2.5-flash', { topP: 0.5, stopSequences: ['END'] }))
+                .toEqual({ temperature: 0.8, topP: 0.5, stopSequences: ['END'] });
+        });
+
+        it('should cap maxOutputTokens at the model limit, then the provider limit', () => {
+            const { getGenerationConfig } = loadModuleWithEnv({ AI_PROVIDERS_CONFIG: config });
+            expect(getGenerationConfig('google', 'gemini-2.5-pro', { maxOutputTokens: 4000 }).maxOutputTokens).toBe(2048);
+            expect(getGenerationConfig('google', 'gemini-2.5-flash', { maxOutputTokens: 4000 }).maxOutputTokens).toBe(4000);
+            expect(getGenerationConfig('google', 'gemini-2.5-flash', { maxOutputTokens: 10000 }).maxOutputTokens).toBe(8192);
+        });
+
+        it('should expose configured defaults and limits in getProviders only when set', () => {
+            const { getProviders } = loadModuleWithEnv({ AI_PROVIDERS_CONFIG: config });
+            const [pro, flash] = getProviders()[0].models;
+            expect(pro).toEqual({
+                id: 'gemini-2.5-pro',
+                name: 'Pro',
+                default: false,
+                generation: { temperature: 0.4, topP: 0.95 },
+                maxOutputTokens: 2048,
+            });
+            expect(flash.maxOutputTokens).toBe(8192);
+        });
+
+        it('should return no settings for unknown models', () => {
+            const { getGenerationConfig } = loadModuleWithEnv({ AI_PROVIDERS_CONFIG: config });
+            expect(getGenerationConfig('other', 'x')).toEqual({});
+        });
+    });
+
     // =============================================
     // streamChat
     // =============================================
@@ -426,5 +504,426 @@ describe('AI Provider Service', () => {
 
             jest.dontMock('@google/genai');
         });
+
+        it('should route providers with type "openai" to the OpenAI-compatible adapter', async () => {
+            let captured;
+            jest.doMock('../../src/services/providers/openai', () => ({
+                streamChat: jest.fn().mockImplementation(async function* (params) {
+                    captured = params;
+                    yield 'from-local';
+                }),
+            }));
+
+            const config = JSON.stringify({
+                providers: [{
+                    id: 'local-llama',
+                    name: 'Local llama.cpp',
+                    type: 'openai',
+                    baseUrl: 'http://localhost:8080/v1',
+                    apiKey: 'secret',
+                    models: [{ id: 'llama-3.1-8b', name: 'Llama 3.1 8B' }],
+                }],
+            });
+            const { streamChat, getProviders } = loadModuleWithEnv({
+                GEMINI_API_KEYS: '',
+                AI_PROVIDERS_CONFIG: config,
+            });
+
+            const chunks = [];
+            for await (const chunk of streamChat('local-llama', 'llama-3.1-8b', [
+                { role: 'user', content: 'hi' },
+            ])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks).toEqual(['from-local']);
+            expect(captured.provider.baseUrl).toBe('http://localhost:8080/v1');
+            expect(captured.apiKey).toBe('secret');
+            expect(captured.modelId).toBe('llama-3.1-8b');
+            expect(captured.messages).toEqual([{ role: 'user', parts: [{ text: 'hi' }] }]);
+            expect(captured.systemInstruction).toContain('Dragon AI');
+
+            // Credentials must never leak through the public models list
+            expect(getProviders()[0]).not.toHaveProperty('baseUrl');
+            expect(getProviders()[0]).not.toHaveProperty('apiKey');
+
+            jest.dontMock('../../src/services/providers/openai');
+        });
+
+        it('should route providers with type "anthropic" to the Anthropic adapter', async () => {
+            let captured;
+            jest.doMock('../../src/services/providers/anthropic', () => ({
+                streamChat: jest.fn().mockImplementation(async function* (params) {
+                    captured = params;
+                    yield 'from-claude';
+                }),
+            }));
+
+            const config = JSON.stringify({
+                providers: [{
+                    id: 'anthropic',
+                    name: 'Anthropic Claude',
+                    type: 'anthropic',
+                    apiKey: 'sk-ant-test',
+                    models: [{ id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5' }],
+                }],
+            });
+            const { streamChat, resolveModel } = loadModuleWithEnv({ AI_PROVIDERS_CONFIG: config });
+
+            const resolved = resolveModel('claude-sonnet-4-5');
+            const chunks = [];
+            for await (const chunk of streamChat(resolved.providerId, resolved.modelId, [
+                { role: 'user', content: 'hi' },
+            ])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks).toEqual(['from-claude']);
+            expect(captured.apiKey).toBe('sk-ant-test');
+            expect(captured.modelId).toBe('claude-sonnet-4-5');
+
+            jest.dontMock('../../src/services/providers/anthropic');
+        });
+
+        it('should append the rolling summary to the system instruction', async () => {
+            let capturedConfig;
+            jest.doMock('@google/genai', () => ({
+                GoogleGenAI: jest.fn().mockImplementation(() => ({
+                    models: {
+                        generateContentStream: jest.fn().mockImplementation(({ config }) => {
+                            capturedConfig = config;
+                            return (async function* () { yield { text: 'ok' }; })();
+                        }),
+                    },
+                })),
+            }));
+
+            const { streamChat } = loadModuleWithEnv({
+                GEMINI_API_KEYS: 'test-key',
+                AI_PROVIDERS_CONFIG: SAMPLE_CONFIG,
+            });
+
+            for await (const _ of streamChat('google', 'gemini-2.5-flash', [{ role: 'user', content: 'hi' }], {
+                summary: 'User is building a CRM.',
+            })) { /* drain */ }
+
+            expect(capturedConfig.systemInstruction).toContain('You are Dragon AI');
+            expect(capturedConfig.systemInstruction).toContain('User is building a CRM.');
+
+            jest.dontMock('@google/genai');
+        });
+
+        it('should use a custom system prompt and generation settings when given', async () => {
+            let capturedConfig;
+            jest.doMock('@google/genai', () => ({
+                GoogleGenAI: jest.fn().mockImplementation(() => ({
+                    models: {
+                        generateContentStream: jest.fn().mockImplementation(({ config }) => {
+                            capturedConfig = config;
+                            return (async function* () { yield { text: 'ok' }; })();
+                        }),
+                    },
+                })),
+            }));
+
+            const { streamChat } = loadModuleWithEnv({
+                GEMINI_API_KEYS: 'test-key',
+                AI_PROVIDERS_CONFIG: SAMPLE_CONFIG,
+            });
+
+            for await (const _ of streamChat('google', 'gemini-2.5-flash', [{ role: 'user', content: 'hi' }], {
+                systemPrompt: 'You are a strict code reviewer.',
+                generation: { temperature: 0.2, topP: 0.9, stopSequences: ['END'] },
+                summary: 'Reviewing the auth module.',
+            })) { /* drain */ }
+
+            expect(capturedConfig.systemInstruction).toMatch(/^You are a strict code reviewer\./);
+            expect(capturedConfig.systemInstruction).not.toContain('Dragon AI');
+            expect(capturedConfig.systemInstruction).toContain('Reviewing the auth module.');
+            expect(capturedConfig.temperature).toBe(0.2);
+            expect(capturedConfig.topP).toBe(0.9);
+            expect(capturedConfig.stopSequences).toEqual(['END']);
+
+            jest.dontMock('@google/genai');
+        });
+
+        it('should append retrieved references after the system prompt', async () => {
+            let capturedConfig;
+            jest.doMock('@google/genai', () => ({
+                GoogleGenAI: jest.fn().mockImplementation(() => ({
+                    models: {
+                        generateContentStream: jest.fn().mockImplementation(({ config }) => {
+                            capturedConfig = config;
+                            return (async function* () { yield { text: 'ok' }; })();
+                        }),
+                    },
+                })),
+            }));
+
+            const { streamChat } = loadModuleWithEnv({
+                GEMINI_API_KEYS: 'test-key',
+                AI_PROVIDERS_CONFIG: SAMPLE_CONFIG,
+            });
+
+            for await (const _ of streamChat('google', 'gemini-2.5-flash', [{ role: 'user', content: 'hi' }], {
+                systemPrompt: 'You are a strict code reviewer.',
+                references: '[1] Budget (document)\nBudget is 10k',
+            })) { /* drain */ }
+
+            expect(capturedConfig.systemInstruction).toMatch(/^You are a strict code reviewer\./);
+            expect(capturedConfig.systemInstruction).toMatch(/\[1\] Budget \(document\)\nBudget is 10k$/);
+
+            jest.dontMock('@google/genai');
+        });
+
+        it('should throw for a configured provider with an unknown type', async () => {
+            const config = JSON.stringify({
+                providers: [{ id: 'mystery', name: 'Mystery', type: 'carrier-pigeon', models: [] }],
+            });
+            const { streamChat } = loadModuleWithEnv({ AI_PROVIDERS_CONFIG: config });
+
+            const stream = streamChat('mystery', 'm', [{ role: 'user', content: 'hi' }]);
+            await expect(stream.next()).rejects.toThrow('Unsupported provider: mystery');
+        });
+    });
+
+    // =============================================
+    // Fallback chain
+    // =============================================
+    describe('streamChat — fallback chain', () => {
+        const FALLBACK_CONFIG = JSON.stringify({
+            providers: [
+                {
+                    id: 'google',
+                    name: 'Google Gemini',
+                    models: [
+                        { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', fallbacks: ['gemini-2.5-flash', 'local/llama-3'] },
+                        { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash' },
+                    ],
+                },
+                {
+                    id: 'local',
+                    name: 'Local',
+                    type: 'openai',
+                    baseUrl: 'http://localhost:8080/v1',
+                    models: [{ id: 'llama-3', name: 'Llama 3' }],
+                },
+            ],
+        });
+
+        function httpError(status, message) {
+            const err = new Error(message);
+            err.status = status;
+            return err;
+        }
+
+        /**
+         * Mock Gemini so each call's behaviour is decided by (apiKey, model).
+         */
+        function mockGemini(behaviour) {
+            const calls = [];
+            jest.doMock('@google/genai', () => ({
+                GoogleGenAI: jest.fn().mockImplementation(({ apiKey }) => ({
+                    models: {
+                        generateContentStream: jest.fn().mockImplementation(async ({ model }) => {
+                            calls.push(`${apiKey}:${model}`);
+                            return behaviour(apiKey, model);
+                        }),
+                    },
+                })),
+            }));
+            return calls;
+        }
+
+        async function run(streamChat, providerId, modelId) {
+            const chunks = [];
+            const selected = [];
+            for await (const chunk of streamChat(providerId, modelId, [{ role: 'user', content: 'hi' }], {
+                onModelSelected: (info) => selected.push(info),
+            })) {
+                chunks.push(chunk);
+            }
+            return { chunks, selected };
+        }
+
+        let warnSpy;
+        beforeEach(() => {
+            warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+        });
+        afterEach(() => {
+            warnSpy.mockRestore();
+            jest.dontMock('@google/genai');
+            jest.dontMock('../../src/services/providers/openai');
+        });
+
+        it('should build the chain from model fallbacks, skipping unknown entries', () => {
+            const config = JSON.stringify({
+                providers: [{
+                    id: 'google',
+                    name: 'Google',
+                    models: [{ id: 'a', name: 'A', fallbacks: ['b', 'does-not-exist', 'google/a', 'b'] }, { id: 'b', name: 'B' }],
+                }],
+            });
+            const { getFallbackChain } = loadModuleWithEnv({ AI_PROVIDERS_CONFIG: config });
+
+            expect(getFallbackChain('google', 'a')).toEqual([
+                { providerId: 'google', modelId: 'a' },
+                { providerId: 'google', modelId: 'b' },
+            ]);
+        });
+
+        it('should report the requested model when the first attempt succeeds', async () => {
+            mockGemini(() => (async function* () { yield { text: 'ok' }; })());
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+
+            const { chunks, selected } = await run(streamChat, 'google', 'gemini-2.5-pro');
+
+            expect(chunks).toEqual(['ok']);
+            expect(selected).toEqual([{ providerId: 'google', modelId: 'gemini-2.5-pro', fallback: false }]);
+        });
+
+        it('should retry on the next key before falling back to another model', async () => {
+            const calls = mockGemini((apiKey) => {
+                if (apiKey === 'k1') throw httpError(429, 'quota exceeded');
+                return (async function* () { yield { text: 'from k2' }; })();
+            });
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1,k2', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+
+            const { chunks, selected } = await run(streamChat, 'google', 'gemini-2.5-pro');
+
+            expect(calls).toEqual(['k1:gemini-2.5-pro', 'k2:gemini-2.5-pro']);
+            expect(chunks).toEqual(['from k2']);
+            expect(selected[0].fallback).toBe(false);
+        });
+
+        it('should bench a rate-limited key in the shared pool for later requests', async () => {
+            const calls = mockGemini((apiKey) => {
+                if (apiKey === 'k1') throw httpError(429, 'quota exceeded');
+                return (async function* () { yield { text: 'ok' }; })();
+            });
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1,k2', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+
+            await run(streamChat, 'google', 'gemini-2.5-flash');
+            await run(streamChat, 'google', 'gemini-2.5-flash');
+
+            // k1 failed once and is now cooling down, so the second request goes straight to k2
+            expect(calls).toEqual(['k1:gemini-2.5-flash', 'k2:gemini-2.5-flash', 'k2:gemini-2.5-flash']);
+        });
+
+        it('should fall back to the next model once every key fails', async () => {
+            const calls = mockGemini((apiKey, model) => {
+                if (model === 'gemini-2.5-pro') throw httpError(503, 'overloaded');
+                return (async function* () { yield { text: 'flash answer' }; })();
+            });
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1,k2', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+
+            const { chunks, selected } = await run(streamChat, 'google', 'gemini-2.5-pro');
+
+            expect(calls).toEqual(['k1:gemini-2.5-pro', 'k2:gemini-2.5-pro', 'k1:gemini-2.5-flash']);
+            expect(chunks).toEqual(['flash answer']);
+            expect(selected).toEqual([{ providerId: 'google', modelId: 'gemini-2.5-flash', fallback: true }]);
+        });
+
+        it('should fall back across providers', async () => {
+            mockGemini(() => { throw httpError(429, 'quota exceeded'); });
+            jest.doMock('../../src/services/providers/openai', () => ({
+                streamChat: async function* () { yield 'local answer'; },
+            }));
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+
+            const { chunks, selected } = await run(streamChat, 'google', 'gemini-2.5-pro');
+
+            expect(chunks).toEqual(['local answer']);
+            expect(selected).toEqual([{ providerId: 'local', modelId: 'llama-3', fallback: true }]);
+        });
+
+        it('should throw the last error when the whole chain fails', async () => {
+            mockGemini(() => { throw httpError(429, 'quota exceeded'); });
+            jest.doMock('../../src/services/providers/openai', () => ({
+                streamChat: async function* () { throw httpError(502, 'gateway down'); },
+            }));
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+
+            await expect(run(streamChat, 'google', 'gemini-2.5-pro')).rejects.toThrow('gateway down');
+        });
+
+        it('should not retry non-retryable errors such as 400', async () => {
+            const calls = mockGemini(() => { throw httpError(400, 'invalid argument'); });
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1,k2', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+
+            await expect(run(streamChat, 'google', 'gemini-2.5-pro')).rejects.toThrow('invalid argument');
+            expect(calls).toEqual(['k1:gemini-2.5-pro']);
+        });
+
+        it('should pass the abort signal to the adapter and not fall back after cancellation', async () => {
+            const controller = new AbortController();
+            const calls = [];
+            let capturedConfig;
+            jest.doMock('@google/genai', () => ({
+                GoogleGenAI: jest.fn().mockImplementation(() => ({
+                    models: {
+                        generateContentStream: jest.fn().mockImplementation(({ model, config }) => {
+                            calls.push(model);
+                            capturedConfig = config;
+                            controller.abort();
+                            const err = new Error('This operation was aborted');
+                            err.name = 'AbortError';
+                            throw err;
+                        }),
+                    },
+                })),
+            }));
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1,k2', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+
+            await expect((async () => {
+                for await (const _ of streamChat('google', 'gemini-2.5-pro', [{ role: 'user', content: 'hi' }], {
+                    signal: controller.signal,
+                })) { /* drain */ }
+            })()).rejects.toThrow('aborted');
+
+            expect(capturedConfig.abortSignal).toBe(controller.signal);
+            expect(calls).toEqual(['gemini-2.5-pro']);
+        });
+
+        it('should not fall back once a chunk has been yielded', async () => {
+            const calls = mockGemini(() => (async function* () {
+                yield { text: 'partial' };
+                throw httpError(503, 'stream broke');
+            })());
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1,k2', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+
+            const chunks = [];
+            await expect((async () => {
+                for await (const chunk of streamChat('google', 'gemini-2.5-pro', [{ role: 'user', content: 'hi' }])) {
+                    chunks.push(chunk);
+                }
+            })()).rejects.toThrow('stream broke');
+
+            expect(chunks).toEqual(['partial']);
+            expect(calls).toHaveLength(1);
+        });
+
+        it('should not fall back once a tool has run', async () => {
+            const calls = mockGemini((apiKey, model) => {
+                if (calls.length > 1) throw httpError(503, 'overloaded');
+                return (async function* () {
+                    yield { candidates: [{ content: { parts: [{ functionCall: { name: 'create_project_plan', args: {} } }] } }] };
+                })();
+            });
+            const { streamChat } = loadModuleWithEnv({ GEMINI_API_KEYS: 'k1', AI_PROVIDERS_CONFIG: FALLBACK_CONFIG });
+            const execute = jest.fn().mockResolvedValue({ documentId: 'doc-1' });
+            const selected = [];
+
+            await expect((async () => {
+                for await (const _ of streamChat('google', 'gemini-2.5-pro', [{ role: 'user', content: 'plan it' }], {
+                    tools: { declarations: [{ name: 'create_project_plan' }], execute },
+                    onModelSelected: (info) => selected.push(info),
+                })) { /* drain */ }
+            })()).rejects.toThrow('overloaded');
+
+            expect(execute).toHaveBeenCalledTimes(1);
+            expect(calls).toEqual(['k1:gemini-2.5-pro', 'k1:gemini-2.5-pro']);
+            expect(selected).toEqual([{ providerId: 'google', modelId: 'gemini-2.5-pro', fallback: false }]);
+        });
     });
 });
@@ -0,0 +1,246 @@
+/**
+ * Anthropic Messages API Provider Adapter — Unit Tests
+ *
+ * Runs the adapter against a local mock `/v1/messages` SSE server emitting
+ * the same event sequence as the real API (message_start → content_block_* → message_stop).
+ */
+const { streamChat, toAnthropicMessages } = require('../../src/services/providers/anthropic');
+const { createMockSseServer } = require('../helpers/mockSseServer');
+
+const mock = createMockSseServer();
+let baseUrl;
+
+beforeAll(async () => {
+    baseUrl = await mock.start();
+});
+
+afterAll(() => mock.stop());
+
+/**
+ * Respond with a realistic Messages API stream producing the given text deltas.
+ */
+function claudeStream(deltas) {
+    return mock.sse([
+        { event: 'message_start', data: { type: 'message_start', message: { id: 'msg_1', role: 'assistant', content: [], usage: { input_tokens: 25, output_tokens: 1 } } } },
+        { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+        { event: 'ping', data: { type: 'ping' } },
+        ...deltas.map(text => ({
+            event: 'content_block_delta',
+            data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } },
+        })),
+        { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+        { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 7 } } },
+        { event: 'message_stop', data: { type: 'message_stop' } },
+    ]);
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+}
+
+const provider = () => ({
+    id: 'anthropic',
+    apiKey: 'sk-ant-test',
+    baseUrl,
+    models: [{ id: 'claude-sonnet-4-5', maxTokens: 8192 }],
+});
+
+const textMessages = [{ role: 'user', parts: [{ text: 'hello' }] }];
+
+describe('Anthropic adapter', () => {
+    describe('streamChat', () => {
+        it('should yield text from content_block_delta events', async () => {
+            mock.respond = claudeStream(['Hello', ' from', ' Claude']);
+
+            const chunks = await collect(streamChat({
+                provider: provider(),
+                modelId: 'claude-sonnet-4-5',
+                messages: textMessages,
+                systemInstruction: 'You are Dragon AI',
+            }));
+
+            expect(chunks).toEqual(['Hello', ' from', ' Claude']);
+        });
+
+        it('should report input tokens from message_start and output tokens from message_delta', async () => {
+            mock.respond = claudeStream(['Hi']);
+            const onUsage = jest.fn();
+
+            await collect(streamChat({
+                provider: provider(),
+                modelId: 'claude-sonnet-4-5',
+                messages: textMessages,
+                onUsage,
+            }));
+
+            expect(onUsage).toHaveBeenCalledWith({ promptTokens: 25, completionTokens: 7, totalTokens: 32 });
+        });
+
+        it('should POST to /v1/messages with system, max_tokens and auth headers', async () => {
+            mock.respond = claudeStream(['ok']);
+
+            await collect(streamChat({
+                provider: provider(),
+                modelId: 'claude-sonnet-4-5',
+                messages: textMessages,
+                systemInstruction: 'You are Dragon AI',
+            }));
+
+            expect(mock.lastRequest.url).toBe('/v1/messages');
+            expect(mock.lastRequest.headers['x-api-key']).toBe('sk-ant-test');
+            expect(mock.lastRequest.headers['anthropic-version']).toBe('2023-06-01');
+            expect(mock.lastRequest.body).toEqual({
+                model: 'claude-sonnet-4-5',
+                max_tokens: 8192,
+                system: 'You are Dragon AI',
+                stream: true,
+                messages: [{ role: 'user', content: [{ type: 'text', text: 'hello' }] }],
+            });
+        });
+
+        it('should fall back to the default max_tokens for unlisted models', async () => {
+            mock.respond = claudeStream(['ok']);
+
+            await collect(streamChat({
+                provider: provider(),
+                modelId: 'claude-haiku-4-5',
+                messages: textMessages,
+            }));
+
+            expect(mock.lastRequest.body.max_tokens).toBe(4096);
+            expect(mock.lastRequest.body).not.toHaveProperty('system');
+        });
+
+        it('should cap the temperature at Claude\'s maximum of 1', async () => {
+            mock.respond = claudeStream(['ok']);
+
+            await collect(streamChat({
+                provider: provider(),
+                modelId: 'claude-sonnet-4-5',
+                messages: textMessages,
+                generation: { temperature: 1.5 },
+            }));
+
+            expect(mock.lastRequest.body.temperature).toBe(1);
+        });
+
+        it('should map topP, maxOutputTokens and stopSequences', async () => {
+            mock.respond = claudeStream(['ok']);
+
+            await collect(streamChat({
+                provider: provider(),
+                modelId: 'claude-sonnet-4-5',
+                messages: textMessages,
+                generation: { topP: 0.9, maxOutputTokens: 500, stopSequences: ['END'] },
+            }));
+
+            expect(mock.lastRequest.body).toMatchObject({ top_p: 0.9, max_tokens: 500, stop_sequences: ['END'] });
+        });
+
+        it('should ignore non-text deltas', async () => {
+            mock.respond = mock.sse([
+                { event: 'content_block_delta', data: { delta: { type: 'input_json_delta', partial_json: '{"a"' } } },
+                { event: 'content_block_delta', data: { delta: { type: 'text_delta', text: 'Hi' } } },
+                { event: 'message_stop', data: { type: 'message_stop' } },
+            ]);
+
+            const chunks = await collect(streamChat({
+                provider: provider(),
+                modelId: 'claude-sonnet-4-5',
+                messages: textMessages,
+            }));
+
+            expect(chunks).toEqual(['Hi']);
+        });
+
+        it('should throw on an error event mid-stream', async () => {
+            mock.respond = mock.sse([
+                { event: 'content_block_delta', data: { delta: { type: 'text_delta', text: 'partial' } } },
+                { event: 'error', data: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } } },
+            ]);
+
+            const stream = streamChat({
+                provider: provider(),
+                modelId: 'claude-sonnet-4-5',
+                messages: textMessages,
+            });
+
+            expect((await stream.next()).value).toBe('partial');
+            await expect(stream.next()).rejects.toThrow('[anthropic] Overloaded');
+        });
+
+        it('should throw with upstream error message and status on non-2xx', async () => {
+            mock.respond = mock.fail(429, { type: 'error', error: { type: 'rate_limit_error', message: 'Rate limited' } });
+
+            const stream = streamChat({
+                provider: provider(),
+                modelId: 'claude-sonnet-4-5',
+                messages: textMessages,
+            });
+
+            await expect(stream.next()).rejects.toMatchObject({
+                message: '[anthropic] Rate limited',
+                status: 429,
+            });
+        });
+
+        it('should throw when apiKey is missing', async () => {
+            const stream = streamChat({
+                provider: { id: 'anthropic', baseUrl },
+                modelId: 'claude-sonnet-4-5',
+                messages: textMessages,
+            });
+
+            await expect(stream.next()).rejects.toThrow("Provider 'anthropic' is missing apiKey");
+        });
+    });
+
+    describe('toAnthropicMessages', () => {
+        const png = Buffer.from('fake-png').toString('base64');
+        const pdf = Buffer.from('%PDF-1.4').toString('base64');
+        const csv = Buffer.from('a,b\n1,2').toString('base64');
+
+        it('should map image, PDF and CSV attachments to content blocks', () => {
+            const [msg] = toAnthropicMessages([{
+                role: 'user',
+                parts: [
+                    { inlineData: { mimeType: 'image/jpg', data: png } },
+                    { inlineData: { mimeType: 'application/pdf', data: pdf } },
+                    { inlineData: { mimeType: 'text/csv', data: csv } },
+                    { text: 'Compare these' },
+                ],
+            }]);
+
+            expect(msg.content).toEqual([
+                { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: png } },
+                { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: pdf } },
+                { type: 'document', source: { type: 'text', media_type: 'text/plain', data: 'a,b\n1,2' } },
+                { type: 'text', text: 'Compare these' },
+            ]);
+        });
+
+        it('should merge consecutive same-role turns', () => {
+            const result = toAnthropicMessages([
+                { role: 'user', parts: [{ text: 'one' }] },
+                { role: 'user', parts: [{ text: 'two' }] },
+                { role: 'assistant', parts: [{ text: 'reply' }] },
+            ]);
+
+            expect(result).toEqual([
+                { role: 'user', content: [{ type: 'text', text: 'one' }, { type: 'text', text: 'two' }] },
+                { role: 'assistant', content: [{ type: 'text', text: 'reply' }] },
+            ]);
+        });
+
+        it('should drop a leading assistant turn', () => {
+            const result = toAnthropicMessages([
+                { role: 'assistant', parts: [{ text: 'Welcome!' }] },
+                { role: 'user', parts: [{ text: 'hi' }] },
+            ]);
+
+            expect(result).toEqual([{ role: 'user', content: [{ type: 'text', text: 'hi' }] }]);
+        });
+    });
+});
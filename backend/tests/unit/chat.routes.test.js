@@ -30,6 +30,30 @@
  *  19. should return 404 for non-existent sessionId
  *  20. should return 404 for invalid sessionId format
  *  21. should save assistant response to session
+ *
+ *  POST /api/chat — server-side history ({ message } mode):
+ *  22. should validate the new turn and attachment ownership
+ *  23. should rebuild context from Session.messages
+ *
+ *  POST /api/chat — branching (edit / regenerate):
+ *  24. should add edits and regenerated answers as sibling branches
+ *  25. should build context from the active branch only
+ *
+ *  Resumable streams:
+ *  26. should keep generating and save the answer after the client disconnects
+ *  27. GET /api/chat/stream/:messageId should replay events after Last-Event-ID
+ *
+ *  POST /api/chat/:sessionId/cancel:
+ *  28. should stop generation and save the partial answer as stopped
+ *
+ *  POST /api/chat — tool calls:
+ *  29. should offer the tools and run calls as the requesting user
+ *  30. should link a plan created by a tool to the saved answer
+ *  31. should mark failed tool calls as errors
+ *
+ *  POST /api/chat — retrieval:
+ *  32. should ground the answer in retrieved passages and store citations
+ *  33. should answer without grounding when retrieval fails or is not requested
  */
 const request = require('supertest');
 const express = require('express');
@@ -50,6 +74,13 @@ jest.mock('../../src/services/aiProvider', () => ({
     getProviders: (...args) => mockGetProviders(...args),
     resolveModel: (...args) => mockResolveModel(...args),
     streamChat: (...args) => mockStreamChat(...args),
+    getContextBudget: () => 32000,
+}));
+
+// Mock rolling summary generation (context builder runs for real)
+const mockGenerateSummary = jest.fn();
+jest.mock('../../src/services/summaryGenerator', () => ({
+    generateSummary: (...args) => mockGenerateSummary(...args),
 }));
 
 // Mock title generator
@@ -58,6 +89,20 @@ jest.mock('../../src/services/titleGenerator', () => ({
     generateTitle: (...args) => mockGenerateTitle(...args),
 }));
 
+// Mock tool execution (declarations and labels stay real)
+const mockExecuteTool = jest.fn();
+jest.mock('../../src/services/chatTools', () => ({
+    ...jest.requireActual('../../src/services/chatTools'),
+    executeTool: (...args) => mockExecuteTool(...args),
+}));
+
+// Mock retrieval (formatting stays real)
+const mockRetrievePassages = jest.fn();
+jest.mock('../../src/services/retrievalService', () => ({
+    ...jest.requireActual('../../src/services/retrievalService'),
+    retrievePassages: (...args) => mockRetrievePassages(...args),
+}));
+
 let mongoServer;
 
 beforeAll(async () => {
@@ -80,6 +125,8 @@ afterEach(async () => {
 
 const chatRoutes = require('../../src/routes/chat');
 const Session = require('../../src/models/Session');
+const Persona = require('../../src/models/Persona');
+const Workspace = require('../../src/models/Workspace');
 
 function createApp() {
     const app = express();
@@ -127,25 +174,24 @@ function createMockReqRes(body = {}) {
 }
 
 /**
- * Parse SSE events from collected written data.
+ * Parse SSE events (their `data:` payloads) from collected written data.
  */
 function parseSSEEvents(written) {
     return written
         .join('')
         .split('\n\n')
         .filter(Boolean)
-        .map(e => e.replace('data: ', ''));
+        .map(e => e.split('\n').find(line => line.startsWith('data: ')).slice(6));
 }
 
-// Import the route handler directly for SSE tests
-let postChatHandler;
-{
-    const stack = chatRoutes.stack;
-    const postRoute = stack.find(layer =>
-        layer.route && layer.route.path === '/' && layer.route.methods.post
-    );
-    postChatHandler = postRoute.route.stack[postRoute.route.stack.length - 1].handle;
+// Import the route handlers directly for SSE tests
+function findHandler(path, method) {
+    const layer = chatRoutes.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+    return layer.route.stack[layer.route.stack.length - 1].handle;
 }
+const postChatHandler = findHandler('/', 'post');
+const resumeStreamHandler = findHandler('/stream/:messageId', 'get');
+const cancelHandler = findHandler('/:sessionId/cancel', 'post');
 
 describe('Chat Routes', () => {
     let app;
@@ -310,7 +356,8 @@ describe('Chat Routes', () => {
             expect(mockStreamChat).toHaveBeenCalledWith(
                 'google',
                 'gemini-2.5-flash',
-                [{ role: 'user', content: 'hello' }]
+                [{ role: 'user', content: 'hello' }],
+                expect.any(Object)
             );
         });
 
@@ -331,7 +378,8 @@ describe('Chat Routes', () => {
             expect(mockStreamChat).toHaveBeenCalledWith(
                 'google',
                 'gemini-2.5-flash',
-                allMessages
+                allMessages,
+                expect.any(Object)
             );
         });
 
@@ -359,6 +407,27 @@ describe('Chat Routes', () => {
             consoleSpy.mockRestore();
         });
 
+        it('should emit a model event when streamChat reports which model answered', async () => {
+            mockStreamChat.mockImplementation(async function* (providerId, modelId, messages, options) {
+                options.onModelSelected({ providerId: 'openai', modelId: 'gpt-4o-mini', fallback: true });
+                yield 'from fallback';
+            });
+
+            const { req, res } = createMockReqRes({
+                messages: [{ role: 'user', content: 'hello' }],
+            });
+
+            await postChatHandler(req, res);
+
+            const events = parseSSEEvents(res._getWritten());
+            const parsed = events.filter(e => e !== '[DONE]').map(e => JSON.parse(e));
+            const modelEvent = parsed.find(e => e.model);
+
+            expect(modelEvent).toEqual({ model: 'openai/gpt-4o-mini', fallback: true });
+            // Model event must precede the first chunk
+            expect(parsed.indexOf(modelEvent)).toBeLessThan(parsed.findIndex(e => e.chunk));
+        });
+
         it('should stop writing when client disconnects mid-stream', async () => {
             let closeCallback;
 
@@ -393,6 +462,765 @@ describe('Chat Routes', () => {
         });
     });
 
+    // =============================================
+    // POST /api/chat — server-side history ({ message } mode)
+    // =============================================
+    describe('POST /api/chat — server-side history', () => {
+        it('should return 400 when message has no content or attachments', async () => {
+            const res = await request(app)
+                .post('/api/chat')
+                .send({ message: {} });
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('content');
+        });
+
+        it('should return 400 when message role is not user', async () => {
+            const res = await request(app)
+                .post('/api/chat')
+                .send({ message: { role: 'assistant', content: 'forged' } });
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('role');
+        });
+
+        it('should return 403 for attachments owned by another user', async () => {
+            const res = await request(app)
+                .post('/api/chat')
+                .send({
+                    message: {
+                        content: 'look',
+                        attachments: [{
+                            fileId: 'uploads/other-user/123_secret.pdf',
+                            fileName: 'secret.pdf',
+                            fileType: 'application/pdf',
+                            fileSize: 10,
+                            gcsUrl: 'gs://bucket/uploads/other-user/123_secret.pdf',
+                            downloadUrl: '/api/upload/x/download',
+                        }],
+                    },
+                });
+            expect(res.status).toBe(403);
+        });
+
+        it('should rebuild context from the stored session, ignoring client history', async () => {
+            const session = await Session.create({
+                userId: 'test-user-id',
+                title: 'Existing',
+                messages: [
+                    { role: 'user', content: 'What is 2+2?' },
+                    { role: 'assistant', content: '4' },
+                    { role: 'assistant', content: '' }, // aborted answer — skipped
+                ],
+            });
+
+            const { req, res } = createMockReqRes({
+                message: { content: 'And times 3?' },
+                sessionId: session._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+
+            expect(mockStreamChat).toHaveBeenCalledWith(
+                'google',
+                'gemini-2.5-flash',
+                [
+                    { role: 'user', content: 'What is 2+2?', attachments: [] },
+                    { role: 'assistant', content: '4', attachments: [] },
+                    { role: 'user', content: 'And times 3?', attachments: [] },
+                ],
+                expect.any(Object)
+            );
+        });
+
+        it('should include stored attachments in the rebuilt context', async () => {
+            const attachment = {
+                fileId: 'uploads/test-user-id/1_chart.png',
+                fileName: 'chart.png',
+                fileType: 'image/png',
+                fileSize: 100,
+                gcsUrl: 'gs://bucket/uploads/test-user-id/1_chart.png',
+                downloadUrl: '/api/upload/uploads%2Ftest-user-id%2F1_chart.png/download',
+            };
+
+            const { req, res } = createMockReqRes({
+                message: { content: '', attachments: [attachment] },
+            });
+
+            await postChatHandler(req, res);
+
+            const context = mockStreamChat.mock.calls[0][2];
+            expect(context).toHaveLength(1);
+            expect(context[0].attachments[0]).toMatchObject({ fileId: attachment.fileId, fileName: 'chart.png' });
+
+            await new Promise(r => setTimeout(r, 50));
+            const [saved] = await Session.find({ userId: 'test-user-id' });
+            expect(saved.messages[0].attachments[0].fileId).toBe(attachment.fileId);
+        });
+
+        it('should summarize turns that exceed the context budget and pass the summary on', async () => {
+            mockGenerateSummary.mockResolvedValue('Earlier: user pasted a huge log.');
+            const session = await Session.create({
+                userId: 'test-user-id',
+                title: 'Long',
+                messages: [
+                    { role: 'user', content: 'x'.repeat(120000) }, // ~30k tokens, over the 32k × 0.8 window
+                    { role: 'assistant', content: 'That log shows a timeout.' },
+                ],
+            });
+
+            const { req, res } = createMockReqRes({
+                message: { content: 'How do I fix it?' },
+                sessionId: session._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+
+            const [, , context, options] = mockStreamChat.mock.calls[0];
+            expect(context).toEqual([{ role: 'user', content: 'How do I fix it?', attachments: [] }]);
+            expect(options.summary).toBe('Earlier: user pasted a huge log.');
+
+            await new Promise(r => setTimeout(r, 50));
+            const saved = await Session.findById(session._id);
+            expect(saved.summary.content).toBe('Earlier: user pasted a huge log.');
+            expect(saved.summary.throughMessageId).toBe(saved.messages[1]._id.toString());
+        });
+
+        it('should open the stream before summarizing older turns', async () => {
+            const session = await Session.create({
+                userId: 'test-user-id',
+                messages: [
+                    { role: 'user', content: 'x'.repeat(120000) },
+                    { role: 'assistant', content: 'That log shows a timeout.' },
+                ],
+            });
+            const { req, res } = createMockReqRes({
+                message: { content: 'How do I fix it?' },
+                sessionId: session._id.toString(),
+            });
+            let headersSent = false;
+            mockGenerateSummary.mockImplementation(async () => {
+                headersSent = res.flushHeaders.mock.calls.length > 0;
+                return 'Earlier: a log.';
+            });
+
+            await postChatHandler(req, res);
+
+            expect(headersSent).toBe(true);
+        });
+
+        it('should persist the new turn and the answer', async () => {
+            const { req, res } = createMockReqRes({
+                message: { content: 'hello' },
+            });
+
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            const [saved] = await Session.find({ userId: 'test-user-id' });
+            expect(saved.messages.map(m => [m.role, m.content])).toEqual([
+                ['user', 'hello'],
+                ['assistant', 'Hello world!'],
+            ]);
+        });
+    });
+
+    // =============================================
+    // POST /api/chat — personas
+    // =============================================
+    describe('POST /api/chat — personas', () => {
+        async function createPersona(fields = {}) {
+            return Persona.create({
+                userId: 'test-user-id',
+                name: 'Code reviewer',
+                systemPrompt: 'You review code strictly.',
+                temperature: 0.2,
+                ...fields,
+            });
+        }
+
+        it('should attach the persona to a new session and use its prompt and temperature', async () => {
+            const persona = await createPersona();
+            const { req, res } = createMockReqRes({
+                message: { content: 'Review this' },
+                personaId: persona._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+
+            const options = mockStreamChat.mock.calls[0][3];
+            expect(options.systemPrompt).toBe('You review code strictly.');
+            expect(options.generation).toEqual({ temperature: 0.2 });
+
+            const session = await Session.findOne({ userId: 'test-user-id' });
+            expect(session.personaId.toString()).toBe(persona._id.toString());
+        });
+
+        it('should use the persona stored on an existing session', async () => {
+            const persona = await createPersona({ temperature: null });
+            const session = await Session.create({ userId: 'test-user-id', personaId: persona._id });
+            const { req, res } = createMockReqRes({
+                message: { content: 'Next file' },
+                sessionId: session._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+
+            const options = mockStreamChat.mock.calls[0][3];
+            expect(options.systemPrompt).toBe('You review code strictly.');
+            expect(options.generation).toEqual({});
+        });
+
+        it('should use the session owner\'s persona when a workspace member continues the chat', async () => {
+            const persona = await createPersona({ userId: 'owner-id' });
+            const workspace = await Workspace.create({
+                name: 'Team',
+                members: [{ userId: 'owner-id', role: 'owner' }, { userId: 'test-user-id', role: 'editor' }],
+            });
+            const session = await Session.create({ userId: 'owner-id', workspaceId: workspace._id, personaId: persona._id });
+            const { req, res } = createMockReqRes({
+                message: { content: 'Next file' },
+                sessionId: session._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+
+            expect(mockStreamChat.mock.calls[0][3].systemPrompt).toBe('You review code strictly.');
+        });
+
+        it('should answer with the persona model when no model is requested', async () => {
+            const persona = await createPersona({ model: 'google/gemini-2.5-pro' });
+            mockResolveModel.mockImplementation((model) => (model === 'google/gemini-2.5-pro'
+                ? { providerId: 'google', modelId: 'gemini-2.5-pro' }
+                : { providerId: 'google', modelId: 'gemini-2.5-flash' }));
+            const { req, res } = createMockReqRes({
+                message: { content: 'Hi' },
+                personaId: persona._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+
+            expect(mockStreamChat.mock.calls[0][1]).toBe('gemini-2.5-pro');
+        });
+
+        it('should return 404 for another user\'s persona', async () => {
+            const persona = await createPersona({ userId: 'other-user' });
+
+            const res = await request(app)
+                .post('/api/chat')
+                .send({ message: { content: 'Hi' }, personaId: persona._id.toString() });
+
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Persona not found');
+        });
+    });
+
+    // =============================================
+    // POST /api/chat — generation settings
+    // =============================================
+    describe('POST /api/chat — generation settings', () => {
+        it('should reject invalid generation settings', async () => {
+            const res = await request(app)
+                .post('/api/chat')
+                .send({ message: { content: 'Hi' }, generation: { topP: 1.5 } });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('topP must be a number between 0 and 1');
+            expect(mockStreamChat).not.toHaveBeenCalled();
+        });
+
+        it('should store the settings of a new session and pass them on', async () => {
+            const generation = { temperature: 0.7, maxOutputTokens: 512, stopSequences: ['END'] };
+            const { req, res } = createMockReqRes({ message: { content: 'Hi' }, generation });
+
+            await postChatHandler(req, res);
+
+            expect(mockStreamChat.mock.calls[0][3].generation).toEqual(generation);
+            const session = await Session.findOne({ userId: 'test-user-id' }).lean();
+            expect(session.generation).toEqual(generation);
+        });
+
+        it('should layer request settings over session settings and persona temperature', async () => {
+            const persona = await Persona.create({
+                userId: 'test-user-id',
+                name: 'Writer',
+                systemPrompt: 'You write.',
+                temperature: 1.2,
+            });
+            const session = await Session.create({
+                userId: 'test-user-id',
+                personaId: persona._id,
+                generation: { topP: 0.9, maxOutputTokens: 256 },
+            });
+            const { req, res } = createMockReqRes({
+                message: { content: 'Hi' },
+                sessionId: session._id.toString(),
+                generation: { maxOutputTokens: 1024 },
+            });
+
+            await postChatHandler(req, res);
+
+            expect(mockStreamChat.mock.calls[0][3].generation).toEqual({
+                temperature: 1.2,
+                topP: 0.9,
+                maxOutputTokens: 1024,
+            });
+            // Per-request settings don't change an existing session
+            const saved = await Session.findById(session._id).lean();
+            expect(saved.generation).toEqual({ topP: 0.9, maxOutputTokens: 256 });
+        });
+    });
+
+    // =============================================
+    // POST /api/chat — tool calls
+    // =============================================
+    describe('POST /api/chat — tool calls', () => {
+        it('should offer the tools and run calls as the requesting user', async () => {
+            mockExecuteTool.mockResolvedValue({ results: [] });
+            mockStreamChat.mockImplementation(async function* (providerId, modelId, messages, options) {
+                const result = await options.tools.execute({ name: 'search_documents', args: { query: 'roadmap' } });
+                yield `Found ${result.results.length} documents`;
+            });
+            const { req, res } = createMockReqRes({ message: { content: 'Find my roadmap' } });
+
+            await postChatHandler(req, res);
+
+            const { declarations } = mockStreamChat.mock.calls[0][3].tools;
+            expect(declarations.map(d => d.name)).toEqual(['search_documents', 'read_session', 'create_project_plan']);
+            expect(mockExecuteTool).toHaveBeenCalledWith('search_documents', { query: 'roadmap' }, expect.objectContaining({
+                userId: 'test-user-id',
+                access: expect.objectContaining({ filter: expect.any(Function) }),
+            }));
+
+            const events = parseSSEEvents(res._getWritten()).filter(e => e !== '[DONE]').map(e => JSON.parse(e));
+            expect(events.filter(e => e.tool).map(e => e.tool.status)).toEqual(['running', 'done']);
+            expect(events.find(e => e.tool).tool.label).toBe('Searching your documents');
+        });
+
+        it('should link a plan created by a tool to the saved answer', async () => {
+            const documentId = new mongoose.Types.ObjectId().toString();
+            mockExecuteTool.mockResolvedValue({ documentId, title: 'CRM plan' });
+            mockStreamChat.mockImplementation(async function* (providerId, modelId, messages, options) {
+                await options.tools.execute({ name: 'create_project_plan', args: { prompt: 'CRM' } });
+                yield 'Your plan is ready.';
+            });
+            const { req, res } = createMockReqRes({ message: { content: 'Plan a CRM' } });
+
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            const saved = await Session.findOne({ userId: 'test-user-id' }).lean();
+            const answer = saved.messages.find(m => m.role === 'assistant');
+            expect(answer.metadata).toMatchObject({
+                planAction: true,
+                documentId,
+                toolCalls: [expect.objectContaining({ name: 'create_project_plan', status: 'done', documentId })],
+            });
+        });
+
+        it('should mark failed tool calls as errors', async () => {
+            mockExecuteTool.mockResolvedValue({ error: 'Session not found' });
+            mockStreamChat.mockImplementation(async function* (providerId, modelId, messages, options) {
+                await options.tools.execute({ name: 'read_session', args: { title: 'nope' } });
+                yield 'I could not find it.';
+            });
+            const { req, res } = createMockReqRes({ message: { content: 'Read "nope"' } });
+
+            await postChatHandler(req, res);
+
+            const events = parseSSEEvents(res._getWritten()).filter(e => e !== '[DONE]').map(e => JSON.parse(e));
+            expect(events.filter(e => e.tool).pop().tool.status).toBe('error');
+        });
+    });
+
+    // =============================================
+    // POST /api/chat — retrieval
+    // =============================================
+    describe('POST /api/chat — retrieval', () => {
+        const passage = {
+            sourceType: 'document',
+            sourceId: 'doc-1',
+            title: 'CRM plan',
+            text: 'Phase 1 delivers contact management by March.',
+            score: 0.81234,
+        };
+
+        it('should ground the answer in retrieved passages and store citations', async () => {
+            mockRetrievePassages.mockResolvedValue([passage]);
+            const { req, res } = createMockReqRes({ message: { content: 'When is phase 1 due?' }, retrieval: true });
+
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(mockRetrievePassages).toHaveBeenCalledWith('test-user-id', 'When is phase 1 due?', {
+                access: expect.objectContaining({ filter: expect.any(Function) }),
+            });
+            expect(mockStreamChat.mock.calls[0][3].references).toContain('[1] CRM plan (document)');
+
+            const events = parseSSEEvents(res._getWritten()).filter(e => e !== '[DONE]').map(e => JSON.parse(e));
+            const citation = {
+                index: 1,
+                sourceType: 'document',
+                sourceId: 'doc-1',
+                title: 'CRM plan',
+                excerpt: passage.text,
+                score: 0.812,
+            };
+            expect(events.find(e => e.citations).citations).toEqual([citation]);
+
+            const saved = await Session.findOne({ userId: 'test-user-id' }).lean();
+            expect(saved.messages.find(m => m.role === 'assistant').metadata.citations).toEqual([citation]);
+        });
+
+        it('should answer without grounding when retrieval fails or is not requested', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+            mockRetrievePassages.mockRejectedValue(new Error('embedding quota'));
+            const failed = createMockReqRes({ message: { content: 'Hi' }, retrieval: true });
+
+            await postChatHandler(failed.req, failed.res);
+
+            expect(mockStreamChat.mock.calls[0][3].references).toBeNull();
+            expect(parseSSEEvents(failed.res._getWritten()).join('')).toContain('Hello world!');
+            errorSpy.mockRestore();
+
+            mockRetrievePassages.mockClear();
+            const plain = createMockReqRes({ message: { content: 'Hi' } });
+            await postChatHandler(plain.req, plain.res);
+            expect(mockRetrievePassages).not.toHaveBeenCalled();
+        });
+    });
+
+    // =============================================
+    // POST /api/chat — branching (edit / regenerate)
+    // =============================================
+    describe('POST /api/chat — branching', () => {
+        async function createConversation() {
+            const session = await Session.create({
+                userId: 'test-user-id',
+                title: 'Existing',
+                messages: [
+                    { role: 'user', content: 'What is 2+2?' },
+                    { role: 'assistant', content: '4' },
+                ],
+            });
+            return session;
+        }
+
+        it('should return 400 when regenerate or editMessageId is sent without sessionId', async () => {
+            const regen = await request(app).post('/api/chat').send({ regenerate: true });
+            expect(regen.status).toBe(400);
+
+            const edit = await request(app)
+                .post('/api/chat')
+                .send({ message: { content: 'x' }, editMessageId: new mongoose.Types.ObjectId().toString() });
+            expect(edit.status).toBe(400);
+        });
+
+        it('should send the new message IDs in the first SSE event', async () => {
+            const { req, res } = createMockReqRes({ message: { content: 'hello' } });
+
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            const firstEvent = JSON.parse(parseSSEEvents(res._getWritten())[0]);
+            const [saved] = await Session.find({ userId: 'test-user-id' });
+            expect(firstEvent.userMessageId).toBe(saved.messages[0]._id.toString());
+            expect(firstEvent.assistantMessageId).toBe(saved.messages[1]._id.toString());
+            expect(saved.activeLeafId.toString()).toBe(firstEvent.assistantMessageId);
+        });
+
+        it('should regenerate the last answer as a sibling branch', async () => {
+            const session = await createConversation();
+            const [question, oldAnswer] = session.messages;
+
+            const { req, res } = createMockReqRes({
+                regenerate: true,
+                sessionId: session._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            // The old answer is not part of the regenerated context
+            expect(mockStreamChat).toHaveBeenCalledWith(
+                'google',
+                'gemini-2.5-flash',
+                [{ role: 'user', content: 'What is 2+2?', attachments: [] }],
+                expect.any(Object)
+            );
+
+            const saved = await Session.findById(session._id);
+            expect(saved.messages).toHaveLength(3);
+            const newAnswer = saved.messages[2];
+            expect(newAnswer.content).toBe('Hello world!');
+            expect(newAnswer.parentId.toString()).toBe(question._id.toString());
+            expect(saved.messages[1]._id.toString()).toBe(oldAnswer._id.toString());
+            expect(saved.activeLeafId.toString()).toBe(newAnswer._id.toString());
+        });
+
+        it('should return 400 when there is nothing to regenerate', async () => {
+            const session = await Session.create({ userId: 'test-user-id', messages: [] });
+
+            const res = await request(app)
+                .post('/api/chat')
+                .send({ regenerate: true, sessionId: session._id.toString() });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Nothing to regenerate');
+        });
+
+        it('should add an edited message as a sibling of the original', async () => {
+            const session = await createConversation();
+            const question = session.messages[0];
+
+            const { req, res } = createMockReqRes({
+                message: { content: 'What is 3+3?' },
+                editMessageId: question._id.toString(),
+                sessionId: session._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(mockStreamChat).toHaveBeenCalledWith(
+                'google',
+                'gemini-2.5-flash',
+                [{ role: 'user', content: 'What is 3+3?', attachments: [] }],
+                expect.any(Object)
+            );
+
+            const saved = await Session.findById(session._id);
+            expect(saved.messages).toHaveLength(4);
+            const [, , edited, answer] = saved.messages;
+            expect(edited.parentId).toBeNull();
+            expect(answer.parentId.toString()).toBe(edited._id.toString());
+            expect(saved.activeLeafId.toString()).toBe(answer._id.toString());
+        });
+
+        it('should return 404 when the edited message is not a user message in the session', async () => {
+            const session = await createConversation();
+
+            const res = await request(app)
+                .post('/api/chat')
+                .send({
+                    message: { content: 'x' },
+                    editMessageId: session.messages[1]._id.toString(),
+                    sessionId: session._id.toString(),
+                });
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should continue the active branch after switching away from the newest one', async () => {
+            const session = await createConversation();
+            const question = session.messages[0];
+            // A regenerated answer exists, but the user switched back to the first one
+            session.messages.push({ role: 'assistant', content: 'four', parentId: question._id });
+            session.activeLeafId = session.messages[1]._id;
+            await session.save();
+
+            const { req, res } = createMockReqRes({
+                message: { content: 'Thanks' },
+                sessionId: session._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+
+            expect(mockStreamChat).toHaveBeenCalledWith(
+                'google',
+                'gemini-2.5-flash',
+                [
+                    { role: 'user', content: 'What is 2+2?', attachments: [] },
+                    { role: 'assistant', content: '4', attachments: [] },
+                    { role: 'user', content: 'Thanks', attachments: [] },
+                ],
+                expect.any(Object)
+            );
+        });
+
+        it('should keep the branch the user switched to while the answer was generated', async () => {
+            const session = await createConversation();
+            const oldAnswer = session.messages[1];
+            mockStreamChat.mockImplementation(async function* () {
+                yield 'Hello ';
+                // Another tab switches back to the first answer mid-stream
+                await Session.updateOne({ _id: session._id }, { $set: { activeLeafId: oldAnswer._id } });
+                yield 'world!';
+            });
+
+            const { req, res } = createMockReqRes({
+                regenerate: true,
+                sessionId: session._id.toString(),
+            });
+
+            await postChatHandler(req, res);
+
+            const saved = await Session.findById(session._id);
+            expect(saved.messages).toHaveLength(3);
+            expect(saved.messages[2].content).toBe('Hello world!');
+            expect(saved.activeLeafId.toString()).toBe(oldAnswer._id.toString());
+        });
+    });
+
+    // =============================================
+    // Resumable streams
+    // =============================================
+    describe('Resumable streams', () => {
+        function createResumeReqRes(messageId, lastEventId, user = 'test-user-id') {
+            const { req, res } = createMockReqRes();
+            req.params = { messageId };
+            req.query = {};
+            req.user = { sub: user };
+            req.get = (name) => (name === 'Last-Event-ID' && lastEventId ? String(lastEventId) : undefined);
+            return { req, res };
+        }
+
+        it('should keep generating and save the answer after the client disconnects', async () => {
+            let closeCallback;
+            mockStreamChat.mockImplementation(async function* () {
+                yield 'chunk-1 ';
+                closeCallback();
+                yield 'chunk-2';
+            });
+
+            const { req, res } = createMockReqRes({ message: { content: 'hello' } });
+            req.on.mockImplementation((event, cb) => {
+                if (event === 'close') closeCallback = cb;
+            });
+
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            const [saved] = await Session.find({ userId: 'test-user-id' });
+            expect(saved.messages[1].content).toBe('chunk-1 chunk-2');
+        });
+
+        it('should replay events after Last-Event-ID and end when the answer is done', async () => {
+            const { req, res } = createMockReqRes({ message: { content: 'hello' } });
+            await postChatHandler(req, res);
+            const { assistantMessageId } = JSON.parse(parseSSEEvents(res._getWritten())[0]);
+
+            const resume = createResumeReqRes(assistantMessageId, 1);
+            resumeStreamHandler(resume.req, resume.res);
+
+            const written = resume.res._getWritten().join('');
+            expect(written.startsWith('id: 2\n')).toBe(true);
+            const events = parseSSEEvents(resume.res._getWritten());
+            expect(events.filter(e => e !== '[DONE]').map(e => JSON.parse(e).chunk)).toEqual(['Hello ', 'world!']);
+            expect(events[events.length - 1]).toBe('[DONE]');
+            expect(resume.res.end).toHaveBeenCalled();
+        });
+
+        it('should return 404 for an unknown stream', () => {
+            const { req, res } = createResumeReqRes(new mongoose.Types.ObjectId().toString());
+            resumeStreamHandler(req, res);
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should return 404 for another user\'s stream', async () => {
+            const { req, res } = createMockReqRes({ message: { content: 'hello' } });
+            await postChatHandler(req, res);
+            const { assistantMessageId } = JSON.parse(parseSSEEvents(res._getWritten())[0]);
+
+            const resume = createResumeReqRes(assistantMessageId, 0, 'other-user');
+            resumeStreamHandler(resume.req, resume.res);
+            expect(resume.res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    // =============================================
+    // POST /api/chat/:sessionId/cancel
+    // =============================================
+    describe('POST /api/chat/:sessionId/cancel', () => {
+        function cancel(sessionId, user = 'test-user-id') {
+            const { req, res } = createMockReqRes();
+            req.params = { sessionId };
+            req.user = { sub: user };
+            cancelHandler(req, res);
+            return res;
+        }
+
+        it('should stop generation and save the partial answer as stopped', async () => {
+            const session = await Session.create({ userId: 'test-user-id', messages: [] });
+            let cancelRes;
+            let receivedSignal;
+            mockStreamChat.mockImplementation(async function* (providerId, modelId, messages, options) {
+                receivedSignal = options.signal;
+                yield 'partial ';
+                cancelRes = cancel(session._id.toString());
+                yield 'never shown';
+            });
+
+            const { req, res } = createMockReqRes({
+                message: { content: 'hello' },
+                sessionId: session._id.toString(),
+            });
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            expect(cancelRes.json).toHaveBeenCalledWith(expect.objectContaining({ cancelled: true }));
+            expect(receivedSignal.aborted).toBe(true);
+
+            const events = parseSSEEvents(res._getWritten());
+            const parsed = events.filter(e => e !== '[DONE]').map(e => JSON.parse(e));
+            expect(parsed.map(e => e.chunk).filter(Boolean)).toEqual(['partial ']);
+            expect(parsed.some(e => e.stopped === true)).toBe(true);
+            expect(events[events.length - 1]).toBe('[DONE]');
+
+            const saved = await Session.findById(session._id);
+            const answer = saved.messages[saved.messages.length - 1];
+            expect(answer.content).toBe('partial ');
+            expect(answer.metadata).toEqual({ stopped: true });
+        });
+
+        it('should not report an error when the upstream stream rejects after cancellation', async () => {
+            const session = await Session.create({ userId: 'test-user-id', messages: [] });
+            mockStreamChat.mockImplementation(async function* () {
+                cancel(session._id.toString());
+                const err = new Error('This operation was aborted');
+                err.name = 'AbortError';
+                throw err;
+            });
+
+            const { req, res } = createMockReqRes({
+                message: { content: 'hello' },
+                sessionId: session._id.toString(),
+            });
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            const parsed = parseSSEEvents(res._getWritten()).filter(e => e !== '[DONE]').map(e => JSON.parse(e));
+            expect(parsed.some(e => e.error)).toBe(false);
+            expect(parsed.some(e => e.stopped)).toBe(true);
+
+            // Empty stopped answers are still stored so the marker shows after reload
+            const saved = await Session.findById(session._id);
+            expect(saved.messages[saved.messages.length - 1].metadata).toEqual({ stopped: true });
+        });
+
+        it('should return 404 when nothing is being generated', () => {
+            const res = cancel(new mongoose.Types.ObjectId().toString());
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        it('should not cancel another user\'s answer', async () => {
+            const session = await Session.create({ userId: 'test-user-id', messages: [] });
+            let cancelRes;
+            mockStreamChat.mockImplementation(async function* () {
+                cancelRes = cancel(session._id.toString(), 'other-user');
+                yield 'full answer';
+            });
+
+            const { req, res } = createMockReqRes({
+                message: { content: 'hello' },
+                sessionId: session._id.toString(),
+            });
+            await postChatHandler(req, res);
+
+            expect(cancelRes.status).toHaveBeenCalledWith(404);
+            const events = parseSSEEvents(res._getWritten());
+            expect(events.some(e => e !== '[DONE]' && JSON.parse(e).chunk === 'full answer')).toBe(true);
+        });
+    });
+
     // =============================================
     // POST /api/chat — Session integration
     // =============================================
@@ -484,6 +1312,25 @@ describe('Chat Routes', () => {
             expect(sessions[0].messages[1].content).toBe('Hello world!');
         });
 
+        it('should persist the model that actually answered on the assistant message', async () => {
+            mockStreamChat.mockImplementation(async function* (providerId, modelId, messages, options) {
+                options.onModelSelected({ providerId: 'google', modelId: 'gemini-2.5-pro', fallback: true });
+                yield 'answer';
+            });
+
+            const { req, res } = createMockReqRes({
+                messages: [{ role: 'user', content: 'hello' }],
+                model: 'google/gemini-2.5-flash',
+            });
+
+            await postChatHandler(req, res);
+            await new Promise(r => setTimeout(r, 50));
+
+            const [session] = await Session.find({ userId: 'test-user-id' });
+            expect(session.model).toBe('google/gemini-2.5-flash');
+            expect(session.messages[1].model).toBe('google/gemini-2.5-pro');
+        });
+
         it('should not allow loading another user\'s session', async () => {
             const session = await Session.create({
                 userId: 'other-user',
@@ -0,0 +1,180 @@
+/**
+ * Chat Tools — Unit Tests
+ *
+ * Tests the tool registry (declarations, labels, error handling) and each tool
+ * against mocked Document/Session models, quota checks and plan generation.
+ */
+const mongoose = require('mongoose');
+
+const mockDocumentFind = jest.fn();
+jest.mock('../../src/models/Document', () => ({
+    find: (...args) => mockDocumentFind(...args),
+}));
+
+const mockSessionFindOne = jest.fn();
+jest.mock('../../src/models/Session', () => ({
+    findOne: (...args) => mockSessionFindOne(...args),
+}));
+
+const mockCheckQuota = jest.fn();
+jest.mock('../../src/services/quotaService', () => ({
+    checkQuota: (...args) => mockCheckQuota(...args),
+}));
+
+const mockGenerateProjectPlan = jest.fn();
+jest.mock('../../src/services/planGenerationService', () => ({
+    generateProjectPlan: (...args) => mockGenerateProjectPlan(...args),
+}));
+
+const { getToolDeclarations, getToolLabel, executeTool } = require('../../src/services/chatTools');
+
+// The user's documents and sessions, and those of their workspace
+const scope = { $or: [{ userId: 'user-1', workspaceId: null }, { workspaceId: { $in: ['ws-1'] } }] };
+const context = { userId: 'user-1', sessionId: 'session-1', access: { filter: () => scope } };
+
+function paragraph(text) {
+    return { type: 'paragraph', content: [{ type: 'text', text }] };
+}
+
+function mockDocuments(docs) {
+    mockDocumentFind.mockReturnValue({
+        select: () => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve(docs) }) }) }),
+    });
+}
+
+function mockSession(session) {
+    mockSessionFindOne.mockReturnValue(Object.assign(Promise.resolve(session), {
+        sort: () => Promise.resolve(session),
+    }));
+}
+
+function conversation(title, contents) {
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        title,
+        messages: contents.map((content, i) => ({
+            _id: new mongoose.Types.ObjectId(),
+            role: i % 2 === 0 ? 'user' : 'assistant',
+            content,
+        })),
+    };
+}
+
+describe('chatTools', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockCheckQuota.mockResolvedValue(null);
+    });
+
+    describe('registry', () => {
+        it('should declare every tool with a JSON schema', () => {
+            const declarations = getToolDeclarations();
+            expect(declarations.map(d => d.name)).toEqual(['search_documents', 'read_session', 'create_project_plan']);
+            for (const declaration of declarations) {
+                expect(declaration.description).toBeTruthy();
+                expect(declaration.parametersJsonSchema.type).toBe('object');
+            }
+        });
+
+        it('should label known and unknown tools', () => {
+            expect(getToolLabel('create_project_plan')).toBe('Creating a project plan');
+            expect(getToolLabel('mystery')).toBe('Running mystery');
+        });
+
+        it('should return errors instead of throwing', async () => {
+            expect(await executeTool('mystery', {}, context)).toEqual({ error: 'Unknown tool: mystery' });
+
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+            mockDocumentFind.mockImplementation(() => { throw new Error('db down'); });
+            expect(await executeTool('search_documents', { query: 'x' }, context)).toEqual({ error: 'search_documents failed' });
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('search_documents', () => {
+        it('should return the best matches the user can read, with excerpts', async () => {
+            const roadmap = { _id: 'd1', title: 'Mobile roadmap', type: 'roadmap', content: [paragraph('Launch the iOS app in Q3.')] };
+            const plan = { _id: 'd2', title: 'CRM plan', type: 'project-plan', content: [paragraph('Mobile app for the sales team.')] };
+            const other = { _id: 'd3', title: 'Hiring', type: 'workflow', content: [paragraph('Interview loop.')] };
+            mockDocuments([plan, roadmap, other]);
+
+            const { results } = await executeTool('search_documents', { query: 'mobile roadmap' }, context);
+
+            expect(mockDocumentFind).toHaveBeenCalledWith(scope);
+            expect(results.map(r => r.documentId)).toEqual(['d1', 'd2']);
+            expect(results[0]).toMatchObject({ title: 'Mobile roadmap', type: 'roadmap' });
+            expect(results[0].excerpt).toContain('Launch the iOS app');
+        });
+
+        it('should require a query', async () => {
+            expect(await executeTool('search_documents', { query: '  ' }, context)).toEqual({ error: 'query is required' });
+        });
+    });
+
+    describe('read_session', () => {
+        it('should read a session by ID, scoped to what the user can read', async () => {
+            const session = conversation('Auth refactor', ['How do I rotate tokens?', 'Use refresh tokens.']);
+            mockSession(session);
+
+            const result = await executeTool('read_session', { sessionId: session._id.toString() }, context);
+
+            expect(mockSessionFindOne).toHaveBeenCalledWith({ _id: session._id.toString(), ...scope });
+            expect(result).toEqual({
+                sessionId: session._id.toString(),
+                title: 'Auth refactor',
+                truncated: false,
+                messages: [
+                    { role: 'user', content: 'How do I rotate tokens?' },
+                    { role: 'assistant', content: 'Use refresh tokens.' },
+                ],
+            });
+        });
+
+        it('should find a session by title and keep the newest turns of long ones', async () => {
+            const long = 'x'.repeat(5000);
+            mockSession(conversation('Budget (Q3)', [long, long, 'latest']));
+
+            const result = await executeTool('read_session', { title: 'budget (q3' }, context);
+
+            expect(mockSessionFindOne.mock.calls[0][0].$or).toBe(scope.$or);
+            expect(mockSessionFindOne.mock.calls[0][0].title.test('Budget (Q3)')).toBe(true);
+            expect(result.truncated).toBe(true);
+            expect(result.messages.map(m => m.content)).toEqual([long, 'latest']);
+        });
+
+        it('should report missing sessions', async () => {
+            mockSession(null);
+            expect(await executeTool('read_session', { sessionId: 'not-an-id' }, context)).toEqual({ error: 'Session not found' });
+            expect(await executeTool('read_session', {}, context)).toEqual({ error: 'sessionId or title is required' });
+        });
+    });
+
+    describe('create_project_plan', () => {
+        it('should return the saved plan and finish images in the background', async () => {
+            const imagesDone = jest.fn();
+            mockGenerateProjectPlan.mockImplementation(async function* () {
+                yield { type: 'text', chunk: '# CRM' };
+                yield { type: 'complete', documentId: 'doc-1', title: 'CRM', finalMarkdown: '# CRM\n\nPlan' };
+                yield { type: 'status', message: 'Generating 1 images...' };
+                imagesDone();
+            });
+
+            const result = await executeTool('create_project_plan', { prompt: 'A CRM' }, context);
+
+            expect(result).toEqual({ documentId: 'doc-1', title: 'CRM', plan: '# CRM\n\nPlan' });
+            expect(mockGenerateProjectPlan).toHaveBeenCalledWith('A CRM', { includeImages: true }, 'user-1', 'session-1');
+            await new Promise(r => setImmediate(r));
+            expect(imagesDone).toHaveBeenCalled();
+        });
+
+        it('should respect the plan and token quotas', async () => {
+            mockCheckQuota.mockResolvedValue({ error: 'Daily plan generation limit reached', resetAt: '2026-01-02T00:00:00.000Z' });
+
+            const result = await executeTool('create_project_plan', { prompt: 'A CRM' }, context);
+
+            expect(mockCheckQuota).toHaveBeenCalledWith('user-1', ['plansPerDay', 'tokensPerMonth']);
+            expect(result.error).toBe('Daily plan generation limit reached');
+            expect(mockGenerateProjectPlan).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,331 @@
+/**
+ * Collab Service — Unit Tests
+ *
+ * Tests the WebSocket sync between editors, access checks, seeding of a new
+ * shared state, persistence and compaction of updates, resetting the state, and
+ * disconnecting users whose access changed or expired (models and auth mocked,
+ * real WebSocket connections).
+ */
+const http = require('http');
+const WebSocket = require('ws');
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+
+const DOC_ID = '507f1f77bcf86cd799439011';
+const OTHER_DOC_ID = '507f1f77bcf86cd799439012';
+
+// User ID → expiry of their access token (seconds since the epoch)
+const mockExpiry = {};
+jest.mock('../../src/middleware/auth', () => ({
+    verifyToken: (token) => (token
+        ? Promise.resolve({ sub: token, exp: mockExpiry[token] })
+        : Promise.reject(new Error('No token'))),
+}));
+
+// User ID → role on DOC_ID
+const mockRoles = { alice: 'owner', bob: 'editor', carol: 'viewer' };
+jest.mock('../../src/services/workspaceService', () => ({
+    ...jest.requireActual('../../src/services/workspaceService'),
+    getAccess: (userId) => Promise.resolve({
+        filter: () => ({}),
+        roleFor: () => mockRoles[userId] || null,
+    }),
+}));
+
+jest.mock('../../src/models/Document', () => ({
+    findOne: (query) => ({
+        select: () => ({
+            lean: () => Promise.resolve(String(query._id) === DOC_ID ? { _id: query._id, userId: 'alice' } : null),
+        }),
+    }),
+}));
+
+// In-memory DocumentUpdate collection; mockHooks.beforeDelete can hold up deleteMany
+const mockStored = [];
+const mockHooks = { beforeDelete: null };
+jest.mock('../../src/models/DocumentUpdate', () => {
+    let nextId = 1;
+    const matches = (record, query) =>
+        (query.documentId === undefined || String(record.documentId) === String(query.documentId))
+        && (query._id === undefined || query._id.$in.includes(record._id));
+    const chain = (records) => {
+        const result = { sort: () => result, select: () => result, lean: () => Promise.resolve(records) };
+        return result;
+    };
+    return {
+        find: (query) => chain(mockStored.filter(r => matches(r, query))),
+        create: (record) => {
+            const stored = { ...record, _id: nextId++ };
+            mockStored.push(stored);
+            return Promise.resolve(stored);
+        },
+        exists: (query) => Promise.resolve(mockStored.some(r => matches(r, query)) ? { _id: 1 } : null),
+        deleteMany: async (query) => {
+            await mockHooks.beforeDelete?.();
+            const kept = mockStored.filter(r => !matches(r, query));
+            const deletedCount = mockStored.length - kept.length;
+            mockStored.splice(0, mockStored.length, ...kept);
+            return { deletedCount };
+        },
+    };
+});
+
+const {
+    attachCollabServer,
+    refreshCollabAccess,
+    hasCollabState,
+    resetCollabState,
+    MESSAGE_SEED,
+    CLOSE_CODES,
+} = require('../../src/services/collabService');
+
+let server;
+let port;
+const clients = [];
+
+beforeAll((done) => {
+    server = http.createServer();
+    attachCollabServer(server);
+    server.listen(0, () => {
+        port = server.address().port;
+        done();
+    });
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+afterEach(async () => {
+    for (const client of clients.splice(0)) client.ws.close();
+    // Let rooms close and compact before clearing the store
+    await new Promise(resolve => setTimeout(resolve, 50));
+    mockStored.splice(0);
+});
+
+async function waitFor(condition, timeoutMs = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Minimal y-websocket client: syncs a Y.Doc and records seed requests and the close code.
+ */
+function connect(user, { documentId = DOC_ID, acknowledgeSeed = true } = {}) {
+    const headers = user ? { cookie: `access_token=${user}` } : {};
+    const ws = new WebSocket(`ws://localhost:${port}/api/collab/${documentId}`, { headers });
+    const client = { ws, doc: new Y.Doc(), acknowledgeSeed, seedRequested: false, synced: false, closeCode: null };
+    clients.push(client);
+
+    const sendSync = (write) => {
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, 0);
+        write(encoder);
+        ws.send(encoding.toUint8Array(encoder));
+    };
+
+    ws.on('open', () => sendSync(e => syncProtocol.writeSyncStep1(e, client.doc)));
+    ws.on('message', (data) => {
+        const decoder = decoding.createDecoder(new Uint8Array(data));
+        const type = decoding.readVarUint(decoder);
+        if (type === MESSAGE_SEED) {
+            client.seedRequested = true;
+            if (client.acknowledgeSeed) ws.send(Uint8Array.of(MESSAGE_SEED));
+        } else if (type === 0) {
+            const encoder = encoding.createEncoder();
+            encoding.writeVarUint(encoder, 0);
+            const syncType = syncProtocol.readSyncMessage(decoder, encoder, client.doc, 'server');
+            if (encoding.length(encoder) > 1) ws.send(encoding.toUint8Array(encoder));
+            if (syncType === syncProtocol.messageYjsSyncStep2) client.synced = true;
+        }
+    });
+    ws.on('close', (code) => {
+        client.closeCode = code;
+    });
+    client.doc.on('update', (update, origin) => {
+        if (origin !== 'server' && ws.readyState === WebSocket.OPEN) {
+            sendSync(e => syncProtocol.writeUpdate(e, update));
+        }
+    });
+
+    return client;
+}
+
+const text = (client) => client.doc.getText('t').toString();
+
+describe('CollabService', () => {
+    it('should close unauthenticated connections', async () => {
+        const client = connect(null);
+        await waitFor(() => client.closeCode !== null);
+        expect(client.closeCode).toBe(CLOSE_CODES.unauthorized);
+    });
+
+    it('should close connections to documents the user cannot read', async () => {
+        const client = connect('alice', { documentId: OTHER_DOC_ID });
+        await waitFor(() => client.closeCode !== null);
+        expect(client.closeCode).toBe(CLOSE_CODES.notFound);
+    });
+
+    it('should ask exactly one editor to fill a new shared state', async () => {
+        const first = connect('alice');
+        await waitFor(() => first.seedRequested);
+        const second = connect('bob');
+        await waitFor(() => second.synced);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(second.seedRequested).toBe(false);
+    });
+
+    it('should ask another editor when the first leaves before filling the state', async () => {
+        const first = connect('alice', { acknowledgeSeed: false });
+        await waitFor(() => first.seedRequested);
+        const second = connect('bob');
+        await waitFor(() => second.synced);
+
+        first.ws.close();
+        await waitFor(() => second.seedRequested);
+    });
+
+    it('should relay and store changes between editors', async () => {
+        const alice = connect('alice');
+        const bob = connect('bob');
+        await waitFor(() => alice.synced && bob.synced);
+
+        alice.doc.getText('t').insert(0, 'Hello');
+        await waitFor(() => text(bob) === 'Hello');
+        bob.doc.getText('t').insert(5, ' world');
+        await waitFor(() => text(alice) === 'Hello world');
+
+        await waitFor(() => mockStored.length === 2);
+        expect(await hasCollabState(DOC_ID)).toBe(true);
+    });
+
+    it('should ignore changes from viewers but keep them in sync', async () => {
+        const alice = connect('alice');
+        const carol = connect('carol');
+        await waitFor(() => alice.synced && carol.synced);
+
+        carol.doc.getText('t').insert(0, 'Nope');
+        alice.doc.getText('t').insert(0, 'Plan');
+        await waitFor(() => text(carol).includes('Plan'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(text(alice)).toBe('Plan');
+        expect(carol.seedRequested).toBe(false);
+    });
+
+    it('should merge stored updates when the last client leaves and reload them', async () => {
+        const alice = connect('alice');
+        await waitFor(() => alice.synced);
+        alice.doc.getText('t').insert(0, 'One');
+        alice.doc.getText('t').insert(3, ' two');
+        await waitFor(() => mockStored.length === 2);
+
+        alice.ws.close();
+        await waitFor(() => mockStored.length === 1);
+
+        const bob = connect('bob');
+        await waitFor(() => text(bob) === 'One two');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(bob.seedRequested).toBe(false);
+    });
+
+    it('should keep updates another instance stored meanwhile when compacting', async () => {
+        const alice = connect('alice');
+        await waitFor(() => alice.synced);
+        alice.doc.getText('t').insert(0, 'One');
+        alice.doc.getText('t').insert(3, ' two');
+        await waitFor(() => mockStored.length === 2);
+        const ownIds = mockStored.map(r => r._id);
+
+        // Stored by an editor connected to another backend instance
+        const elsewhere = new Y.Doc();
+        elsewhere.getText('u').insert(0, 'Elsewhere');
+        mockStored.push({ _id: 'other-instance', documentId: DOC_ID, update: Buffer.from(Y.encodeStateAsUpdate(elsewhere)) });
+
+        alice.ws.close();
+        await waitFor(() => !mockStored.some(r => ownIds.includes(r._id)));
+        expect(mockStored).toHaveLength(2);
+        expect(mockStored.map(r => r._id)).toContain('other-instance');
+
+        const bob = connect('bob');
+        await waitFor(() => text(bob) === 'One two' && bob.doc.getText('u').toString() === 'Elsewhere');
+    });
+
+    it('should disconnect editors and drop the stored state on reset', async () => {
+        const alice = connect('alice');
+        await waitFor(() => alice.synced);
+        alice.doc.getText('t').insert(0, 'Old');
+        await waitFor(() => mockStored.length === 1);
+
+        await resetCollabState(DOC_ID);
+
+        await waitFor(() => alice.closeCode !== null);
+        expect(alice.closeCode).toBe(CLOSE_CODES.contentReplaced);
+        expect(mockStored).toHaveLength(0);
+        expect(await hasCollabState(DOC_ID)).toBe(false);
+    });
+
+    it('should not load the old state while a reset is deleting it', async () => {
+        const alice = connect('alice');
+        await waitFor(() => alice.synced);
+        alice.doc.getText('t').insert(0, 'Old');
+        await waitFor(() => mockStored.length === 1);
+
+        let release;
+        mockHooks.beforeDelete = () => new Promise(resolve => { release = resolve; });
+        const resetting = resetCollabState(DOC_ID);
+        await waitFor(() => release);
+
+        const bob = connect('bob');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(bob.synced).toBe(false);
+        expect(alice.closeCode).toBeNull();
+
+        mockHooks.beforeDelete = null;
+        release();
+        await resetting;
+
+        await waitFor(() => bob.synced && alice.closeCode !== null);
+        expect(alice.closeCode).toBe(CLOSE_CODES.contentReplaced);
+        expect(text(bob)).toBe('');
+        expect(bob.seedRequested).toBe(true);
+    });
+
+    it('should disconnect users whose role changed', async () => {
+        const alice = connect('alice');
+        const bob = connect('bob');
+        await waitFor(() => alice.synced && bob.synced);
+
+        mockRoles.bob = 'viewer';
+        try {
+            await refreshCollabAccess('bob');
+            await waitFor(() => bob.closeCode !== null);
+        } finally {
+            mockRoles.bob = 'editor';
+        }
+
+        expect(bob.closeCode).toBe(CLOSE_CODES.unauthorized);
+        await refreshCollabAccess();
+        expect(alice.closeCode).toBeNull();
+    });
+
+    it('should disconnect users when their access token expires', async () => {
+        mockExpiry.bob = Date.now() / 1000 + 0.2;
+        try {
+            const bob = connect('bob');
+            await waitFor(() => bob.synced);
+            expect(bob.closeCode).toBeNull();
+
+            await waitFor(() => bob.closeCode !== null);
+            expect(bob.closeCode).toBe(CLOSE_CODES.unauthorized);
+        } finally {
+            delete mockExpiry.bob;
+        }
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Context Builder — Unit Tests
+ *
+ * Tests token estimation, budget-aware trimming of older turns and the
+ * incremental rolling summary stored on the session.
+ */
+const mongoose = require('mongoose');
+
+const mockGetContextBudget = jest.fn();
+jest.mock('../../src/services/aiProvider', () => ({
+    getContextBudget: (...args) => mockGetContextBudget(...args),
+}));
+
+const mockGenerateSummary = jest.fn();
+jest.mock('../../src/services/summaryGenerator', () => ({
+    generateSummary: (...args) => mockGenerateSummary(...args),
+}));
+
+const { buildContext, estimateTokens } = require('../../src/services/contextBuilder');
+
+const MODEL = { providerId: 'google', modelId: 'gemini-2.5-flash' };
+
+/**
+ * Build a session-like object with N alternating turns of `size` characters each.
+ */
+function makeSession(count, size = 400, summary = undefined) {
+    const messages = [];
+    for (let i = 0; i < count; i++) {
+        messages.push({
+            _id: new mongoose.Types.ObjectId(),
+            role: i % 2 === 0 ? 'user' : 'assistant',
+            content: `${i}:`.padEnd(size, 'x'),
+            attachments: [],
+        });
+    }
+    return { messages, summary };
+}
+
+describe('contextBuilder', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockGetContextBudget.mockReturnValue(1000);
+        mockGenerateSummary.mockResolvedValue('SUMMARY');
+    });
+
+    describe('estimateTokens', () => {
+        it('should estimate ~4 characters per token', () => {
+            expect(estimateTokens({ content: 'x'.repeat(400) })).toBe(100);
+        });
+
+        it('should add a flat cost per attachment', () => {
+            expect(estimateTokens({ content: '', attachments: [{}, {}] })).toBe(600);
+        });
+    });
+
+    describe('buildContext', () => {
+        it('should return every message unchanged when they fit the budget', async () => {
+            const session = makeSession(4); // 4 × 100 tokens < 800
+
+            const result = await buildContext(session, MODEL);
+
+            expect(result.summary).toBeNull();
+            expect(result.messages).toHaveLength(4);
+            expect(mockGenerateSummary).not.toHaveBeenCalled();
+        });
+
+        it('should read the budget for the requested model', async () => {
+            await buildContext(makeSession(2), MODEL);
+            expect(mockGetContextBudget).toHaveBeenCalledWith('google', 'gemini-2.5-flash');
+        });
+
+        it('should keep recent turns verbatim and summarize older ones', async () => {
+            const session = makeSession(12); // 1200 tokens, 800 available for recent turns
+
+            const result = await buildContext(session, MODEL);
+
+            // 8 newest turns fit (800 tokens); window starts on a user turn
+            expect(result.messages).toHaveLength(8);
+            expect(result.messages[0].role).toBe('user');
+            expect(result.messages[0].content.startsWith('4:')).toBe(true);
+            expect(result.summary).toBe('SUMMARY');
+
+            const [previous, summarized] = mockGenerateSummary.mock.calls[0];
+            expect(previous).toBeNull();
+            expect(summarized.map(m => m.content.split(':')[0])).toEqual(['0', '1', '2', '3']);
+        });
+
+        it('should record the summary usage for the given user', async () => {
+            await buildContext(makeSession(12), MODEL, { userId: 'user-1' });
+
+            expect(mockGenerateSummary).toHaveBeenCalledWith(null, expect.any(Array), { userId: 'user-1' });
+        });
+
+        it('should store the summary and the last covered message on the session', async () => {
+            const session = makeSession(12);
+
+            await buildContext(session, MODEL);
+
+            expect(session.summary).toEqual({
+                content: 'SUMMARY',
+                throughMessageId: session.messages[3]._id.toString(),
+                updatedAt: expect.any(Date),
+            });
+        });
+
+        it('should reuse a summary that already covers the dropped turns', async () => {
+            const session = makeSession(12);
+            session.summary = { content: 'CACHED', throughMessageId: session.messages[3]._id.toString() };
+
+            const result = await buildContext(session, MODEL);
+
+            expect(result.summary).toBe('CACHED');
+            expect(mockGenerateSummary).not.toHaveBeenCalled();
+        });
+
+        it('should only summarize turns dropped since the last refresh', async () => {
+            const session = makeSession(14);
+            session.summary = { content: 'OLD', throughMessageId: session.messages[3]._id.toString() };
+            mockGenerateSummary.mockResolvedValue('NEW');
+
+            const result = await buildContext(session, MODEL);
+
+            const [previous, summarized] = mockGenerateSummary.mock.calls[0];
+            expect(previous).toBe('OLD');
+            expect(summarized.map(m => m.content.split(':')[0])).toEqual(['4', '5']);
+            expect(result.summary).toBe('NEW');
+            expect(session.summary.throughMessageId).toBe(session.messages[5]._id.toString());
+        });
+
+        it('should resummarize from scratch when the covered message is gone', async () => {
+            const session = makeSession(12);
+            session.summary = { content: 'STALE', throughMessageId: new mongoose.Types.ObjectId().toString() };
+
+            await buildContext(session, MODEL);
+
+            const [previous, summarized] = mockGenerateSummary.mock.calls[0];
+            expect(previous).toBeNull();
+            expect(summarized).toHaveLength(4);
+        });
+
+        it('should keep the previous summary when regeneration fails', async () => {
+            const session = makeSession(14);
+            session.summary = { content: 'OLD', throughMessageId: session.messages[3]._id.toString() };
+            mockGenerateSummary.mockResolvedValue(null);
+
+            const result = await buildContext(session, MODEL);
+
+            expect(result.summary).toBe('OLD');
+            expect(result.messages).toHaveLength(8);
+            expect(session.summary.throughMessageId).toBe(session.messages[3]._id.toString());
+        });
+
+        it('should always keep the latest message even if it alone exceeds the budget', async () => {
+            const session = makeSession(3);
+            session.messages[2].content = 'y'.repeat(10000);
+
+            const result = await buildContext(session, MODEL);
+
+            expect(result.messages).toHaveLength(1);
+            expect(result.messages[0].content).toBe(session.messages[2].content);
+        });
+
+        it('should skip empty messages', async () => {
+            const session = makeSession(2);
+            session.messages.push({ _id: new mongoose.Types.ObjectId(), role: 'assistant', content: '', attachments: [] });
+
+            const result = await buildContext(session, MODEL);
+
+            expect(result.messages).toHaveLength(2);
+        });
+    });
+});
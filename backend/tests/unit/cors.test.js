@@ -24,6 +24,14 @@ describe('CORS Configuration', () => {
         expect(res.headers['access-control-allow-credentials']).toBe('true');
     });
 
+    it('should expose Content-Disposition for named downloads', async () => {
+        const res = await request(app)
+            .get('/api/health')
+            .set('Origin', allowedOrigin);
+
+        expect(res.headers['access-control-expose-headers']).toBe('Content-Disposition');
+    });
+
     it('should not set CORS headers for disallowed origins', async () => {
         const res = await request(app)
             .get('/api/health')
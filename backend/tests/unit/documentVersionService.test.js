@@ -0,0 +1,189 @@
+/**
+ * Document Version Service — Unit Tests
+ *
+ * Tests coalescing of an editor session's autosaves into the version it started,
+ * new versions for other sessions, authors, sources and restores, and the base
+ * version of older documents (DocumentVersion model mocked).
+ */
+const mockFindOne = jest.fn();
+const mockCreate = jest.fn();
+const mockExists = jest.fn();
+jest.mock('../../src/models/DocumentVersion', () => ({
+    findOne: (...args) => mockFindOne(...args),
+    create: (...args) => mockCreate(...args),
+    exists: (...args) => mockExists(...args),
+}));
+
+const {
+    getCoalesceMs,
+    ensureBaseVersion,
+    recordVersion,
+} = require('../../src/services/documentVersionService');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+const document = {
+    _id: 'd1',
+    userId: 'owner',
+    title: 'Plan',
+    content: [{ type: 'paragraph', content: [{ type: 'text', text: 'New' }] }],
+    metadata: { generatedBy: 'ai' },
+    updatedAt: new Date('2026-05-01T00:00:00Z'),
+};
+
+function mockLatest(version) {
+    const latest = version && {
+        restoredFrom: null,
+        markModified: jest.fn(),
+        save: jest.fn(function () { return Promise.resolve(this); }),
+        ...version,
+    };
+    mockFindOne.mockReturnValue({ sort: () => Promise.resolve(latest) });
+    return latest;
+}
+
+describe('DocumentVersionService', () => {
+    const originalEnv = process.env.VERSION_COALESCE_MS;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.VERSION_COALESCE_MS;
+        mockCreate.mockImplementation(version => Promise.resolve(version));
+    });
+
+    afterAll(() => {
+        if (originalEnv === undefined) delete process.env.VERSION_COALESCE_MS;
+        else process.env.VERSION_COALESCE_MS = originalEnv;
+    });
+
+    it('should coalesce for 10 minutes by default and read VERSION_COALESCE_MS', () => {
+        expect(getCoalesceMs()).toBe(10 * MINUTE);
+        process.env.VERSION_COALESCE_MS = '0';
+        expect(getCoalesceMs()).toBe(0);
+        process.env.VERSION_COALESCE_MS = 'soon';
+        expect(getCoalesceMs()).toBe(10 * MINUTE);
+    });
+
+    it('should create the first version', async () => {
+        mockLatest(null);
+        await recordVersion(document, { userId: 'owner', now: NOW });
+
+        expect(mockCreate).toHaveBeenCalledWith({
+            documentId: 'd1',
+            userId: 'owner',
+            source: 'user',
+            title: 'Plan',
+            content: document.content,
+            editSession: null,
+            restoredFrom: null,
+        });
+    });
+
+    it('should update the version started by the same editor session', async () => {
+        const latest = mockLatest({
+            userId: 'owner', source: 'user', editSession: 's1', title: 'Plan', content: [], createdAt: new Date(NOW - 5 * MINUTE),
+        });
+
+        expect(await recordVersion(document, { userId: 'owner', editSession: 's1', now: NOW })).toBe(latest);
+        expect(latest.content).toBe(document.content);
+        expect(latest.markModified).toHaveBeenCalledWith('content');
+        expect(latest.save).toHaveBeenCalled();
+        expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it('should skip saves that change nothing', async () => {
+        const latest = mockLatest({ userId: 'someone', source: 'ai', title: 'Plan', content: document.content, createdAt: new Date(0) });
+
+        expect(await recordVersion(document, { userId: 'owner', now: NOW })).toBe(latest);
+        expect(latest.save).not.toHaveBeenCalled();
+        expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['another editor session', { editSession: 's0' }],
+        ['a save without session', { editSession: null }],
+        ['another author', { userId: 'editor' }],
+        ['another source', { source: 'ai' }],
+        ['an old version', { createdAt: new Date(NOW - 11 * MINUTE) }],
+        ['a restored version', { restoredFrom: 'v0' }],
+    ])('should start a new version after %s', async (_label, overrides) => {
+        const latest = mockLatest({
+            userId: 'owner', source: 'user', editSession: 's1', title: 'Plan', content: [], createdAt: new Date(NOW - MINUTE), ...overrides,
+        });
+
+        await recordVersion(document, { userId: 'owner', editSession: 's1', now: NOW });
+        expect(latest.save).not.toHaveBeenCalled();
+        expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should start a new version for every save without session', async () => {
+        const latest = mockLatest({ userId: 'owner', source: 'user', editSession: null, title: 'Plan', content: [], createdAt: NOW });
+
+        await recordVersion(document, { userId: 'owner', now: NOW });
+        expect(latest.save).not.toHaveBeenCalled();
+        expect(mockCreate).toHaveBeenCalledTimes(1);
+    });
+
+    it('edit after recent save is restorable', async () => {
+        // The author saved a minute ago, then opens the editor again and changes the text
+        const saved = [{ type: 'paragraph', content: [{ type: 'text', text: 'Saved' }] }];
+        const latest = mockLatest({
+            _id: 'v1', userId: 'owner', source: 'user', editSession: 's1', title: 'Plan', content: saved, createdAt: new Date(NOW - MINUTE),
+        });
+
+        await recordVersion(document, { userId: 'owner', editSession: 's2', now: NOW });
+
+        expect(latest.content).toBe(saved);
+        expect(latest.save).not.toHaveBeenCalled();
+        expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({ content: document.content, editSession: 's2' }));
+    });
+
+    it('should always start a new version when restoring', async () => {
+        mockLatest({ userId: 'owner', source: 'user', editSession: 's1', title: 'Plan', content: document.content, createdAt: NOW });
+
+        await recordVersion(document, { userId: 'owner', editSession: 's1', restoredFrom: 'v1', now: NOW });
+        expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({ restoredFrom: 'v1' }));
+    });
+
+    it('should not throw when the version cannot be stored', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        mockFindOne.mockReturnValue({ sort: () => Promise.reject(new Error('db down')) });
+
+        expect(await recordVersion(document, { userId: 'owner' })).toBeNull();
+        consoleSpy.mockRestore();
+    });
+
+    describe('ensureBaseVersion', () => {
+        it('should keep the stored content of a document without versions', async () => {
+            mockExists.mockResolvedValue(null);
+            await ensureBaseVersion(document);
+
+            expect(mockCreate).toHaveBeenCalledWith({
+                documentId: 'd1',
+                userId: 'owner',
+                source: 'ai',
+                title: 'Plan',
+                content: document.content,
+                createdAt: document.updatedAt,
+            });
+        });
+
+        it('should never update the base version', async () => {
+            // Stored content of a document saved by its owner a minute ago
+            const base = mockLatest({
+                userId: 'owner', source: 'user', editSession: null, title: 'Plan', content: [], createdAt: new Date(NOW - MINUTE),
+            });
+
+            await recordVersion(document, { userId: 'owner', editSession: 's1', now: NOW });
+            expect(base.save).not.toHaveBeenCalled();
+            expect(mockCreate).toHaveBeenCalledTimes(1);
+        });
+
+        it('should do nothing once the document has versions', async () => {
+            mockExists.mockResolvedValue({ _id: 'v1' });
+            await ensureBaseVersion(document);
+            expect(mockCreate).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,247 @@
+/**
+ * Documents Routes — Unit Tests
+ *
+ * Tests that autosaves of a collaborative editor keep the shared editing state
+ * while a room is open, that other content replaces it, and that snapshots of a
+ * dropped shared state are rejected, and that reindexing keeps workspace
+ * documents retrievable by every member. Document, Workspace and Passage models,
+ * workspace access, Gemini embeddings, collaboration and version history mocked.
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/middleware/auth', () => (req, res, next) => {
+    req.user = { sub: 'user-id' };
+    next();
+});
+
+const WORKSPACE_ID = '507f1f77bcf86cd799439099';
+
+const mockFindOne = jest.fn();
+const mockFind = jest.fn();
+jest.mock('../../src/models/Document', () => ({
+    findOne: (...args) => mockFindOne(...args),
+    find: (...args) => mockFind(...args),
+}));
+
+jest.mock('../../src/models/Workspace', () => ({
+    findOne: () => ({
+        select: () => ({
+            lean: () => Promise.resolve({
+                _id: WORKSPACE_ID,
+                members: [{ userId: 'user-id', role: 'editor' }, { userId: 'member-2', role: 'viewer' }],
+            }),
+        }),
+    }),
+}));
+
+// In-memory Passage collection (equality, $in and $or clauses)
+const mockPassages = [];
+jest.mock('../../src/models/Passage', () => {
+    const matches = (record, query) => Object.entries(query).every(([key, value]) => {
+        if (key === '$or') return value.some(clause => matches(record, clause));
+        if (value && value.$in) return value.$in.map(String).includes(String(record[key]));
+        return String(record[key] ?? null) === String(value ?? null);
+    });
+    return {
+        deleteMany: async (query) => {
+            const kept = mockPassages.filter(r => !matches(r, query));
+            mockPassages.splice(0, mockPassages.length, ...kept);
+        },
+        insertMany: async (records) => mockPassages.push(...records),
+        find: (query) => {
+            const chain = {
+                select: () => chain,
+                sort: () => chain,
+                limit: () => chain,
+                lean: () => Promise.resolve(mockPassages.filter(r => matches(r, query))),
+            };
+            return chain;
+        },
+    };
+});
+
+jest.mock('@google/genai', () => ({
+    GoogleGenAI: jest.fn().mockImplementation(() => ({
+        models: {
+            embedContent: async ({ contents }) => ({
+                embeddings: contents.map(text => ({ values: [text.toLowerCase().includes('budget') ? 1 : 0, 0.1] })),
+            }),
+        },
+    })),
+}));
+
+jest.mock('../../src/services/keyPool', () => ({
+    acquireKey: () => 'test-key',
+    reportSuccess: jest.fn(),
+    reportFailure: jest.fn(),
+}));
+
+jest.mock('../../src/services/usageService', () => ({
+    priceUsage: (providerId, modelId, usage) => usage,
+    recordUsage: jest.fn(),
+}));
+
+jest.mock('../../src/services/workspaceService', () => ({
+    ...jest.requireActual('../../src/services/workspaceService'),
+    getAccess: async () => ({ filter: () => ({}), roleFor: () => 'editor' }),
+}));
+
+const mockHasCollabState = jest.fn();
+const mockResetCollabState = jest.fn();
+jest.mock('../../src/services/collabService', () => ({
+    hasCollabState: (...args) => mockHasCollabState(...args),
+    resetCollabState: (...args) => mockResetCollabState(...args),
+}));
+
+const mockRecordVersion = jest.fn();
+jest.mock('../../src/services/documentVersionService', () => ({
+    ensureBaseVersion: jest.fn(),
+    recordVersion: (...args) => mockRecordVersion(...args),
+}));
+
+jest.mock('../../src/services/retrievalService', () => ({
+    ...jest.requireActual('../../src/services/retrievalService'),
+    scheduleDocumentIndex: jest.fn(),
+    removeSource: jest.fn(),
+}));
+
+jest.mock('../../src/services/planGenerationService', () => ({
+    generateProjectPlan: jest.fn(),
+}));
+
+const documentRoutes = require('../../src/routes/documents');
+const { retrievePassages } = require('../../src/services/retrievalService');
+
+const blocks = [{ type: 'paragraph', content: [{ type: 'text', text: 'Edited in chat' }] }];
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/documents', documentRoutes);
+    return app;
+}
+
+describe('Documents Routes', () => {
+    let document;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        document = {
+            _id: 'doc-1',
+            title: 'Plan',
+            content: [],
+            save: jest.fn().mockResolvedValue(),
+        };
+        mockFindOne.mockResolvedValue(document);
+        // Someone has the document open in the document editor
+        mockHasCollabState.mockResolvedValue(true);
+        mockResetCollabState.mockResolvedValue();
+    });
+
+    describe('PATCH /api/documents/:id', () => {
+        it('should keep the shared editing state for a snapshot of an open room', async () => {
+            const res = await request(createApp())
+                .patch('/api/documents/doc-1')
+                .send({ content: blocks, contentType: 'blocknote', collab: true, editSession: 'editor-1' });
+
+            expect(res.status).toBe(200);
+            expect(document.content).toEqual(blocks);
+            expect(document.save).toHaveBeenCalled();
+            expect(mockResetCollabState).not.toHaveBeenCalled();
+            expect(mockRecordVersion).toHaveBeenCalledWith(document, { userId: 'user-id', editSession: 'editor-1' });
+        });
+
+        it('should replace the shared editing state with other content', async () => {
+            const res = await request(createApp())
+                .patch('/api/documents/doc-1')
+                .send({ content: blocks });
+
+            expect(res.status).toBe(200);
+            expect(mockResetCollabState).toHaveBeenCalledWith('doc-1');
+            expect(mockRecordVersion).toHaveBeenCalledWith(document, { userId: 'user-id', editSession: null });
+        });
+
+        it('should reject a snapshot of a shared state that was dropped', async () => {
+            // e.g. a version was restored while the autosave was on its way
+            mockHasCollabState.mockResolvedValue(false);
+
+            const res = await request(createApp())
+                .patch('/api/documents/doc-1')
+                .send({ content: blocks, collab: true });
+
+            expect(res.status).toBe(409);
+            expect(document.content).toEqual([]);
+            expect(document.save).not.toHaveBeenCalled();
+            expect(mockRecordVersion).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('PUT /api/documents/:id', () => {
+        it('should keep the shared editing state for a snapshot of an open room', async () => {
+            const res = await request(createApp())
+                .put('/api/documents/doc-1')
+                .send({ content: blocks, collab: true });
+
+            expect(res.status).toBe(200);
+            expect(mockResetCollabState).not.toHaveBeenCalled();
+        });
+
+        it('should reject a snapshot of a shared state that was dropped', async () => {
+            mockHasCollabState.mockResolvedValue(false);
+
+            const res = await request(createApp())
+                .put('/api/documents/doc-1')
+                .send({ content: blocks, collab: true });
+
+            expect(res.status).toBe(409);
+            expect(document.save).not.toHaveBeenCalled();
+        });
+
+        it('should not touch the shared editing state when only the title changes', async () => {
+            const res = await request(createApp())
+                .put('/api/documents/doc-1')
+                .send({ title: 'Renamed' });
+
+            expect(res.status).toBe(200);
+            expect(document.title).toBe('Renamed');
+            expect(mockResetCollabState).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/documents/reindex', () => {
+        // Stored workspace document; the query returns only the selected fields
+        const stored = {
+            _id: 'doc-2',
+            userId: 'user-id',
+            workspaceId: WORKSPACE_ID,
+            title: 'Budget',
+            content: [{ type: 'paragraph', content: [{ type: 'text', text: 'The budget is 10k.' }] }],
+        };
+
+        beforeEach(() => {
+            mockPassages.splice(0);
+            mockFind.mockReturnValue({
+                select: async (fields) => [{
+                    ...Object.fromEntries(fields.split(' ').map(field => [field, stored[field]])),
+                    save: jest.fn().mockResolvedValue(),
+                }],
+            });
+        });
+
+        it('should keep workspace documents retrievable by the other members', async () => {
+            const res = await request(createApp())
+                .post('/api/documents/reindex')
+                .set('X-Workspace-Id', WORKSPACE_ID);
+
+            expect(res.status).toBe(200);
+            expect(res.body).toEqual({ documents: 1, passages: 1 });
+
+            const memberAccess = {
+                filter: () => ({ $or: [{ userId: 'member-2', workspaceId: null }, { workspaceId: { $in: [WORKSPACE_ID] } }] }),
+            };
+            const passages = await retrievePassages('member-2', 'What is the budget?', { access: memberAccess });
+            expect(passages).toEqual([expect.objectContaining({ sourceId: 'doc-2', title: 'Budget' })]);
+        });
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Folders Routes — Unit Tests
+ *
+ * Tests CRUD operations, validation, ownership and moving sessions out of
+ * deleted folders. Uses in-memory MongoDB for realistic testing.
+ */
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Mock auth middleware
+jest.mock('../../src/middleware/auth', () => (req, res, next) => {
+    req.user = { sub: req.headers['x-test-user'] || 'test-user-id' };
+    next();
+});
+
+let mongoServer;
+
+beforeAll(async () => {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+afterEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+});
+
+const folderRoutes = require('../../src/routes/folders');
+const Folder = require('../../src/models/Folder');
+const Session = require('../../src/models/Session');
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/folders', folderRoutes);
+    return app;
+}
+
+describe('Folders Routes', () => {
+    let app;
+
+    beforeEach(() => {
+        app = createApp();
+    });
+
+    describe('POST /api/folders', () => {
+        it('should create a folder', async () => {
+            const res = await request(app).post('/api/folders').send({ name: '  Work  ' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.id).toBeDefined();
+            expect(res.body.name).toBe('Work');
+        });
+
+        it('should require a name', async () => {
+            const res = await request(app).post('/api/folders').send({ name: ' ' });
+            expect(res.status).toBe(400);
+        });
+
+        it('should reject names that are too long', async () => {
+            const res = await request(app).post('/api/folders').send({ name: 'x'.repeat(101) });
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/folders', () => {
+        it('should list the user\'s folders alphabetically', async () => {
+            await Folder.create({ userId: 'test-user-id', name: 'work' });
+            await Folder.create({ userId: 'test-user-id', name: 'Archive' });
+            await Folder.create({ userId: 'other-user', name: 'Theirs' });
+
+            const res = await request(app).get('/api/folders');
+
+            expect(res.status).toBe(200);
+            expect(res.body.folders.map(f => f.name)).toEqual(['Archive', 'work']);
+        });
+    });
+
+    describe('PATCH /api/folders/:id', () => {
+        it('should rename a folder', async () => {
+            const folder = await Folder.create({ userId: 'test-user-id', name: 'Work' });
+
+            const res = await request(app).patch(`/api/folders/${folder._id}`).send({ name: 'Clients' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.name).toBe('Clients');
+        });
+
+        it('should not rename another user\'s folder', async () => {
+            const folder = await Folder.create({ userId: 'other-user', name: 'Theirs' });
+
+            const res = await request(app).patch(`/api/folders/${folder._id}`).send({ name: 'Mine' });
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should return 404 for an invalid ID', async () => {
+            const res = await request(app).patch('/api/folders/invalid-id').send({ name: 'Mine' });
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('DELETE /api/folders/:id', () => {
+        it('should delete a folder and keep its sessions outside any folder', async () => {
+            const folder = await Folder.create({ userId: 'test-user-id', name: 'Work' });
+            const session = await Session.create({ userId: 'test-user-id', folderId: folder._id });
+
+            const res = await request(app).delete(`/api/folders/${folder._id}`);
+
+            expect(res.status).toBe(200);
+            expect(await Folder.findById(folder._id)).toBeNull();
+            const saved = await Session.findById(session._id);
+            expect(saved.folderId).toBeNull();
+            expect(saved.updatedAt.getTime()).toBe(session.updatedAt.getTime());
+        });
+
+        it('should not delete another user\'s folder', async () => {
+            const folder = await Folder.create({ userId: 'other-user', name: 'Theirs' });
+
+            const res = await request(app).delete(`/api/folders/${folder._id}`);
+
+            expect(res.status).toBe(404);
+            expect(await Folder.findById(folder._id)).not.toBeNull();
+        });
+    });
+});
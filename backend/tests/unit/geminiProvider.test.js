@@ -0,0 +1,126 @@
+/**
+ * Gemini Provider Adapter — Unit Tests
+ *
+ * Mocks @google/genai and checks text streaming, usage reporting and the
+ * function-calling loop (tool calls executed and their results sent back).
+ */
+const mockGenerateContentStream = jest.fn();
+jest.mock('@google/genai', () => ({
+    GoogleGenAI: jest.fn().mockImplementation(() => ({
+        models: { generateContentStream: (...args) => mockGenerateContentStream(...args) },
+    })),
+}));
+
+const { streamChat } = require('../../src/services/providers/gemini');
+
+const messages = [{ role: 'user', parts: [{ text: 'Find my roadmap' }] }];
+
+/**
+ * A response stream of chunks, each holding the given parts.
+ */
+function responseOf(...chunkParts) {
+    return (async function* () {
+        for (const parts of chunkParts) {
+            yield { candidates: [{ content: { role: 'model', parts } }] };
+        }
+    })();
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+}
+
+describe('Gemini provider', () => {
+    beforeEach(() => {
+        mockGenerateContentStream.mockReset();
+    });
+
+    it('should yield text parts and skip thoughts', async () => {
+        mockGenerateContentStream.mockResolvedValue(responseOf(
+            [{ text: 'thinking…', thought: true }],
+            [{ text: 'Hello ' }],
+            [{ text: 'world' }],
+        ));
+
+        const chunks = await collect(streamChat({ apiKey: 'k', modelId: 'gemini-2.5-flash', messages }));
+
+        expect(chunks).toEqual(['Hello ', 'world']);
+        expect(mockGenerateContentStream.mock.calls[0][0].config).not.toHaveProperty('tools');
+    });
+
+    it('should run tool calls and send their results back to the model', async () => {
+        const call = { id: 'call-1', name: 'search_documents', args: { query: 'roadmap' } };
+        mockGenerateContentStream
+            .mockResolvedValueOnce(responseOf([{ functionCall: call, thoughtSignature: 'sig' }]))
+            .mockResolvedValueOnce(responseOf([{ text: 'Found it.' }]));
+        const execute = jest.fn().mockResolvedValue({ results: [{ title: 'Roadmap' }] });
+        const declarations = [{ name: 'search_documents', description: 'Search', parametersJsonSchema: {} }];
+
+        const chunks = await collect(streamChat({
+            apiKey: 'k',
+            modelId: 'gemini-2.5-flash',
+            messages,
+            tools: { declarations, execute },
+        }));
+
+        expect(chunks).toEqual(['Found it.']);
+        expect(execute).toHaveBeenCalledWith({ id: 'call-1', name: 'search_documents', args: { query: 'roadmap' } });
+
+        const first = mockGenerateContentStream.mock.calls[0][0];
+        expect(first.config.tools).toEqual([{ functionDeclarations: declarations }]);
+
+        const { contents } = mockGenerateContentStream.mock.calls[1][0];
+        expect(contents.slice(1)).toEqual([
+            { role: 'model', parts: [{ functionCall: call, thoughtSignature: 'sig' }] },
+            {
+                role: 'user',
+                parts: [{ functionResponse: { id: 'call-1', name: 'search_documents', response: { results: [{ title: 'Roadmap' }] } } }],
+            },
+        ]);
+    });
+
+    it('should stop offering tools after the last tool round', async () => {
+        const call = { name: 'search_documents', args: { query: 'x' } };
+        mockGenerateContentStream.mockImplementation(async ({ config }) => (config.tools
+            ? responseOf([{ functionCall: call }])
+            : responseOf([{ text: 'Giving up on tools.' }])));
+        const execute = jest.fn().mockResolvedValue({ results: [] });
+
+        const chunks = await collect(streamChat({
+            apiKey: 'k',
+            modelId: 'gemini-2.5-flash',
+            messages,
+            tools: { declarations: [{ name: 'search_documents' }], execute },
+        }));
+
+        expect(chunks).toEqual(['Giving up on tools.']);
+        expect(execute).toHaveBeenCalledTimes(5);
+        expect(mockGenerateContentStream).toHaveBeenCalledTimes(6);
+    });
+
+    it('should report usage summed over all tool rounds', async () => {
+        const withUsage = (parts, promptTokenCount, candidatesTokenCount) => (async function* () {
+            yield {
+                candidates: [{ content: { parts } }],
+                usageMetadata: { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount },
+            };
+        })();
+        mockGenerateContentStream
+            .mockResolvedValueOnce(withUsage([{ functionCall: { name: 'read_session', args: {} } }], 100, 10))
+            .mockResolvedValueOnce(withUsage([{ text: 'Done' }], 150, 20));
+        const onUsage = jest.fn();
+
+        await collect(streamChat({
+            apiKey: 'k',
+            modelId: 'gemini-2.5-flash',
+            messages,
+            tools: { declarations: [{ name: 'read_session' }], execute: async () => ({}) },
+            onUsage,
+        }));
+
+        expect(onUsage).toHaveBeenCalledTimes(1);
+        expect(onUsage).toHaveBeenCalledWith({ promptTokens: 250, completionTokens: 30, totalTokens: 280 });
+    });
+});
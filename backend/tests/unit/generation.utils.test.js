@@ -0,0 +1,50 @@
+const { validateGeneration, mergeGeneration } = require('../../src/utils/generation');
+
+describe('validateGeneration', () => {
+    it('should accept missing and valid settings', () => {
+        expect(validateGeneration(undefined)).toBeNull();
+        expect(validateGeneration(null)).toBeNull();
+        expect(validateGeneration({
+            temperature: 2,
+            topP: 0,
+            maxOutputTokens: 1024,
+            stopSequences: ['END', '###'],
+        })).toBeNull();
+        expect(validateGeneration({ temperature: null, stopSequences: [] })).toBeNull();
+    });
+
+    it('should reject non-objects and unknown fields', () => {
+        expect(validateGeneration('hot')).toBe('generation must be an object');
+        expect(validateGeneration([])).toBe('generation must be an object');
+        expect(validateGeneration({ topK: 40 })).toBe('Unknown generation setting: topK');
+    });
+
+    it('should reject out-of-range numbers', () => {
+        expect(validateGeneration({ temperature: 2.5 })).toMatch(/temperature/);
+        expect(validateGeneration({ temperature: '1' })).toMatch(/temperature/);
+        expect(validateGeneration({ topP: -0.1 })).toMatch(/topP/);
+        expect(validateGeneration({ maxOutputTokens: 0 })).toMatch(/maxOutputTokens/);
+        expect(validateGeneration({ maxOutputTokens: 10.5 })).toMatch(/maxOutputTokens/);
+    });
+
+    it('should reject invalid stop sequences', () => {
+        expect(validateGeneration({ stopSequences: 'END' })).toMatch(/stopSequences/);
+        expect(validateGeneration({ stopSequences: [''] })).toMatch(/stopSequences/);
+        expect(validateGeneration({ stopSequences: ['a', 'b', 'c', 'd', 'e'] })).toMatch(/stopSequences/);
+        expect(validateGeneration({ stopSequences: ['x'.repeat(101)] })).toMatch(/stopSequences/);
+    });
+});
+
+describe('mergeGeneration', () => {
+    it('should let later layers win and skip unset fields', () => {
+        expect(mergeGeneration(
+            { temperature: 0.2, topP: 0.9 },
+            null,
+            { temperature: 1, topP: null, maxOutputTokens: 100 },
+        )).toEqual({ temperature: 1, topP: 0.9, maxOutputTokens: 100 });
+    });
+
+    it('should clear inherited stop sequences with an empty list', () => {
+        expect(mergeGeneration({ stopSequences: ['END'] }, { stopSequences: [] })).toEqual({});
+    });
+});
@@ -107,6 +107,25 @@ describe('imageGenerationService', () => {
             expect(result.buffer.toString()).toContain('fake-image-data');
         });
 
+        it('should return normalized token usage', async () => {
+            GoogleGenAI.mockImplementation(() => ({
+                models: {
+                    generateContent: jest.fn().mockResolvedValue({
+                        candidates: [{
+                            content: {
+                                parts: [{ inlineData: { data: Buffer.from('img').toString('base64'), mimeType: 'image/png' } }],
+                            },
+                        }],
+                        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 1290, totalTokenCount: 1300 },
+                    }),
+                },
+            }));
+
+            const result = await generateImage('A sunset over mountains');
+
+            expect(result.usage).toEqual({ promptTokens: 10, completionTokens: 1290, totalTokens: 1300 });
+        });
+
         it('should use correct model and config', async () => {
             const mockGenerateContent = jest.fn().mockResolvedValue({
                 candidates: [{
@@ -0,0 +1,181 @@
+/**
+ * Key Pool — Unit Tests
+ *
+ * Tests round-robin selection, error classification, exponential cooldown
+ * and the masked status snapshot. Uses jest.isolateModules so each test
+ * gets a fresh pool parsed from its own GEMINI_API_KEYS.
+ */
+
+function loadPool(keys) {
+    let pool;
+    const original = process.env.GEMINI_API_KEYS;
+    process.env.GEMINI_API_KEYS = keys;
+    jest.isolateModules(() => {
+        pool = require('../../src/services/keyPool');
+    });
+    if (original === undefined) delete process.env.GEMINI_API_KEYS;
+    else process.env.GEMINI_API_KEYS = original;
+    return pool;
+}
+
+function httpError(status, message = `HTTP ${status}`) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+describe('keyPool', () => {
+    let warnSpy;
+    let now;
+
+    beforeEach(() => {
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+        now = 1_000_000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('acquireKey', () => {
+        it('should throw when no keys are configured', () => {
+            const pool = loadPool('');
+            expect(() => pool.acquireKey()).toThrow('No Gemini API keys configured');
+        });
+
+        it('should round-robin across healthy keys', () => {
+            const pool = loadPool('key-a,key-b,key-c');
+            expect([pool.acquireKey(), pool.acquireKey(), pool.acquireKey(), pool.acquireKey()])
+                .toEqual(['key-a', 'key-b', 'key-c', 'key-a']);
+        });
+
+        it('should skip a key in cooldown', () => {
+            const pool = loadPool('key-a,key-b');
+            pool.reportFailure('key-a', httpError(429));
+
+            expect([pool.acquireKey(), pool.acquireKey(), pool.acquireKey()])
+                .toEqual(['key-b', 'key-b', 'key-b']);
+        });
+
+        it('should return a key again once its cooldown expires', () => {
+            const pool = loadPool('key-a,key-b');
+            pool.reportFailure('key-a', httpError(429));
+
+            now += 30 * 1000;
+            expect([pool.acquireKey(), pool.acquireKey()]).toEqual(['key-a', 'key-b']);
+        });
+
+        it('should throw a 429 when every key is cooling down', () => {
+            const pool = loadPool('key-a,key-b');
+            pool.reportFailure('key-a', httpError(429));
+            pool.reportFailure('key-b', httpError(403));
+
+            let error;
+            try { pool.acquireKey(); } catch (err) { error = err; }
+            expect(error.message).toContain('All Gemini API keys are cooling down');
+            expect(error.status).toBe(429);
+        });
+    });
+
+    describe('classifyError', () => {
+        const { classifyError } = loadPool('k');
+
+        it.each([
+            [httpError(429), 'rate_limited'],
+            [httpError(401), 'unauthorized'],
+            [httpError(403), 'unauthorized'],
+            [httpError(500), 'other'],
+            [new Error('got status: 429 RESOURCE_EXHAUSTED'), 'rate_limited'],
+            [new Error('API key not valid. Please pass a valid API key.'), 'unauthorized'],
+            [new Error('socket hang up'), 'other'],
+        ])('should classify %p as %s', (err, expected) => {
+            expect(classifyError(err)).toBe(expected);
+        });
+    });
+
+    describe('cooldown', () => {
+        it('should double the rate-limit cooldown on consecutive failures', () => {
+            const pool = loadPool('key-a,key-b');
+
+            pool.reportFailure('key-a', httpError(429));
+            expect(pool.getPoolStatus().keys[0].cooldownUntil).toBe(new Date(now + 30 * 1000).toISOString());
+
+            pool.reportFailure('key-a', httpError(429));
+            expect(pool.getPoolStatus().keys[0].cooldownUntil).toBe(new Date(now + 60 * 1000).toISOString());
+        });
+
+        it('should cap the cooldown', () => {
+            const pool = loadPool('key-a');
+            for (let i = 0; i < 20; i++) pool.reportFailure('key-a', httpError(429));
+            expect(pool.getPoolStatus().keys[0].cooldownUntil).toBe(new Date(now + 10 * 60 * 1000).toISOString());
+        });
+
+        it('should bench revoked keys longer than rate-limited ones', () => {
+            const pool = loadPool('key-a');
+            pool.reportFailure('key-a', httpError(401));
+            expect(pool.getPoolStatus().keys[0].cooldownUntil).toBe(new Date(now + 5 * 60 * 1000).toISOString());
+        });
+
+        it('should count other errors without cooling the key down', () => {
+            const pool = loadPool('key-a');
+            pool.reportFailure('key-a', httpError(500));
+
+            expect(pool.acquireKey()).toBe('key-a');
+            expect(pool.getPoolStatus().keys[0]).toMatchObject({ status: 'healthy', failures: 1 });
+        });
+
+        it('should reset the failure streak on success', () => {
+            const pool = loadPool('key-a');
+            pool.reportFailure('key-a', httpError(429));
+            now += 30 * 1000;
+            pool.reportSuccess('key-a');
+
+            pool.reportFailure('key-a', httpError(429));
+            expect(pool.getPoolStatus().keys[0].cooldownUntil).toBe(new Date(now + 30 * 1000).toISOString());
+        });
+    });
+
+    describe('getPoolStatus', () => {
+        it('should report masked keys with counters and status', () => {
+            const pool = loadPool('AIzaSyAAAA1111,AIzaSyBBBB2222');
+            pool.acquireKey();
+            pool.reportSuccess('AIzaSyAAAA1111');
+            pool.acquireKey();
+            pool.reportFailure('AIzaSyBBBB2222', httpError(429, 'quota exceeded'));
+
+            const status = pool.getPoolStatus();
+
+            expect(status.total).toBe(2);
+            expect(status.available).toBe(1);
+            expect(status.keys[0]).toMatchObject({
+                key: 'AIza…1111',
+                status: 'healthy',
+                requests: 1,
+                successes: 1,
+                failures: 0,
+                cooldownUntil: null,
+            });
+            expect(status.keys[1]).toMatchObject({
+                key: 'AIza…2222',
+                status: 'rate_limited',
+                failures: 1,
+                lastError: 'quota exceeded',
+            });
+            expect(JSON.stringify(status)).not.toContain('AIzaSyAAAA1111');
+        });
+
+        it('should ignore reports for unknown keys', () => {
+            const pool = loadPool('key-a');
+            expect(() => pool.reportSuccess('pinned-key')).not.toThrow();
+            expect(pool.reportFailure('pinned-key', httpError(429))).toBe('rate_limited');
+            expect(pool.getPoolStatus().keys).toHaveLength(1);
+        });
+    });
+
+    it('should log when a key enters cooldown', () => {
+        const pool = loadPool('key-a-long-enough');
+        pool.reportFailure('key-a-long-enough', httpError(429));
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('cooling down for 30s'));
+    });
+});
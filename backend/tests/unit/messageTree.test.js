@@ -0,0 +1,129 @@
+/**
+ * Message Tree — Unit Tests
+ *
+ * Tests active-branch resolution, branch positions, branch switching and
+ * appending on plain session-like objects (legacy linear messages included).
+ */
+const mongoose = require('mongoose');
+const {
+    getActiveLeafId,
+    getActivePath,
+    describeBranches,
+    findNewestLeaf,
+    findMessage,
+    appendMessage,
+} = require('../../src/utils/messageTree');
+
+function msg(role, content, parentId) {
+    const m = { _id: new mongoose.Types.ObjectId(), role, content };
+    if (parentId !== undefined) m.parentId = parentId;
+    return m;
+}
+
+/**
+ * Session-like object: push() mimics a Mongoose array by assigning an _id.
+ */
+function makeSession(messages = [], activeLeafId = undefined) {
+    const list = [...messages];
+    const push = list.push.bind(list);
+    list.push = (item) => push({ _id: new mongoose.Types.ObjectId(), ...item });
+    return { messages: list, activeLeafId };
+}
+
+/**
+ *   q1 ─┬─ a1
+ *       └─ a2 ── q2 ── a3
+ */
+function makeBranchedSession() {
+    const q1 = msg('user', 'q1', null);
+    const a1 = msg('assistant', 'a1', q1._id);
+    const a2 = msg('assistant', 'a2', q1._id);
+    const q2 = msg('user', 'q2', a2._id);
+    const a3 = msg('assistant', 'a3', q2._id);
+    return { session: makeSession([q1, a1, a2, q2, a3], a1._id), q1, a1, a2, q2, a3 };
+}
+
+describe('messageTree', () => {
+    describe('legacy linear messages', () => {
+        it('should chain messages without parentId in storage order', () => {
+            const session = makeSession([msg('user', 'one'), msg('assistant', 'two'), msg('user', 'three')]);
+
+            expect(getActivePath(session).map(m => m.content)).toEqual(['one', 'two', 'three']);
+            expect(describeBranches(session, getActivePath(session)).every(b => b.branchCount === 1)).toBe(true);
+        });
+
+        it('should default the active leaf to the newest message', () => {
+            const session = makeSession([msg('user', 'one'), msg('assistant', 'two')]);
+            expect(getActiveLeafId(session)).toBe(session.messages[1]._id.toString());
+        });
+
+        it('should return null for an empty session', () => {
+            expect(getActiveLeafId(makeSession())).toBeNull();
+            expect(getActivePath(makeSession())).toEqual([]);
+        });
+    });
+
+    describe('branches', () => {
+        it('should follow the active leaf up to the root', () => {
+            const { session } = makeBranchedSession();
+            expect(getActivePath(session).map(m => m.content)).toEqual(['q1', 'a1']);
+        });
+
+        it('should ignore an activeLeafId that is not in the session', () => {
+            const { session } = makeBranchedSession();
+            session.activeLeafId = new mongoose.Types.ObjectId();
+            expect(getActivePath(session).map(m => m.content)).toEqual(['q1', 'a2', 'q2', 'a3']);
+        });
+
+        it('should describe sibling positions along the path', () => {
+            const { session, a1, a2 } = makeBranchedSession();
+            const branches = describeBranches(session, getActivePath(session));
+
+            expect(branches[0]).toMatchObject({ branchIndex: 0, branchCount: 1 });
+            expect(branches[1]).toEqual({
+                branchIndex: 0,
+                branchCount: 2,
+                siblingIds: [a1._id.toString(), a2._id.toString()],
+            });
+        });
+
+        it('should land on the newest leaf below a switched-to message', () => {
+            const { session, a2, a3 } = makeBranchedSession();
+            expect(findNewestLeaf(session, a2._id)).toBe(a3._id.toString());
+        });
+
+        it('should find a message with its effective parent', () => {
+            const { session, q1, a2 } = makeBranchedSession();
+            expect(findMessage(session, a2._id.toString())).toEqual({ message: a2, parentId: q1._id.toString() });
+            expect(findMessage(session, new mongoose.Types.ObjectId())).toBeNull();
+        });
+    });
+
+    describe('appendMessage', () => {
+        it('should append under the active leaf and make it active', () => {
+            const { session, a1 } = makeBranchedSession();
+
+            const added = appendMessage(session, { role: 'user', content: 'follow-up' });
+
+            expect(added.parentId).toBe(a1._id.toString());
+            expect(session.activeLeafId).toBe(added._id);
+            expect(getActivePath(session).map(m => m.content)).toEqual(['q1', 'a1', 'follow-up']);
+        });
+
+        it('should append under an explicit parent as a new sibling', () => {
+            const { session, q1 } = makeBranchedSession();
+
+            appendMessage(session, { role: 'assistant', content: 'a4' }, q1._id);
+
+            const path = getActivePath(session);
+            expect(path.map(m => m.content)).toEqual(['q1', 'a4']);
+            expect(describeBranches(session, path)[1]).toMatchObject({ branchIndex: 2, branchCount: 3 });
+        });
+
+        it('should store a root message with a null parent', () => {
+            const session = makeSession();
+            const added = appendMessage(session, { role: 'user', content: 'first' });
+            expect(added.parentId).toBeNull();
+        });
+    });
+});
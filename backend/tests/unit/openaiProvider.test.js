@@ -0,0 +1,305 @@
+/**
+ * OpenAI-compatible Provider Adapter — Unit Tests
+ *
+ * Runs the adapter against a local mock `/v1/chat/completions` SSE server
+ * (the same protocol spoken by llama.cpp, vLLM and most gateways).
+ */
+const { streamChat, toOpenAIMessages } = require('../../src/services/providers/openai');
+const { readSseEvents } = require('../../src/services/providers/sse');
+const { createMockSseServer } = require('../helpers/mockSseServer');
+
+const mock = createMockSseServer();
+let baseUrl;
+
+beforeAll(async () => {
+    baseUrl = `${await mock.start()}/v1`;
+});
+
+afterAll(() => mock.stop());
+
+function sseResponder(deltas) {
+    return mock.sse([
+        ...deltas.map(content => ({ data: { choices: [{ delta: { content } }] } })),
+        { data: '[DONE]' },
+    ]);
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+}
+
+const textMessages = [{ role: 'user', parts: [{ text: 'hello' }] }];
+
+describe('OpenAI-compatible adapter', () => {
+    describe('streamChat', () => {
+        it('should stream delta content until [DONE]', async () => {
+            mock.respond = sseResponder(['Hello', ' ', 'world']);
+
+            const chunks = await collect(streamChat({
+                provider: { id: 'local', baseUrl },
+                modelId: 'llama-3',
+                messages: textMessages,
+                systemInstruction: 'Be nice',
+            }));
+
+            expect(chunks).toEqual(['Hello', ' ', 'world']);
+        });
+
+        it('should POST to {baseUrl}/chat/completions with model, messages and stream flag', async () => {
+            mock.respond = sseResponder(['ok']);
+
+            await collect(streamChat({
+                provider: { id: 'local', baseUrl: `${baseUrl}/` },
+                modelId: 'llama-3',
+                messages: textMessages,
+                systemInstruction: 'Be nice',
+            }));
+
+            expect(mock.lastRequest.method).toBe('POST');
+            expect(mock.lastRequest.url).toBe('/v1/chat/completions');
+            expect(mock.lastRequest.body).toEqual({
+                model: 'llama-3',
+                stream: true,
+                stream_options: { include_usage: true },
+                messages: [
+                    { role: 'system', content: 'Be nice' },
+                    { role: 'user', content: 'hello' },
+                ],
+            });
+        });
+
+        it('should report token usage from the final usage chunk', async () => {
+            mock.respond = mock.sse([
+                { data: { choices: [{ delta: { content: 'ok' } }] } },
+                { data: { choices: [], usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 } } },
+                { data: '[DONE]' },
+            ]);
+            const onUsage = jest.fn();
+
+            const chunks = await collect(streamChat({
+                provider: { id: 'local', baseUrl },
+                modelId: 'llama-3',
+                messages: textMessages,
+                onUsage,
+            }));
+
+            expect(chunks).toEqual(['ok']);
+            expect(onUsage).toHaveBeenCalledWith({ promptTokens: 12, completionTokens: 3, totalTokens: 15 });
+        });
+
+        it('should not request usage when the provider opts out', async () => {
+            mock.respond = sseResponder(['ok']);
+
+            await collect(streamChat({
+                provider: { id: 'local', baseUrl, includeUsage: false },
+                modelId: 'llama-3',
+                messages: textMessages,
+            }));
+
+            expect(mock.lastRequest.body.stream_options).toBeUndefined();
+        });
+
+        it('should send the temperature only when set', async () => {
+            mock.respond = sseResponder(['ok']);
+            await collect(streamChat({
+                provider: { id: 'local', baseUrl },
+                modelId: 'llama-3',
+                messages: textMessages,
+                generation: { temperature: 0.7 },
+            }));
+            expect(mock.lastRequest.body.temperature).toBe(0.7);
+
+            mock.respond = sseResponder(['ok']);
+            await collect(streamChat({ provider: { id: 'local', baseUrl }, modelId: 'llama-3', messages: textMessages }));
+            expect(mock.lastRequest.body).not.toHaveProperty('temperature');
+        });
+
+        it('should map topP, maxOutputTokens and stopSequences', async () => {
+            mock.respond = sseResponder(['ok']);
+            await collect(streamChat({
+                provider: { id: 'local', baseUrl },
+                modelId: 'llama-3',
+                messages: textMessages,
+                generation: { topP: 0.5, maxOutputTokens: 200, stopSequences: ['\n\n'] },
+            }));
+            expect(mock.lastRequest.body).toMatchObject({ top_p: 0.5, max_tokens: 200, stop: ['\n\n'] });
+        });
+
+        it('should send the provider apiKey as a Bearer token', async () => {
+            mock.respond = sseResponder(['ok']);
+
+            await collect(streamChat({
+                provider: { id: 'gw', baseUrl, apiKey: 'sk-test' },
+                modelId: 'gpt-4o',
+                messages: textMessages,
+            }));
+
+            expect(mock.lastRequest.headers.authorization).toBe('Bearer sk-test');
+        });
+
+        it('should omit Authorization when no apiKey is configured', async () => {
+            mock.respond = sseResponder(['ok']);
+
+            await collect(streamChat({
+                provider: { id: 'local', baseUrl },
+                modelId: 'llama-3',
+                messages: textMessages,
+            }));
+
+            expect(mock.lastRequest.headers.authorization).toBeUndefined();
+        });
+
+        it('should skip chunks without delta content', async () => {
+            mock.respond = (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: { role: 'assistant' } }] })}\n\n`);
+                res.write(': keep-alive\n\n');
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hi' } }] })}\n\n`);
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }] })}\n\n`);
+                res.write('data: [DONE]\n\n');
+                res.end();
+            };
+
+            const chunks = await collect(streamChat({
+                provider: { id: 'local', baseUrl },
+                modelId: 'llama-3',
+                messages: textMessages,
+            }));
+
+            expect(chunks).toEqual(['Hi']);
+        });
+
+        it('should throw with upstream error message and status on non-2xx', async () => {
+            mock.respond = mock.fail(401, { error: { message: 'Invalid API key' } });
+
+            const stream = streamChat({
+                provider: { id: 'gw', baseUrl, apiKey: 'bad' },
+                modelId: 'gpt-4o',
+                messages: textMessages,
+            });
+
+            await expect(stream.next()).rejects.toMatchObject({
+                message: '[gw] Invalid API key',
+                status: 401,
+            });
+        });
+
+        it('should throw when an error event arrives mid-stream', async () => {
+            mock.respond = (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'partial' } }] })}\n\n`);
+                res.write(`data: ${JSON.stringify({ error: { message: 'context length exceeded' } })}\n\n`);
+                res.end();
+            };
+
+            const stream = streamChat({
+                provider: { id: 'local', baseUrl },
+                modelId: 'llama-3',
+                messages: textMessages,
+            });
+
+            expect((await stream.next()).value).toBe('partial');
+            await expect(stream.next()).rejects.toThrow('context length exceeded');
+        });
+
+        it('should throw when baseUrl is missing', async () => {
+            const stream = streamChat({
+                provider: { id: 'broken' },
+                modelId: 'x',
+                messages: textMessages,
+            });
+
+            await expect(stream.next()).rejects.toThrow("Provider 'broken' is missing baseUrl");
+        });
+    });
+
+    describe('toOpenAIMessages — multimodal mapping', () => {
+        const png = Buffer.from('fake-png').toString('base64');
+        const pdf = Buffer.from('%PDF-1.4').toString('base64');
+        const csv = Buffer.from('a,b\n1,2').toString('base64');
+
+        it('should map assistant role and join text parts', () => {
+            const result = toOpenAIMessages([
+                { role: 'user', parts: [{ text: '[Previously attached files: a.png]' }, { text: 'Hi' }] },
+                { role: 'assistant', parts: [{ text: 'Hello!' }] },
+            ]);
+
+            expect(result).toEqual([
+                { role: 'user', content: '[Previously attached files: a.png]\n\nHi' },
+                { role: 'assistant', content: 'Hello!' },
+            ]);
+        });
+
+        it('should map images to image_url data URLs', () => {
+            const [msg] = toOpenAIMessages([{
+                role: 'user',
+                parts: [{ inlineData: { mimeType: 'image/png', data: png } }, { text: 'What is this?' }],
+            }]);
+
+            expect(msg.content).toEqual([
+                { type: 'image_url', image_url: { url: `data:image/png;base64,${png}` } },
+                { type: 'text', text: 'What is this?' },
+            ]);
+        });
+
+        it('should inline CSV files as decoded text', () => {
+            const [msg] = toOpenAIMessages([{
+                role: 'user',
+                parts: [{ inlineData: { mimeType: 'text/csv', data: csv } }, { text: 'Summarize' }],
+            }]);
+
+            expect(msg.content[0]).toEqual({ type: 'text', text: 'a,b\n1,2' });
+        });
+
+        it('should map PDFs to file parts', () => {
+            const [msg] = toOpenAIMessages([{
+                role: 'user',
+                parts: [{ inlineData: { mimeType: 'application/pdf', data: pdf } }, { text: 'Read' }],
+            }]);
+
+            expect(msg.content[0]).toEqual({
+                type: 'file',
+                file: { file_data: `data:application/pdf;base64,${pdf}` },
+            });
+        });
+
+        it('should prepend the system instruction', () => {
+            const result = toOpenAIMessages([{ role: 'user', parts: [{ text: 'Hi' }] }], 'You are Dragon AI');
+            expect(result[0]).toEqual({ role: 'system', content: 'You are Dragon AI' });
+        });
+    });
+
+    describe('readSseEvents', () => {
+        it('should reassemble events split across chunks and honour event names', async () => {
+            const source = (async function* () {
+                yield Buffer.from('event: ping\nda');
+                yield Buffer.from('ta: one\r\n\r\ndata: two\n');
+                yield Buffer.from('data: lines\n\n');
+            })();
+
+            const events = [];
+            for await (const evt of readSseEvents(source)) events.push(evt);
+
+            expect(events).toEqual([
+                { event: 'ping', data: 'one' },
+                { event: 'message', data: 'two\nlines' },
+            ]);
+        });
+
+        it('should keep multi-byte characters split across chunks intact', async () => {
+            const bytes = Buffer.from('data: 計画 🚀\n\n');
+            const source = (async function* () {
+                yield bytes.subarray(0, 8); // inside '計'
+                yield bytes.subarray(8, 15); // inside '🚀'
+                yield bytes.subarray(15);
+            })();
+
+            const events = [];
+            for await (const evt of readSseEvents(source)) events.push(evt);
+
+            expect(events).toEqual([{ event: 'message', data: '計画 🚀' }]);
+        });
+    });
+});
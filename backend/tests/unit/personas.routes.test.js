@@ -0,0 +1,161 @@
+/**
+ * Personas Routes — Unit Tests
+ *
+ * Tests CRUD operations, validation, ownership and unlinking deleted
+ * personas from sessions. Uses in-memory MongoDB for realistic testing.
+ */
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Mock auth middleware
+jest.mock('../../src/middleware/auth', () => (req, res, next) => {
+    req.user = { sub: req.headers['x-test-user'] || 'test-user-id' };
+    next();
+});
+
+jest.mock('../../src/services/aiProvider', () => ({
+    resolveModel: (model) => (model === 'google/gemini-2.5-flash'
+        ? { providerId: 'google', modelId: 'gemini-2.5-flash' }
+        : null),
+}));
+
+let mongoServer;
+
+beforeAll(async () => {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+afterEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+});
+
+const personaRoutes = require('../../src/routes/personas');
+const Persona = require('../../src/models/Persona');
+const Session = require('../../src/models/Session');
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/personas', personaRoutes);
+    return app;
+}
+
+const reviewer = {
+    name: 'Code reviewer',
+    systemPrompt: 'You review code strictly and point out bugs first.',
+    model: 'google/gemini-2.5-flash',
+    temperature: 0.2,
+};
+
+describe('Personas Routes', () => {
+    let app;
+
+    beforeEach(() => {
+        app = createApp();
+    });
+
+    describe('POST /api/personas', () => {
+        it('should create a persona', async () => {
+            const res = await request(app).post('/api/personas').send(reviewer);
+
+            expect(res.status).toBe(201);
+            expect(res.body).toMatchObject(reviewer);
+            expect(res.body.id).toBeDefined();
+        });
+
+        it('should default model and temperature', async () => {
+            const res = await request(app)
+                .post('/api/personas')
+                .send({ name: 'PM assistant', systemPrompt: 'You help write specs.' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.model).toBe('');
+            expect(res.body.temperature).toBeNull();
+        });
+
+        it('should return 400 for missing name or systemPrompt', async () => {
+            const noName = await request(app).post('/api/personas').send({ systemPrompt: 'x' });
+            expect(noName.status).toBe(400);
+
+            const noPrompt = await request(app).post('/api/personas').send({ name: 'x' });
+            expect(noPrompt.status).toBe(400);
+        });
+
+        it('should return 400 for an unknown model or out-of-range temperature', async () => {
+            const badModel = await request(app).post('/api/personas').send({ ...reviewer, model: 'nope/nope' });
+            expect(badModel.status).toBe(400);
+            expect(badModel.body.error).toBe('Invalid model specified');
+
+            const badTemperature = await request(app).post('/api/personas').send({ ...reviewer, temperature: 3 });
+            expect(badTemperature.status).toBe(400);
+        });
+    });
+
+    describe('GET /api/personas', () => {
+        it('should list only the current user\'s personas, sorted by name', async () => {
+            await Persona.create({ userId: 'test-user-id', name: 'Zed', systemPrompt: 'z' });
+            await Persona.create({ userId: 'test-user-id', name: 'Alpha', systemPrompt: 'a' });
+            await Persona.create({ userId: 'other-user', name: 'Other', systemPrompt: 'o' });
+
+            const res = await request(app).get('/api/personas');
+
+            expect(res.status).toBe(200);
+            expect(res.body.personas.map(p => p.name)).toEqual(['Alpha', 'Zed']);
+        });
+    });
+
+    describe('PATCH /api/personas/:id', () => {
+        it('should update the given fields', async () => {
+            const persona = await Persona.create({ userId: 'test-user-id', ...reviewer });
+
+            const res = await request(app)
+                .patch(`/api/personas/${persona._id}`)
+                .send({ temperature: null, name: '  Senior reviewer  ' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.name).toBe('Senior reviewer');
+            expect(res.body.temperature).toBeNull();
+            expect(res.body.systemPrompt).toBe(reviewer.systemPrompt);
+        });
+
+        it('should return 404 for another user\'s persona or an invalid id', async () => {
+            const persona = await Persona.create({ userId: 'other-user', ...reviewer });
+
+            const res = await request(app).patch(`/api/personas/${persona._id}`).send({ name: 'Mine now' });
+            expect(res.status).toBe(404);
+
+            const invalid = await request(app).patch('/api/personas/not-an-id').send({ name: 'x' });
+            expect(invalid.status).toBe(404);
+        });
+    });
+
+    describe('DELETE /api/personas/:id', () => {
+        it('should delete the persona and unlink it from sessions', async () => {
+            const persona = await Persona.create({ userId: 'test-user-id', ...reviewer });
+            const session = await Session.create({ userId: 'test-user-id', personaId: persona._id });
+
+            const res = await request(app).delete(`/api/personas/${persona._id}`);
+
+            expect(res.status).toBe(200);
+            expect(await Persona.findById(persona._id)).toBeNull();
+            expect((await Session.findById(session._id)).personaId).toBeNull();
+        });
+
+        it('should return 404 for another user\'s persona', async () => {
+            const persona = await Persona.create({ userId: 'other-user', ...reviewer });
+
+            const res = await request(app).delete(`/api/personas/${persona._id}`);
+
+            expect(res.status).toBe(404);
+            expect(await Persona.findById(persona._id)).not.toBeNull();
+        });
+    });
+});
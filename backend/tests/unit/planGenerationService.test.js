@@ -199,6 +199,30 @@ Paragraph`;
             expect(result).toContain('IMAGE_PLACEHOLDER_1');
         });
 
+        it('should report token usage from the last chunk', async () => {
+            const mockStream = {
+                async *[Symbol.asyncIterator]() {
+                    yield { text: '# Plan\n', usageMetadata: { promptTokenCount: 120 } };
+                    yield {
+                        text: 'Done',
+                        usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 900, totalTokenCount: 1020 },
+                    };
+                }
+            };
+            GoogleGenAI.mockImplementation(() => ({
+                models: {
+                    generateContentStream: jest.fn().mockResolvedValue(mockStream),
+                },
+            }));
+            process.env.GEMINI_API_KEYS = 'test-api-key';
+            const onUsage = jest.fn();
+
+            for await (const _ of generatePlanContentStream('Build a fitness app', { onUsage })) { /* drain */ }
+
+            expect(onUsage).toHaveBeenCalledTimes(1);
+            expect(onUsage).toHaveBeenCalledWith({ promptTokens: 120, completionTokens: 900, totalTokens: 1020 });
+        });
+
         it('should throw error if GEMINI_API_KEYS not configured', async () => {
             delete process.env.GEMINI_API_KEYS;
 
@@ -0,0 +1,142 @@
+/**
+ * Quota Service — Unit Tests
+ *
+ * Tests limit resolution (env defaults, per-user overrides), usage counting
+ * from the daily rollups, reset times and the 429 body of checkQuota
+ * (User and Usage models mocked).
+ */
+const mockUserFindOne = jest.fn();
+const mockUserUpdateOne = jest.fn();
+jest.mock('../../src/models/User', () => ({
+    findOne: (...args) => mockUserFindOne(...args),
+    updateOne: (...args) => mockUserUpdateOne(...args),
+}));
+
+const mockUsageFind = jest.fn();
+jest.mock('../../src/models/Usage', () => ({
+    find: (...args) => mockUsageFind(...args),
+}));
+
+const { getQuotaStatus, checkQuota, setUserQuotas, getResetAt } = require('../../src/services/quotaService');
+const { dayKey } = require('../../src/services/usageService');
+
+function mockUser(quotas) {
+    mockUserFindOne.mockReturnValue({ select: () => ({ lean: () => Promise.resolve(quotas ? { quotas } : null) }) });
+}
+
+function mockRows(rows) {
+    mockUsageFind.mockReturnValue({ select: () => ({ lean: () => Promise.resolve(rows) }) });
+}
+
+describe('quotaService', () => {
+    const originalEnv = { ...process.env };
+    const today = dayKey();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.QUOTA_MESSAGES_PER_DAY = '10';
+        process.env.QUOTA_TOKENS_PER_MONTH = '1000';
+        delete process.env.QUOTA_IMAGES_PER_MONTH;
+        delete process.env.QUOTA_PLANS_PER_DAY;
+        mockUser(null);
+        mockRows([]);
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    describe('getQuotaStatus', () => {
+        it('should use env defaults and treat unset quotas as unlimited', async () => {
+            const status = await getQuotaStatus('user-1');
+
+            expect(status.messagesPerDay).toMatchObject({ limit: 10, used: 0, remaining: 10 });
+            expect(status.imagesPerMonth).toMatchObject({ limit: null, remaining: null });
+        });
+
+        it('should prefer per-user overrides', async () => {
+            mockUser({ messagesPerDay: 3, imagesPerMonth: 0 });
+
+            const status = await getQuotaStatus('user-1');
+
+            expect(status.messagesPerDay.limit).toBe(3);
+            expect(status.imagesPerMonth).toMatchObject({ limit: 0, remaining: 0 });
+            expect(status.tokensPerMonth.limit).toBe(1000);
+        });
+
+        it('should count daily quotas from today and monthly quotas from the whole month', async () => {
+            const earlier = `${today.slice(0, 7)}-00`; // sorts before any day of this month
+            mockRows([
+                { date: today, totals: { totalTokens: 300, images: 1 }, byKind: { chat: { requests: 4 } } },
+                { date: earlier, totals: { totalTokens: 500, images: 2 }, byKind: { chat: { requests: 7 } } },
+            ]);
+
+            const status = await getQuotaStatus('user-1');
+
+            expect(status.messagesPerDay.used).toBe(4);
+            expect(status.tokensPerMonth).toMatchObject({ used: 800, remaining: 200 });
+            expect(status.imagesPerMonth.used).toBe(3);
+        });
+    });
+
+    describe('getResetAt', () => {
+        it('should reset daily quotas at the next UTC midnight', () => {
+            const now = new Date('2026-03-31T15:00:00Z');
+            expect(getResetAt('day', now).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+        });
+
+        it('should reset monthly quotas on the first of next month', () => {
+            const now = new Date('2026-12-15T10:00:00Z');
+            expect(getResetAt('month', now).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+        });
+    });
+
+    describe('checkQuota', () => {
+        it('should return null while quotas have room', async () => {
+            expect(await checkQuota('user-1', ['messagesPerDay', 'tokensPerMonth'])).toBeNull();
+        });
+
+        it('should describe the first exhausted quota', async () => {
+            mockRows([{ date: today, totals: { totalTokens: 1200 }, byKind: { chat: { requests: 2 } } }]);
+
+            const exceeded = await checkQuota('user-1', ['messagesPerDay', 'tokensPerMonth']);
+
+            expect(exceeded).toEqual({
+                error: 'Monthly token limit reached',
+                code: 'QUOTA_EXCEEDED',
+                quota: 'tokensPerMonth',
+                limit: 1000,
+                used: 1200,
+                resetAt: getResetAt('month').toISOString(),
+            });
+        });
+
+        it('should let requests through when the lookup fails', async () => {
+            mockUsageFind.mockImplementation(() => { throw new Error('db down'); });
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+
+            expect(await checkQuota('user-1', ['messagesPerDay'])).toBeNull();
+            console.error.mockRestore();
+        });
+    });
+
+    describe('setUserQuotas', () => {
+        it('should only set known quotas', async () => {
+            mockUserUpdateOne.mockResolvedValue({ matchedCount: 1 });
+
+            const found = await setUserQuotas('user-1', { messagesPerDay: 5, plansPerDay: null });
+
+            expect(found).toBe(true);
+            expect(mockUserUpdateOne).toHaveBeenCalledWith(
+                { keycloakId: 'user-1' },
+                { $set: { 'quotas.messagesPerDay': 5, 'quotas.plansPerDay': null } },
+                { runValidators: true }
+            );
+        });
+
+        it('should report a missing user', async () => {
+            mockUserUpdateOne.mockResolvedValue({ matchedCount: 0 });
+            expect(await setUserQuotas('ghost', { messagesPerDay: 5 })).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Rate Limit Store — Unit Tests
+ *
+ * Tests the MongoDB store (atomic window update, in-memory fallback while
+ * disconnected), the Redis store against a fake client, store selection via
+ * RATE_LIMIT_STORE and user/IP keying.
+ */
+const mockFindOneAndUpdate = jest.fn();
+const mockFindById = jest.fn();
+const mockDeleteOne = jest.fn();
+jest.mock('../../src/models/RateLimit', () => ({
+    findOneAndUpdate: (...args) => mockFindOneAndUpdate(...args),
+    findById: (...args) => mockFindById(...args),
+    deleteOne: (...args) => mockDeleteOne(...args),
+    updateOne: jest.fn(),
+}));
+
+const mockVerifyToken = jest.fn();
+jest.mock('../../src/middleware/auth', () => ({
+    verifyToken: (...args) => mockVerifyToken(...args),
+}));
+
+const {
+    MongoStore,
+    RedisStore,
+    createRateLimitStore,
+    userOrIpKey,
+} = require('../../src/services/rateLimitStore');
+
+const WINDOW_MS = 60 * 1000;
+
+function setConnected(connected) {
+    jest.spyOn(MongoStore.prototype, 'isConnected').mockReturnValue(connected);
+}
+
+describe('rateLimitStore', () => {
+    const originalStore = process.env.RATE_LIMIT_STORE;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        if (originalStore === undefined) delete process.env.RATE_LIMIT_STORE;
+        else process.env.RATE_LIMIT_STORE = originalStore;
+    });
+
+    describe('MongoStore', () => {
+        let store;
+
+        beforeEach(() => {
+            store = new MongoStore({ prefix: 'global:' });
+            store.init({ windowMs: WINDOW_MS });
+        });
+
+        afterEach(() => {
+            store.shutdown();
+        });
+
+        it('should count hits in a prefixed document with an atomic pipeline update', async () => {
+            setConnected(true);
+            const resetTime = new Date(Date.now() + WINDOW_MS);
+            mockFindOneAndUpdate.mockReturnValue({ lean: () => Promise.resolve({ hits: 3, resetTime }) });
+
+            const result = await store.increment('user:abc');
+
+            expect(result).toEqual({ totalHits: 3, resetTime });
+            const [filter, pipeline, options] = mockFindOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: 'global:user:abc' });
+            expect(pipeline[0].$set).toHaveProperty('hits');
+            expect(pipeline[0].$set).toHaveProperty('resetTime');
+            expect(options).toMatchObject({ upsert: true, updatePipeline: true });
+        });
+
+        it('should ignore an expired window in get', async () => {
+            setConnected(true);
+            mockFindById.mockReturnValue({ lean: () => Promise.resolve({ hits: 9, resetTime: new Date(Date.now() - 1000) }) });
+
+            expect(await store.get('user:abc')).toBeUndefined();
+        });
+
+        it('should reset a key by deleting its document', async () => {
+            setConnected(true);
+            mockDeleteOne.mockResolvedValue({});
+
+            await store.resetKey('ip:1.2.3.4');
+
+            expect(mockDeleteOne).toHaveBeenCalledWith({ _id: 'global:ip:1.2.3.4' });
+        });
+
+        it('should count in memory while MongoDB is not connected', async () => {
+            setConnected(false);
+
+            await store.increment('ip:1.2.3.4');
+            const result = await store.increment('ip:1.2.3.4');
+
+            expect(result.totalHits).toBe(2);
+            expect(mockFindOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('RedisStore', () => {
+        function fakeClient(results) {
+            const chain = {
+                incr: jest.fn(() => chain),
+                pExpire: jest.fn(() => chain),
+                pTTL: jest.fn(() => chain),
+                get: jest.fn(() => chain),
+                exec: jest.fn().mockResolvedValue(results),
+            };
+            return { chain, multi: () => chain, decr: jest.fn(), del: jest.fn() };
+        }
+
+        it('should increment and set the window expiry only once', async () => {
+            const client = fakeClient([4, 0, 30000]);
+            const store = new RedisStore({ client, prefix: 'ratelimit:login:' });
+            store.init({ windowMs: WINDOW_MS });
+
+            const result = await store.increment('ip:1.2.3.4');
+
+            expect(result.totalHits).toBe(4);
+            expect(result.resetTime.getTime()).toBeGreaterThan(Date.now() + 29000);
+            expect(client.chain.incr).toHaveBeenCalledWith('ratelimit:login:ip:1.2.3.4');
+            expect(client.chain.pExpire).toHaveBeenCalledWith('ratelimit:login:ip:1.2.3.4', WINDOW_MS, 'NX');
+        });
+
+        it('should return undefined for an unknown key', async () => {
+            const store = new RedisStore({ client: fakeClient([null, -2]) });
+            expect(await store.get('ip:1.2.3.4')).toBeUndefined();
+        });
+    });
+
+    describe('createRateLimitStore', () => {
+        it('should default to the MongoDB store', () => {
+            delete process.env.RATE_LIMIT_STORE;
+            const store = createRateLimitStore('login:');
+            expect(store).toBeInstanceOf(MongoStore);
+            expect(store.prefix).toBe('login:');
+            store.fallback.shutdown();
+        });
+
+        it('should leave the memory store to express-rate-limit', () => {
+            process.env.RATE_LIMIT_STORE = 'memory';
+            expect(createRateLimitStore('login:')).toBeUndefined();
+        });
+
+        it('should reject unknown stores and Redis without REDIS_URL', () => {
+            process.env.RATE_LIMIT_STORE = 'memcached';
+            expect(() => createRateLimitStore('login:')).toThrow('Unknown RATE_LIMIT_STORE');
+
+            process.env.RATE_LIMIT_STORE = 'redis';
+            delete process.env.REDIS_URL;
+            expect(() => createRateLimitStore('login:')).toThrow('REDIS_URL is required');
+        });
+    });
+
+    describe('userOrIpKey', () => {
+        it('should key by the verified user sub', async () => {
+            mockVerifyToken.mockResolvedValue({ sub: 'user-123' });
+
+            const key = await userOrIpKey({ headers: {}, cookies: { access_token: 'token' }, ip: '1.2.3.4' });
+
+            expect(key).toBe('user:user-123');
+            expect(mockVerifyToken).toHaveBeenCalledWith('token');
+        });
+
+        it('should read a Bearer token from the Authorization header', async () => {
+            mockVerifyToken.mockResolvedValue({ sub: 'user-456' });
+
+            const key = await userOrIpKey({ headers: { authorization: 'Bearer abc' }, ip: '1.2.3.4' });
+
+            expect(key).toBe('user:user-456');
+        });
+
+        it('should fall back to the IP for anonymous or invalid tokens', async () => {
+            mockVerifyToken.mockRejectedValue(new Error('jwt expired'));
+
+            expect(await userOrIpKey({ headers: {}, cookies: { access_token: 'bad' }, ip: '1.2.3.4' })).toBe('ip:1.2.3.4');
+            expect(await userOrIpKey({ headers: {}, ip: '5.6.7.8' })).toBe('ip:5.6.7.8');
+        });
+    });
+});
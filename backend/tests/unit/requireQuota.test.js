@@ -0,0 +1,58 @@
+/**
+ * Require Quota Middleware — Unit Tests
+ *
+ *   1. should call next while the quotas have room
+ *   2. should respond 429 with the exhausted quota and Retry-After
+ */
+const request = require('supertest');
+const express = require('express');
+
+const mockCheckQuota = jest.fn();
+jest.mock('../../src/services/quotaService', () => ({
+    checkQuota: (...args) => mockCheckQuota(...args),
+}));
+
+const requireQuota = require('../../src/middleware/requireQuota');
+
+function createApp() {
+    const app = express();
+    app.use((req, res, next) => {
+        req.user = { sub: 'user-id' };
+        next();
+    });
+    app.post('/limited', requireQuota('messagesPerDay', 'tokensPerMonth'), (req, res) => res.json({ ok: true }));
+    return app;
+}
+
+describe('requireQuota middleware', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should call next while the quotas have room', async () => {
+        mockCheckQuota.mockResolvedValue(null);
+
+        const res = await request(createApp()).post('/limited');
+
+        expect(res.status).toBe(200);
+        expect(mockCheckQuota).toHaveBeenCalledWith('user-id', ['messagesPerDay', 'tokensPerMonth']);
+    });
+
+    it('should respond 429 with the exhausted quota and Retry-After', async () => {
+        const resetAt = new Date(Date.now() + 3600 * 1000).toISOString();
+        mockCheckQuota.mockResolvedValue({
+            error: 'Daily message limit reached',
+            code: 'QUOTA_EXCEEDED',
+            quota: 'messagesPerDay',
+            limit: 10,
+            used: 10,
+            resetAt,
+        });
+
+        const res = await request(createApp()).post('/limited');
+
+        expect(res.status).toBe(429);
+        expect(res.body).toMatchObject({ code: 'QUOTA_EXCEEDED', quota: 'messagesPerDay', resetAt });
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(3500);
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * Retrieval Service — Unit Tests
+ *
+ * Tests chunking, similarity ranking, document/file indexing, key and usage
+ * reporting and prompt formatting (Passage model, Gemini embeddings, key pool
+ * and storage mocked).
+ */
+const mockEmbedContent = jest.fn();
+const mockGenerateContent = jest.fn();
+jest.mock('@google/genai', () => ({
+    GoogleGenAI: jest.fn().mockImplementation(() => ({
+        models: {
+            embedContent: (...args) => mockEmbedContent(...args),
+            generateContent: (...args) => mockGenerateContent(...args),
+        },
+    })),
+}));
+
+const mockReportSuccess = jest.fn();
+const mockReportFailure = jest.fn();
+jest.mock('../../src/services/keyPool', () => ({
+    acquireKey: () => 'test-key',
+    reportSuccess: (...args) => mockReportSuccess(...args),
+    reportFailure: (...args) => mockReportFailure(...args),
+}));
+
+const mockDeleteMany = jest.fn();
+const mockInsertMany = jest.fn();
+const mockFind = jest.fn();
+jest.mock('../../src/models/Passage', () => ({
+    deleteMany: (...args) => mockDeleteMany(...args),
+    insertMany: (...args) => mockInsertMany(...args),
+    find: (...args) => mockFind(...args),
+}));
+
+const mockDownloadFileToBuffer = jest.fn();
+jest.mock('../../src/services/storageService', () => ({
+    downloadFileToBuffer: (...args) => mockDownloadFileToBuffer(...args),
+}));
+
+const mockRecordUsage = jest.fn();
+jest.mock('../../src/services/usageService', () => ({
+    priceUsage: (providerId, modelId, usage) => usage,
+    recordUsage: (...args) => mockRecordUsage(...args),
+}));
+
+const {
+    chunkText,
+    cosineSimilarity,
+    indexDocument,
+    indexFile,
+    retrievePassages,
+    formatPassagesForPrompt,
+} = require('../../src/services/retrievalService');
+
+// Embeds each text as a fixed vector per keyword, so similarity is predictable
+function keywordEmbedding(text) {
+    const lower = text.toLowerCase();
+    return [lower.includes('budget') ? 1 : 0, lower.includes('launch') ? 1 : 0, 0.1];
+}
+
+function mockPassages(passages) {
+    mockFind.mockReturnValue({
+        select: () => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve(passages) }) }) }),
+    });
+}
+
+describe('retrievalService', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.RETRIEVAL_ENABLED;
+        mockEmbedContent.mockImplementation(async ({ contents }) => ({
+            embeddings: contents.map(text => ({ values: keywordEmbedding(text) })),
+        }));
+        mockDeleteMany.mockResolvedValue({});
+        mockInsertMany.mockResolvedValue([]);
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    describe('chunkText', () => {
+        it('should keep short text in one chunk', () => {
+            expect(chunkText('# Title\n\nShort paragraph.')).toEqual(['# Title\n\nShort paragraph.']);
+        });
+
+        it('should split long text on paragraphs with overlap', () => {
+            const paragraphs = Array.from({ length: 6 }, (_, i) => `Paragraph ${i} ${'x'.repeat(90)}`);
+            const chunks = chunkText(paragraphs.join('\n\n'), 250, 40);
+
+            expect(chunks.length).toBeGreaterThan(2);
+            chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(250 + 40));
+            expect(chunks[1].startsWith(chunks[0].slice(-40))).toBe(true);
+        });
+
+        it('should hard-split paragraphs longer than a chunk', () => {
+            const chunks = chunkText('y'.repeat(500), 200, 0);
+            expect(chunks).toEqual(['y'.repeat(200), 'y'.repeat(200), 'y'.repeat(100)]);
+        });
+    });
+
+    describe('cosineSimilarity', () => {
+        it('should compare direction, not length', () => {
+            expect(cosineSimilarity([1, 0], [3, 0])).toBeCloseTo(1);
+            expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+            expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+        });
+    });
+
+    describe('indexDocument', () => {
+        const document = {
+            _id: 'doc-1',
+            userId: 'user-1',
+            title: 'Budget plan',
+            content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Budget is 10k.' }] }],
+        };
+
+        it('should replace the document passages with embedded chunks', async () => {
+            const count = await indexDocument(document);
+
+            expect(count).toBe(1);
+            expect(mockDeleteMany).toHaveBeenCalledWith({ userId: 'user-1', sourceType: 'document', sourceId: 'doc-1' });
+            expect(mockEmbedContent.mock.calls[0][0].config.taskType).toBe('RETRIEVAL_DOCUMENT');
+            expect(mockInsertMany).toHaveBeenCalledWith([expect.objectContaining({
+                userId: 'user-1',
+                workspaceId: null,
+                sourceType: 'document',
+                sourceId: 'doc-1',
+                title: 'Budget plan',
+                index: 0,
+                text: '# Budget plan\n\nBudget is 10k.',
+                embedding: [1, 0, 0.1],
+            })]);
+            expect(mockReportSuccess).toHaveBeenCalledWith('test-key');
+        });
+
+        it('should record the estimated embedding usage for the owner', async () => {
+            await indexDocument(document);
+
+            // '# Budget plan\n\nBudget is 10k.' is 29 characters
+            expect(mockRecordUsage).toHaveBeenCalledWith('user-1', 'index', expect.objectContaining({
+                promptTokens: 8,
+                totalTokens: 8,
+            }));
+        });
+
+        it('should store the passages of a workspace document under its workspace', async () => {
+            await indexDocument({ ...document, workspaceId: 'ws-1' });
+            expect(mockInsertMany.mock.calls[0][0][0]).toMatchObject({ userId: 'user-1', workspaceId: 'ws-1' });
+        });
+
+        it('should log and return 0 when embedding fails', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+            mockEmbedContent.mockRejectedValue(new Error('quota'));
+
+            expect(await indexDocument(document)).toBe(0);
+            expect(mockInsertMany).not.toHaveBeenCalled();
+            expect(mockReportFailure).toHaveBeenCalledWith('test-key', expect.any(Error));
+            expect(mockRecordUsage).not.toHaveBeenCalled();
+            errorSpy.mockRestore();
+        });
+
+        it('should do nothing when retrieval is disabled', async () => {
+            process.env.RETRIEVAL_ENABLED = 'false';
+            expect(await indexDocument(document)).toBe(0);
+            expect(mockEmbedContent).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('indexFile', () => {
+        it('should index CSV uploads from the given buffer', async () => {
+            const file = { fileId: 'uploads/user-1/1_budget.csv', fileName: 'budget.csv', fileType: 'text/csv' };
+
+            expect(await indexFile(file, 'user-1', Buffer.from('item,budget\nads,500'))).toBe(1);
+            expect(mockInsertMany.mock.calls[0][0][0]).toMatchObject({
+                sourceType: 'file',
+                sourceId: 'uploads/user-1/1_budget.csv',
+                title: 'budget.csv',
+                text: 'item,budget\nads,500',
+            });
+        });
+
+        it('should transcribe PDFs with Gemini and record the usage', async () => {
+            mockDownloadFileToBuffer.mockResolvedValue(Buffer.from('%PDF'));
+            mockGenerateContent.mockResolvedValue({
+                text: 'Launch in May.',
+                usageMetadata: { promptTokenCount: 300, candidatesTokenCount: 5, totalTokenCount: 305 },
+            });
+            const file = { fileId: 'uploads/user-1/2_spec.pdf', fileName: 'spec.pdf', fileType: 'application/pdf' };
+
+            expect(await indexFile(file, 'user-1')).toBe(1);
+            expect(mockDownloadFileToBuffer).toHaveBeenCalledWith('uploads/user-1/2_spec.pdf');
+            expect(mockRecordUsage).toHaveBeenCalledWith('user-1', 'index', expect.objectContaining({ totalTokens: 305 }));
+            expect(mockInsertMany.mock.calls[0][0][0].text).toBe('Launch in May.');
+        });
+
+        it('should skip images', async () => {
+            const file = { fileId: 'uploads/user-1/3_logo.png', fileName: 'logo.png', fileType: 'image/png' };
+            expect(await indexFile(file, 'user-1', Buffer.from('png'))).toBe(0);
+            expect(mockEmbedContent).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('retrievePassages', () => {
+        const passages = [
+            { sourceType: 'document', sourceId: 'd1', title: 'Budget', text: 'Budget is 10k', embedding: [1, 0, 0.1] },
+            { sourceType: 'file', sourceId: 'f1', title: 'launch.csv', text: 'Launch in May', embedding: [0, 1, 0.1] },
+        ];
+
+        it('should rank the user\'s passages by similarity to the query', async () => {
+            mockPassages(passages);
+
+            const results = await retrievePassages('user-1', 'What is the budget?', { topK: 1 });
+
+            expect(mockFind).toHaveBeenCalledWith({ userId: 'user-1', workspaceId: null, model: 'gemini-embedding-001' });
+            expect(mockEmbedContent.mock.calls[0][0].config.taskType).toBe('RETRIEVAL_QUERY');
+            expect(results).toHaveLength(1);
+            expect(results[0]).toMatchObject({ sourceId: 'd1', title: 'Budget', text: 'Budget is 10k' });
+            expect(results[0].score).toBeCloseTo(1);
+        });
+
+        it('should record the query embedding for the user', async () => {
+            mockPassages(passages);
+
+            await retrievePassages('user-1', 'What is the budget?');
+
+            expect(mockReportSuccess).toHaveBeenCalledWith('test-key');
+            expect(mockRecordUsage).toHaveBeenCalledWith('user-1', 'retrieval', expect.objectContaining({
+                promptTokens: 5,
+            }));
+        });
+
+        it('should search the passages of the user\'s workspaces too', async () => {
+            mockPassages(passages);
+            const scope = { $or: [{ userId: 'user-1', workspaceId: null }, { workspaceId: { $in: ['ws-1'] } }] };
+
+            await retrievePassages('user-1', 'budget', { access: { filter: () => scope } });
+
+            expect(mockFind).toHaveBeenCalledWith({ ...scope, model: 'gemini-embedding-001' });
+        });
+
+        it('should drop matches below the minimum score', async () => {
+            mockPassages(passages);
+            const results = await retrievePassages('user-1', 'budget', { minScore: 0.5 });
+            expect(results.map(r => r.sourceId)).toEqual(['d1']);
+        });
+
+        it('should not embed the query when nothing is indexed', async () => {
+            mockPassages([]);
+            expect(await retrievePassages('user-1', 'anything')).toEqual([]);
+            expect(mockEmbedContent).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('formatPassagesForPrompt', () => {
+        it('should number passages for inline citations', () => {
+            const prompt = formatPassagesForPrompt([
+                { sourceType: 'document', title: 'Budget', text: 'Budget is 10k' },
+                { sourceType: 'file', title: '', text: 'Launch in May' },
+            ]);
+            expect(prompt).toContain('cite it inline as [n]');
+            expect(prompt).toContain('[1] Budget (document)\nBudget is 10k');
+            expect(prompt).toContain('[2] Untitled (file)\nLaunch in May');
+        });
+    });
+});
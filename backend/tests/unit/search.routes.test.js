@@ -0,0 +1,79 @@
+/**
+ * Search Routes — Unit Tests
+ *
+ * GET /api/search:
+ *   1. should return the results of the current user
+ *   2. should require a query
+ *   3. should reject overly long queries
+ *   4. should clamp the limit parameter
+ *   5. should return 500 when the search fails
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/middleware/auth', () => (req, res, next) => {
+    req.user = { sub: 'user-id' };
+    next();
+});
+
+const mockSearch = jest.fn();
+jest.mock('../../src/services/searchService', () => ({
+    search: (...args) => mockSearch(...args),
+}));
+
+const searchRoutes = require('../../src/routes/search');
+
+function createApp() {
+    const app = express();
+    app.use('/api/search', searchRoutes);
+    return app;
+}
+
+describe('Search Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockSearch.mockResolvedValue([{ type: 'document', id: 'doc-1', title: 'Budget' }]);
+    });
+
+    it('should return the results of the current user', async () => {
+        const res = await request(createApp()).get('/api/search').query({ q: '  budget  ' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ query: 'budget', results: [{ type: 'document', id: 'doc-1', title: 'Budget' }] });
+        expect(mockSearch).toHaveBeenCalledWith('user-id', 'budget', { limit: 10 });
+    });
+
+    it('should require a query', async () => {
+        const res = await request(createApp()).get('/api/search?q=%20');
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('q is required');
+        expect(mockSearch).not.toHaveBeenCalled();
+    });
+
+    it('should reject overly long queries', async () => {
+        const res = await request(createApp()).get('/api/search').query({ q: 'a'.repeat(201) });
+
+        expect(res.status).toBe(400);
+        expect(mockSearch).not.toHaveBeenCalled();
+    });
+
+    it('should clamp the limit parameter', async () => {
+        await request(createApp()).get('/api/search?q=plan&limit=500');
+        expect(mockSearch).toHaveBeenLastCalledWith('user-id', 'plan', { limit: 50 });
+
+        await request(createApp()).get('/api/search?q=plan&limit=0');
+        expect(mockSearch).toHaveBeenLastCalledWith('user-id', 'plan', { limit: 10 });
+    });
+
+    it('should return 500 when the search fails', async () => {
+        mockSearch.mockRejectedValue(new Error('text index required'));
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        const res = await request(createApp()).get('/api/search?q=plan');
+
+        expect(res.status).toBe(500);
+        expect(res.body.error).toBe('Search failed');
+        console.error.mockRestore();
+    });
+});
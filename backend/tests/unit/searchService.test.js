@@ -0,0 +1,150 @@
+/**
+ * Search Service — Unit Tests
+ *
+ * Tests query parsing, snippet highlighting and result building against
+ * mocked Session/Document text queries.
+ */
+const mongoose = require('mongoose');
+
+const mockSessionFind = jest.fn();
+jest.mock('../../src/models/Session', () => ({
+    find: (...args) => mockSessionFind(...args),
+}));
+
+const mockDocumentFind = jest.fn();
+jest.mock('../../src/models/Document', () => ({
+    find: (...args) => mockDocumentFind(...args),
+}));
+
+const { search, parseTerms, termsRegExp, buildSnippet } = require('../../src/services/searchService');
+
+function mockResults(find, results) {
+    find.mockReturnValue({
+        select: () => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve(results) }) }) }),
+    });
+}
+
+function highlighted(snippet) {
+    return snippet.highlights.map(([start, end]) => snippet.text.slice(start, end));
+}
+
+describe('searchService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockResults(mockSessionFind, []);
+        mockResults(mockDocumentFind, []);
+    });
+
+    describe('parseTerms', () => {
+        it('should drop negated words, punctuation and common suffixes', () => {
+            expect(parseTerms('Launch plans -draft "budget review"')).toEqual(['launch', 'plan', 'budget', 'review']);
+        });
+
+        it('should keep short words whole', () => {
+            expect(parseTerms('bus ads')).toEqual(['bus', 'ads']);
+        });
+    });
+
+    describe('buildSnippet', () => {
+        it('should highlight every occurrence, including longer word forms', () => {
+            const snippet = buildSnippet('Plan the launch. Planning starts Monday.', termsRegExp(parseTerms('plans')));
+            expect(snippet.text).toBe('Plan the launch. Planning starts Monday.');
+            expect(highlighted(snippet)).toEqual(['Plan', 'Planning']);
+        });
+
+        it('should not match inside other words', () => {
+            expect(buildSnippet('The airplane landed', termsRegExp(['plan']))).toBeNull();
+        });
+
+        it('should cut long text around the first match with offsets relative to the snippet', () => {
+            const text = `${'lorem ipsum '.repeat(30)}the budget is final ${'dolor sit '.repeat(30)}`;
+            const snippet = buildSnippet(text, termsRegExp(['budget']));
+
+            expect(snippet.text.startsWith('…')).toBe(true);
+            expect(snippet.text.endsWith('…')).toBe(true);
+            expect(snippet.text.length).toBeLessThanOrEqual(162);
+            expect(highlighted(snippet)).toEqual(['budget']);
+        });
+    });
+
+    describe('search', () => {
+        it('should run a text query scoped to the user on both collections', async () => {
+            await search('user-1', 'budget', { limit: 5 });
+
+            const filter = { userId: 'user-1', $text: { $search: 'budget' } };
+            expect(mockSessionFind).toHaveBeenCalledWith(filter, { score: { $meta: 'textScore' } });
+            expect(mockDocumentFind).toHaveBeenCalledWith(filter, { score: { $meta: 'textScore' } });
+        });
+
+        it('should link sessions to the matching message, preferring the active branch', async () => {
+            const [rootId, oldAnswerId, newAnswerId] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+            mockResults(mockSessionFind, [{
+                _id: new mongoose.Types.ObjectId(),
+                title: 'Marketing',
+                activeLeafId: newAnswerId,
+                messages: [
+                    { _id: rootId, parentId: null, role: 'user', content: 'What should we spend?' },
+                    { _id: oldAnswerId, parentId: rootId, role: 'assistant', content: 'The budget is 5k' },
+                    { _id: newAnswerId, parentId: rootId, role: 'assistant', content: 'A budget of 10k' },
+                ],
+                score: 1.1,
+            }]);
+
+            const [result] = await search('user-1', 'budget');
+
+            expect(result).toMatchObject({
+                type: 'session',
+                title: 'Marketing',
+                titleHighlights: [],
+                messageId: newAnswerId.toString(),
+                role: 'assistant',
+                link: `/chat/${result.id}?message=${newAnswerId}`,
+            });
+            expect(highlighted(result.snippet)).toEqual(['budget']);
+        });
+
+        it('should link documents to the matching block, including nested blocks', async () => {
+            mockResults(mockDocumentFind, [{
+                _id: new mongoose.Types.ObjectId(),
+                title: 'Launch plan',
+                type: 'project-plan',
+                content: [
+                    { id: 'intro', type: 'paragraph', content: [{ type: 'text', text: 'Overview' }] },
+                    {
+                        id: 'list',
+                        type: 'bulletListItem',
+                        content: [{ type: 'text', text: 'Costs' }],
+                        children: [{ id: 'nested', type: 'paragraph', content: [{ type: 'text', text: 'Budget: 10k' }] }],
+                    },
+                ],
+                score: 2,
+            }]);
+
+            const [result] = await search('user-1', 'budget');
+
+            expect(result).toMatchObject({
+                type: 'document',
+                documentType: 'project-plan',
+                blockId: 'nested',
+                link: `/documents/${result.id}?block=nested`,
+                snippet: { text: 'Budget: 10k', highlights: [[0, 6]] },
+            });
+        });
+
+        it('should merge both kinds by score and link title-only matches to the whole item', async () => {
+            mockResults(mockSessionFind, [{
+                _id: new mongoose.Types.ObjectId(), title: 'Budget chat', messages: [], score: 5,
+            }]);
+            mockResults(mockDocumentFind, [{
+                _id: new mongoose.Types.ObjectId(), title: 'Q3 budget', type: 'roadmap', content: [], score: 7,
+            }]);
+
+            const results = await search('user-1', 'budget');
+
+            expect(results.map(r => r.type)).toEqual(['document', 'session']);
+            expect(results[0].link).toBe(`/documents/${results[0].id}`);
+            expect(results[0].titleHighlights).toEqual([[3, 9]]);
+            expect(results[1]).toMatchObject({ snippet: null, messageId: null, link: `/chat/${results[1].id}` });
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Session Export Service — Unit Tests
+ *
+ * Tests the transcript (active branch, attachments, linked documents) and its
+ * Markdown, JSON and PDF renderings.
+ */
+const mongoose = require('mongoose');
+const {
+    buildTranscript,
+    transcriptToMarkdown,
+    exportSession,
+} = require('../../src/services/sessionExportService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+function makeSession() {
+    const question = id();
+    const oldAnswer = id();
+    const answer = id();
+    return {
+        _id: id(),
+        title: 'Q3: launch plan!',
+        model: 'google/gemini-2.5-flash',
+        createdAt: new Date('2026-03-01T14:05:00Z'),
+        updatedAt: new Date('2026-03-01T14:10:00Z'),
+        activeLeafId: answer,
+        messages: [
+            {
+                _id: question,
+                parentId: null,
+                role: 'user',
+                content: 'Summarise the attached brief',
+                createdAt: new Date('2026-03-01T14:05:00Z'),
+                attachments: [{
+                    fileId: 'uploads/u1/brief.pdf',
+                    fileName: 'brief.pdf',
+                    fileType: 'application/pdf',
+                    fileSize: 2048,
+                    gcsUrl: 'gs://bucket/uploads/u1/brief.pdf',
+                    downloadUrl: '/api/upload/uploads%2Fu1%2Fbrief.pdf/download',
+                }],
+            },
+            { _id: oldAnswer, parentId: question, role: 'assistant', content: 'Old answer', createdAt: new Date() },
+            {
+                _id: answer,
+                parentId: question,
+                role: 'assistant',
+                content: '**Launch** in May',
+                model: 'google/gemini-2.5-pro',
+                createdAt: new Date('2026-03-01T14:06:00Z'),
+            },
+        ],
+    };
+}
+
+const documents = [{ _id: id(), title: 'Launch Plan', type: 'project-plan' }];
+
+describe('SessionExportService', () => {
+    describe('buildTranscript', () => {
+        it('should export the active branch with attachment links and documents', () => {
+            const transcript = buildTranscript(makeSession(), documents, { baseUrl: 'https://api.example.com' });
+
+            expect(transcript.messages.map(m => m.content)).toEqual(['Summarise the attached brief', '**Launch** in May']);
+            expect(transcript.messages[0].attachments).toEqual([{
+                fileName: 'brief.pdf',
+                fileType: 'application/pdf',
+                fileSize: 2048,
+                url: 'https://api.example.com/api/upload/uploads%2Fu1%2Fbrief.pdf/download',
+            }]);
+            expect(transcript.documents).toEqual([{ id: documents[0]._id.toString(), title: 'Launch Plan', type: 'project-plan' }]);
+        });
+    });
+
+    describe('transcriptToMarkdown', () => {
+        it('should render roles, timestamps, attachments and linked documents', () => {
+            const markdown = transcriptToMarkdown(buildTranscript(makeSession(), documents));
+
+            expect(markdown).toMatch(/^# Q3: launch plan!\n/);
+            expect(markdown).toContain('### User — 2026-03-01 14:05 UTC\n\nSummarise the attached brief');
+            expect(markdown).toContain('### Assistant (google/gemini-2.5-pro) — 2026-03-01 14:06 UTC\n\n**Launch** in May');
+            expect(markdown).toContain('- [brief.pdf (application/pdf, 2 KB)](/api/upload/uploads%2Fu1%2Fbrief.pdf/download)');
+            expect(markdown).toContain('## Linked documents\n\n- Launch Plan (project-plan)');
+            expect(markdown).not.toContain('Old answer');
+        });
+    });
+
+    describe('exportSession', () => {
+        it('should return JSON with a safe filename', async () => {
+            const result = await exportSession(makeSession(), [], 'json');
+
+            expect(result.contentType).toBe('application/json; charset=utf-8');
+            expect(result.filename).toBe('Q3 launch plan.json');
+            expect(JSON.parse(result.body).messages).toHaveLength(2);
+        });
+
+        it('should render a PDF', async () => {
+            const result = await exportSession(makeSession(), documents, 'pdf');
+
+            expect(result.contentType).toBe('application/pdf');
+            expect(result.filename).toBe('Q3 launch plan.pdf');
+            expect(Buffer.isBuffer(result.body)).toBe(true);
+            expect(result.body.subarray(0, 5).toString()).toBe('%PDF-');
+        });
+
+        it('should fall back to "chat" when the title has no usable characters', async () => {
+            const session = { ...makeSession(), title: '???' };
+            const result = await exportSession(session, [], 'markdown');
+
+            expect(result.filename).toBe('chat.md');
+        });
+    });
+});
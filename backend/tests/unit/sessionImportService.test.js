@@ -0,0 +1,182 @@
+/**
+ * Session Import Service — Unit Tests
+ *
+ * Tests format detection, ChatGPT tree → active branch mapping, Dragon JSON
+ * parsing and saving conversations (Session persistence spied on, no database).
+ */
+const mongoose = require('mongoose');
+const Session = require('../../src/models/Session');
+const { parseImport, importConversation } = require('../../src/services/sessionImportService');
+
+// A ChatGPT conversation with an edited question: the second branch is current
+function chatGptConversation() {
+    const node = (id, parent, children, message) => ({ id, parent, children, message });
+    const msg = (role, text, time, extra = {}) => ({
+        author: { role },
+        content: { content_type: 'text', parts: [text] },
+        create_time: time,
+        recipient: 'all',
+        ...extra,
+    });
+    return {
+        title: 'Trip ideas',
+        conversation_id: 'conv-1',
+        create_time: 1700000000,
+        update_time: 1700000300,
+        current_node: 'a2',
+        mapping: {
+            root: node('root', null, ['sys'], null),
+            sys: node('sys', 'root', ['q1', 'q2'], msg('system', 'You are ChatGPT', null)),
+            q1: node('q1', 'sys', ['a1'], msg('user', 'Where to go?', 1700000010)),
+            a1: node('a1', 'q1', [], msg('assistant', 'Old answer', 1700000020)),
+            q2: node('q2', 'sys', ['t1'], msg('user', 'Where to go in May?', 1700000100)),
+            t1: node('t1', 'q2', ['tool'], msg('assistant', 'search("May")', 1700000110, { recipient: 'browser' })),
+            tool: node('tool', 't1', ['a2a'], msg('tool', 'results...', 1700000120)),
+            a2a: node('a2a', 'tool', ['a2'], msg('assistant', 'Try Lisbon.', 1700000130, { metadata: { model_slug: 'gpt-4o' } })),
+            a2: node('a2', 'a2a', [], msg('assistant', 'Or Porto.', 1700000140)),
+        },
+    };
+}
+
+describe('SessionImportService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('parseImport', () => {
+        it('should import the current ChatGPT branch without system or tool messages', () => {
+            const { source, conversations } = parseImport([chatGptConversation()]);
+
+            expect(source).toBe('chatgpt');
+            const [conversation] = conversations;
+            expect(conversation).toMatchObject({
+                externalId: 'conv-1',
+                title: 'Trip ideas',
+                createdAt: new Date(1700000000 * 1000),
+                updatedAt: new Date(1700000300 * 1000),
+            });
+            expect(conversation.messages).toEqual([
+                { role: 'user', content: 'Where to go in May?', model: undefined, createdAt: new Date(1700000100 * 1000) },
+                { role: 'assistant', content: 'Try Lisbon.\n\nOr Porto.', model: 'openai/gpt-4o', createdAt: new Date(1700000130 * 1000) },
+            ]);
+        });
+
+        it('should replace image parts with a placeholder', () => {
+            const conversation = chatGptConversation();
+            conversation.mapping.q2.message.content = {
+                content_type: 'multimodal_text',
+                parts: [{ content_type: 'image_asset_pointer' }, 'What is this?'],
+            };
+
+            const { conversations } = parseImport([conversation]);
+
+            expect(conversations[0].messages[0].content).toBe('[Image not imported]\nWhat is this?');
+        });
+
+        it('should parse a Dragon JSON export, single or in a list', () => {
+            const exported = {
+                id: 'abc',
+                title: 'Budget',
+                createdAt: '2026-03-01T14:05:00.000Z',
+                messages: [
+                    { role: 'user', content: 'Budget?', createdAt: '2026-03-01T14:05:00.000Z', attachments: [] },
+                    { role: 'assistant', content: '$10k', model: 'google/gemini-2.5-flash', createdAt: '2026-03-01T14:06:00.000Z' },
+                ],
+            };
+
+            const single = parseImport(exported);
+            const list = parseImport({ conversations: [exported, exported] });
+
+            expect(single.source).toBe('dragon');
+            expect(single.conversations[0].messages[1]).toEqual({
+                role: 'assistant',
+                content: '$10k',
+                model: 'google/gemini-2.5-flash',
+                createdAt: new Date('2026-03-01T14:06:00.000Z'),
+            });
+            expect(list.conversations).toHaveLength(2);
+        });
+
+        it('should reject unrecognised files', () => {
+            expect(parseImport({ hello: 'world' }).error).toMatch(/Unrecognised/);
+            expect(parseImport([]).error).toMatch(/Unrecognised/);
+            expect(parseImport(null).error).toMatch(/Unrecognised/);
+        });
+    });
+
+    describe('importConversation', () => {
+        function mockExisting(existing) {
+            jest.spyOn(Session, 'findOne').mockReturnValue({
+                select: () => ({ lean: () => Promise.resolve(existing) }),
+            });
+        }
+
+        it('should save messages as one branch, keeping timestamps', async () => {
+            mockExisting(null);
+            let saved;
+            let saveOptions;
+            jest.spyOn(Session.prototype, 'save').mockImplementation(function (options) {
+                saved = this;
+                saveOptions = options;
+                return Promise.resolve(this);
+            });
+            const { conversations } = parseImport([chatGptConversation()]);
+
+            const result = await importConversation('user1', 'chatgpt', conversations[0]);
+
+            expect(result).toMatchObject({ title: 'Trip ideas', status: 'imported', messages: 2 });
+            expect(saveOptions).toEqual({ timestamps: false });
+            expect(saved.createdAt).toEqual(new Date(1700000000 * 1000));
+            expect(saved.updatedAt).toEqual(new Date(1700000300 * 1000));
+            expect(saved.importedFrom.externalId).toBe('conv-1');
+            const [question, answer] = saved.messages;
+            expect(question.parentId).toBeNull();
+            expect(answer.parentId).toEqual(question._id);
+            expect(saved.activeLeafId).toEqual(answer._id);
+            expect(answer.createdAt).toEqual(new Date(1700000130 * 1000));
+        });
+
+        it('should skip a conversation that was already imported', async () => {
+            mockExisting({ _id: 'existing-id' });
+            const save = jest.spyOn(Session.prototype, 'save');
+            const { conversations } = parseImport([chatGptConversation()]);
+
+            const result = await importConversation('user1', 'chatgpt', conversations[0]);
+
+            expect(result).toMatchObject({ status: 'skipped', sessionId: 'existing-id' });
+            expect(save).not.toHaveBeenCalled();
+        });
+
+        it('should import into a workspace, looking for duplicates there only', async () => {
+            mockExisting(null);
+            let saved;
+            jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+                saved = this;
+                return Promise.resolve(this);
+            });
+            const workspaceId = new mongoose.Types.ObjectId();
+            const { conversations } = parseImport([chatGptConversation()]);
+
+            await importConversation('user1', 'chatgpt', conversations[0], workspaceId);
+
+            expect(Session.findOne).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user1', workspaceId }));
+            expect(saved.workspaceId).toEqual(workspaceId);
+        });
+
+        it('should skip conversations without messages', async () => {
+            const result = await importConversation('user1', 'dragon', { title: 'Empty', messages: [] });
+            expect(result.status).toBe('skipped');
+        });
+
+        it('should report a failed save', async () => {
+            mockExisting(null);
+            jest.spyOn(Session.prototype, 'save').mockRejectedValue(new Error('DB gone'));
+            jest.spyOn(console, 'error').mockImplementation();
+            const { conversations } = parseImport([chatGptConversation()]);
+
+            const result = await importConversation('user1', 'chatgpt', conversations[0]);
+
+            expect(result).toMatchObject({ status: 'failed', error: 'Failed to save conversation' });
+        });
+    });
+});
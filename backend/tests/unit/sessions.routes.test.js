@@ -33,6 +33,10 @@ afterEach(async () => {
 
 const sessionRoutes = require('../../src/routes/sessions');
 const Session = require('../../src/models/Session');
+const Persona = require('../../src/models/Persona');
+const Folder = require('../../src/models/Folder');
+const Document = require('../../src/models/Document');
+const Workspace = require('../../src/models/Workspace');
 
 function createApp() {
     const app = express();
@@ -142,6 +146,190 @@ describe('Sessions Routes', () => {
         });
     });
 
+    // ─── Pins, folders and tags ───
+
+    describe('Organising sessions', () => {
+        it('should list pinned sessions first', async () => {
+            await Session.create({ userId: 'test-user-id', title: 'Pinned', pinned: true });
+            await new Promise(r => setTimeout(r, 10));
+            await Session.create({ userId: 'test-user-id', title: 'Newest' });
+
+            const res = await request(app).get('/api/sessions');
+
+            expect(res.body.sessions.map(s => s.title)).toEqual(['Pinned', 'Newest']);
+            expect(res.body.sessions[0]).toMatchObject({ pinned: true, folderId: null, tags: [] });
+        });
+
+        it('should filter by tags, folder and pinned', async () => {
+            const folder = await Folder.create({ userId: 'test-user-id', name: 'Work' });
+            await Session.create({ userId: 'test-user-id', title: 'A', tags: ['q3', 'budget'], folderId: folder._id });
+            await Session.create({ userId: 'test-user-id', title: 'B', tags: ['q3'], pinned: true });
+            await Session.create({ userId: 'other-user', title: 'C', tags: ['q3'] });
+
+            const titles = async (query) => (await request(app).get(`/api/sessions?${query}`))
+                .body.sessions.map(s => s.title).sort();
+
+            expect(await titles('tag=Q3')).toEqual(['A', 'B']);
+            expect(await titles('tag=q3&tag=budget')).toEqual(['A']);
+            expect(await titles(`folderId=${folder._id}`)).toEqual(['A']);
+            expect(await titles('folderId=none')).toEqual(['B']);
+            expect(await titles('pinned=true')).toEqual(['B']);
+            expect(await titles('pinned=false')).toEqual(['A']);
+        });
+
+        it('should reject an invalid folderId filter', async () => {
+            const res = await request(app).get('/api/sessions?folderId=nope');
+            expect(res.status).toBe(400);
+        });
+
+        it('should list archived sessions only when asked', async () => {
+            await Session.create({ userId: 'test-user-id', title: 'Active' });
+            await Session.create({ userId: 'test-user-id', title: 'Old', archived: true });
+
+            const active = await request(app).get('/api/sessions');
+            expect(active.body.sessions.map(s => s.title)).toEqual(['Active']);
+
+            const archived = await request(app).get('/api/sessions?archived=true');
+            expect(archived.body.sessions.map(s => s.title)).toEqual(['Old']);
+            expect(archived.body.sessions[0].archived).toBe(true);
+        });
+
+        it('should archive a session without bumping updatedAt', async () => {
+            const session = await Session.create({ userId: 'test-user-id' });
+
+            const res = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ archived: true });
+
+            expect(res.status).toBe(200);
+            expect(res.body.archived).toBe(true);
+            const saved = await Session.findById(session._id);
+            expect(saved.updatedAt.getTime()).toBe(session.updatedAt.getTime());
+        });
+
+        it('should not count trashed sessions in tags', async () => {
+            await Session.create({ userId: 'test-user-id', tags: ['q3'] });
+            await Session.create({ userId: 'test-user-id', tags: ['q3', 'old'], deletedAt: new Date() });
+
+            const res = await request(app).get('/api/sessions/tags');
+
+            expect(res.body.tags).toEqual([{ name: 'q3', count: 1 }]);
+        });
+
+        it('should list tags with counts', async () => {
+            await Session.create({ userId: 'test-user-id', tags: ['q3', 'budget'] });
+            await Session.create({ userId: 'test-user-id', tags: ['q3'] });
+            await Session.create({ userId: 'other-user', tags: ['secret'] });
+
+            const res = await request(app).get('/api/sessions/tags');
+
+            expect(res.status).toBe(200);
+            expect(res.body.tags).toEqual([{ name: 'budget', count: 1 }, { name: 'q3', count: 2 }]);
+        });
+
+        it('should pin, file and tag a session without bumping updatedAt', async () => {
+            const folder = await Folder.create({ userId: 'test-user-id', name: 'Work' });
+            const session = await Session.create({ userId: 'test-user-id', title: 'Plan' });
+
+            const res = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ pinned: true, folderId: folder._id.toString(), tags: [' Q3 ', 'q3', 'Launch   plan'] });
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({
+                title: 'Plan',
+                pinned: true,
+                folderId: folder._id.toString(),
+                tags: ['q3', 'launch plan'],
+            });
+            const saved = await Session.findById(session._id);
+            expect(saved.updatedAt.getTime()).toBe(session.updatedAt.getTime());
+        });
+
+        it('should move a session out of its folder with folderId null', async () => {
+            const folder = await Folder.create({ userId: 'test-user-id', name: 'Work' });
+            const session = await Session.create({ userId: 'test-user-id', folderId: folder._id });
+
+            const res = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ folderId: null });
+
+            expect(res.status).toBe(200);
+            expect(res.body.folderId).toBeNull();
+        });
+
+        it('should not file a session into another user\'s folder', async () => {
+            const folder = await Folder.create({ userId: 'other-user', name: 'Theirs' });
+            const session = await Session.create({ userId: 'test-user-id' });
+
+            const res = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ folderId: folder._id.toString() });
+
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Folder not found');
+        });
+
+        it('should let only the creator of a workspace chat change its persona or folder', async () => {
+            const workspace = await Workspace.create({
+                name: 'Team',
+                members: [{ userId: 'owner-id', role: 'owner' }, { userId: 'test-user-id', role: 'editor' }],
+            });
+            const session = await Session.create({ userId: 'owner-id', workspaceId: workspace._id });
+            const persona = await Persona.create({ userId: 'test-user-id', name: 'Mine', systemPrompt: 'Be brief.' });
+            const folder = await Folder.create({ userId: 'test-user-id', name: 'Mine' });
+
+            const personaRes = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ personaId: persona._id.toString() });
+            const folderRes = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ folderId: folder._id.toString() });
+
+            expect(personaRes.status).toBe(403);
+            expect(folderRes.status).toBe(403);
+            const saved = await Session.findById(session._id).lean();
+            expect(saved.personaId).toBeNull();
+            expect(saved.folderId).toBeNull();
+
+            // Shared organisation still works
+            const pinRes = await request(app).patch(`/api/sessions/${session._id}`).send({ pinned: true });
+            expect(pinRes.status).toBe(200);
+        });
+
+        it('should show a workspace chat unfiled to members other than its creator', async () => {
+            const workspace = await Workspace.create({
+                name: 'Team',
+                members: [{ userId: 'owner-id', role: 'owner' }, { userId: 'test-user-id', role: 'editor' }],
+            });
+            const folder = await Folder.create({ userId: 'owner-id', name: 'Theirs' });
+            const session = await Session.create({ userId: 'owner-id', workspaceId: workspace._id, folderId: folder._id });
+
+            const res = await request(app).get(`/api/sessions/${session._id}`);
+
+            expect(res.body).toMatchObject({ folderId: null, isCreator: false });
+        });
+
+        it('should validate pinned, archived and tags', async () => {
+            const session = await Session.create({ userId: 'test-user-id' });
+            const patch = (body) => request(app).patch(`/api/sessions/${session._id}`).send(body);
+
+            expect((await patch({ pinned: 'yes' })).status).toBe(400);
+            expect((await patch({ archived: 1 })).status).toBe(400);
+            expect((await patch({ tags: 'q3' })).status).toBe(400);
+            expect((await patch({ tags: ['x'.repeat(31)] })).status).toBe(400);
+            expect((await patch({ tags: Array.from({ length: 11 }, (_, i) => `t${i}`) })).status).toBe(400);
+        });
+
+        it('should return organisation fields with the session', async () => {
+            const session = await Session.create({ userId: 'test-user-id', pinned: true, tags: ['q3'] });
+
+            const res = await request(app).get(`/api/sessions/${session._id}`);
+
+            expect(res.body).toMatchObject({ pinned: true, folderId: null, tags: ['q3'] });
+        });
+    });
+
     // ─── GET /api/sessions/:id ───
 
     describe('GET /api/sessions/:id', () => {
@@ -193,6 +381,144 @@ describe('Sessions Routes', () => {
         });
     });
 
+    // ─── POST /api/sessions/import ───
+
+    describe('POST /api/sessions/import', () => {
+        const events = (res) => res.text.split('\n\n').filter(Boolean).map(e => JSON.parse(e.replace(/^data: /, '')));
+
+        const dragonExport = {
+            id: 'exported-1',
+            title: 'Imported budget',
+            createdAt: '2025-01-01T10:00:00.000Z',
+            updatedAt: '2025-01-01T10:05:00.000Z',
+            messages: [
+                { role: 'user', content: 'Budget?', createdAt: '2025-01-01T10:00:00.000Z' },
+                { role: 'assistant', content: '$10k', createdAt: '2025-01-01T10:01:00.000Z' },
+            ],
+        };
+
+        it('should import conversations and stream per-conversation results', async () => {
+            const file = Buffer.from(JSON.stringify({ conversations: [dragonExport, { title: 'Empty', messages: [] }] }));
+
+            const res = await request(app)
+                .post('/api/sessions/import')
+                .attach('file', file, 'export.json');
+
+            expect(res.status).toBe(200);
+            const [start, first, second, done] = events(res);
+            expect(start).toEqual({ total: 2, source: 'dragon' });
+            expect(first.result).toMatchObject({ index: 0, title: 'Imported budget', status: 'imported', messages: 2 });
+            expect(second.result).toMatchObject({ index: 1, status: 'skipped' });
+            expect(done).toEqual({ done: true, imported: 1, skipped: 1, failed: 0 });
+
+            const session = await Session.findById(first.result.sessionId);
+            expect(session.userId).toBe('test-user-id');
+            expect(session.updatedAt.toISOString()).toBe('2025-01-01T10:05:00.000Z');
+
+            const get = await request(app).get(`/api/sessions/${session._id}`);
+            expect(get.body.messages.map(m => m.content)).toEqual(['Budget?', '$10k']);
+        });
+
+        it('should skip conversations imported before', async () => {
+            const file = Buffer.from(JSON.stringify(dragonExport));
+            await request(app).post('/api/sessions/import').attach('file', file, 'export.json');
+
+            const res = await request(app).post('/api/sessions/import').attach('file', file, 'export.json');
+
+            expect(events(res)[1].result).toMatchObject({ status: 'skipped', error: 'Already imported' });
+            expect(await Session.countDocuments({ userId: 'test-user-id' })).toBe(1);
+        });
+
+        it('should reject a missing file, invalid JSON and unknown formats', async () => {
+            const upload = (content) => request(app)
+                .post('/api/sessions/import')
+                .attach('file', Buffer.from(content), 'export.json');
+
+            expect((await request(app).post('/api/sessions/import')).status).toBe(400);
+            expect((await upload('{not json')).status).toBe(400);
+            expect((await upload('{"hello":"world"}')).status).toBe(400);
+        });
+    });
+
+    // ─── GET /api/sessions/:id/export ───
+
+    describe('GET /api/sessions/:id/export', () => {
+        async function createChat() {
+            const session = await Session.create({
+                userId: 'test-user-id',
+                title: 'Budget review',
+                messages: [
+                    { role: 'user', content: 'What is the budget?' },
+                    { role: 'assistant', content: 'About $10k', model: 'google/gemini-2.5-flash' },
+                ],
+            });
+            await Document.create({
+                userId: 'test-user-id',
+                sessionId: session._id,
+                title: 'Budget Plan',
+                type: 'project-plan',
+                content: [],
+            });
+            return session;
+        }
+
+        it('should export Markdown by default', async () => {
+            const session = await createChat();
+
+            const res = await request(app).get(`/api/sessions/${session._id}/export`);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/text\/markdown/);
+            expect(res.headers['content-disposition']).toBe('attachment; filename="Budget review.md"');
+            expect(res.text).toContain('### User');
+            expect(res.text).toContain('About $10k');
+            expect(res.text).toContain('- Budget Plan (project-plan)');
+        });
+
+        it('should export JSON', async () => {
+            const session = await createChat();
+
+            const res = await request(app).get(`/api/sessions/${session._id}/export?format=json`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.messages.map(m => m.role)).toEqual(['user', 'assistant']);
+            expect(res.body.documents[0].title).toBe('Budget Plan');
+        });
+
+        it('should export PDF', async () => {
+            const session = await createChat();
+
+            const res = await request(app)
+                .get(`/api/sessions/${session._id}/export?format=pdf`)
+                .buffer(true)
+                .parse((response, callback) => {
+                    const chunks = [];
+                    response.on('data', chunk => chunks.push(chunk));
+                    response.on('end', () => callback(null, Buffer.concat(chunks)));
+                });
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toBe('application/pdf');
+            expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+        });
+
+        it('should reject an unknown format', async () => {
+            const session = await createChat();
+
+            const res = await request(app).get(`/api/sessions/${session._id}/export?format=docx`);
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should not export another user\'s session', async () => {
+            const session = await Session.create({ userId: 'other-user' });
+
+            const res = await request(app).get(`/api/sessions/${session._id}/export`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
     // ─── PATCH /api/sessions/:id ───
 
     describe('PATCH /api/sessions/:id', () => {
@@ -210,6 +536,63 @@ describe('Sessions Routes', () => {
             expect(res.body.title).toBe('New Title');
         });
 
+        it('should change the persona without renaming', async () => {
+            const persona = await Persona.create({ userId: 'test-user-id', name: 'Reviewer', systemPrompt: 'Review code.' });
+            const session = await Session.create({ userId: 'test-user-id', title: 'Keep me' });
+
+            const res = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ personaId: persona._id.toString() });
+
+            expect(res.status).toBe(200);
+            expect(res.body.title).toBe('Keep me');
+            expect(res.body.personaId).toBe(persona._id.toString());
+
+            const cleared = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ personaId: null });
+            expect(cleared.body.personaId).toBeNull();
+        });
+
+        it('should return 404 for another user\'s persona', async () => {
+            const persona = await Persona.create({ userId: 'other-user', name: 'Theirs', systemPrompt: 'x' });
+            const session = await Session.create({ userId: 'test-user-id' });
+
+            const res = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ personaId: persona._id.toString() });
+
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Persona not found');
+        });
+
+        it('should replace and clear the generation settings', async () => {
+            const session = await Session.create({ userId: 'test-user-id', generation: { temperature: 1 } });
+
+            const res = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ generation: { topP: 0.8, maxOutputTokens: 300, temperature: null } });
+
+            expect(res.status).toBe(200);
+            expect(res.body.generation).toEqual({ topP: 0.8, maxOutputTokens: 300 });
+
+            const cleared = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ generation: null });
+            expect(cleared.body.generation).toBeNull();
+        });
+
+        it('should return 400 for invalid generation settings', async () => {
+            const session = await Session.create({ userId: 'test-user-id' });
+
+            const res = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .send({ generation: { stopSequences: ['a', 'b', 'c', 'd', 'e'] } });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(/stopSequences/);
+        });
+
         it('should return 400 for empty title', async () => {
             const session = await Session.create({
                 userId: 'test-user-id',
@@ -270,7 +653,7 @@ describe('Sessions Routes', () => {
     // ─── DELETE /api/sessions/:id ───
 
     describe('DELETE /api/sessions/:id', () => {
-        it('should delete a session', async () => {
+        it('should move a session to the trash', async () => {
             const session = await Session.create({
                 userId: 'test-user-id',
             });
@@ -280,9 +663,32 @@ describe('Sessions Routes', () => {
 
             expect(res.status).toBe(200);
             expect(res.body.success).toBe(true);
+            expect(new Date(res.body.purgeAt) > new Date(res.body.deletedAt)).toBe(true);
 
-            const check = await Session.findById(session._id);
-            expect(check).toBeNull();
+            // Hidden from normal queries, kept until purged
+            expect(await Session.findById(session._id)).toBeNull();
+            const trashed = await Session.findOne({ _id: session._id, deletedAt: { $ne: null } });
+            expect(trashed).not.toBeNull();
+        });
+
+        it('should hide trashed sessions from the list and GET', async () => {
+            const session = await Session.create({ userId: 'test-user-id', title: 'Gone' });
+            await request(app).delete(`/api/sessions/${session._id}`);
+
+            const list = await request(app).get('/api/sessions');
+            expect(list.body.sessions).toHaveLength(0);
+
+            const get = await request(app).get(`/api/sessions/${session._id}`);
+            expect(get.status).toBe(404);
+        });
+
+        it('should return 404 when deleting a session already in the trash', async () => {
+            const session = await Session.create({ userId: 'test-user-id', deletedAt: new Date() });
+
+            const res = await request(app)
+                .delete(`/api/sessions/${session._id}`);
+
+            expect(res.status).toBe(404);
         });
 
         it('should return 404 for non-existent session', async () => {
@@ -316,6 +722,50 @@ describe('Sessions Routes', () => {
         });
     });
 
+    // ─── POST /api/sessions/:id/restore ───
+
+    describe('POST /api/sessions/:id/restore', () => {
+        it('should restore a trashed session without bumping updatedAt', async () => {
+            const session = await Session.create({ userId: 'test-user-id', title: 'Back' });
+            await request(app).delete(`/api/sessions/${session._id}`);
+
+            const res = await request(app)
+                .post(`/api/sessions/${session._id}/restore`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.title).toBe('Back');
+            expect(new Date(res.body.updatedAt).getTime()).toBe(session.updatedAt.getTime());
+
+            const get = await request(app).get(`/api/sessions/${session._id}`);
+            expect(get.status).toBe(200);
+        });
+
+        it('should return 404 for a session that is not in the trash', async () => {
+            const session = await Session.create({ userId: 'test-user-id' });
+
+            const res = await request(app)
+                .post(`/api/sessions/${session._id}/restore`);
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should not restore another user\'s session', async () => {
+            const session = await Session.create({ userId: 'other-user', deletedAt: new Date() });
+
+            const res = await request(app)
+                .post(`/api/sessions/${session._id}/restore`);
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should return 404 for invalid ObjectId', async () => {
+            const res = await request(app)
+                .post('/api/sessions/invalid-id/restore');
+
+            expect(res.status).toBe(404);
+        });
+    });
+
     // ─── Internal Server Error Coverage ───
 
     describe('Internal server errors (500)', () => {
@@ -385,8 +835,8 @@ describe('Sessions Routes', () => {
             consoleSpy.mockRestore();
         });
 
-        it('DELETE should return 500 when findOneAndDelete throws non-CastError', async () => {
-            const spy = jest.spyOn(Session, 'findOneAndDelete').mockRejectedValueOnce(new Error('DB delete error'));
+        it('DELETE should return 500 when findOneAndUpdate throws non-CastError', async () => {
+            const spy = jest.spyOn(Session, 'findOneAndUpdate').mockRejectedValueOnce(new Error('DB delete error'));
             const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
 
             const validId = new mongoose.Types.ObjectId();
@@ -471,5 +921,128 @@ describe('Sessions Routes', () => {
             expect(res.body.messages[0].id).toBeDefined();
             expect(res.body.messages[0].createdAt).toBeDefined();
         });
+
+        it('GET session should include per-message usage and the session total', async () => {
+            const session = await Session.create({
+                userId: 'test-user-id',
+                messages: [
+                    { role: 'user', content: 'Hello' },
+                    {
+                        role: 'assistant',
+                        content: 'Hi',
+                        usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15, costUsd: 0.001 },
+                    },
+                    {
+                        role: 'assistant',
+                        content: 'Hi again',
+                        usage: { promptTokens: 12, completionTokens: 3, totalTokens: 15, costUsd: 0.001 },
+                    },
+                ],
+            });
+
+            const res = await request(app)
+                .get(`/api/sessions/${session._id}`);
+
+            expect(res.body.messages[0].usage).toBeNull();
+            expect(res.body.messages[2].usage).toMatchObject({ totalTokens: 15 });
+            expect(res.body.usage).toEqual({ promptTokens: 22, completionTokens: 8, totalTokens: 30, costUsd: 0.002 });
+        });
+    });
+
+    // ─── Branching ───
+
+    describe('Branching', () => {
+        async function createBranchedSession() {
+            const rootId = new mongoose.Types.ObjectId();
+            const firstAnswerId = new mongoose.Types.ObjectId();
+            const secondAnswerId = new mongoose.Types.ObjectId();
+            const session = await Session.create({
+                userId: 'test-user-id',
+                messages: [
+                    { _id: rootId, parentId: null, role: 'user', content: 'Hello' },
+                    { _id: firstAnswerId, parentId: rootId, role: 'assistant', content: 'First answer' },
+                    { _id: secondAnswerId, parentId: rootId, role: 'assistant', content: 'Second answer' },
+                ],
+                activeLeafId: secondAnswerId,
+            });
+            return { session, rootId, firstAnswerId, secondAnswerId };
+        }
+
+        it('GET should return only the active branch with branch positions', async () => {
+            const { session, rootId } = await createBranchedSession();
+
+            const res = await request(app).get(`/api/sessions/${session._id}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.messages).toHaveLength(2);
+            expect(res.body.messages[1].content).toBe('Second answer');
+            expect(res.body.messages[1].parentId).toBe(rootId.toString());
+            expect(res.body.messages[1].branchIndex).toBe(1);
+            expect(res.body.messages[1].branchCount).toBe(2);
+            expect(res.body.messages[0].branchCount).toBe(1);
+        });
+
+        it('GET should treat legacy messages without parentId as a linear chain', async () => {
+            const session = await Session.create({
+                userId: 'test-user-id',
+                messages: [
+                    { role: 'user', content: 'One' },
+                    { role: 'assistant', content: 'Two' },
+                    { role: 'user', content: 'Three' },
+                ],
+            });
+
+            const res = await request(app).get(`/api/sessions/${session._id}`);
+
+            expect(res.body.messages.map(m => m.content)).toEqual(['One', 'Two', 'Three']);
+            expect(res.body.messages.every(m => m.branchCount === 1)).toBe(true);
+        });
+
+        it('POST switch-branch should activate the chosen sibling', async () => {
+            const { session, firstAnswerId } = await createBranchedSession();
+
+            const res = await request(app)
+                .post(`/api/sessions/${session._id}/switch-branch`)
+                .send({ messageId: firstAnswerId.toString() });
+
+            expect(res.status).toBe(200);
+            expect(res.body.messages[1].content).toBe('First answer');
+            expect(res.body.messages[1].branchIndex).toBe(0);
+
+            const updated = await Session.findById(session._id);
+            expect(updated.activeLeafId.toString()).toBe(firstAnswerId.toString());
+        });
+
+        it('POST switch-branch should return 400 without messageId', async () => {
+            const { session } = await createBranchedSession();
+
+            const res = await request(app)
+                .post(`/api/sessions/${session._id}/switch-branch`)
+                .send({});
+
+            expect(res.status).toBe(400);
+        });
+
+        it('POST switch-branch should return 404 for an unknown message', async () => {
+            const { session } = await createBranchedSession();
+
+            const res = await request(app)
+                .post(`/api/sessions/${session._id}/switch-branch`)
+                .send({ messageId: new mongoose.Types.ObjectId().toString() });
+
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Message not found');
+        });
+
+        it('POST switch-branch should return 404 for other user\'s session', async () => {
+            const { session, firstAnswerId } = await createBranchedSession();
+
+            const res = await request(app)
+                .post(`/api/sessions/${session._id}/switch-branch`)
+                .set('x-test-user', 'other-user')
+                .send({ messageId: firstAnswerId.toString() });
+
+            expect(res.status).toBe(404);
+        });
     });
 });
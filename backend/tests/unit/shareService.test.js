@@ -0,0 +1,96 @@
+/**
+ * Share Service — Unit Tests
+ *
+ * Tests link validity, the sanitised snapshot (branch frozen at share time,
+ * attachments only when included) and attachment access checks.
+ */
+const mongoose = require('mongoose');
+const {
+    generateToken,
+    isShareActive,
+    buildSharedSnapshot,
+    isSharedAttachment,
+} = require('../../src/services/shareService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+function makeSession() {
+    const question = id();
+    const answer = id();
+    const followUp = id();
+    return {
+        ids: { question, answer, followUp },
+        session: {
+            _id: id(),
+            userId: 'owner',
+            title: 'Roadmap',
+            activeLeafId: followUp,
+            messages: [
+                {
+                    _id: question,
+                    parentId: null,
+                    role: 'user',
+                    content: 'See attached',
+                    attachments: [{ fileId: 'uploads/owner/1_spec.pdf', fileName: 'spec.pdf', fileType: 'application/pdf', fileSize: 10 }],
+                },
+                {
+                    _id: answer,
+                    parentId: question,
+                    role: 'assistant',
+                    content: 'Done',
+                    model: 'google/gemini-2.5-flash',
+                    usage: { totalTokens: 100, costUsd: 0.01 },
+                    metadata: { toolCalls: [{ name: 'web_search' }] },
+                },
+                { _id: followUp, parentId: answer, role: 'user', content: 'Private follow-up' },
+            ],
+        },
+    };
+}
+
+describe('ShareService', () => {
+    it('should generate URL-safe random tokens', () => {
+        const token = generateToken();
+        expect(token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+        expect(generateToken()).not.toBe(token);
+    });
+
+    it('should treat revoked and expired links as inactive', () => {
+        const now = new Date('2026-05-01');
+        expect(isShareActive({ revokedAt: null, expiresAt: null }, now)).toBe(true);
+        expect(isShareActive({ revokedAt: null, expiresAt: new Date('2026-06-01') }, now)).toBe(true);
+        expect(isShareActive({ revokedAt: null, expiresAt: new Date('2026-04-01') }, now)).toBe(false);
+        expect(isShareActive({ revokedAt: new Date('2026-04-01'), expiresAt: null }, now)).toBe(false);
+    });
+
+    it('should snapshot the branch shared, without usage, metadata or attachments', () => {
+        const { session, ids } = makeSession();
+        const share = { token: 'tok', leafMessageId: ids.answer, includeAttachments: false, createdAt: new Date(), expiresAt: null };
+
+        const snapshot = buildSharedSnapshot(share, session);
+
+        expect(snapshot.title).toBe('Roadmap');
+        expect(snapshot.messages.map(m => m.content)).toEqual(['See attached', 'Done']);
+        expect(snapshot.messages[0].attachments).toEqual([]);
+        expect(snapshot.messages[1]).not.toHaveProperty('usage');
+        expect(snapshot.messages[1]).not.toHaveProperty('metadata');
+        expect(snapshot).not.toHaveProperty('userId');
+    });
+
+    it('should link attachments through the share token when included', () => {
+        const { session, ids } = makeSession();
+        const share = { token: 'tok', leafMessageId: ids.answer, includeAttachments: true };
+
+        const snapshot = buildSharedSnapshot(share, session);
+
+        expect(snapshot.messages[0].attachments).toEqual([{
+            fileName: 'spec.pdf',
+            fileType: 'application/pdf',
+            fileSize: 10,
+            downloadUrl: '/api/shared/tok/attachments/uploads%2Fowner%2F1_spec.pdf',
+        }]);
+        expect(isSharedAttachment(share, session, 'uploads/owner/1_spec.pdf')).toBe(true);
+        expect(isSharedAttachment(share, session, 'uploads/owner/other.pdf')).toBe(false);
+        expect(isSharedAttachment({ ...share, includeAttachments: false }, session, 'uploads/owner/1_spec.pdf')).toBe(false);
+    });
+});
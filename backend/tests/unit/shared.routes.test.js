@@ -0,0 +1,200 @@
+/**
+ * Share Links — Route Tests
+ *
+ * Tests creating, listing and revoking share links (sessions routes) and the
+ * public snapshot and attachment routes. Uses in-memory MongoDB; GCS mocked.
+ */
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Mock auth middleware (the public routes must not use it)
+jest.mock('../../src/middleware/auth', () => (req, res, next) => {
+    req.user = { sub: req.headers['x-test-user'] || 'test-user-id' };
+    next();
+});
+
+const mockGetSignedDownloadUrl = jest.fn();
+jest.mock('../../src/services/storageService', () => ({
+    ...jest.requireActual('../../src/services/storageService'),
+    getSignedDownloadUrl: (...args) => mockGetSignedDownloadUrl(...args),
+}));
+
+let mongoServer;
+
+beforeAll(async () => {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+afterEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+});
+
+const sessionRoutes = require('../../src/routes/sessions');
+const sharedRoutes = require('../../src/routes/shared');
+const Session = require('../../src/models/Session');
+const ShareLink = require('../../src/models/ShareLink');
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/sessions', sessionRoutes);
+    app.use('/api/shared', sharedRoutes);
+    return app;
+}
+
+const attachment = {
+    fileId: 'uploads/test-user-id/1_spec.pdf',
+    fileName: 'spec.pdf',
+    fileType: 'application/pdf',
+    fileSize: 10,
+    gcsUrl: 'gs://bucket/uploads/test-user-id/1_spec.pdf',
+    downloadUrl: '/api/upload/uploads%2Ftest-user-id%2F1_spec.pdf/download',
+};
+
+async function createChat(userId = 'test-user-id') {
+    return Session.create({
+        userId,
+        title: 'Roadmap',
+        messages: [
+            { role: 'user', content: 'See the spec', attachments: [attachment] },
+            { role: 'assistant', content: 'Looks good' },
+        ],
+    });
+}
+
+describe('Share links', () => {
+    let app;
+
+    beforeEach(() => {
+        app = createApp();
+        mockGetSignedDownloadUrl.mockResolvedValue('https://storage.googleapis.com/signed');
+    });
+
+    describe('POST /api/sessions/:id/share', () => {
+        it('should create a link that opens a read-only snapshot', async () => {
+            const session = await createChat();
+
+            const res = await request(app).post(`/api/sessions/${session._id}/share`).send({});
+
+            expect(res.status).toBe(201);
+            expect(res.body.path).toBe(`/shared/${res.body.token}`);
+            expect(res.body.expiresAt).toBeNull();
+
+            const shared = await request(app).get(`/api/shared/${res.body.token}`);
+            expect(shared.status).toBe(200);
+            expect(shared.body.title).toBe('Roadmap');
+            expect(shared.body.messages.map(m => m.content)).toEqual(['See the spec', 'Looks good']);
+            expect(shared.body.messages[0].attachments).toEqual([]);
+        });
+
+        it('should not show messages sent after the link was created', async () => {
+            const session = await createChat();
+            const { body } = await request(app).post(`/api/sessions/${session._id}/share`).send({});
+
+            session.messages.push({ role: 'user', content: 'Later', parentId: session.messages[1]._id });
+            session.activeLeafId = session.messages[2]._id;
+            await session.save();
+
+            const shared = await request(app).get(`/api/shared/${body.token}`);
+            expect(shared.body.messages).toHaveLength(2);
+        });
+
+        it('should set an expiry and validate options', async () => {
+            const session = await createChat();
+            const share = (body) => request(app).post(`/api/sessions/${session._id}/share`).send(body);
+
+            const res = await share({ expiresInDays: 7, includeAttachments: true });
+            expect(res.status).toBe(201);
+            expect(new Date(res.body.expiresAt) > new Date()).toBe(true);
+            expect(res.body.includeAttachments).toBe(true);
+
+            expect((await share({ expiresInDays: 0 })).status).toBe(400);
+            expect((await share({ expiresInDays: 1.5 })).status).toBe(400);
+            expect((await share({ includeAttachments: 'yes' })).status).toBe(400);
+        });
+
+        it('should not share another user\'s or an empty session', async () => {
+            const theirs = await createChat('other-user');
+            const empty = await Session.create({ userId: 'test-user-id' });
+
+            expect((await request(app).post(`/api/sessions/${theirs._id}/share`).send({})).status).toBe(404);
+            expect((await request(app).post(`/api/sessions/${empty._id}/share`).send({})).status).toBe(400);
+        });
+    });
+
+    describe('GET /api/sessions/:id/share and revoking', () => {
+        it('should list active links and stop serving revoked ones', async () => {
+            const session = await createChat();
+            const { body: share } = await request(app).post(`/api/sessions/${session._id}/share`).send({});
+
+            const list = await request(app).get(`/api/sessions/${session._id}/share`);
+            expect(list.body.shares.map(s => s.token)).toEqual([share.token]);
+
+            const revoke = await request(app).delete(`/api/sessions/${session._id}/share/${share.id}`);
+            expect(revoke.status).toBe(200);
+
+            expect((await request(app).get(`/api/shared/${share.token}`)).status).toBe(404);
+            expect((await request(app).get(`/api/sessions/${session._id}/share`)).body.shares).toEqual([]);
+        });
+
+        it('should not revoke another user\'s link', async () => {
+            const session = await createChat('other-user');
+            const share = await ShareLink.create({ userId: 'other-user', sessionId: session._id, token: 'theirs' });
+
+            const res = await request(app).delete(`/api/sessions/${session._id}/share/${share._id}`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/shared/:token', () => {
+        it('should return 404 for unknown and expired links', async () => {
+            const session = await createChat();
+            await ShareLink.create({
+                userId: 'test-user-id',
+                sessionId: session._id,
+                token: 'expired',
+                expiresAt: new Date(Date.now() - 1000),
+            });
+
+            expect((await request(app).get('/api/shared/nope')).status).toBe(404);
+            expect((await request(app).get('/api/shared/expired')).status).toBe(404);
+        });
+
+        it('should stop serving a session moved to the trash', async () => {
+            const session = await createChat();
+            const { body } = await request(app).post(`/api/sessions/${session._id}/share`).send({});
+
+            await request(app).delete(`/api/sessions/${session._id}`);
+
+            expect((await request(app).get(`/api/shared/${body.token}`)).status).toBe(404);
+        });
+    });
+
+    describe('GET /api/shared/:token/attachments/:fileId', () => {
+        it('should return a download URL only for links that include attachments', async () => {
+            const session = await createChat();
+            const { body: withFiles } = await request(app).post(`/api/sessions/${session._id}/share`).send({ includeAttachments: true });
+            const { body: withoutFiles } = await request(app).post(`/api/sessions/${session._id}/share`).send({});
+            const fileId = encodeURIComponent(attachment.fileId);
+
+            const snapshot = await request(app).get(`/api/shared/${withFiles.token}`);
+            const { downloadUrl } = snapshot.body.messages[0].attachments[0];
+            const res = await request(app).get(downloadUrl);
+            expect(res.status).toBe(200);
+            expect(res.body.url).toBe('https://storage.googleapis.com/signed');
+
+            expect((await request(app).get(`/api/shared/${withoutFiles.token}/attachments/${fileId}`)).status).toBe(404);
+            const other = encodeURIComponent('uploads/test-user-id/other.pdf');
+            expect((await request(app).get(`/api/shared/${withFiles.token}/attachments/${other}`)).status).toBe(404);
+        });
+    });
+});
@@ -30,17 +30,22 @@
  *
  *  downloadFileToBuffer:
  *  17. should return file contents as Buffer
+ *
+ *  deleteFile:
+ *  18. should delete the object, ignoring files that are already gone
  */
 
 // Mock @google-cloud/storage
 const mockSave = jest.fn().mockResolvedValue();
 const mockGetSignedUrl = jest.fn().mockResolvedValue(['https://storage.googleapis.com/signed-url']);
 const mockDownload = jest.fn().mockResolvedValue([Buffer.from('file-data')]);
+const mockDelete = jest.fn().mockResolvedValue([{}]);
 
 const mockFile = jest.fn().mockReturnValue({
     save: mockSave,
     getSignedUrl: mockGetSignedUrl,
     download: mockDownload,
+    delete: mockDelete,
 });
 
 const mockBucket = { file: mockFile, name: 'test-bucket' };
@@ -66,6 +71,7 @@ const {
     uploadFile,
     getSignedDownloadUrl,
     downloadFileToBuffer,
+    deleteFile,
 } = require('../../src/services/storageService');
 
 describe('StorageService', () => {
@@ -206,4 +212,14 @@ describe('StorageService', () => {
             expect(buffer.toString()).toBe('file-data');
         });
     });
+
+    // ─── deleteFile ───
+
+    describe('deleteFile', () => {
+        it('should delete the object, ignoring files that are already gone', async () => {
+            await deleteFile('uploads/user1/file.jpg');
+            expect(mockFile).toHaveBeenCalledWith('uploads/user1/file.jpg');
+            expect(mockDelete).toHaveBeenCalledWith({ ignoreNotFound: true });
+        });
+    });
 });
@@ -0,0 +1,112 @@
+/**
+ * Stream Buffer — Unit Tests
+ *
+ * Tests event buffering, Last-Event-ID replay, live delivery to attached
+ * listeners and lookup of in-flight answers by session.
+ */
+const {
+    createStream,
+    pushEvent,
+    finishStream,
+    cancelStream,
+    subscribe,
+    getStream,
+    findActiveStream,
+} = require('../../src/services/streamBuffer');
+
+let counter = 0;
+function newStream(sessionId = 'session-1') {
+    const messageId = `message-${++counter}`;
+    createStream(messageId, { userId: 'user-1', sessionId });
+    return messageId;
+}
+
+describe('streamBuffer', () => {
+    it('should assign increasing event IDs', () => {
+        const id = newStream();
+        expect(pushEvent(id, 'a')).toBe(1);
+        expect(pushEvent(id, 'b')).toBe(2);
+    });
+
+    it('should ignore events for unknown or finished streams', () => {
+        const id = newStream();
+        finishStream(id);
+        expect(pushEvent(id, 'late')).toBeNull();
+        expect(pushEvent('missing', 'x')).toBeNull();
+    });
+
+    it('should replay only events after lastEventId, then deliver live events', () => {
+        const id = newStream();
+        pushEvent(id, 'a');
+        pushEvent(id, 'b');
+
+        const received = [];
+        const onEnd = jest.fn();
+        subscribe(id, 1, e => received.push(e), onEnd);
+        pushEvent(id, 'c');
+
+        expect(received).toEqual([{ id: 2, data: 'b' }, { id: 3, data: 'c' }]);
+        expect(onEnd).not.toHaveBeenCalled();
+
+        finishStream(id);
+        expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('should replay and end immediately for a finished stream', () => {
+        const id = newStream();
+        pushEvent(id, 'a');
+        finishStream(id);
+
+        const received = [];
+        const onEnd = jest.fn();
+        subscribe(id, 0, e => received.push(e), onEnd);
+
+        expect(received).toEqual([{ id: 1, data: 'a' }]);
+        expect(onEnd).toHaveBeenCalled();
+    });
+
+    it('should stop delivering events after detaching', () => {
+        const id = newStream();
+        const onEvent = jest.fn();
+        const onEnd = jest.fn();
+        const detach = subscribe(id, 0, onEvent, onEnd);
+
+        detach();
+        pushEvent(id, 'a');
+        finishStream(id);
+
+        expect(onEvent).not.toHaveBeenCalled();
+        expect(onEnd).not.toHaveBeenCalled();
+    });
+
+    it('should end immediately when subscribing to an unknown stream', () => {
+        const onEnd = jest.fn();
+        subscribe('missing', 0, jest.fn(), onEnd);
+        expect(onEnd).toHaveBeenCalled();
+    });
+
+    it('should abort the signal of a cancelled stream', () => {
+        const id = `message-${++counter}`;
+        const signal = createStream(id, { userId: 'user-1', sessionId: 'session-1' });
+
+        expect(cancelStream(id)).toBe(true);
+        expect(signal.aborted).toBe(true);
+    });
+
+    it('should not cancel finished or unknown streams', () => {
+        const id = newStream();
+        finishStream(id);
+        expect(cancelStream(id)).toBe(false);
+        expect(cancelStream('missing')).toBe(false);
+    });
+
+    it('should expose owner metadata and find the in-flight answer of a session', () => {
+        const id = newStream('session-active');
+        expect(getStream(id)).toEqual({ userId: 'user-1', sessionId: 'session-active', done: false });
+        expect(findActiveStream('session-active')).toBe(id);
+
+        finishStream(id);
+        expect(getStream(id).done).toBe(true);
+        expect(findActiveStream('session-active')).toBeNull();
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Summary Generator Service — Unit Tests
+ *
+ * Tests rolling summary generation with mocked Gemini and failure behavior.
+ */
+
+// Mock @google/genai
+jest.mock('@google/genai', () => ({
+    GoogleGenAI: jest.fn(),
+}));
+
+// Mock the key pool
+jest.mock('../../src/services/keyPool', () => ({
+    acquireKey: jest.fn(() => 'test-api-key'),
+    reportSuccess: jest.fn(),
+    reportFailure: jest.fn(),
+}));
+
+// Mock usage accounting
+jest.mock('../../src/services/usageService', () => ({
+    priceUsage: jest.fn((providerId, modelId, usage) => ({ ...usage, costUsd: 0.0001 })),
+    recordUsage: jest.fn(),
+}));
+
+const { GoogleGenAI } = require('@google/genai');
+const { recordUsage } = require('../../src/services/usageService');
+const keyPool = require('../../src/services/keyPool');
+const { generateSummary } = require('../../src/services/summaryGenerator');
+
+describe('generateSummary', () => {
+    let mockGenerateContent;
+
+    beforeEach(() => {
+        mockGenerateContent = jest.fn().mockResolvedValue({ text: '  The user is planning a launch.  ' });
+        GoogleGenAI.mockImplementation(() => ({
+            models: {
+                generateContent: mockGenerateContent,
+            },
+        }));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should return the previous summary when there is nothing new to fold in', async () => {
+        expect(await generateSummary('existing', [])).toBe('existing');
+        expect(await generateSummary(null, [])).toBeNull();
+        expect(mockGenerateContent).not.toHaveBeenCalled();
+    });
+
+    it('should summarize a transcript and trim the result', async () => {
+        const result = await generateSummary(null, [
+            { role: 'user', content: 'We launch on Friday' },
+            { role: 'assistant', content: 'Noted' },
+        ]);
+
+        expect(result).toBe('The user is planning a launch.');
+        expect(keyPool.reportSuccess).toHaveBeenCalledWith('test-api-key');
+        const prompt = mockGenerateContent.mock.calls[0][0].contents[0].parts[0].text;
+        expect(prompt).toContain('Summarize this conversation');
+        expect(prompt).toContain('user: We launch on Friday');
+        expect(prompt).toContain('assistant: Noted');
+    });
+
+    it('should extend a previous summary with only the new turns', async () => {
+        await generateSummary('Earlier: budget is $10k', [{ role: 'user', content: 'Add a QA phase' }]);
+
+        const prompt = mockGenerateContent.mock.calls[0][0].contents[0].parts[0].text;
+        expect(prompt).toContain('Earlier: budget is $10k');
+        expect(prompt).toContain('Update the summary');
+        expect(prompt).toContain('user: Add a QA phase');
+    });
+
+    it('should record token usage for the user', async () => {
+        mockGenerateContent.mockResolvedValue({
+            text: 'Launch on Friday.',
+            usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 10, totalTokenCount: 130 },
+        });
+
+        await generateSummary(null, [{ role: 'user', content: 'We launch on Friday' }], { userId: 'user-1' });
+
+        expect(recordUsage).toHaveBeenCalledWith('user-1', 'summary', {
+            promptTokens: 120,
+            completionTokens: 10,
+            totalTokens: 130,
+            costUsd: 0.0001,
+        });
+    });
+
+    it('should not record usage without a userId', async () => {
+        mockGenerateContent.mockResolvedValue({
+            text: 'Launch on Friday.',
+            usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 10, totalTokenCount: 130 },
+        });
+
+        await generateSummary(null, [{ role: 'user', content: 'We launch on Friday' }]);
+
+        expect(recordUsage).not.toHaveBeenCalled();
+    });
+
+    it('should mention attachment names in the transcript', async () => {
+        await generateSummary(null, [{
+            role: 'user',
+            content: 'See file',
+            attachments: [{ fileName: 'specs.pdf' }],
+        }]);
+
+        const prompt = mockGenerateContent.mock.calls[0][0].contents[0].parts[0].text;
+        expect(prompt).toContain('[attached: specs.pdf]');
+    });
+
+    it('should return null when the AI call fails', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        mockGenerateContent.mockRejectedValue(new Error('quota'));
+
+        expect(await generateSummary(null, [{ role: 'user', content: 'hi' }])).toBeNull();
+        expect(keyPool.reportFailure).toHaveBeenCalledWith('test-api-key', expect.any(Error));
+        expect(keyPool.reportSuccess).not.toHaveBeenCalled();
+
+        consoleSpy.mockRestore();
+    });
+
+    it('should return null when the AI returns empty text', async () => {
+        mockGenerateContent.mockResolvedValue({ text: '   ' });
+        expect(await generateSummary(null, [{ role: 'user', content: 'hi' }])).toBeNull();
+    });
+});
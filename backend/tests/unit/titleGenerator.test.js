@@ -9,12 +9,22 @@ jest.mock('@google/genai', () => ({
     GoogleGenAI: jest.fn(),
 }));
 
-// Mock aiProvider
-jest.mock('../../src/services/aiProvider', () => ({
-    getNextApiKey: jest.fn(() => 'test-api-key'),
+// Mock the key pool
+jest.mock('../../src/services/keyPool', () => ({
+    acquireKey: jest.fn(() => 'test-api-key'),
+    reportSuccess: jest.fn(),
+    reportFailure: jest.fn(),
+}));
+
+// Mock usage accounting
+jest.mock('../../src/services/usageService', () => ({
+    priceUsage: jest.fn((providerId, modelId, usage) => ({ ...usage, costUsd: 0.0001 })),
+    recordUsage: jest.fn(),
 }));
 
 const { GoogleGenAI } = require('@google/genai');
+const { recordUsage } = require('../../src/services/usageService');
+const keyPool = require('../../src/services/keyPool');
 const { generateTitle } = require('../../src/services/titleGenerator');
 
 describe('generateTitle', () => {
@@ -33,6 +43,33 @@ describe('generateTitle', () => {
         jest.clearAllMocks();
     });
 
+    it('should record token usage for the user', async () => {
+        mockGenerateContent.mockResolvedValue({
+            text: 'Trip Planning',
+            usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 4, totalTokenCount: 44 },
+        });
+
+        await generateTitle([{ role: 'user', content: 'Plan a trip' }], { userId: 'user-1' });
+
+        expect(recordUsage).toHaveBeenCalledWith('user-1', 'title', {
+            promptTokens: 40,
+            completionTokens: 4,
+            totalTokens: 44,
+            costUsd: 0.0001,
+        });
+    });
+
+    it('should not record usage without a userId', async () => {
+        mockGenerateContent.mockResolvedValue({
+            text: 'Trip Planning',
+            usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 4, totalTokenCount: 44 },
+        });
+
+        await generateTitle([{ role: 'user', content: 'Plan a trip' }]);
+
+        expect(recordUsage).not.toHaveBeenCalled();
+    });
+
     it('should return "New Chat" when no user message exists', async () => {
         const result = await generateTitle([]);
         expect(result).toBe('New Chat');
@@ -57,6 +94,7 @@ describe('generateTitle', () => {
 
         expect(result).toBe('Discussing Weather Patterns');
         expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+        expect(keyPool.reportSuccess).toHaveBeenCalledWith('test-api-key');
     });
 
     it('should use gemini-2.5-flash model', async () => {
@@ -83,6 +121,8 @@ describe('generateTitle', () => {
         ]);
 
         expect(result).toBe('Tell me about the history of the Roman Empire and...');
+        expect(keyPool.reportFailure).toHaveBeenCalledWith('test-api-key', expect.any(Error));
+        expect(keyPool.reportSuccess).not.toHaveBeenCalled();
     });
 
     it('should fallback when AI returns empty text', async () => {
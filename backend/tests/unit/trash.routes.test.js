@@ -0,0 +1,201 @@
+/**
+ * Trash Routes — Unit Tests
+ *
+ * Tests listing, purging and emptying the trash, and that documents are
+ * soft-deleted and restored. Uses in-memory MongoDB; GCS and retrieval mocked.
+ */
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Mock auth middleware
+jest.mock('../../src/middleware/auth', () => (req, res, next) => {
+    req.user = { sub: req.headers['x-test-user'] || 'test-user-id' };
+    next();
+});
+
+const mockDeleteFile = jest.fn();
+jest.mock('../../src/services/storageService', () => ({
+    ...jest.requireActual('../../src/services/storageService'),
+    deleteFile: (...args) => mockDeleteFile(...args),
+}));
+
+const mockRemoveSource = jest.fn();
+const mockIndexDocument = jest.fn();
+jest.mock('../../src/services/retrievalService', () => ({
+    indexDocument: (...args) => mockIndexDocument(...args),
+    scheduleDocumentIndex: jest.fn(),
+    removeSource: (...args) => mockRemoveSource(...args),
+}));
+
+let mongoServer;
+
+beforeAll(async () => {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+afterEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+});
+
+const trashRoutes = require('../../src/routes/trash');
+const documentRoutes = require('../../src/routes/documents');
+const Session = require('../../src/models/Session');
+const Document = require('../../src/models/Document');
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/trash', trashRoutes);
+    app.use('/api/documents', documentRoutes);
+    return app;
+}
+
+function attachment(fileId) {
+    return {
+        fileId,
+        fileName: 'a.png',
+        fileType: 'image/png',
+        fileSize: 1,
+        gcsUrl: `gs://bucket/${fileId}`,
+        downloadUrl: `/api/upload/${fileId}/download`,
+    };
+}
+
+const inTrash = (Model, id) => Model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+describe('Trash Routes', () => {
+    let app;
+
+    beforeEach(() => {
+        app = createApp();
+        jest.clearAllMocks();
+        mockDeleteFile.mockResolvedValue();
+        mockRemoveSource.mockResolvedValue();
+        mockIndexDocument.mockResolvedValue(1);
+    });
+
+    describe('GET /api/trash', () => {
+        it('should list the user\'s trashed sessions and documents, newest first', async () => {
+            await Session.create({ userId: 'test-user-id', title: 'Old chat', deletedAt: new Date('2026-01-01') });
+            await Document.create({ userId: 'test-user-id', title: 'Plan', type: 'project-plan', content: [], deletedAt: new Date('2026-01-02') });
+            await Session.create({ userId: 'test-user-id', title: 'Live chat' });
+            await Session.create({ userId: 'other-user', title: 'Theirs', deletedAt: new Date() });
+
+            const res = await request(app).get('/api/trash');
+
+            expect(res.status).toBe(200);
+            expect(res.body.items.map(i => [i.type, i.title])).toEqual([
+                ['document', 'Plan'],
+                ['session', 'Old chat'],
+            ]);
+            expect(res.body.items[1].purgeAt).toBe(new Date('2026-01-31').toISOString());
+        });
+    });
+
+    describe('DELETE /api/trash/sessions/:id', () => {
+        it('should delete a trashed session and its attachments forever', async () => {
+            const session = await Session.create({
+                userId: 'test-user-id',
+                deletedAt: new Date(),
+                messages: [{ role: 'user', content: 'see file', attachments: [attachment('uploads/test-user-id/a.png')] }],
+            });
+
+            const res = await request(app).delete(`/api/trash/sessions/${session._id}`);
+
+            expect(res.status).toBe(200);
+            expect(mockDeleteFile).toHaveBeenCalledWith('uploads/test-user-id/a.png');
+            expect(await inTrash(Session, session._id)).toBeNull();
+        });
+
+        it('should not purge a session that is not in the trash', async () => {
+            const session = await Session.create({ userId: 'test-user-id' });
+
+            const res = await request(app).delete(`/api/trash/sessions/${session._id}`);
+
+            expect(res.status).toBe(404);
+            expect(await Session.findById(session._id)).not.toBeNull();
+        });
+
+        it('should keep the session when its files cannot be deleted', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            mockDeleteFile.mockRejectedValue(new Error('GCS down'));
+            const session = await Session.create({
+                userId: 'test-user-id',
+                deletedAt: new Date(),
+                messages: [{ role: 'user', content: 'x', attachments: [attachment('uploads/test-user-id/a.png')] }],
+            });
+
+            const res = await request(app).delete(`/api/trash/sessions/${session._id}`);
+
+            expect(res.status).toBe(502);
+            expect(await inTrash(Session, session._id)).not.toBeNull();
+            consoleSpy.mockRestore();
+        });
+
+        it('should keep an upload that is still attached in another session', async () => {
+            const shared = attachment('uploads/test-user-id/shared.png');
+            const session = await Session.create({
+                userId: 'test-user-id',
+                deletedAt: new Date(),
+                messages: [{ role: 'user', content: 'see file', attachments: [shared] }],
+            });
+            await Session.create({
+                userId: 'test-user-id',
+                messages: [{ role: 'user', content: 'same file', attachments: [shared] }],
+            });
+
+            const res = await request(app).delete(`/api/trash/sessions/${session._id}`);
+
+            expect(res.status).toBe(200);
+            expect(mockDeleteFile).not.toHaveBeenCalled();
+            expect(await inTrash(Session, session._id)).toBeNull();
+        });
+    });
+
+    describe('DELETE /api/trash', () => {
+        it('should empty only the user\'s trash', async () => {
+            await Session.create({ userId: 'test-user-id', deletedAt: new Date() });
+            await Document.create({ userId: 'test-user-id', title: 'Doc', type: 'project-plan', content: [], deletedAt: new Date() });
+            const theirs = await Session.create({ userId: 'other-user', deletedAt: new Date() });
+
+            const res = await request(app).delete('/api/trash');
+
+            expect(res.status).toBe(200);
+            expect(res.body.purged).toEqual({ sessions: 1, documents: 1 });
+            expect(res.body).toMatchObject({ success: true, remaining: { sessions: 0, documents: 0 } });
+            expect(await inTrash(Session, theirs._id)).not.toBeNull();
+        });
+    });
+
+    describe('Documents soft delete', () => {
+        it('should move a document to the trash and restore it', async () => {
+            const document = await Document.create({ userId: 'test-user-id', title: 'Notes', type: 'document' });
+
+            const del = await request(app).delete(`/api/documents/${document._id}`);
+            expect(del.status).toBe(200);
+            expect(mockRemoveSource).toHaveBeenCalledWith('test-user-id', 'document', document._id.toString());
+            expect((await request(app).get(`/api/documents/${document._id}`)).status).toBe(404);
+
+            const restore = await request(app).post(`/api/documents/${document._id}/restore`);
+            expect(restore.status).toBe(200);
+            expect(mockIndexDocument).toHaveBeenCalled();
+            expect((await request(app).get(`/api/documents/${document._id}`)).status).toBe(200);
+        });
+
+        it('should return 404 when restoring a document that is not in the trash', async () => {
+            const document = await Document.create({ userId: 'test-user-id', title: 'Notes', type: 'document' });
+
+            const res = await request(app).post(`/api/documents/${document._id}/restore`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,247 @@
+/**
+ * Trash Service — Unit Tests
+ *
+ * Tests retention, purging of sessions/documents with their GCS objects and
+ * passages (keeping uploads other records still use), batching and the expiry
+ * cutoff (models, storage and retrieval mocked).
+ */
+const mockSessionFind = jest.fn();
+const mockSessionDeleteOne = jest.fn();
+const mockSessionCount = jest.fn();
+const mockSessionDistinct = jest.fn();
+jest.mock('../../src/models/Session', () => ({
+    find: (...args) => mockSessionFind(...args),
+    distinct: (...args) => mockSessionDistinct(...args),
+    deleteOne: (...args) => mockSessionDeleteOne(...args),
+    countDocuments: (...args) => mockSessionCount(...args),
+}));
+
+const mockDocumentFind = jest.fn();
+const mockDocumentDeleteOne = jest.fn();
+const mockDocumentCount = jest.fn();
+const mockDocumentDistinct = jest.fn();
+jest.mock('../../src/models/Document', () => ({
+    find: (...args) => mockDocumentFind(...args),
+    distinct: (...args) => mockDocumentDistinct(...args),
+    deleteOne: (...args) => mockDocumentDeleteOne(...args),
+    countDocuments: (...args) => mockDocumentCount(...args),
+}));
+
+const mockShareLinkDeleteMany = jest.fn();
+jest.mock('../../src/models/ShareLink', () => ({
+    deleteMany: (...args) => mockShareLinkDeleteMany(...args),
+}));
+
+const mockDocumentUpdateDeleteMany = jest.fn();
+jest.mock('../../src/models/DocumentUpdate', () => ({
+    deleteMany: (...args) => mockDocumentUpdateDeleteMany(...args),
+}));
+
+const mockDocumentVersionDeleteMany = jest.fn();
+jest.mock('../../src/models/DocumentVersion', () => ({
+    deleteMany: (...args) => mockDocumentVersionDeleteMany(...args),
+}));
+
+const mockDeleteFile = jest.fn();
+jest.mock('../../src/services/storageService', () => ({
+    deleteFile: (...args) => mockDeleteFile(...args),
+}));
+
+const mockRemoveSource = jest.fn();
+jest.mock('../../src/services/retrievalService', () => ({
+    removeSource: (...args) => mockRemoveSource(...args),
+}));
+
+const {
+    getRetentionDays,
+    getPurgeAt,
+    purgeSession,
+    purgeDocument,
+    purgeExpired,
+    emptyTrash,
+} = require('../../src/services/trashService');
+
+function findResult(records) {
+    return { select: () => ({ limit: () => ({ lean: () => Promise.resolve(records) }) }) };
+}
+
+function mockFindResult(mockFn, records) {
+    mockFn.mockReturnValue(findResult(records));
+}
+
+const session = {
+    _id: 's1',
+    userId: 'user1',
+    messages: [
+        { attachments: [{ fileId: 'uploads/user1/a.png' }] },
+        { attachments: [] },
+        // Same file attached again on an edited branch
+        { attachments: [{ fileId: 'uploads/user1/a.png' }, { fileId: 'uploads/user1/b.pdf' }] },
+    ],
+};
+
+const document = {
+    _id: { toString: () => 'd1' },
+    userId: 'user1',
+    assets: [{ assetId: 'documents/user1/img.png' }],
+};
+
+describe('TrashService', () => {
+    const originalEnv = process.env.TRASH_RETENTION_DAYS;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.TRASH_RETENTION_DAYS;
+        mockDeleteFile.mockResolvedValue();
+        mockRemoveSource.mockResolvedValue();
+        mockSessionDeleteOne.mockResolvedValue({ deletedCount: 1 });
+        mockDocumentDeleteOne.mockResolvedValue({ deletedCount: 1 });
+        mockShareLinkDeleteMany.mockResolvedValue({ deletedCount: 0 });
+        mockDocumentUpdateDeleteMany.mockResolvedValue({ deletedCount: 0 });
+        mockDocumentVersionDeleteMany.mockResolvedValue({ deletedCount: 0 });
+        mockFindResult(mockSessionFind, []);
+        mockFindResult(mockDocumentFind, []);
+        mockSessionCount.mockResolvedValue(0);
+        mockDocumentCount.mockResolvedValue(0);
+        mockSessionDistinct.mockResolvedValue([]);
+        mockDocumentDistinct.mockResolvedValue([]);
+    });
+
+    afterAll(() => {
+        if (originalEnv === undefined) delete process.env.TRASH_RETENTION_DAYS;
+        else process.env.TRASH_RETENTION_DAYS = originalEnv;
+    });
+
+    describe('retention', () => {
+        it('should default to 30 days', () => {
+            expect(getRetentionDays()).toBe(30);
+            expect(getPurgeAt('2026-01-01T00:00:00Z').toISOString()).toBe('2026-01-31T00:00:00.000Z');
+        });
+
+        it('should read TRASH_RETENTION_DAYS and ignore invalid values', () => {
+            process.env.TRASH_RETENTION_DAYS = '7';
+            expect(getRetentionDays()).toBe(7);
+            process.env.TRASH_RETENTION_DAYS = '0';
+            expect(getRetentionDays()).toBe(30);
+        });
+    });
+
+    describe('purgeSession', () => {
+        it('should delete each attachment once, its passages, the session and its share links', async () => {
+            expect(await purgeSession(session)).toBe(true);
+
+            expect(mockDeleteFile.mock.calls).toEqual([['uploads/user1/a.png'], ['uploads/user1/b.pdf']]);
+            expect(mockRemoveSource).toHaveBeenCalledWith('user1', 'file', 'uploads/user1/a.png');
+            expect(mockRemoveSource).toHaveBeenCalledWith('user1', 'file', 'uploads/user1/b.pdf');
+            expect(mockSessionDeleteOne).toHaveBeenCalledWith({ _id: 's1', deletedAt: { $ne: null } });
+            expect(mockShareLinkDeleteMany).toHaveBeenCalledWith({ sessionId: 's1' });
+        });
+
+        it('should keep attachments another session or a document still uses', async () => {
+            // Attached in another (trashed) session too, and used as a document image
+            mockSessionDistinct.mockImplementation(async (field, filter) => (
+                filter.deletedAt ? ['uploads/user1/a.png', 'uploads/user1/other.txt'] : []
+            ));
+            mockDocumentDistinct.mockResolvedValue(['gs://bucket/uploads/user1/b.pdf']);
+
+            expect(await purgeSession(session)).toBe(true);
+
+            expect(mockDeleteFile).not.toHaveBeenCalled();
+            expect(mockRemoveSource).not.toHaveBeenCalled();
+            expect(mockSessionDistinct).toHaveBeenCalledWith('messages.attachments.fileId', {
+                _id: { $ne: 's1' },
+                'messages.attachments.fileId': { $in: ['uploads/user1/a.png', 'uploads/user1/b.pdf'] },
+            });
+            expect(mockSessionDeleteOne).toHaveBeenCalled();
+        });
+
+        it('should keep the session when a file cannot be deleted', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            mockDeleteFile.mockRejectedValueOnce(new Error('GCS down'));
+
+            expect(await purgeSession(session)).toBe(false);
+            expect(mockSessionDeleteOne).not.toHaveBeenCalled();
+
+            consoleSpy.mockRestore();
+        });
+
+        it('should report a session restored meanwhile as not purged', async () => {
+            mockSessionDeleteOne.mockResolvedValue({ deletedCount: 0 });
+            expect(await purgeSession({ ...session, messages: [] })).toBe(false);
+        });
+    });
+
+    describe('purgeDocument', () => {
+        it('should delete the assets, passages, document, collaborative state and versions', async () => {
+            expect(await purgeDocument(document)).toBe(true);
+
+            expect(mockDeleteFile).toHaveBeenCalledWith('documents/user1/img.png');
+            expect(mockRemoveSource).toHaveBeenCalledWith('user1', 'document', 'd1');
+            expect(mockDocumentDeleteOne).toHaveBeenCalledWith({ _id: document._id, deletedAt: { $ne: null } });
+            expect(mockDocumentUpdateDeleteMany).toHaveBeenCalledWith({ documentId: document._id });
+            expect(mockDocumentVersionDeleteMany).toHaveBeenCalledWith({ documentId: document._id });
+        });
+
+        it('should keep the collaborative state of a document restored meanwhile', async () => {
+            mockDocumentDeleteOne.mockResolvedValue({ deletedCount: 0 });
+            expect(await purgeDocument(document)).toBe(false);
+            expect(mockDocumentUpdateDeleteMany).not.toHaveBeenCalled();
+            expect(mockDocumentVersionDeleteMany).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('purgeExpired', () => {
+        it('should purge items deleted before the retention cutoff', async () => {
+            mockFindResult(mockSessionFind, [session]);
+            mockFindResult(mockDocumentFind, [document]);
+
+            const counts = await purgeExpired(new Date('2026-03-31T00:00:00Z'));
+
+            expect(counts).toEqual({ sessions: 1, documents: 1 });
+            expect(mockSessionFind).toHaveBeenCalledWith({
+                deletedAt: { $ne: null, $lte: new Date('2026-03-01T00:00:00Z') },
+            });
+        });
+    });
+
+    describe('emptyTrash', () => {
+        it('should purge everything in the user\'s trash', async () => {
+            mockFindResult(mockSessionFind, [session]);
+
+            const result = await emptyTrash({ userId: 'user1', workspaceId: null });
+
+            expect(result).toEqual({ purged: { sessions: 1, documents: 0 }, remaining: { sessions: 0, documents: 0 } });
+            expect(mockSessionFind).toHaveBeenCalledWith({ deletedAt: { $ne: null }, userId: 'user1', workspaceId: null });
+            expect(mockDocumentFind).toHaveBeenCalledWith({ deletedAt: { $ne: null }, userId: 'user1', workspaceId: null });
+        });
+
+        it('should keep purging batches until the trash is empty', async () => {
+            const batch = Array.from({ length: 100 }, (_, i) => ({ _id: `s${i}`, userId: 'user1', messages: [] }));
+            mockSessionFind
+                .mockReturnValueOnce(findResult(batch))
+                .mockReturnValueOnce(findResult([{ _id: 's100', userId: 'user1', messages: [] }]));
+
+            const result = await emptyTrash({ userId: 'user1', workspaceId: null });
+
+            expect(result.purged.sessions).toBe(101);
+            expect(mockSessionFind).toHaveBeenCalledTimes(2);
+        });
+
+        it('should skip kept items in later batches and report what remains', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            const stuck = { _id: 's0', userId: 'user1', messages: [{ attachments: [{ fileId: 'uploads/user1/x.png' }] }] };
+            const batch = [stuck, ...Array.from({ length: 99 }, (_, i) => ({ _id: `s${i + 1}`, userId: 'user1', messages: [] }))];
+            mockSessionFind.mockReturnValueOnce(findResult(batch));
+            mockDeleteFile.mockRejectedValueOnce(new Error('GCS down'));
+            mockSessionCount.mockResolvedValue(1);
+
+            const result = await emptyTrash({ userId: 'user1', workspaceId: null });
+
+            expect(result).toEqual({ purged: { sessions: 99, documents: 0 }, remaining: { sessions: 1, documents: 0 } });
+            expect(mockSessionFind).toHaveBeenLastCalledWith({
+                deletedAt: { $ne: null }, userId: 'user1', workspaceId: null, _id: { $nin: ['s0'] },
+            });
+            consoleSpy.mockRestore();
+        });
+    });
+});
@@ -44,6 +44,12 @@ jest.mock('../../src/services/storageService', () => ({
     getMaxUploadBytes: () => 5 * 1024 * 1024,
 }));
 
+// Mock retrieval indexing
+const mockIndexFile = jest.fn();
+jest.mock('../../src/services/retrievalService', () => ({
+    indexFile: (...args) => mockIndexFile(...args),
+}));
+
 const uploadRoutes = require('../../src/routes/upload');
 
 function createApp() {
@@ -171,6 +177,24 @@ describe('Upload Routes', () => {
             expect(file.downloadUrl).toContain('/download');
         });
 
+        it('should index each uploaded file for retrieval', async () => {
+            const uploaded = {
+                fileId: 'uploads/test-user-id/123_data.csv',
+                fileName: 'data.csv',
+                fileType: 'text/csv',
+                fileSize: 9,
+                gcsUrl: 'gs://bucket/uploads/test-user-id/123_data.csv',
+            };
+            mockUploadFile.mockResolvedValueOnce(uploaded);
+
+            await request(app)
+                .post('/api/upload')
+                .set('x-test-user', 'test-user-id')
+                .attach('files', Buffer.from('a,b\n1,2\n'), { filename: 'data.csv', contentType: 'text/csv' });
+
+            expect(mockIndexFile).toHaveBeenCalledWith(uploaded, 'test-user-id', Buffer.from('a,b\n1,2\n'));
+        });
+
         it('should handle GCS upload error (500)', async () => {
             mockUploadFile.mockRejectedValueOnce(new Error('GCS unavailable'));
             const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
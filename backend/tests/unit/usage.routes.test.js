@@ -0,0 +1,80 @@
+/**
+ * Usage Routes — Unit Tests
+ *
+ * GET /api/usage:
+ *   1. should return the usage summary of the current user
+ *   2. should clamp the days parameter
+ *   3. should return 500 when the summary fails
+ *
+ * GET /api/usage/quotas:
+ *   4. should return the quota status of the current user
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/middleware/auth', () => (req, res, next) => {
+    req.user = { sub: 'user-id' };
+    next();
+});
+
+const mockGetUsageSummary = jest.fn();
+jest.mock('../../src/services/usageService', () => ({
+    getUsageSummary: (...args) => mockGetUsageSummary(...args),
+}));
+
+const mockGetQuotaStatus = jest.fn();
+jest.mock('../../src/services/quotaService', () => ({
+    getQuotaStatus: (...args) => mockGetQuotaStatus(...args),
+}));
+
+const usageRoutes = require('../../src/routes/usage');
+
+function createApp() {
+    const app = express();
+    app.use('/api/usage', usageRoutes);
+    return app;
+}
+
+describe('Usage Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockGetUsageSummary.mockResolvedValue({ days: [], totals: {}, month: {} });
+    });
+
+    it('should return the usage summary of the current user', async () => {
+        const res = await request(createApp()).get('/api/usage');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ days: [], totals: {}, month: {} });
+        expect(mockGetUsageSummary).toHaveBeenCalledWith('user-id', 30);
+    });
+
+    it('should clamp the days parameter', async () => {
+        await request(createApp()).get('/api/usage?days=9999');
+        expect(mockGetUsageSummary).toHaveBeenLastCalledWith('user-id', 365);
+
+        await request(createApp()).get('/api/usage?days=-5');
+        expect(mockGetUsageSummary).toHaveBeenLastCalledWith('user-id', 1);
+    });
+
+    it('should return 500 when the summary fails', async () => {
+        mockGetUsageSummary.mockRejectedValue(new Error('db down'));
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        const res = await request(createApp()).get('/api/usage');
+
+        expect(res.status).toBe(500);
+        expect(res.body.error).toBe('Failed to get usage');
+        console.error.mockRestore();
+    });
+
+    it('should return the quota status of the current user', async () => {
+        mockGetQuotaStatus.mockResolvedValue({ messagesPerDay: { limit: 10, used: 2, remaining: 8 } });
+
+        const res = await request(createApp()).get('/api/usage/quotas');
+
+        expect(res.status).toBe(200);
+        expect(res.body.messagesPerDay.remaining).toBe(8);
+        expect(mockGetQuotaStatus).toHaveBeenCalledWith('user-id');
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Usage Service — Unit Tests
+ *
+ * Tests cost estimation, the daily $inc rollup and the usage summary
+ * (Usage model and model pricing mocked).
+ */
+const mockUpdateOne = jest.fn();
+const mockFind = jest.fn();
+jest.mock('../../src/models/Usage', () => ({
+    updateOne: (...args) => mockUpdateOne(...args),
+    find: (...args) => mockFind(...args),
+}));
+
+const mockGetModelPricing = jest.fn();
+jest.mock('../../src/services/aiProvider', () => ({
+    getModelPricing: (...args) => mockGetModelPricing(...args),
+}));
+
+const { priceUsage, recordUsage, getUsageSummary, dayKey } = require('../../src/services/usageService');
+
+function mockRows(rows) {
+    mockFind.mockReturnValue({ sort: () => ({ lean: () => Promise.resolve(rows) }) });
+}
+
+describe('usageService', () => {
+    const originalImageCost = process.env.IMAGE_COST_USD;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.IMAGE_COST_USD;
+    });
+
+    afterAll(() => {
+        if (originalImageCost === undefined) delete process.env.IMAGE_COST_USD;
+        else process.env.IMAGE_COST_USD = originalImageCost;
+    });
+
+    describe('priceUsage', () => {
+        it('should price input and output tokens per million', () => {
+            mockGetModelPricing.mockReturnValue({ input: 1, output: 4 });
+
+            const priced = priceUsage('gemini', 'gemini-2.5-flash', {
+                promptTokens: 1000, completionTokens: 500, totalTokens: 1500,
+            });
+
+            expect(priced).toEqual({ promptTokens: 1000, completionTokens: 500, totalTokens: 1500, costUsd: 0.003 });
+            expect(mockGetModelPricing).toHaveBeenCalledWith('gemini', 'gemini-2.5-flash');
+        });
+
+        it('should cost nothing for unpriced models', () => {
+            mockGetModelPricing.mockReturnValue(null);
+            expect(priceUsage('gemini', 'x', { promptTokens: 10, completionTokens: 5, totalTokens: 15 }).costUsd).toBe(0);
+        });
+
+        it('should add a per-image cost', () => {
+            mockGetModelPricing.mockReturnValue(null);
+            process.env.IMAGE_COST_USD = '0.04';
+
+            const priced = priceUsage('gemini', 'image-model', { promptTokens: 0, completionTokens: 0, totalTokens: 0 }, 3);
+
+            expect(priced.images).toBe(3);
+            expect(priced.costUsd).toBe(0.12);
+        });
+    });
+
+    describe('recordUsage', () => {
+        it('should increment today\'s totals and the per-kind counters', async () => {
+            mockUpdateOne.mockResolvedValue({});
+
+            await recordUsage('user-1', 'chat', { promptTokens: 10, completionTokens: 5, totalTokens: 15, costUsd: 0.001 });
+
+            expect(mockUpdateOne).toHaveBeenCalledWith(
+                { userId: 'user-1', date: dayKey() },
+                {
+                    $inc: {
+                        'totals.requests': 1,
+                        'totals.promptTokens': 10,
+                        'totals.completionTokens': 5,
+                        'totals.totalTokens': 15,
+                        'totals.costUsd': 0.001,
+                        'byKind.chat.requests': 1,
+                        'byKind.chat.promptTokens': 10,
+                        'byKind.chat.completionTokens': 5,
+                        'byKind.chat.totalTokens': 15,
+                        'byKind.chat.costUsd': 0.001,
+                    },
+                },
+                { upsert: true }
+            );
+        });
+
+        it('should skip recording without a user or usage', async () => {
+            await recordUsage(null, 'chat', { totalTokens: 1 });
+            await recordUsage('user-1', 'chat', null);
+            expect(mockUpdateOne).not.toHaveBeenCalled();
+        });
+
+        it('should not throw when the update fails', async () => {
+            mockUpdateOne.mockRejectedValue(new Error('db down'));
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+
+            await expect(recordUsage('user-1', 'title', { totalTokens: 1 })).resolves.toBeUndefined();
+            console.error.mockRestore();
+        });
+    });
+
+    describe('getUsageSummary', () => {
+        it('should return daily rows and totals for the period and the month', async () => {
+            const today = dayKey();
+            mockRows([{
+                date: today,
+                totals: { requests: 2, promptTokens: 10, completionTokens: 5, totalTokens: 15, costUsd: 0.002 },
+                byKind: { chat: { requests: 2, totalTokens: 15 } },
+            }]);
+
+            const summary = await getUsageSummary('user-1', 7);
+
+            expect(summary.days).toHaveLength(1);
+            expect(summary.days[0]).toMatchObject({ date: today, requests: 2, totalTokens: 15, images: 0 });
+            expect(summary.days[0].byKind.chat).toMatchObject({ requests: 2, totalTokens: 15, costUsd: 0 });
+            expect(summary.totals).toMatchObject({ requests: 2, costUsd: 0.002 });
+            expect(summary.month).toMatchObject({ since: `${today.slice(0, 7)}-01`, totalTokens: 15 });
+        });
+    });
+});
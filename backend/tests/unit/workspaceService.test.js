@@ -0,0 +1,76 @@
+/**
+ * Workspace Service — Unit Tests
+ *
+ * Tests role ordering, the active-workspace scope and the per-record access
+ * filter and roles. Workspace lookups are mocked.
+ */
+const mongoose = require('mongoose');
+const Workspace = require('../../src/models/Workspace');
+const {
+    hasRole,
+    getScopeFilter,
+    getAccess,
+} = require('../../src/services/workspaceService');
+
+const teamId = new mongoose.Types.ObjectId();
+const readOnlyId = new mongoose.Types.ObjectId();
+
+describe('workspaceService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('hasRole', () => {
+        it('should rank owner above editor above viewer', () => {
+            expect(hasRole('owner', 'editor')).toBe(true);
+            expect(hasRole('editor', 'editor')).toBe(true);
+            expect(hasRole('viewer', 'editor')).toBe(false);
+            expect(hasRole('viewer', 'viewer')).toBe(true);
+            expect(hasRole(null, 'viewer')).toBe(false);
+        });
+    });
+
+    describe('getScopeFilter', () => {
+        it('should scope to the workspace, or to the user\'s personal records', () => {
+            expect(getScopeFilter('user1', { id: teamId, role: 'viewer' })).toEqual({ workspaceId: teamId });
+            expect(getScopeFilter('user1', null)).toEqual({ userId: 'user1', workspaceId: null });
+        });
+    });
+
+    describe('getAccess', () => {
+        beforeEach(() => {
+            jest.spyOn(Workspace, 'find').mockReturnValue({
+                select: () => ({
+                    lean: () => Promise.resolve([
+                        { _id: teamId, members: [{ userId: 'user1', role: 'editor' }, { userId: 'user2', role: 'owner' }] },
+                        { _id: readOnlyId, members: [{ userId: 'user1', role: 'viewer' }] },
+                    ]),
+                }),
+            });
+        });
+
+        it('should match personal records and workspaces where the role is high enough', async () => {
+            const access = await getAccess('user1');
+
+            expect(Workspace.find).toHaveBeenCalledWith({ 'members.userId': 'user1' });
+            expect(access.filter()).toEqual({
+                $or: [{ userId: 'user1', workspaceId: null }, { workspaceId: { $in: [teamId, readOnlyId] } }],
+            });
+            expect(access.filter('editor')).toEqual({
+                $or: [{ userId: 'user1', workspaceId: null }, { workspaceId: { $in: [teamId] } }],
+            });
+            expect(access.filter('owner').$or[1]).toEqual({ workspaceId: { $in: [] } });
+        });
+
+        it('should give the user\'s role on a record', async () => {
+            const access = await getAccess('user1');
+
+            expect(access.roleFor({ userId: 'user2', workspaceId: teamId })).toBe('editor');
+            expect(access.roleFor({ userId: 'user1', workspaceId: readOnlyId })).toBe('viewer');
+            expect(access.roleFor({ userId: 'user1', workspaceId: null })).toBe('owner');
+            expect(access.roleFor({ userId: 'user1' })).toBe('owner');
+            expect(access.roleFor({ userId: 'user2', workspaceId: null })).toBeNull();
+            expect(access.roleFor({ userId: 'user1', workspaceId: new mongoose.Types.ObjectId() })).toBeNull();
+        });
+    });
+});
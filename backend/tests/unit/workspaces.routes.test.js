@@ -0,0 +1,267 @@
+/**
+ * Workspaces Routes — Unit Tests
+ *
+ * Tests workspace and member management, and that sessions and documents
+ * follow the active workspace and the member's role. Uses in-memory MongoDB.
+ */
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Mock auth middleware
+jest.mock('../../src/middleware/auth', () => (req, res, next) => {
+    req.user = { sub: req.headers['x-test-user'] || 'test-user-id' };
+    next();
+});
+
+jest.mock('../../src/services/retrievalService', () => ({
+    indexDocument: jest.fn().mockResolvedValue(0),
+    scheduleDocumentIndex: jest.fn(),
+    removeSource: jest.fn().mockResolvedValue(),
+}));
+
+let mongoServer;
+
+beforeAll(async () => {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+afterEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+});
+
+const workspaceRoutes = require('../../src/routes/workspaces');
+const sessionRoutes = require('../../src/routes/sessions');
+const documentRoutes = require('../../src/routes/documents');
+const Workspace = require('../../src/models/Workspace');
+const Session = require('../../src/models/Session');
+const Document = require('../../src/models/Document');
+const User = require('../../src/models/User');
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/workspaces', workspaceRoutes);
+    app.use('/api/sessions', sessionRoutes);
+    app.use('/api/documents', documentRoutes);
+    return app;
+}
+
+function createTeam() {
+    return Workspace.create({
+        name: 'Team',
+        members: [
+            { userId: 'test-user-id', role: 'owner' },
+            { userId: 'editor-user', role: 'editor' },
+            { userId: 'viewer-user', role: 'viewer' },
+        ],
+    });
+}
+
+describe('Workspaces Routes', () => {
+    let app;
+
+    beforeEach(() => {
+        app = createApp();
+    });
+
+    describe('POST /api/workspaces and GET /api/workspaces', () => {
+        it('should create a workspace owned by its creator and list it', async () => {
+            const created = await request(app).post('/api/workspaces').send({ name: '  Team  ' });
+            expect(created.status).toBe(201);
+            expect(created.body).toMatchObject({ name: 'Team', role: 'owner', memberCount: 1 });
+
+            await Workspace.create({ name: 'Theirs', members: [{ userId: 'other-user', role: 'owner' }] });
+            const res = await request(app).get('/api/workspaces');
+
+            expect(res.status).toBe(200);
+            expect(res.body.workspaces.map(w => w.name)).toEqual(['Team']);
+        });
+
+        it('should require a name', async () => {
+            const res = await request(app).post('/api/workspaces').send({ name: '' });
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('members', () => {
+        it('should add a registered user by email and show members', async () => {
+            const team = await Workspace.create({ name: 'Team', members: [{ userId: 'test-user-id', role: 'owner' }] });
+            await User.create({ keycloakId: 'new-user', email: 'ada@example.com', displayName: 'Ada' });
+
+            const res = await request(app)
+                .post(`/api/workspaces/${team._id}/members`)
+                .send({ email: 'Ada@Example.com', role: 'editor' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.members).toEqual(expect.arrayContaining([
+                expect.objectContaining({ userId: 'new-user', email: 'ada@example.com', role: 'editor' }),
+            ]));
+
+            const again = await request(app)
+                .post(`/api/workspaces/${team._id}/members`)
+                .send({ email: 'ada@example.com', role: 'viewer' });
+            expect(again.status).toBe(409);
+        });
+
+        it('should validate the role and the user', async () => {
+            const team = await createTeam();
+            const url = `/api/workspaces/${team._id}/members`;
+
+            expect((await request(app).post(url).send({ email: 'x@example.com', role: 'admin' })).status).toBe(400);
+            expect((await request(app).post(url).send({ email: 'nobody@example.com', role: 'viewer' })).status).toBe(404);
+        });
+
+        it('should only let owners manage members', async () => {
+            const team = await createTeam();
+
+            const res = await request(app)
+                .patch(`/api/workspaces/${team._id}/members/viewer-user`)
+                .set('x-test-user', 'editor-user')
+                .send({ role: 'owner' });
+
+            expect(res.status).toBe(403);
+        });
+
+        it('should keep at least one owner', async () => {
+            const team = await createTeam();
+
+            const demote = await request(app)
+                .patch(`/api/workspaces/${team._id}/members/test-user-id`)
+                .send({ role: 'editor' });
+            expect(demote.status).toBe(400);
+
+            const leave = await request(app).delete(`/api/workspaces/${team._id}/members/test-user-id`);
+            expect(leave.status).toBe(400);
+        });
+
+        it('should let any member leave', async () => {
+            const team = await createTeam();
+
+            const res = await request(app)
+                .delete(`/api/workspaces/${team._id}/members/viewer-user`)
+                .set('x-test-user', 'viewer-user');
+
+            expect(res.status).toBe(200);
+            const updated = await Workspace.findById(team._id);
+            expect(updated.members.map(m => m.userId)).toEqual(['test-user-id', 'editor-user']);
+        });
+    });
+
+    describe('DELETE /api/workspaces/:id', () => {
+        it('should refuse to delete a workspace that still has content', async () => {
+            const team = await createTeam();
+            await Session.create({ userId: 'editor-user', workspaceId: team._id, title: 'Shared' });
+
+            const res = await request(app).delete(`/api/workspaces/${team._id}`);
+
+            expect(res.status).toBe(409);
+        });
+
+        it('should return 404 for non-members', async () => {
+            const team = await createTeam();
+            const res = await request(app).delete(`/api/workspaces/${team._id}`).set('x-test-user', 'other-user');
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('workspace sessions and documents', () => {
+        it('should list the active workspace\'s sessions, or the user\'s personal ones', async () => {
+            const team = await createTeam();
+            await Session.create({ userId: 'editor-user', workspaceId: team._id, title: 'Shared' });
+            await Session.create({ userId: 'test-user-id', title: 'Personal' });
+
+            const shared = await request(app).get('/api/sessions').set('X-Workspace-Id', team._id.toString());
+            const personal = await request(app).get('/api/sessions');
+
+            expect(shared.body.sessions.map(s => s.title)).toEqual(['Shared']);
+            expect(personal.body.sessions.map(s => s.title)).toEqual(['Personal']);
+        });
+
+        it('should reject workspaces the user is not a member of', async () => {
+            const team = await createTeam();
+
+            const res = await request(app)
+                .get('/api/sessions')
+                .set('x-test-user', 'other-user')
+                .set('X-Workspace-Id', team._id.toString());
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should create sessions in the active workspace for editors only', async () => {
+            const team = await createTeam();
+
+            const created = await request(app)
+                .post('/api/sessions')
+                .set('x-test-user', 'editor-user')
+                .set('X-Workspace-Id', team._id.toString())
+                .send({ title: 'Plan' });
+            expect(created.status).toBe(201);
+            expect((await Session.findById(created.body.id)).workspaceId).toEqual(team._id);
+
+            const denied = await request(app)
+                .post('/api/sessions')
+                .set('x-test-user', 'viewer-user')
+                .set('X-Workspace-Id', team._id.toString())
+                .send({ title: 'Plan' });
+            expect(denied.status).toBe(403);
+        });
+
+        it('should let viewers read but not change a workspace session', async () => {
+            const team = await createTeam();
+            const session = await Session.create({ userId: 'editor-user', workspaceId: team._id, title: 'Shared' });
+
+            const read = await request(app).get(`/api/sessions/${session._id}`).set('x-test-user', 'viewer-user');
+            expect(read.status).toBe(200);
+            expect(read.body.role).toBe('viewer');
+
+            const rename = await request(app)
+                .patch(`/api/sessions/${session._id}`)
+                .set('x-test-user', 'viewer-user')
+                .send({ title: 'Mine now' });
+            expect(rename.status).toBe(403);
+
+            const trash = await request(app).delete(`/api/sessions/${session._id}`).set('x-test-user', 'viewer-user');
+            expect(trash.status).toBe(403);
+
+            const outsider = await request(app).get(`/api/sessions/${session._id}`).set('x-test-user', 'other-user');
+            expect(outsider.status).toBe(404);
+        });
+
+        it('should let editors change documents other members created', async () => {
+            const team = await createTeam();
+            const document = await Document.create({
+                userId: 'test-user-id',
+                workspaceId: team._id,
+                title: 'Roadmap',
+                type: 'project-plan',
+                content: [],
+            });
+
+            const edited = await request(app)
+                .put(`/api/documents/${document._id}`)
+                .set('x-test-user', 'editor-user')
+                .send({ title: 'Roadmap v2' });
+            expect(edited.status).toBe(200);
+            expect(edited.body.title).toBe('Roadmap v2');
+
+            const denied = await request(app)
+                .put(`/api/documents/${document._id}`)
+                .set('x-test-user', 'viewer-user')
+                .send({ title: 'Nope' });
+            expect(denied.status).toBe(403);
+
+            const read = await request(app).get(`/api/documents/${document._id}`).set('x-test-user', 'viewer-user');
+            expect(read.status).toBe(200);
+            expect(read.body.role).toBe('viewer');
+        });
+    });
+});
@@ -9,7 +9,8 @@ import './blocknote-editor.css';
 const API_BASE = import.meta.env.VITE_API_URL;
 
 /**
- * BlockNote Editor wrapper with dark theme, auto-save, and image upload
+ * BlockNote Editor wrapper with dark theme, auto-save, image upload and
+ * optional real-time collaboration
  *
  * @param {Object} props
  * @param {Array} props.initialContent - BlockNote blocks JSON
@@ -17,6 +18,9 @@ const API_BASE = import.meta.env.VITE_API_URL;
  * @param {Function} props.onContentChange - Called with updated blocks on every change
  * @param {Function} props.onSave - Called with blocks when auto-save triggers
  * @param {boolean} props.editable - Whether editor is editable (default: true)
+ * @param {string} props.focusBlockId - Block to scroll to and highlight (e.g. a search result)
+ * @param {Object} props.collab - Session from createCollabSession plus `user` ({ name, color });
+ *   the shared document replaces initialContent, which only fills a new shared state
  */
 function BlockNoteEditor({
     initialContent,
@@ -24,6 +28,8 @@ function BlockNoteEditor({
     onContentChange,
     onSave,
     editable = true,
+    focusBlockId,
+    collab,
 }) {
     const saveTimerRef = useRef(null);
 
@@ -56,9 +62,24 @@ function BlockNoteEditor({
 
     // Create editor instance
     const editor = useCreateBlockNote({
-        initialContent: initialContent?.length > 0 ? initialContent : undefined,
+        initialContent: !collab && initialContent?.length > 0 ? initialContent : undefined,
         uploadFile: handleUpload,
-    }, [initialContent]);
+        collaboration: collab
+            ? { provider: collab.provider, fragment: collab.fragment, user: collab.user }
+            : undefined,
+    }, [initialContent, collab]);
+
+    // Connect once the editor can fill a new shared state when the server asks for it
+    useEffect(() => {
+        if (!collab) return;
+        collab.onSeed(() => {
+            if (initialContent?.length > 0) {
+                editor.replaceBlocks(editor.document, initialContent);
+            }
+        });
+        collab.provider.connect();
+        return () => collab.provider.disconnect();
+    }, [collab, editor, initialContent]);
 
     // Cleanup save timer on unmount
     useEffect(() => {
@@ -69,10 +90,30 @@ function BlockNoteEditor({
         };
     }, []);
 
+    // Scroll to the linked block once it is rendered
+    useEffect(() => {
+        if (!focusBlockId || !editor.getBlock(focusBlockId)) return;
+
+        const timer = setTimeout(() => {
+            const el = window.document.querySelector(`.bn-block-outer[data-id="${CSS.escape(focusBlockId)}"]`);
+            if (!el) return;
+            el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            el.classList.add('bn-block-focused');
+            el.addEventListener('animationend', () => el.classList.remove('bn-block-focused'), { once: true });
+        }, 0);
+        return () => clearTimeout(timer);
+    }, [editor, focusBlockId]);
+
     // Handle content changes — debounced auto-save
-    const handleChange = useCallback(() => {
+    const handleChange = useCallback((_editor, { getChanges } = {}) => {
         const blocks = editor.document;
 
+        // Changes from collaborators are saved by their own editors
+        const changes = collab ? getChanges() : [];
+        if (changes.length > 0 && changes.every(change => change.source.type === 'yjs-remote')) {
+            return;
+        }
+
         // Notify parent of content change
         if (onContentChange) {
             onContentChange(blocks);
@@ -87,7 +128,7 @@ function BlockNoteEditor({
                 onSave(blocks);
             }, 3000);
         }
-    }, [editor, onContentChange, onSave]);
+    }, [editor, collab, onContentChange, onSave]);
 
     return (
         <div className="blocknote-editor-wrapper">
@@ -1,11 +1,19 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
-import { SendOutlined, StopOutlined, PlusOutlined, CloseOutlined, FileOutlined, FilePdfOutlined } from '@ant-design/icons';
+import {
+    SendOutlined, StopOutlined, PlusOutlined, CloseOutlined, FileOutlined, FilePdfOutlined, FileSearchOutlined,
+} from '@ant-design/icons';
 import { Select } from 'antd';
+import GenerationSettings from './GenerationSettings';
 
 const ACCEPTED_TYPES = '.pdf,.csv,.png,.jpg,.jpeg';
 const MAX_FILES = 5;
 
-function ChatInput({ onSend, isStreaming, onStop, modelOptions, selectedModel, onModelChange }) {
+function ChatInput({
+    onSend, isStreaming, onStop, modelOptions, selectedModel, onModelChange,
+    personaOptions, selectedPersonaId, onPersonaChange,
+    generation, onGenerationChange, generationDefaults, maxOutputTokens,
+    useDocuments, onUseDocumentsChange,
+}) {
     const textareaRef = useRef(null);
     const fileInputRef = useRef(null);
     const [hasText, setHasText] = useState(false);
@@ -235,7 +243,7 @@ function ChatInput({ onSend, isStreaming, onStop, modelOptions, selectedModel, o
 
                 {/* Bottom controls row */}
                 <div className="chat-input-controls">
-                    {/* Left: Upload button */}
+                    {/* Left: Upload, advanced settings and "Use my documents" buttons */}
                     <div className="chat-input-left">
                         <button
                             className="chat-upload-btn"
@@ -245,10 +253,44 @@ function ChatInput({ onSend, isStreaming, onStop, modelOptions, selectedModel, o
                         >
                             <PlusOutlined />
                         </button>
+                        {onGenerationChange && (
+                            <GenerationSettings
+                                value={generation}
+                                onChange={onGenerationChange}
+                                defaults={generationDefaults}
+                                maxOutputTokens={maxOutputTokens}
+                                disabled={isStreaming}
+                            />
+                        )}
+                        {onUseDocumentsChange && (
+                            <button
+                                className={`chat-upload-btn ${useDocuments ? 'chat-settings-btn-active' : ''}`}
+                                onClick={() => onUseDocumentsChange(!useDocuments)}
+                                disabled={isStreaming}
+                                aria-pressed={!!useDocuments}
+                                title={useDocuments
+                                    ? 'Using your documents and uploads (click to turn off)'
+                                    : 'Use my documents: answer from your documents and uploads'}
+                            >
+                                <FileSearchOutlined />
+                            </button>
+                        )}
                     </div>
 
-                    {/* Right: Model selector + Send button */}
+                    {/* Right: Persona + model selectors + Send button */}
                     <div className="chat-input-right">
+                        {personaOptions && (
+                            <Select
+                                className="chat-input-model-selector chat-input-persona-selector"
+                                value={selectedPersonaId || ''}
+                                onChange={onPersonaChange}
+                                options={personaOptions}
+                                size="small"
+                                popupMatchSelectWidth={false}
+                                disabled={isStreaming}
+                                title="Persona"
+                            />
+                        )}
                         <Select
                             className="chat-input-model-selector"
                             value={selectedModel || undefined}
@@ -3,7 +3,12 @@ import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
-import { FilePdfOutlined, FileOutlined, DownloadOutlined, LoadingOutlined, FileImageOutlined } from '@ant-design/icons';
+import {
+    FilePdfOutlined, FileOutlined, DownloadOutlined, LoadingOutlined, FileImageOutlined,
+    EditOutlined, ReloadOutlined, LeftOutlined, RightOutlined, CheckCircleOutlined, CloseCircleOutlined,
+    FileTextOutlined,
+} from '@ant-design/icons';
+import { Link } from 'react-router-dom';
 import authFetch from '../utils/authFetch';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001';
@@ -134,9 +139,111 @@ function FileAttachments({ attachments }) {
     );
 }
 
-function ChatMessage({ message }) {
+const TOOL_STATUS_ICONS = {
+    running: <LoadingOutlined />,
+    done: <CheckCircleOutlined />,
+    error: <CloseCircleOutlined />,
+};
+
+// What the assistant did while answering ("Searching your documents" ✓)
+function ToolCalls({ toolCalls }) {
+    if (!toolCalls || toolCalls.length === 0) return null;
+
+    return (
+        <div className="chat-tool-calls">
+            {toolCalls.map((call, i) => (
+                <div key={call.id || i} className={`chat-tool-call ${call.status}`}>
+                    {TOOL_STATUS_ICONS[call.status]}
+                    <span>{call.label}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// Passages the answer was grounded in, numbered like the [n] markers in the text
+function Citations({ citations }) {
+    if (!citations || citations.length === 0) return null;
+
+    const handleDownload = async (citation) => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/upload/${encodeURIComponent(citation.sourceId)}/download`);
+            if (res.ok) {
+                const data = await res.json();
+                window.open(data.url, '_blank');
+            }
+        } catch (err) {
+            console.error('Download failed:', err);
+        }
+    };
+
+    return (
+        <div className="chat-citations">
+            <div className="chat-citations-title">Sources</div>
+            {citations.map(citation => (
+                <div key={citation.index} className="chat-citation" title={citation.excerpt}>
+                    <span className="chat-citation-index">[{citation.index}]</span>
+                    {citation.sourceType === 'document' ? (
+                        <Link to={`/documents/${citation.sourceId}`}>
+                            <FileTextOutlined /> {citation.title || 'Untitled'}
+                        </Link>
+                    ) : (
+                        <button type="button" onClick={() => handleDownload(citation)}>
+                            <FileOutlined /> {citation.title || 'Untitled'}
+                        </button>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// "< 2/3 >" switcher between sibling versions of an edited or regenerated message
+function BranchSwitcher({ message, disabled, onSwitchBranch }) {
+    const { branchIndex, branchCount, siblingIds } = message;
+    if (!onSwitchBranch || !branchCount || branchCount < 2) return null;
+
+    return (
+        <span className="chat-branch-switcher">
+            <button
+                type="button"
+                disabled={disabled || branchIndex === 0}
+                onClick={() => onSwitchBranch(siblingIds[branchIndex - 1])}
+                aria-label="Previous version"
+            >
+                <LeftOutlined />
+            </button>
+            <span>{branchIndex + 1}/{branchCount}</span>
+            <button
+                type="button"
+                disabled={disabled || branchIndex === branchCount - 1}
+                onClick={() => onSwitchBranch(siblingIds[branchIndex + 1])}
+                aria-label="Next version"
+            >
+                <RightOutlined />
+            </button>
+        </span>
+    );
+}
+
+function ChatMessage({ message, modelLabel, disabled, onEdit, onRegenerate, onSwitchBranch }) {
     const { role, content, attachments } = message;
     const isUser = role === 'user';
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState('');
+
+    const startEdit = () => {
+        setDraft(content || '');
+        setIsEditing(true);
+    };
+
+    const submitEdit = () => {
+        if (!draft.trim()) return;
+        setIsEditing(false);
+        onEdit(draft);
+    };
+
+    const hasActions = onEdit || onRegenerate || (message.branchCount > 1 && onSwitchBranch);
 
     return (
         <div className={`chat-message ${role}`}>
@@ -151,8 +258,38 @@ function ChatMessage({ message }) {
                 {/* File attachments (shown for both user and assistant) */}
                 <FileAttachments attachments={attachments} />
 
+                {/* Tool calls (live while streaming, from metadata once saved) */}
+                {!isUser && <ToolCalls toolCalls={message.toolCalls || message.metadata?.toolCalls} />}
+
                 {/* Text content */}
-                {isUser ? (
+                {isUser && isEditing ? (
+                    <div className="chat-message-edit">
+                        <textarea
+                            value={draft}
+                            onChange={(e) => setDraft(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter' && !e.shiftKey) {
+                                    e.preventDefault();
+                                    submitEdit();
+                                } else if (e.key === 'Escape') {
+                                    setIsEditing(false);
+                                }
+                            }}
+                            autoFocus
+                        />
+                        <div className="chat-message-edit-buttons">
+                            <button type="button" onClick={() => setIsEditing(false)}>Cancel</button>
+                            <button
+                                type="button"
+                                className="primary"
+                                onClick={submitEdit}
+                                disabled={disabled || !draft.trim()}
+                            >
+                                Save &amp; Submit
+                            </button>
+                        </div>
+                    </div>
+                ) : isUser ? (
                     content || null
                 ) : (
                     content ? (
@@ -187,6 +324,40 @@ function ChatMessage({ message }) {
                         </ReactMarkdown>
                     ) : null
                 )}
+
+                {!isUser && <Citations citations={message.citations || message.metadata?.citations} />}
+
+                {/* Model that answered, when it differs from the selected one (e.g. after a fallback) */}
+                {!isUser && modelLabel && (
+                    <div className="chat-message-model">Answered by {modelLabel}</div>
+                )}
+
+                {!isUser && message.usage && (
+                    <div className="chat-message-usage">
+                        {message.usage.totalTokens.toLocaleString()} tokens
+                        {message.usage.costUsd > 0 && ` · ~$${message.usage.costUsd.toFixed(4)}`}
+                    </div>
+                )}
+
+                {!isUser && message.metadata?.stopped && (
+                    <div className="chat-message-stopped">Stopped</div>
+                )}
+
+                {hasActions && !isEditing && (
+                    <div className="chat-message-actions">
+                        <BranchSwitcher message={message} disabled={disabled} onSwitchBranch={onSwitchBranch} />
+                        {onEdit && (
+                            <button type="button" onClick={startEdit} disabled={disabled} title="Edit message">
+                                <EditOutlined />
+                            </button>
+                        )}
+                        {onRegenerate && (
+                            <button type="button" onClick={onRegenerate} disabled={disabled} title="Regenerate response">
+                                <ReloadOutlined />
+                            </button>
+                        )}
+                    </div>
+                )}
             </div>
         </div>
     );
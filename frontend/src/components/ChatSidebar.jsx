@@ -1,21 +1,55 @@
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { DeleteOutlined, EditOutlined, CheckOutlined, CloseOutlined } from '@ant-design/icons';
+import { Popover, Select, Popconfirm } from 'antd';
+import {
+    DeleteOutlined, EditOutlined, CheckOutlined, CloseOutlined, PushpinOutlined, PushpinFilled,
+    TagOutlined, FolderOutlined, FolderOpenOutlined, FolderAddOutlined, InboxOutlined, UndoOutlined,
+    RightOutlined, DownOutlined,
+} from '@ant-design/icons';
 import authFetch from '../utils/authFetch';
 import './ChatSidebar.css';
 
 const API_BASE = import.meta.env.VITE_API_URL;
 
-function ChatSidebar({ currentSessionId }) {
+// Drop targets for drag-and-drop organisation
+const PINNED = 'pinned';
+const RECENT = 'recent';
+
+// Fields to PATCH when a session is dropped on a section (pinned, a folder ID or recent)
+const placementFor = (target) => {
+    if (target === PINNED) return { pinned: true };
+    if (target === RECENT) return { pinned: false, folderId: null };
+    return { pinned: false, folderId: target };
+};
+
+function ChatSidebar({ currentSessionId, refreshKey }) {
     const [sessions, setSessions] = useState([]);
+    const [archivedSessions, setArchivedSessions] = useState([]);
+    const [showArchived, setShowArchived] = useState(false);
+    const [folders, setFolders] = useState([]);
+    const [tags, setTags] = useState([]); // [{ name, count }]
+    const [activeTag, setActiveTag] = useState(null);
+    const [collapsedFolderIds, setCollapsedFolderIds] = useState([]);
     const [editingId, setEditingId] = useState(null);
     const [editTitle, setEditTitle] = useState('');
+    const [editingFolderId, setEditingFolderId] = useState(null); // folder ID, or 'new' for a new folder
+    const [folderName, setFolderName] = useState('');
+    const [isDragging, setIsDragging] = useState(false);
+    const [dropTarget, setDropTarget] = useState(null);
     const editInputRef = useRef(null);
+    const folderInputRef = useRef(null);
+    const savingFolderIdRef = useRef(null); // folder being edited; cleared once saved so Enter + blur save once
     const navigate = useNavigate();
 
     useEffect(() => {
         fetchSessions();
-    }, [currentSessionId]);
+    }, [currentSessionId, activeTag, refreshKey]);
+
+    useEffect(() => {
+        fetchFolders();
+        fetchTags();
+        fetchArchived();
+    }, []);
 
     useEffect(() => {
         if (editingId && editInputRef.current) {
@@ -24,9 +58,17 @@ function ChatSidebar({ currentSessionId }) {
         }
     }, [editingId]);
 
+    useEffect(() => {
+        if (editingFolderId && folderInputRef.current) {
+            folderInputRef.current.focus();
+            folderInputRef.current.select();
+        }
+    }, [editingFolderId]);
+
     const fetchSessions = async () => {
         try {
-            const res = await authFetch(`${API_BASE}/api/sessions?limit=50`, {
+            const tagQuery = activeTag ? `&tag=${encodeURIComponent(activeTag)}` : '';
+            const res = await authFetch(`${API_BASE}/api/sessions?limit=50${tagQuery}`, {
                 credentials: 'include',
             });
             if (res.ok) {
@@ -38,6 +80,65 @@ function ChatSidebar({ currentSessionId }) {
         }
     };
 
+    const fetchArchived = async () => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/sessions?limit=50&archived=true`, {
+                credentials: 'include',
+            });
+            if (res.ok) {
+                const data = await res.json();
+                setArchivedSessions(data.sessions || []);
+            }
+        } catch (err) {
+            console.error('Failed to fetch archived sessions:', err);
+        }
+    };
+
+    const fetchFolders = async () => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/folders`, { credentials: 'include' });
+            if (res.ok) {
+                const data = await res.json();
+                setFolders(data.folders || []);
+            }
+        } catch (err) {
+            console.error('Failed to fetch folders:', err);
+        }
+    };
+
+    const fetchTags = async () => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/sessions/tags`, { credentials: 'include' });
+            if (res.ok) {
+                const data = await res.json();
+                setTags(data.tags || []);
+            }
+        } catch (err) {
+            console.error('Failed to fetch tags:', err);
+        }
+    };
+
+    // PATCH a session's organisation fields; the list updates right away and is reloaded on failure
+    const updateSession = async (sessionId, fields) => {
+        setSessions(prev => prev.map(s => (s.id === sessionId ? { ...s, ...fields } : s)));
+        try {
+            const res = await authFetch(`${API_BASE}/api/sessions/${sessionId}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(fields),
+            });
+            if (!res.ok) throw new Error('Update failed');
+            const data = await res.json();
+            setSessions(prev => prev.map(s => (
+                s.id === sessionId ? { ...s, pinned: data.pinned, folderId: data.folderId, tags: data.tags } : s
+            )));
+        } catch (err) {
+            console.error('Failed to update session:', err);
+            fetchSessions();
+        }
+    };
+
     const handleSelectSession = (sessionId) => {
         if (editingId) return;
         navigate(`/chat/${sessionId}`);
@@ -92,6 +193,8 @@ function ChatSidebar({ currentSessionId }) {
             });
             if (res.ok) {
                 setSessions(prev => prev.filter(s => s.id !== sessionId));
+                setArchivedSessions(prev => prev.filter(s => s.id !== sessionId));
+                fetchTags();
                 if (currentSessionId === sessionId) {
                     navigate('/');
                 }
@@ -109,6 +212,140 @@ function ChatSidebar({ currentSessionId }) {
         }
     };
 
+    const handleTogglePin = (e, session) => {
+        e.stopPropagation();
+        updateSession(session.id, { pinned: !session.pinned });
+    };
+
+    // Archiving moves a session between the main list and the Archived section
+    const handleToggleArchive = async (e, session) => {
+        e.stopPropagation();
+        const archived = !session.archived;
+        try {
+            const res = await authFetch(`${API_BASE}/api/sessions/${session.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ archived }),
+            });
+            if (!res.ok) throw new Error('Update failed');
+            if (archived) {
+                setSessions(prev => prev.filter(s => s.id !== session.id));
+                setArchivedSessions(prev => [{ ...session, archived }, ...prev]);
+            } else {
+                setArchivedSessions(prev => prev.filter(s => s.id !== session.id));
+                fetchSessions();
+            }
+        } catch (err) {
+            console.error('Failed to archive session:', err);
+        }
+    };
+
+    const handleTagsChange = async (session, newTags) => {
+        await updateSession(session.id, { tags: newTags });
+        fetchTags();
+    };
+
+    // --- Folders ---
+    const handleStartNewFolder = () => {
+        savingFolderIdRef.current = 'new';
+        setEditingFolderId('new');
+        setFolderName('');
+    };
+
+    const handleStartRenameFolder = (e, folder) => {
+        e.stopPropagation();
+        savingFolderIdRef.current = folder.id;
+        setEditingFolderId(folder.id);
+        setFolderName(folder.name);
+    };
+
+    const handleSaveFolder = async () => {
+        const name = folderName.trim();
+        const folderId = savingFolderIdRef.current;
+        savingFolderIdRef.current = null;
+        setEditingFolderId(null);
+        if (!folderId || !name) return;
+
+        const isNew = folderId === 'new';
+        try {
+            const res = await authFetch(`${API_BASE}/api/folders${isNew ? '' : `/${folderId}`}`, {
+                method: isNew ? 'POST' : 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ name }),
+            });
+            if (res.ok) fetchFolders();
+        } catch (err) {
+            console.error('Failed to save folder:', err);
+        }
+    };
+
+    const handleFolderKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            handleSaveFolder();
+        } else if (e.key === 'Escape') {
+            savingFolderIdRef.current = null;
+            setEditingFolderId(null);
+        }
+    };
+
+    const handleDeleteFolder = async (folderId) => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/folders/${folderId}`, {
+                method: 'DELETE',
+                credentials: 'include',
+            });
+            if (res.ok) {
+                setFolders(prev => prev.filter(f => f.id !== folderId));
+                setSessions(prev => prev.map(s => (s.folderId === folderId ? { ...s, folderId: null } : s)));
+            }
+        } catch (err) {
+            console.error('Failed to delete folder:', err);
+        }
+    };
+
+    const toggleFolder = (folderId) => {
+        setCollapsedFolderIds(prev => (
+            prev.includes(folderId) ? prev.filter(id => id !== folderId) : [...prev, folderId]
+        ));
+    };
+
+    // --- Drag and drop ---
+    const handleDragStart = (e, session) => {
+        e.dataTransfer.setData('text/plain', session.id);
+        e.dataTransfer.effectAllowed = 'move';
+        setIsDragging(true);
+    };
+
+    const handleDragEnd = () => {
+        setIsDragging(false);
+        setDropTarget(null);
+    };
+
+    // Handlers for a drop target; nested targets (e.g. a folder inside a section) win over their parent
+    const dropProps = (target) => ({
+        onDragOver: (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = 'move';
+            setDropTarget(target);
+        },
+        onDragLeave: (e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+        },
+        onDrop: (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            setDropTarget(null);
+            const session = sessions.find(s => s.id === e.dataTransfer.getData('text/plain'));
+            if (!session) return;
+            const fields = placementFor(target);
+            const unchanged = Object.entries(fields).every(([key, value]) => (session[key] ?? null) === value);
+            if (!unchanged) updateSession(session.id, fields);
+        },
+    });
+
     const formatTime = (dateString) => {
         const date = new Date(dateString);
         const now = new Date();
@@ -124,74 +361,255 @@ function ChatSidebar({ currentSessionId }) {
         return date.toLocaleDateString();
     };
 
-    if (sessions.length === 0) return null;
+    if (sessions.length === 0 && folders.length === 0 && archivedSessions.length === 0 && !activeTag) return null;
+
+    const renderSession = (session) => {
+        const isActive = currentSessionId === session.id;
+        const isEditing = editingId === session.id;
+
+        return (
+            <div
+                key={session.id}
+                className={`chat-sidebar-item ${isActive ? 'active' : ''}`}
+                onClick={() => handleSelectSession(session.id)}
+                draggable={!isEditing}
+                onDragStart={(e) => handleDragStart(e, session)}
+                onDragEnd={handleDragEnd}
+            >
+                {isEditing ? (
+                    <div className="chat-sidebar-edit">
+                        <input
+                            ref={editInputRef}
+                            value={editTitle}
+                            onChange={e => setEditTitle(e.target.value)}
+                            onKeyDown={handleEditKeyDown}
+                            className="chat-sidebar-edit-input"
+                            onClick={e => e.stopPropagation()}
+                        />
+                        <button
+                            className="chat-sidebar-action-btn save"
+                            onClick={handleSaveRename}
+                            title="Save"
+                        >
+                            <CheckOutlined />
+                        </button>
+                        <button
+                            className="chat-sidebar-action-btn cancel"
+                            onClick={handleCancelRename}
+                            title="Cancel"
+                        >
+                            <CloseOutlined />
+                        </button>
+                    </div>
+                ) : (
+                    <>
+                        <div className="chat-sidebar-item-content">
+                            <span className="chat-sidebar-item-title">{session.title}</span>
+                            <span className="chat-sidebar-item-time">
+                                {formatTime(session.updatedAt)}
+                                {session.tags?.length > 0 && (
+                                    <span className="chat-sidebar-item-tags">
+                                        {session.tags.map(tag => <span key={tag}>#{tag}</span>)}
+                                    </span>
+                                )}
+                            </span>
+                        </div>
+                        <div className="chat-sidebar-item-actions" onClick={e => e.stopPropagation()}>
+                            <button
+                                className={`chat-sidebar-action-btn ${session.pinned ? 'pinned' : ''}`}
+                                onClick={(e) => handleTogglePin(e, session)}
+                                title={session.pinned ? 'Unpin' : 'Pin'}
+                            >
+                                {session.pinned ? <PushpinFilled /> : <PushpinOutlined />}
+                            </button>
+                            <Popover
+                                trigger="click"
+                                placement="right"
+                                title="Tags"
+                                destroyOnHidden
+                                content={(
+                                    <Select
+                                        className="chat-sidebar-tags-select"
+                                        mode="tags"
+                                        defaultValue={session.tags || []}
+                                        options={tags.map(t => ({ value: t.name, label: t.name }))}
+                                        onChange={(value) => handleTagsChange(session, value)}
+                                        tokenSeparators={[',']}
+                                        placeholder="Add tags"
+                                        maxCount={10}
+                                        autoFocus
+                                    />
+                                )}
+                            >
+                                <button className="chat-sidebar-action-btn" title="Tags">
+                                    <TagOutlined />
+                                </button>
+                            </Popover>
+                            <button
+                                className="chat-sidebar-action-btn"
+                                onClick={(e) => handleStartRename(e, session)}
+                                title="Rename"
+                            >
+                                <EditOutlined />
+                            </button>
+                            <button
+                                className="chat-sidebar-action-btn"
+                                onClick={(e) => handleToggleArchive(e, session)}
+                                title={session.archived ? 'Unarchive' : 'Archive'}
+                            >
+                                {session.archived ? <UndoOutlined /> : <InboxOutlined />}
+                            </button>
+                            <button
+                                className="chat-sidebar-action-btn delete"
+                                onClick={(e) => handleDelete(e, session.id)}
+                                title="Move to trash"
+                            >
+                                <DeleteOutlined />
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        );
+    };
+
+    const renderFolderInput = () => (
+        <div className="chat-sidebar-edit chat-sidebar-folder-edit">
+            <input
+                ref={folderInputRef}
+                value={folderName}
+                onChange={e => setFolderName(e.target.value)}
+                onKeyDown={handleFolderKeyDown}
+                onBlur={handleSaveFolder}
+                className="chat-sidebar-edit-input"
+                placeholder="Folder name"
+                maxLength={100}
+            />
+        </div>
+    );
+
+    const pinnedSessions = sessions.filter(s => s.pinned);
+    const recentSessions = sessions.filter(s => !s.pinned && !s.folderId);
+    const folderSessions = (folderId) => sessions.filter(s => !s.pinned && s.folderId === folderId);
+    // While filtering by tag, only folders with matching sessions are shown
+    const visibleFolders = activeTag ? folders.filter(f => folderSessions(f.id).length > 0) : folders;
 
     return (
         <div className="chat-sidebar">
-            <div className="chat-sidebar-label">Recent</div>
+            {tags.length > 0 && (
+                <div className="chat-sidebar-tag-filter">
+                    {tags.map(tag => (
+                        <button
+                            key={tag.name}
+                            className={`chat-sidebar-tag ${activeTag === tag.name ? 'active' : ''}`}
+                            onClick={() => setActiveTag(activeTag === tag.name ? null : tag.name)}
+                            title={`${tag.count} chat${tag.count === 1 ? '' : 's'}`}
+                        >
+                            #{tag.name}
+                        </button>
+                    ))}
+                </div>
+            )}
             <div className="chat-sidebar-list">
-                {sessions.map(session => {
-                    const isActive = currentSessionId === session.id;
-                    const isEditing = editingId === session.id;
+                {pinnedSessions.length > 0 && (
+                    <div
+                        className={`chat-sidebar-section ${dropTarget === PINNED ? 'drop-target' : ''}`}
+                        {...dropProps(PINNED)}
+                    >
+                        <div className="chat-sidebar-label">Pinned</div>
+                        {pinnedSessions.map(renderSession)}
+                    </div>
+                )}
 
-                    return (
-                        <div
-                            key={session.id}
-                            className={`chat-sidebar-item ${isActive ? 'active' : ''}`}
-                            onClick={() => handleSelectSession(session.id)}
+                <div className="chat-sidebar-section">
+                    <div className="chat-sidebar-label chat-sidebar-label-row">
+                        <span>Folders</span>
+                        <button
+                            className="chat-sidebar-action-btn"
+                            onClick={handleStartNewFolder}
+                            title="New folder"
                         >
-                            {isEditing ? (
-                                <div className="chat-sidebar-edit">
-                                    <input
-                                        ref={editInputRef}
-                                        value={editTitle}
-                                        onChange={e => setEditTitle(e.target.value)}
-                                        onKeyDown={handleEditKeyDown}
-                                        className="chat-sidebar-edit-input"
-                                        onClick={e => e.stopPropagation()}
-                                    />
-                                    <button
-                                        className="chat-sidebar-action-btn save"
-                                        onClick={handleSaveRename}
-                                        title="Save"
-                                    >
-                                        <CheckOutlined />
-                                    </button>
-                                    <button
-                                        className="chat-sidebar-action-btn cancel"
-                                        onClick={handleCancelRename}
-                                        title="Cancel"
-                                    >
-                                        <CloseOutlined />
-                                    </button>
-                                </div>
-                            ) : (
-                                <>
-                                    <div className="chat-sidebar-item-content">
-                                        <span className="chat-sidebar-item-title">{session.title}</span>
-                                        <span className="chat-sidebar-item-time">{formatTime(session.updatedAt)}</span>
+                            <FolderAddOutlined />
+                        </button>
+                    </div>
+                    {editingFolderId === 'new' && renderFolderInput()}
+                    {visibleFolders.map(folder => {
+                        const isCollapsed = collapsedFolderIds.includes(folder.id);
+                        const items = folderSessions(folder.id);
+                        return (
+                            <div
+                                key={folder.id}
+                                className={`chat-sidebar-folder ${dropTarget === folder.id ? 'drop-target' : ''}`}
+                                {...dropProps(folder.id)}
+                            >
+                                {editingFolderId === folder.id ? renderFolderInput() : (
+                                    <div className="chat-sidebar-folder-header" onClick={() => toggleFolder(folder.id)}>
+                                        {isCollapsed ? <FolderOutlined /> : <FolderOpenOutlined />}
+                                        <span className="chat-sidebar-folder-name">{folder.name}</span>
+                                        <span className="chat-sidebar-folder-count">{items.length || ''}</span>
+                                        <div className="chat-sidebar-item-actions" onClick={e => e.stopPropagation()}>
+                                            <button
+                                                className="chat-sidebar-action-btn"
+                                                onClick={(e) => handleStartRenameFolder(e, folder)}
+                                                title="Rename folder"
+                                            >
+                                                <EditOutlined />
+                                            </button>
+                                            <Popconfirm
+                                                title="Delete this folder?"
+                                                description="Its chats are kept."
+                                                onConfirm={() => handleDeleteFolder(folder.id)}
+                                                okText="Delete"
+                                                okButtonProps={{ danger: true }}
+                                            >
+                                                <button className="chat-sidebar-action-btn delete" title="Delete folder">
+                                                    <DeleteOutlined />
+                                                </button>
+                                            </Popconfirm>
+                                        </div>
                                     </div>
-                                    <div className="chat-sidebar-item-actions">
-                                        <button
-                                            className="chat-sidebar-action-btn"
-                                            onClick={(e) => handleStartRename(e, session)}
-                                            title="Rename"
-                                        >
-                                            <EditOutlined />
-                                        </button>
-                                        <button
-                                            className="chat-sidebar-action-btn delete"
-                                            onClick={(e) => handleDelete(e, session.id)}
-                                            title="Delete"
-                                        >
-                                            <DeleteOutlined />
-                                        </button>
+                                )}
+                                {!isCollapsed && (
+                                    <div className="chat-sidebar-folder-items">
+                                        {items.length > 0
+                                            ? items.map(renderSession)
+                                            : <div className="chat-sidebar-empty">Drag chats here</div>}
                                     </div>
-                                </>
-                            )}
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div
+                    className={`chat-sidebar-section ${dropTarget === RECENT ? 'drop-target' : ''}`}
+                    {...dropProps(RECENT)}
+                >
+                    <div className="chat-sidebar-label">Recent</div>
+                    {recentSessions.map(renderSession)}
+                    {isDragging && pinnedSessions.length === 0 && (
+                        <div
+                            className={`chat-sidebar-pin-drop ${dropTarget === PINNED ? 'drop-target' : ''}`}
+                            {...dropProps(PINNED)}
+                        >
+                            <PushpinOutlined /> Drop here to pin
                         </div>
-                    );
-                })}
+                    )}
+                </div>
+
+                {archivedSessions.length > 0 && (
+                    <div className="chat-sidebar-section">
+                        <button
+                            className="chat-sidebar-label chat-sidebar-archived-toggle"
+                            onClick={() => setShowArchived(!showArchived)}
+                        >
+                            {showArchived ? <DownOutlined /> : <RightOutlined />}
+                            <span>Archived</span>
+                            <span className="chat-sidebar-folder-count">{archivedSessions.length}</span>
+                        </button>
+                        {showArchived && archivedSessions.map(renderSession)}
+                    </div>
+                )}
             </div>
         </div>
     );
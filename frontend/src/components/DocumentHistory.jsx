@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'react';
+import { Drawer, List, Select, Button, Popconfirm, Tag, Empty, Spin, message } from 'antd';
+import { HistoryOutlined, RollbackOutlined } from '@ant-design/icons';
+import authFetch from '../utils/authFetch';
+import { diffLines } from '../utils/diffLines';
+import './DocumentHistory.css';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+
+const describeVersion = (version) => {
+    const date = new Date(version.updatedAt || version.createdAt).toLocaleString();
+    return `${date} · ${version.authorName || 'Unknown'}`;
+};
+
+/**
+ * Drawer with a document's version history (GET /api/documents/:id/versions):
+ * a Markdown diff of the selected version against another one, and restoring it
+ * (POST /api/documents/:id/versions/:versionId/restore) for editors.
+ */
+function DocumentHistory({ open, onClose, documentId, canRestore, onRestored }) {
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+    const [compareId, setCompareId] = useState(null);
+    const [markdown, setMarkdown] = useState({}); // versionId → Markdown
+    const [restoring, setRestoring] = useState(false);
+
+    useEffect(() => {
+        if (!open || !documentId) return;
+        const fetchVersions = async () => {
+            setLoading(true);
+            try {
+                const res = await authFetch(`${API_BASE}/api/documents/${documentId}/versions`, {
+                    credentials: 'include',
+                });
+                if (!res.ok) throw new Error('Failed to load');
+                const data = await res.json();
+                setVersions(data.versions || []);
+                // Newest version, compared with the one before it
+                setSelectedId(data.versions?.[0]?._id || null);
+                setCompareId(data.versions?.[1]?._id || null);
+            } catch (err) {
+                console.error('Error loading versions:', err);
+                message.error('Failed to load version history');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchVersions();
+    }, [open, documentId]);
+
+    // Load the Markdown of the two versions being compared
+    useEffect(() => {
+        const missing = [selectedId, compareId].filter(id => id && markdown[id] === undefined);
+        if (missing.length === 0) return;
+
+        Promise.all(missing.map(async (versionId) => {
+            const res = await authFetch(`${API_BASE}/api/documents/${documentId}/versions/${versionId}`, {
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error('Failed to load version');
+            const data = await res.json();
+            return [versionId, data.markdown];
+        }))
+            .then(entries => setMarkdown(prev => ({ ...prev, ...Object.fromEntries(entries) })))
+            .catch(err => {
+                console.error('Error loading version:', err);
+                message.error('Failed to load version');
+            });
+    }, [documentId, selectedId, compareId, markdown]);
+
+    const handleSelect = (versionId) => {
+        setSelectedId(versionId);
+        const index = versions.findIndex(v => v._id === versionId);
+        setCompareId(versions[index + 1]?._id || null);
+    };
+
+    const handleRestore = async () => {
+        setRestoring(true);
+        try {
+            const res = await authFetch(`${API_BASE}/api/documents/${documentId}/versions/${selectedId}/restore`, {
+                method: 'POST',
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to restore version');
+
+            message.success('Version restored');
+            onRestored?.(data);
+            onClose();
+        } catch (err) {
+            message.error(err.message);
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    const selected = versions.find(v => v._id === selectedId);
+    const ready = selectedId && markdown[selectedId] !== undefined
+        && (!compareId || markdown[compareId] !== undefined);
+    const lines = ready ? diffLines(compareId ? markdown[compareId] : '', markdown[selectedId]) : [];
+
+    return (
+        <Drawer
+            title={<><HistoryOutlined /> Version history</>}
+            open={open}
+            onClose={onClose}
+            width={860}
+            destroyOnHidden
+        >
+            {!loading && versions.length === 0 ? (
+                <Empty description="No versions yet — they are recorded as the document is saved" />
+            ) : (
+                <div className="document-history">
+                    <List
+                        className="document-history-list"
+                        loading={loading}
+                        dataSource={versions}
+                        renderItem={(version, index) => (
+                            <List.Item
+                                className={version._id === selectedId ? 'selected' : ''}
+                                onClick={() => handleSelect(version._id)}
+                            >
+                                <List.Item.Meta
+                                    title={
+                                        <span>
+                                            {index === 0 ? 'Current version' : version.title || 'Untitled'}
+                                            {' '}
+                                            <Tag color={version.source === 'ai' ? 'purple' : 'blue'}>
+                                                {version.source === 'ai' ? 'AI' : 'User'}
+                                            </Tag>
+                                            {version.restoredFrom && <Tag>Restored</Tag>}
+                                        </span>
+                                    }
+                                    description={describeVersion(version)}
+                                />
+                            </List.Item>
+                        )}
+                    />
+
+                    {selected && (
+                        <div className="document-history-diff">
+                            <div className="document-history-diff-header">
+                                <Select
+                                    value={compareId}
+                                    onChange={setCompareId}
+                                    placeholder="Compare with…"
+                                    allowClear
+                                    style={{ flex: 1 }}
+                                    options={versions
+                                        .filter(v => v._id !== selectedId)
+                                        .map(v => ({ value: v._id, label: `Compare with ${describeVersion(v)}` }))}
+                                />
+                                {canRestore && selectedId !== versions[0]?._id && (
+                                    <Popconfirm
+                                        title="Restore this version? The current content is kept in the history."
+                                        onConfirm={handleRestore}
+                                    >
+                                        <Button type="primary" icon={<RollbackOutlined />} loading={restoring}>
+                                            Restore
+                                        </Button>
+                                    </Popconfirm>
+                                )}
+                            </div>
+                            {ready ? (
+                                <pre className="document-history-lines">
+                                    {lines.map((line, i) => (
+                                        <div key={i} className={`document-history-line ${line.type}`}>
+                                            <span className="document-history-line-marker">
+                                                {line.type === 'added' ? '+' : line.type === 'removed' ? '−' : ' '}
+                                            </span>
+                                            {line.text || ' '}
+                                        </div>
+                                    ))}
+                                </pre>
+                            ) : (
+                                <div className="document-history-loading"><Spin /></div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </Drawer>
+    );
+}
+
+export default DocumentHistory;
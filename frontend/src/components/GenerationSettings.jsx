@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { Popover, InputNumber, Select, Button } from 'antd';
+import { SlidersOutlined } from '@ant-design/icons';
+
+const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * Advanced-settings popover for sampling (temperature, top-p) and output limits
+ * (max output tokens, stop sequences). Empty fields fall back to the persona and
+ * model defaults, shown as placeholders. Calls onChange with the new settings on Apply.
+ */
+function GenerationSettings({ value, onChange, defaults, maxOutputTokens, disabled }) {
+    const [open, setOpen] = useState(false);
+    const [draft, setDraft] = useState({});
+
+    const handleOpenChange = (nextOpen) => {
+        if (nextOpen) setDraft(value || {});
+        setOpen(nextOpen);
+    };
+
+    const setField = (field, fieldValue) => {
+        setDraft(prev => ({ ...prev, [field]: fieldValue ?? null }));
+    };
+
+    const apply = (settings) => {
+        // Drop unset fields so the server keeps using the defaults for them
+        const cleaned = Object.fromEntries(Object.entries(settings).filter(([, v]) => (
+            v !== null && v !== undefined && !(Array.isArray(v) && v.length === 0)
+        )));
+        onChange(cleaned);
+        setOpen(false);
+    };
+
+    const placeholder = (field) => (defaults?.[field] !== undefined ? `Default ${defaults[field]}` : 'Model default');
+    const isCustomized = Object.keys(value || {}).length > 0;
+
+    const content = (
+        <div className="generation-settings">
+            <label>
+                Temperature
+                <InputNumber
+                    min={0}
+                    max={2}
+                    step={0.1}
+                    value={draft.temperature}
+                    onChange={(v) => setField('temperature', v)}
+                    placeholder={placeholder('temperature')}
+                />
+            </label>
+            <label>
+                Top P
+                <InputNumber
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    value={draft.topP}
+                    onChange={(v) => setField('topP', v)}
+                    placeholder={placeholder('topP')}
+                />
+            </label>
+            <label>
+                Max output tokens
+                <InputNumber
+                    min={1}
+                    max={maxOutputTokens || undefined}
+                    step={256}
+                    precision={0}
+                    value={draft.maxOutputTokens}
+                    onChange={(v) => setField('maxOutputTokens', v)}
+                    placeholder={maxOutputTokens ? `Up to ${maxOutputTokens}` : placeholder('maxOutputTokens')}
+                />
+            </label>
+            <label>
+                Stop sequences
+                <Select
+                    mode="tags"
+                    value={draft.stopSequences || []}
+                    onChange={(v) => setField('stopSequences', v.slice(0, MAX_STOP_SEQUENCES))}
+                    tokenSeparators={[',']}
+                    open={false}
+                    suffixIcon={null}
+                    placeholder={`Up to ${MAX_STOP_SEQUENCES}, press Enter to add`}
+                />
+            </label>
+            <div className="generation-settings-actions">
+                <Button size="small" onClick={() => apply({})}>Reset</Button>
+                <Button size="small" type="primary" onClick={() => apply(draft)}>Apply</Button>
+            </div>
+        </div>
+    );
+
+    return (
+        <Popover
+            content={content}
+            title="Advanced settings"
+            trigger="click"
+            open={open}
+            onOpenChange={handleOpenChange}
+            placement="topLeft"
+        >
+            <button
+                className={`chat-upload-btn ${isCustomized ? 'chat-settings-btn-active' : ''}`}
+                disabled={disabled}
+                title={isCustomized ? 'Advanced settings (customized)' : 'Advanced settings'}
+            >
+                <SlidersOutlined />
+            </button>
+        </Popover>
+    );
+}
+
+export default GenerationSettings;
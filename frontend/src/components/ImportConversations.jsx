@@ -0,0 +1,142 @@
+import { useState, useRef } from 'react';
+import { Progress } from 'antd';
+import { ImportOutlined, CloseOutlined, CheckCircleFilled, MinusCircleFilled, CloseCircleFilled } from '@ant-design/icons';
+import authFetch from '../utils/authFetch';
+import readEvents from '../utils/readEvents';
+import './ImportConversations.css';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+
+const SOURCE_LABELS = { chatgpt: 'ChatGPT', dragon: 'Dragon' };
+
+const STATUS_ICONS = {
+    imported: <CheckCircleFilled className="import-status imported" />,
+    skipped: <MinusCircleFilled className="import-status skipped" />,
+    failed: <CloseCircleFilled className="import-status failed" />,
+};
+
+/**
+ * Sidebar entry to import a ChatGPT conversations.json or Dragon JSON export
+ * (POST /api/sessions/import). The server streams one result per conversation,
+ * shown as a progress bar and, once done, a list of what was skipped or failed.
+ */
+function ImportConversations({ onImported }) {
+    const [state, setState] = useState(null); // null = idle, else { phase, source, total, results, summary, error }
+    const fileInputRef = useRef(null);
+
+    const isRunning = state?.phase === 'uploading' || state?.phase === 'importing';
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setState({ phase: 'uploading', fileName: file.name, total: 0, results: [] });
+        const formData = new FormData();
+        formData.append('file', file);
+
+        try {
+            const res = await authFetch(`${API_BASE}/api/sessions/import`, {
+                method: 'POST',
+                credentials: 'include',
+                body: formData,
+            });
+            if (!res.ok) {
+                const data = await res.json().catch(() => ({}));
+                throw new Error(data.error || 'Import failed');
+            }
+
+            let imported = 0;
+            await readEvents(res, (data) => {
+                const event = JSON.parse(data);
+                if (event.total !== undefined) {
+                    setState(prev => ({ ...prev, phase: 'importing', source: event.source, total: event.total }));
+                } else if (event.result) {
+                    if (event.result.status === 'imported') imported++;
+                    setState(prev => ({ ...prev, results: [...prev.results, event.result] }));
+                } else if (event.done) {
+                    setState(prev => ({ ...prev, phase: 'done', summary: event }));
+                }
+            });
+
+            setState(prev => (prev.phase === 'done' ? prev : { ...prev, phase: 'error', error: 'Import was interrupted' }));
+            if (imported > 0) onImported?.();
+        } catch (err) {
+            setState(prev => ({ ...prev, phase: 'error', error: err.message }));
+        }
+    };
+
+    const processed = state?.results.length || 0;
+    const percent = state?.total ? Math.round((processed / state.total) * 100) : 0;
+    const problems = state?.results.filter(r => r.status !== 'imported') || [];
+
+    return (
+        <div className="import-conversations">
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleFile}
+                hidden
+            />
+            {!state ? (
+                <button
+                    className="import-conversations-btn"
+                    onClick={() => fileInputRef.current?.click()}
+                    title="Import a ChatGPT conversations.json or Dragon JSON export"
+                >
+                    <ImportOutlined />
+                    <span>Import chats</span>
+                </button>
+            ) : (
+                <div className="import-conversations-panel">
+                    <div className="import-conversations-header">
+                        <span className="import-conversations-title">
+                            {state.phase === 'uploading' && `Uploading ${state.fileName}...`}
+                            {state.phase === 'importing' && `Importing from ${SOURCE_LABELS[state.source] || state.source}: ${processed} of ${state.total}`}
+                            {state.phase === 'done' && 'Import finished'}
+                            {state.phase === 'error' && 'Import failed'}
+                        </span>
+                        {!isRunning && (
+                            <button className="import-conversations-close" onClick={() => setState(null)} title="Close">
+                                <CloseOutlined />
+                            </button>
+                        )}
+                    </div>
+
+                    {isRunning && (
+                        <Progress
+                            percent={percent}
+                            size="small"
+                            status="active"
+                            showInfo={state.phase === 'importing'}
+                        />
+                    )}
+
+                    {state.phase === 'done' && (
+                        <div className="import-conversations-summary">
+                            {state.summary.imported} imported
+                            {state.summary.skipped > 0 && `, ${state.summary.skipped} skipped`}
+                            {state.summary.failed > 0 && `, ${state.summary.failed} failed`}
+                        </div>
+                    )}
+                    {state.error && <div className="import-conversations-error">{state.error}</div>}
+
+                    {!isRunning && problems.length > 0 && (
+                        <ul className="import-conversations-results">
+                            {problems.map(result => (
+                                <li key={result.index} title={result.error}>
+                                    {STATUS_ICONS[result.status]}
+                                    <span className="import-conversations-result-title">{result.title}</span>
+                                    <span className="import-conversations-result-reason">{result.error}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ImportConversations;
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { Modal, Form, Input, InputNumber, Select, Button, List, Popconfirm, message } from 'antd';
+import { EditOutlined, DeleteOutlined, PlusOutlined } from '@ant-design/icons';
+import authFetch from '../utils/authFetch';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+
+/**
+ * Modal to create, edit and delete personas (name, system prompt, default model, temperature).
+ * Calls onChange with the updated persona list after every change.
+ */
+function PersonaManager({ open, onClose, personas, onChange, modelOptions }) {
+    const [form] = Form.useForm();
+    const [editingId, setEditingId] = useState(null); // null = list, 'new' = create form
+    const [saving, setSaving] = useState(false);
+
+    const startEdit = (persona) => {
+        setEditingId(persona?.id || 'new');
+        form.setFieldsValue({
+            name: persona?.name || '',
+            systemPrompt: persona?.systemPrompt || '',
+            model: persona?.model || undefined,
+            temperature: persona?.temperature ?? null,
+        });
+    };
+
+    const handleSave = async () => {
+        const values = await form.validateFields();
+        const body = { ...values, model: values.model || '', temperature: values.temperature ?? null };
+        const isNew = editingId === 'new';
+
+        setSaving(true);
+        try {
+            const res = await authFetch(`${API_BASE}/api/personas${isNew ? '' : `/${editingId}`}`, {
+                method: isNew ? 'POST' : 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(body),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save persona');
+
+            onChange(isNew ? [...personas, data] : personas.map(p => (p.id === data.id ? data : p)));
+            setEditingId(null);
+        } catch (err) {
+            message.error(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/personas/${id}`, {
+                method: 'DELETE',
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error('Failed to delete persona');
+            onChange(personas.filter(p => p.id !== id));
+        } catch (err) {
+            message.error(err.message);
+        }
+    };
+
+    const handleClose = () => {
+        setEditingId(null);
+        onClose();
+    };
+
+    return (
+        <Modal
+            title="Personas"
+            open={open}
+            onCancel={handleClose}
+            footer={editingId ? [
+                <Button key="back" onClick={() => setEditingId(null)}>Back</Button>,
+                <Button key="save" type="primary" loading={saving} onClick={handleSave}>Save</Button>,
+            ] : [
+                <Button key="new" icon={<PlusOutlined />} onClick={() => startEdit(null)}>New persona</Button>,
+            ]}
+            destroyOnHidden
+        >
+            {editingId ? (
+                <Form form={form} layout="vertical">
+                    <Form.Item name="name" label="Name" rules={[{ required: true, whitespace: true, max: 100 }]}>
+                        <Input placeholder="Code reviewer" />
+                    </Form.Item>
+                    <Form.Item name="systemPrompt" label="System prompt" rules={[{ required: true, whitespace: true }]}>
+                        <Input.TextArea rows={6} placeholder="You are a strict code reviewer. Point out bugs first..." />
+                    </Form.Item>
+                    <Form.Item name="model" label="Default model">
+                        <Select options={modelOptions} allowClear placeholder="Keep the selected model" />
+                    </Form.Item>
+                    <Form.Item name="temperature" label="Temperature">
+                        <InputNumber min={0} max={2} step={0.1} placeholder="Model default" style={{ width: '100%' }} />
+                    </Form.Item>
+                </Form>
+            ) : (
+                <List
+                    dataSource={personas}
+                    locale={{ emptyText: 'No personas yet' }}
+                    renderItem={(persona) => (
+                        <List.Item
+                            actions={[
+                                <Button key="edit" type="text" icon={<EditOutlined />} onClick={() => startEdit(persona)} />,
+                                <Popconfirm key="delete" title="Delete this persona?" onConfirm={() => handleDelete(persona.id)}>
+                                    <Button type="text" danger icon={<DeleteOutlined />} />
+                                </Popconfirm>,
+                            ]}
+                        >
+                            <List.Item.Meta
+                                title={persona.name}
+                                description={persona.systemPrompt.length > 120
+                                    ? `${persona.systemPrompt.slice(0, 120)}…`
+                                    : persona.systemPrompt}
+                            />
+                        </List.Item>
+                    )}
+                />
+            )}
+        </Modal>
+    );
+}
+
+export default PersonaManager;
@@ -2,6 +2,8 @@ import { useState, useCallback, useEffect } from 'react';
 import BlockNoteEditor from './BlockNoteEditor';
 import { markdownToBlockNote } from '../utils/markdownToBlockNote';
 import authFetch from '../utils/authFetch';
+import { useAuth } from '../contexts/AuthContext';
+import { joinCollabSession } from '../utils/collab';
 import './plan-editor-view.css';
 
 const API_BASE = import.meta.env.VITE_API_URL;
@@ -17,6 +19,7 @@ const API_BASE = import.meta.env.VITE_API_URL;
  * @param {Function} props.onClose - Close preview callback
  */
 function PlanEditorView({ markdown, documentId, isGenerating, status, onClose }) {
+    const { user } = useAuth();
     const [blocks, setBlocks] = useState([]);
     const [editable, setEditable] = useState(false);
     const [saveStatus, setSaveStatus] = useState(''); // '', 'Saving...', 'Saved', 'Save failed'
@@ -24,6 +27,9 @@ function PlanEditorView({ markdown, documentId, isGenerating, status, onClose })
     // Convert markdown to BlockNote blocks whenever markdown changes
     // Use a key to force BlockNoteEditor re-mount when loading existing plan (not during streaming)
     const [editorKey, setEditorKey] = useState(0);
+    const [collab, setCollab] = useState(null);
+    // Autosaves while the panel is open are collected in one version
+    const [editSession] = useState(() => crypto.randomUUID());
 
     useEffect(() => {
         if (markdown) {
@@ -53,6 +59,34 @@ function PlanEditorView({ markdown, documentId, isGenerating, status, onClose })
         }
     }, [isGenerating, documentId]);
 
+    // Once generated, edit the plan in the document's collaborative session, so it
+    // stays in sync with the document editor open elsewhere
+    const reloadDocument = useCallback(async () => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/documents/${documentId}`, {
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error('Failed to load document');
+            const data = await res.json();
+            setBlocks(data.content);
+            setEditorKey(prev => prev + 1);
+        } catch (err) {
+            console.error('[PlanEditorView] Reload error:', err);
+        }
+    }, [documentId]);
+
+    useEffect(() => {
+        if (!editable) return;
+
+        const session = joinCollabSession(documentId, { user, onEnded: reloadDocument });
+        setCollab(session);
+
+        return () => {
+            session.destroy();
+            setCollab(null);
+        };
+    }, [editable, editorKey, documentId, user, reloadDocument]);
+
     // Autosave handler
     const handleSave = useCallback(async (updatedBlocks) => {
         if (!documentId) {
@@ -66,12 +100,20 @@ function PlanEditorView({ markdown, documentId, isGenerating, status, onClose })
                 method: 'PATCH',
                 credentials: 'include',
                 headers: { 'Content-Type': 'application/json' },
+                // Snapshot of the shared document — keeps the collaborative state
                 body: JSON.stringify({
-                    content: JSON.stringify(updatedBlocks),
+                    content: updatedBlocks,
                     contentType: 'blocknote',
+                    collab: Boolean(collab),
+                    editSession,
                 }),
             });
 
+            // The content was replaced meanwhile — the session ends and the plan reloads
+            if (res.status === 409) {
+                setSaveStatus('');
+                return;
+            }
             if (!res.ok) {
                 const err = await res.json();
                 throw new Error(err.error || 'Save failed');
@@ -84,7 +126,7 @@ function PlanEditorView({ markdown, documentId, isGenerating, status, onClose })
             setSaveStatus('Save failed');
             setTimeout(() => setSaveStatus(''), 3000);
         }
-    }, [documentId]);
+    }, [documentId, collab, editSession]);
 
     return (
         <div className="plan-editor-view">
@@ -132,11 +174,12 @@ function PlanEditorView({ markdown, documentId, isGenerating, status, onClose })
             <div className="plan-editor-content">
                 {blocks.length > 0 ? (
                     <BlockNoteEditor
-                        key={editorKey}
+                        key={`${editorKey}-${collab ? 'collab' : 'local'}`}
                         initialContent={blocks}
                         documentId={documentId}
                         editable={editable}
                         onSave={handleSave}
+                        collab={collab}
                     />
                 ) : (
                     <div className="plan-editor-loading">
@@ -0,0 +1,152 @@
+import { useState, useEffect, useRef } from 'react';
+import { Modal, Input } from 'antd';
+import { SearchOutlined, MessageOutlined, FileTextOutlined, LoadingOutlined } from '@ant-design/icons';
+import { useNavigate } from 'react-router-dom';
+import authFetch from '../utils/authFetch';
+import './SearchDialog.css';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+const SEARCH_DELAY_MS = 250;
+
+// Text with the [start, end) ranges wrapped in <mark>
+function Highlighted({ text, highlights }) {
+    if (!highlights?.length) return text;
+
+    const parts = [];
+    let last = 0;
+    highlights.forEach(([start, end], i) => {
+        if (start > last) parts.push(text.slice(last, start));
+        parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+        last = end;
+    });
+    parts.push(text.slice(last));
+    return parts;
+}
+
+/**
+ * Search across chats and documents (GET /api/search). Results link to the
+ * exact message or block; ↑/↓ select, Enter opens.
+ */
+function SearchDialog({ open, onClose }) {
+    const navigate = useNavigate();
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const inputRef = useRef(null);
+
+    // Debounced search; a newer query aborts the previous request
+    useEffect(() => {
+        const q = query.trim();
+        if (!q) {
+            setResults([]);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        const controller = new AbortController();
+        setLoading(true);
+        const timer = setTimeout(async () => {
+            try {
+                const res = await authFetch(`${API_BASE}/api/search?q=${encodeURIComponent(q)}`, {
+                    credentials: 'include',
+                    signal: controller.signal,
+                });
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Search failed');
+                setResults(data.results || []);
+                setActiveIndex(0);
+                setError(null);
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                setResults([]);
+                setError(err.message);
+            }
+            setLoading(false);
+        }, SEARCH_DELAY_MS);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [query]);
+
+    const openResult = (result) => {
+        onClose();
+        navigate(result.link);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(i => Math.min(i + 1, results.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(i => Math.max(i - 1, 0));
+        } else if (e.key === 'Enter' && results[activeIndex]) {
+            e.preventDefault();
+            openResult(results[activeIndex]);
+        }
+    };
+
+    return (
+        <Modal
+            open={open}
+            onCancel={onClose}
+            footer={null}
+            closable={false}
+            width={600}
+            className="search-dialog"
+            afterOpenChange={(isOpen) => {
+                if (isOpen) inputRef.current?.focus({ cursor: 'all' });
+            }}
+        >
+            <Input
+                ref={inputRef}
+                size="large"
+                placeholder="Search chats and documents..."
+                prefix={loading ? <LoadingOutlined /> : <SearchOutlined />}
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={handleKeyDown}
+                allowClear
+            />
+
+            <div className="search-dialog-results">
+                {error && <div className="search-dialog-empty">{error}</div>}
+                {!error && !loading && query.trim() && results.length === 0 && (
+                    <div className="search-dialog-empty">No results for “{query.trim()}”</div>
+                )}
+                {results.map((result, i) => (
+                    <button
+                        key={`${result.type}-${result.id}`}
+                        className={`search-dialog-result ${i === activeIndex ? 'active' : ''}`}
+                        onClick={() => openResult(result)}
+                        onMouseEnter={() => setActiveIndex(i)}
+                    >
+                        <span className="search-dialog-result-icon">
+                            {result.type === 'session' ? <MessageOutlined /> : <FileTextOutlined />}
+                        </span>
+                        <span className="search-dialog-result-body">
+                            <span className="search-dialog-result-title">
+                                <Highlighted text={result.title} highlights={result.titleHighlights} />
+                            </span>
+                            {result.snippet && (
+                                <span className="search-dialog-result-snippet">
+                                    <Highlighted text={result.snippet.text} highlights={result.snippet.highlights} />
+                                </span>
+                            )}
+                        </span>
+                        <span className="search-dialog-result-type">
+                            {result.type === 'session' ? 'Chat' : result.documentType}
+                        </span>
+                    </button>
+                ))}
+            </div>
+        </Modal>
+    );
+}
+
+export default SearchDialog;
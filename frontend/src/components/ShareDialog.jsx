@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import { Modal, Select, Checkbox, Button, List, Popconfirm, message } from 'antd';
+import { LinkOutlined, CopyOutlined, StopOutlined } from '@ant-design/icons';
+import authFetch from '../utils/authFetch';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+
+const EXPIRY_OPTIONS = [
+    { value: 0, label: 'Never expires' },
+    { value: 1, label: 'Expires in 1 day' },
+    { value: 7, label: 'Expires in 7 days' },
+    { value: 30, label: 'Expires in 30 days' },
+];
+
+const describeShare = (share) => {
+    const parts = [`Created ${new Date(share.createdAt).toLocaleDateString()}`];
+    parts.push(share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleDateString()}` : 'never expires');
+    if (share.includeAttachments) parts.push('with attachments');
+    return parts.join(' · ');
+};
+
+/**
+ * Modal to create, copy and revoke read-only links to a session
+ * (POST/GET/DELETE /api/sessions/:id/share). A link shows the conversation
+ * as it is when the link is created; later messages are not shared.
+ */
+function ShareDialog({ open, onClose, sessionId }) {
+    const [shares, setShares] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [creating, setCreating] = useState(false);
+    const [expiresInDays, setExpiresInDays] = useState(0);
+    const [includeAttachments, setIncludeAttachments] = useState(false);
+
+    useEffect(() => {
+        if (!open || !sessionId) return;
+        const fetchShares = async () => {
+            setLoading(true);
+            try {
+                const res = await authFetch(`${API_BASE}/api/sessions/${sessionId}/share`, {
+                    credentials: 'include',
+                });
+                if (!res.ok) throw new Error('Failed to load');
+                const data = await res.json();
+                setShares(data.shares || []);
+            } catch (err) {
+                console.error('Error loading share links:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchShares();
+    }, [open, sessionId]);
+
+    const linkFor = (share) => `${window.location.origin}${share.path}`;
+
+    const copyLink = async (share) => {
+        try {
+            await navigator.clipboard.writeText(linkFor(share));
+            message.success('Link copied');
+        } catch {
+            message.error('Could not copy the link');
+        }
+    };
+
+    const handleCreate = async () => {
+        setCreating(true);
+        try {
+            const res = await authFetch(`${API_BASE}/api/sessions/${sessionId}/share`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ expiresInDays: expiresInDays || undefined, includeAttachments }),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to create link');
+
+            setShares(prev => [data, ...prev]);
+            copyLink(data);
+        } catch (err) {
+            message.error(err.message);
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleRevoke = async (id) => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/sessions/${sessionId}/share/${id}`, {
+                method: 'DELETE',
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error('Failed to revoke link');
+            setShares(prev => prev.filter(s => s.id !== id));
+        } catch (err) {
+            message.error(err.message);
+        }
+    };
+
+    return (
+        <Modal
+            title="Share chat"
+            open={open}
+            onCancel={onClose}
+            footer={null}
+            destroyOnHidden
+        >
+            <p style={{ color: 'rgba(255, 255, 255, 0.55)', marginBottom: 12 }}>
+                Anyone with the link can read this conversation as it is now. Messages sent later are not shared.
+            </p>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap', marginBottom: 16 }}>
+                <Select
+                    value={expiresInDays}
+                    onChange={setExpiresInDays}
+                    options={EXPIRY_OPTIONS}
+                    style={{ width: 180 }}
+                />
+                <Checkbox checked={includeAttachments} onChange={(e) => setIncludeAttachments(e.target.checked)}>
+                    Include attachments
+                </Checkbox>
+                <Button type="primary" icon={<LinkOutlined />} loading={creating} onClick={handleCreate}>
+                    Create link
+                </Button>
+            </div>
+            <List
+                loading={loading}
+                dataSource={shares}
+                locale={{ emptyText: 'No active links' }}
+                renderItem={(share) => (
+                    <List.Item
+                        actions={[
+                            <Button key="copy" type="text" icon={<CopyOutlined />} onClick={() => copyLink(share)} title="Copy link" />,
+                            <Popconfirm key="revoke" title="Revoke this link? It will stop working." onConfirm={() => handleRevoke(share.id)}>
+                                <Button type="text" danger icon={<StopOutlined />} title="Revoke" />
+                            </Popconfirm>,
+                        ]}
+                    >
+                        <List.Item.Meta
+                            title={<span style={{ wordBreak: 'break-all' }}>{linkFor(share)}</span>}
+                            description={describeShare(share)}
+                        />
+                    </List.Item>
+                )}
+            />
+        </Modal>
+    );
+}
+
+export default ShareDialog;
@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'react';
+import { Modal, Input, Select, Button, List, Popconfirm, Space, message } from 'antd';
+import { UserAddOutlined, DeleteOutlined } from '@ant-design/icons';
+import authFetch from '../utils/authFetch';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+
+const ROLE_OPTIONS = [
+    { value: 'owner', label: 'Owner' },
+    { value: 'editor', label: 'Editor' },
+    { value: 'viewer', label: 'Viewer' },
+];
+
+/**
+ * Modal to create a workspace (workspaceId null) or manage one: rename it,
+ * add members by email, change their roles and remove them (owners), or leave it.
+ * Calls onChange after every change, with { left: true } after leaving or deleting.
+ */
+function WorkspaceManager({ open, onClose, workspaceId, onChange, onCreated }) {
+    const [workspace, setWorkspace] = useState(null);
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('editor');
+    const [saving, setSaving] = useState(false);
+
+    const isOwner = workspace?.role === 'owner';
+
+    useEffect(() => {
+        if (!open) return;
+        setEmail('');
+        if (!workspaceId) {
+            setWorkspace(null);
+            setName('');
+            return;
+        }
+        const fetchWorkspace = async () => {
+            try {
+                const res = await authFetch(`${API_BASE}/api/workspaces/${workspaceId}`, {
+                    credentials: 'include',
+                });
+                if (!res.ok) throw new Error('Failed to load');
+                const data = await res.json();
+                setWorkspace(data);
+                setName(data.name);
+            } catch (err) {
+                console.error('Error loading workspace:', err);
+            }
+        };
+        fetchWorkspace();
+    }, [open, workspaceId]);
+
+    // Runs a request; returns the JSON body, or null after showing the error
+    const send = async (path, method, body) => {
+        setSaving(true);
+        try {
+            const res = await authFetch(`${API_BASE}/api/workspaces${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: body ? JSON.stringify(body) : undefined,
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Request failed');
+            return data;
+        } catch (err) {
+            message.error(err.message);
+            return null;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCreate = async () => {
+        const data = await send('', 'POST', { name });
+        if (data) onCreated(data);
+    };
+
+    const handleRename = async () => {
+        const data = await send(`/${workspaceId}`, 'PATCH', { name });
+        if (data) {
+            setWorkspace(prev => ({ ...prev, name: data.name }));
+            onChange();
+        }
+    };
+
+    const handleAddMember = async () => {
+        const data = await send(`/${workspaceId}/members`, 'POST', { email, role });
+        if (data) {
+            setWorkspace(prev => ({ ...prev, members: data.members }));
+            setEmail('');
+            onChange();
+        }
+    };
+
+    const handleRoleChange = async (userId, newRole) => {
+        const data = await send(`/${workspaceId}/members/${encodeURIComponent(userId)}`, 'PATCH', { role: newRole });
+        if (!data) return;
+        // Owners can hand over ownership and step down themselves
+        const ownRole = data.members.find(m => m.isCurrentUser)?.role;
+        setWorkspace(prev => ({ ...prev, members: data.members, role: ownRole || prev.role }));
+        onChange();
+    };
+
+    const handleRemove = async (member) => {
+        const data = await send(`/${workspaceId}/members/${encodeURIComponent(member.userId)}`, 'DELETE');
+        if (!data) return;
+        if (member.isCurrentUser) {
+            onChange({ left: true });
+            return;
+        }
+        setWorkspace(prev => ({ ...prev, members: prev.members.filter(m => m.userId !== member.userId) }));
+        onChange();
+    };
+
+    const handleDelete = async () => {
+        const data = await send(`/${workspaceId}`, 'DELETE');
+        if (data) onChange({ left: true });
+    };
+
+    if (!workspaceId) {
+        return (
+            <Modal
+                title="New workspace"
+                open={open}
+                onCancel={onClose}
+                onOk={handleCreate}
+                okText="Create"
+                okButtonProps={{ disabled: !name.trim(), loading: saving }}
+                destroyOnHidden
+            >
+                <Input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onPressEnter={() => name.trim() && handleCreate()}
+                    placeholder="Team name"
+                    maxLength={100}
+                    autoFocus
+                />
+            </Modal>
+        );
+    }
+
+    return (
+        <Modal
+            title={workspace?.name || 'Workspace'}
+            open={open}
+            onCancel={onClose}
+            footer={workspace && [
+                isOwner ? (
+                    <Popconfirm key="delete" title="Delete this workspace?" onConfirm={handleDelete}>
+                        <Button danger>Delete workspace</Button>
+                    </Popconfirm>
+                ) : (
+                    <Popconfirm key="leave" title="Leave this workspace?" onConfirm={() => handleRemove(workspace.members.find(m => m.isCurrentUser))}>
+                        <Button danger>Leave workspace</Button>
+                    </Popconfirm>
+                ),
+                <Button key="close" onClick={onClose}>Close</Button>,
+            ]}
+            destroyOnHidden
+        >
+            {isOwner && (
+                <Space.Compact style={{ width: '100%', marginBottom: 16 }}>
+                    <Input value={name} onChange={(e) => setName(e.target.value)} maxLength={100} />
+                    <Button onClick={handleRename} disabled={!name.trim() || name.trim() === workspace.name} loading={saving}>
+                        Rename
+                    </Button>
+                </Space.Compact>
+            )}
+            {isOwner && (
+                <Space.Compact style={{ width: '100%', marginBottom: 16 }}>
+                    <Input
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        onPressEnter={() => email.trim() && handleAddMember()}
+                        placeholder="Email of a registered user"
+                    />
+                    <Select value={role} onChange={setRole} options={ROLE_OPTIONS} style={{ width: 110 }} />
+                    <Button type="primary" icon={<UserAddOutlined />} onClick={handleAddMember} disabled={!email.trim()} loading={saving}>
+                        Add
+                    </Button>
+                </Space.Compact>
+            )}
+            <List
+                loading={!workspace}
+                dataSource={workspace?.members || []}
+                renderItem={(member) => (
+                    <List.Item
+                        actions={isOwner ? [
+                            <Select
+                                key="role"
+                                size="small"
+                                value={member.role}
+                                onChange={(newRole) => handleRoleChange(member.userId, newRole)}
+                                options={ROLE_OPTIONS}
+                                style={{ width: 100 }}
+                            />,
+                            <Popconfirm key="remove" title="Remove this member?" onConfirm={() => handleRemove(member)}>
+                                <Button type="text" danger icon={<DeleteOutlined />} />
+                            </Popconfirm>,
+                        ] : [<span key="role">{member.role}</span>]}
+                    >
+                        <List.Item.Meta
+                            title={member.displayName || member.email || member.userId}
+                            description={member.displayName ? member.email : null}
+                        />
+                    </List.Item>
+                )}
+            />
+        </Modal>
+    );
+}
+
+export default WorkspaceManager;
@@ -0,0 +1,102 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dropdown } from 'antd';
+import { UserOutlined, TeamOutlined, DownOutlined, PlusOutlined, SettingOutlined, CheckOutlined } from '@ant-design/icons';
+import WorkspaceManager from './WorkspaceManager';
+import authFetch from '../utils/authFetch';
+import './WorkspaceSwitcher.css';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+
+/**
+ * Sidebar dropdown to switch between the personal space (activeId null) and the
+ * workspaces the user belongs to, and to create or manage workspaces.
+ */
+function WorkspaceSwitcher({ activeId, onChange }) {
+    const [workspaces, setWorkspaces] = useState([]);
+    const [manager, setManager] = useState(null); // null = closed, 'new', or a workspace ID
+
+    const fetchWorkspaces = useCallback(async () => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/workspaces`, {
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error('Failed to load');
+            const data = await res.json();
+            setWorkspaces(data.workspaces || []);
+            return data.workspaces || [];
+        } catch (err) {
+            console.error('Error loading workspaces:', err);
+            return null;
+        }
+    }, []);
+
+    // Fall back to the personal space when the active workspace is gone (removed, deleted)
+    useEffect(() => {
+        fetchWorkspaces().then(list => {
+            if (list && activeId && !list.some(w => w.id === activeId)) onChange(null);
+        });
+    }, [fetchWorkspaces, activeId, onChange]);
+
+    const active = workspaces.find(w => w.id === activeId);
+
+    const items = [
+        {
+            key: 'personal',
+            icon: <UserOutlined />,
+            label: 'Personal',
+            extra: !activeId && <CheckOutlined />,
+        },
+        ...workspaces.map(w => ({
+            key: w.id,
+            icon: <TeamOutlined />,
+            label: w.name,
+            extra: w.id === activeId ? <CheckOutlined /> : <span className="workspace-switcher-role">{w.role}</span>,
+        })),
+        { type: 'divider' },
+        { key: 'new', icon: <PlusOutlined />, label: 'New workspace' },
+        ...(activeId ? [{ key: 'manage', icon: <SettingOutlined />, label: 'Manage workspace' }] : []),
+    ];
+
+    const handleClick = ({ key }) => {
+        if (key === 'new') {
+            setManager('new');
+        } else if (key === 'manage') {
+            setManager(activeId);
+        } else {
+            onChange(key === 'personal' ? null : key);
+        }
+    };
+
+    const handleManagerChange = ({ left } = {}) => {
+        fetchWorkspaces();
+        if (left) {
+            setManager(null);
+            onChange(null);
+        }
+    };
+
+    return (
+        <div className="workspace-switcher">
+            <Dropdown menu={{ items, onClick: handleClick }} trigger={['click']}>
+                <button className="workspace-switcher-btn">
+                    {active ? <TeamOutlined /> : <UserOutlined />}
+                    <span className="workspace-switcher-name">{active ? active.name : 'Personal'}</span>
+                    <DownOutlined className="workspace-switcher-caret" />
+                </button>
+            </Dropdown>
+            <WorkspaceManager
+                open={manager !== null}
+                onClose={() => setManager(null)}
+                workspaceId={manager === 'new' ? null : manager}
+                onChange={handleManagerChange}
+                onCreated={(workspace) => {
+                    setManager(null);
+                    fetchWorkspaces();
+                    onChange(workspace.id);
+                }}
+            />
+        </div>
+    );
+}
+
+export default WorkspaceSwitcher;
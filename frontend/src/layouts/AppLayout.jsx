@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Layout, Avatar, Dropdown } from 'antd';
 import {
     MessageOutlined,
@@ -11,22 +11,35 @@ import {
     LogoutOutlined,
     UserOutlined,
     PlusOutlined,
+    SearchOutlined,
+    DeleteOutlined,
 } from '@ant-design/icons';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import ChatSidebar from '../components/ChatSidebar';
+import SearchDialog from '../components/SearchDialog';
+import ImportConversations from '../components/ImportConversations';
+import WorkspaceSwitcher from '../components/WorkspaceSwitcher';
+import { getActiveWorkspaceId, setActiveWorkspaceId } from '../utils/workspace';
 import './AppLayout.css';
 
 const { Sider, Content } = Layout;
 
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const SEARCH_SHORTCUT_LABEL = isMac ? '⌘K' : 'Ctrl K';
+
 const navItems = [
     { key: '/documents', icon: <FileTextOutlined />, label: 'Documents' },
     { key: '/workflows', icon: <ApartmentOutlined />, label: 'Workflows' },
     { key: '/projects', icon: <ProjectOutlined />, label: 'Projects' },
+    { key: '/trash', icon: <DeleteOutlined />, label: 'Trash' },
 ];
 
 function AppLayout({ children }) {
     const [collapsed, setCollapsed] = useState(false);
+    const [isSearchOpen, setIsSearchOpen] = useState(false);
+    const [sessionsVersion, setSessionsVersion] = useState(0); // bumped to reload the chat list
+    const [workspaceId, setWorkspaceId] = useState(getActiveWorkspaceId);
     const navigate = useNavigate();
     const location = useLocation();
     const { user, logout } = useAuth();
@@ -38,8 +51,29 @@ function AppLayout({ children }) {
 
     const selectedKey = isChatPage ? '/' : location.pathname;
 
+    // Ctrl+K / ⌘K opens search from anywhere, including inside editors
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                setIsSearchOpen(true);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    // Pages and the chat list remount (key below) and reload in the new workspace
+    const handleWorkspaceChange = useCallback((id) => {
+        if (id === getActiveWorkspaceId()) return;
+        setActiveWorkspaceId(id);
+        setWorkspaceId(id);
+        navigate('/');
+    }, [navigate]);
+
     const handleLogout = async () => {
         await logout();
+        setActiveWorkspaceId(null);
         navigate('/login');
     };
 
@@ -83,6 +117,8 @@ function AppLayout({ children }) {
                     <span className="sidebar-logo-text">Dragon Template</span>
                 </div>
 
+                <WorkspaceSwitcher activeId={workspaceId} onChange={handleWorkspaceChange} />
+
                 {/* New Chat Button */}
                 <div className="sidebar-new-chat-wrapper">
                     <button className="sidebar-new-chat-btn" onClick={() => navigate('/')}>
@@ -93,6 +129,15 @@ function AppLayout({ children }) {
                     </button>
                 </div>
 
+                {/* Search */}
+                <div className="sidebar-search-wrapper">
+                    <button className="sidebar-search-btn" onClick={() => setIsSearchOpen(true)}>
+                        <SearchOutlined />
+                        <span className="sidebar-search-label">Search</span>
+                        <kbd className="sidebar-search-shortcut">{SEARCH_SHORTCUT_LABEL}</kbd>
+                    </button>
+                </div>
+
                 {/* Navigation */}
                 <nav className="sidebar-nav">
                     {navItems.map(item => (
@@ -107,8 +152,14 @@ function AppLayout({ children }) {
                     ))}
                 </nav>
 
+                <ImportConversations onImported={() => setSessionsVersion(v => v + 1)} />
+
                 {/* Chat list - always visible */}
-                <ChatSidebar currentSessionId={currentSessionId} />
+                <ChatSidebar
+                    key={workspaceId || 'personal'}
+                    currentSessionId={currentSessionId}
+                    refreshKey={sessionsVersion}
+                />
 
                 {/* Bottom: User profile */}
                 <div className="sidebar-footer">
@@ -136,10 +187,12 @@ function AppLayout({ children }) {
                     </button>
                 </div>
 
-                <Content className="app-content">
+                <Content className="app-content" key={workspaceId || 'personal'}>
                     {children}
                 </Content>
             </Layout>
+
+            <SearchDialog open={isSearchOpen} onClose={() => setIsSearchOpen(false)} />
         </Layout>
     );
 }
@@ -1,40 +1,86 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { Select } from 'antd';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { Select, Dropdown, Button, message } from 'antd';
+import { DownloadOutlined, ShareAltOutlined } from '@ant-design/icons';
 import ChatMessage from '../components/ChatMessage';
 import ChatInput from '../components/ChatInput';
 import TypingIndicator from '../components/TypingIndicator';
 import PlanEditorView from '../components/PlanEditorView';
 import CommandSuggestions from '../components/CommandSuggestions';
+import PersonaManager from '../components/PersonaManager';
+import ShareDialog from '../components/ShareDialog';
 import authFetch from '../utils/authFetch';
+import readEvents from '../utils/readEvents';
+import { formatQuotaError } from '../utils/errorMessages';
 import './chat.css';
 
 const API_BASE = import.meta.env.VITE_API_URL;
 
+// Restore plan action state from message metadata
+const withPlanActions = (msgs) => msgs.map(m => (
+    m.metadata?.planAction && m.metadata?.documentId
+        ? { ...m, planAction: true, documentId: m.metadata.documentId }
+        : m
+));
+
+// Chat header Export menu (GET /api/sessions/:id/export?format=...)
+const EXPORT_ITEMS = [
+    { key: 'markdown', label: 'Markdown (.md)' },
+    { key: 'json', label: 'JSON (.json)' },
+    { key: 'pdf', label: 'PDF (.pdf)' },
+];
+
+// Persona picker entry that opens the persona manager instead of selecting
+const MANAGE_PERSONAS = '__manage__';
+
+// Reconnect attempts when the chat stream drops mid-answer (the server keeps generating)
+const MAX_RESUME_ATTEMPTS = 3;
+const RESUME_DELAY_MS = 1000;
+
+// Branch info for a new sibling of `original` (edit / regenerate), so "< 2/2 >" shows without a reload
+const addSibling = (original, newId) => {
+    const siblingIds = [...(original?.siblingIds || (original?.id ? [original.id] : [])), newId];
+    return { siblingIds, branchCount: siblingIds.length, branchIndex: siblingIds.length - 1 };
+};
+
 function ChatPage() {
     const { sessionId: urlSessionId } = useParams();
     const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const targetMessageId = searchParams.get('message'); // set by search results
 
     const [messages, setMessages] = useState([]);
     const [isStreaming, setIsStreaming] = useState(false);
     const [providers, setProviders] = useState([]);
     const [selectedModel, setSelectedModel] = useState('');
+    const [personas, setPersonas] = useState([]);
+    const [selectedPersonaId, setSelectedPersonaId] = useState(null);
+    const [isPersonaManagerOpen, setIsPersonaManagerOpen] = useState(false);
+    const [generation, setGeneration] = useState({}); // session's advanced settings (temperature, topP, ...)
+    const [useDocuments, setUseDocuments] = useState(false); // ground answers in the user's documents and uploads
     const [sessionId, setSessionId] = useState(urlSessionId || null);
     const [sessionTitle, setSessionTitle] = useState('New Chat');
+    const [shareOpen, setShareOpen] = useState(false);
+    const [canEdit, setCanEdit] = useState(true); // false for workspace viewers
+    const [isCreator, setIsCreator] = useState(true); // only the creator of a workspace chat picks its persona
 
     // --- Split View & Plan Streaming State ---
     const [isSplitView, setIsSplitView] = useState(false);
     const [streamingPlan, setStreamingPlan] = useState('');
     const [planStatus, setPlanStatus] = useState('');
     const [activePlan, setActivePlan] = useState(null); // { documentId, title } — which plan is shown in workspace
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
 
     const messagesEndRef = useRef(null);
     const abortControllerRef = useRef(null);
     const isStreamingRef = useRef(false);
+    const loadedSessionIdRef = useRef(null); // session the current messages belong to
+    const branchRequestedForRef = useRef(null);
 
-    // Fetch available models on mount
+    // Fetch available models and personas on mount
     useEffect(() => {
         fetchModels();
+        fetchPersonas();
     }, []);
 
     // Load session when URL changes
@@ -51,6 +97,8 @@ function ChatPage() {
             setSessionId(null);
             setMessages([]);
             setSessionTitle('New Chat');
+            setCanEdit(true);
+            setIsCreator(true);
             setIsSplitView(false);
             setActivePlan(null);
 
@@ -93,6 +141,20 @@ function ChatPage() {
         }
     };
 
+    const fetchPersonas = async () => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/personas`, {
+                credentials: 'include',
+            });
+            if (res.ok) {
+                const data = await res.json();
+                setPersonas(data.personas || []);
+            }
+        } catch (err) {
+            console.error('Failed to fetch personas:', err);
+        }
+    };
+
     const loadSession = async (id) => {
         try {
             const res = await authFetch(`${API_BASE}/api/sessions/${id}`, {
@@ -100,15 +162,7 @@ function ChatPage() {
             });
             if (res.ok) {
                 const data = await res.json();
-                const msgs = data.messages || [];
-
-                // Restore plan action state from message metadata
-                for (let i = 0; i < msgs.length; i++) {
-                    const meta = msgs[i].metadata;
-                    if (meta?.planAction && meta?.documentId) {
-                        msgs[i] = { ...msgs[i], planAction: true, documentId: meta.documentId };
-                    }
-                }
+                const msgs = withPlanActions(data.messages || []);
 
                 // Fallback: for old sessions without metadata, match documents to messages
                 const planDocs = (data.documents || []).filter(d => d.type === 'project-plan');
@@ -127,8 +181,18 @@ function ChatPage() {
                 }
 
                 setMessages(msgs);
+                loadedSessionIdRef.current = id;
                 setSessionTitle(data.title || 'New Chat');
+                setCanEdit(data.role !== 'viewer');
+                setIsCreator(data.isCreator !== false);
                 if (data.model) setSelectedModel(data.model);
+                setSelectedPersonaId(data.personaId || null);
+                setGeneration(data.generation || {});
+
+                // An answer is still being generated (e.g. the page was reloaded mid-stream)
+                if (data.streamingMessageId && !isStreamingRef.current) {
+                    streamAnswer(null, msgs, null, data.streamingMessageId);
+                }
             } else {
                 // Session not found — redirect to new chat
                 console.error('Session not found');
@@ -238,7 +302,7 @@ function ChatPage() {
 
             if (!res.ok) {
                 const err = await res.json();
-                throw new Error(err.error || 'Plan generation failed');
+                throw new Error(formatQuotaError(err) || err.error || 'Plan generation failed');
             }
 
             // SSE Reader
@@ -248,6 +312,7 @@ function ChatPage() {
             let accPlan = '';
             let planCompleted = false;
             let pendingData = null;
+            let imageNote = '';
 
             const showCompleted = (data) => {
                 setActivePlan({ documentId: data.documentId, title: data.title || 'Project Plan' });
@@ -256,7 +321,7 @@ function ChatPage() {
                     const updated = [...prev];
                     updated[updated.length - 1] = {
                         role: 'assistant',
-                        content: `✅ **Project plan created**: [${data.title || 'Project Plan'}](/documents/${data.documentId})`,
+                        content: `✅ **Project plan created**: [${data.title || 'Project Plan'}](/documents/${data.documentId})${imageNote}`,
                         planAction: true,
                         documentId: data.documentId,
                     };
@@ -312,6 +377,9 @@ function ChatPage() {
                                 setStreamingPlan(data.finalMarkdown);
                             }
                             pendingData = { documentId: data.documentId, title: data.title };
+                        } else if (data.type === 'quota-exceeded') {
+                            // Plan is saved, but its images were skipped
+                            imageNote = `\n\n${formatQuotaError(data)} Images were not generated.`;
                         } else if (data.type === 'error') {
                             throw new Error(data.message);
                         }
@@ -345,28 +413,13 @@ function ChatPage() {
         }
     }, [messages, sessionId, navigate]);
 
-    const handleSend = useCallback(async (text, files = []) => {
-        const userMessage = { role: 'user', content: text || '' };
-
-        // Upload files first if any
-        let attachments = [];
-        if (files.length > 0) {
-            try {
-                attachments = await uploadFiles(files);
-                userMessage.attachments = attachments;
-            } catch (err) {
-                console.error('Upload failed:', err);
-                setMessages(prev => [
-                    ...prev,
-                    { role: 'user', content: text || '' },
-                    { role: 'assistant', content: `**Upload Error:** ${err.message}` },
-                ]);
-                return;
-            }
-        }
-
-        const updatedMessages = [...messages, userMessage];
-        setMessages(updatedMessages);
+    // Stream one /api/chat answer. `baseMessages` is what the conversation looks like
+    // before the answer (the new or edited user turn included); `branchOf` is the
+    // message the new turn becomes a sibling of when editing or regenerating.
+    // With `resumeMessageId` no request is sent — the page reattaches to an answer
+    // that is still being generated (e.g. after a reload).
+    const streamAnswer = useCallback(async (body, baseMessages, branchOf = null, resumeMessageId = null) => {
+        setMessages(baseMessages);
         setIsStreaming(true);
         isStreamingRef.current = true;
 
@@ -377,6 +430,8 @@ function ChatPage() {
         let charQueue = '';
         let displayedContent = '';
         let typingInterval = null;
+        let answeredModel = null; // "providerId/modelId" reported by the server (may be a fallback)
+        let assistantInfo = {}; // ID and branch info of the answer being streamed
 
         // Start character-by-character display loop
         const startTyping = () => {
@@ -392,8 +447,10 @@ function ChatPage() {
                     setMessages(prev => {
                         const updated = [...prev];
                         updated[updated.length - 1] = {
+                            ...assistantInfo,
                             role: 'assistant',
                             content: displayedContent,
+                            model: answeredModel,
                         };
                         return updated;
                     });
@@ -408,74 +465,144 @@ function ChatPage() {
             }
         };
 
-        try {
-            // Build request messages — include attachments metadata
-            const requestMessages = updatedMessages.map(msg => {
-                const m = { role: msg.role, content: msg.content || '' };
-                if (msg.attachments && msg.attachments.length > 0) {
-                    m.attachments = msg.attachments;
+        // Answer being streamed — known from the first event, or given when reattaching
+        let streamMessageId = resumeMessageId;
+        let lastEventId = 0;
+        let stopped = false;
+
+        const handleEvent = (data, eventId) => {
+            if (eventId) lastEventId = eventId;
+            if (data === '[DONE]') return;
+
+            try {
+                const parsed = JSON.parse(data);
+
+                if (parsed.sessionId) {
+                    setSessionId(parsed.sessionId);
+                    navigate(`/chat/${parsed.sessionId}`, { replace: true });
+                    streamMessageId = parsed.assistantMessageId;
+
+                    // Attach stored IDs so the new turns can be edited and regenerated
+                    const regenerating = body?.regenerate === true;
+                    assistantInfo = regenerating
+                        ? { id: parsed.assistantMessageId, ...addSibling(branchOf, parsed.assistantMessageId) }
+                        : { id: parsed.assistantMessageId };
+                    if (parsed.userMessageId) {
+                        setMessages(prev => prev.map((m, i) => (
+                            i === baseMessages.length - 1 && m.role === 'user'
+                                ? { ...m, id: parsed.userMessageId, ...(branchOf ? addSibling(branchOf, parsed.userMessageId) : {}) }
+                                : m
+                        )));
+                    }
+                    return;
                 }
-                return m;
-            });
 
-            const res = await authFetch(`${API_BASE}/api/chat`, {
+                if (parsed.model) {
+                    answeredModel = parsed.model;
+                    return;
+                }
+
+                // Tool status: a new call ('running') or an update of one ('done' / 'error')
+                if (parsed.tool) {
+                    const calls = assistantInfo.toolCalls || [];
+                    const known = calls.some(c => c.id === parsed.tool.id);
+                    assistantInfo = {
+                        ...assistantInfo,
+                        toolCalls: known
+                            ? calls.map(c => (c.id === parsed.tool.id ? parsed.tool : c))
+                            : [...calls, parsed.tool],
+                        // A plan created by a tool opens like a /plan command result
+                        ...(parsed.tool.documentId && { planAction: true, documentId: parsed.tool.documentId }),
+                    };
+                    setMessages(prev => {
+                        const updated = [...prev];
+                        updated[updated.length - 1] = { ...updated[updated.length - 1], ...assistantInfo };
+                        return updated;
+                    });
+                    return;
+                }
+
+                // Sources retrieved for this answer, sent before the first chunk
+                if (parsed.citations) {
+                    assistantInfo = { ...assistantInfo, citations: parsed.citations };
+                    setMessages(prev => {
+                        const updated = [...prev];
+                        updated[updated.length - 1] = { ...updated[updated.length - 1], ...assistantInfo };
+                        return updated;
+                    });
+                    return;
+                }
+
+                // Generation was cancelled — show everything received so far right away
+                if (parsed.stopped) {
+                    stopped = true;
+                    displayedContent += charQueue;
+                    charQueue = '';
+                    return;
+                }
+
+                if (parsed.error) {
+                    charQueue += `\n\n**Error:** ${parsed.error}`;
+                } else if (parsed.chunk) {
+                    charQueue += parsed.chunk;
+                }
+            } catch {
+                // Skip malformed JSON lines
+            }
+        };
+
+        const openStream = () => (streamMessageId
+            ? authFetch(`${API_BASE}/api/chat/stream/${streamMessageId}`, {
+                credentials: 'include',
+                headers: lastEventId ? { 'Last-Event-ID': String(lastEventId) } : {},
+                signal: controller.signal,
+            })
+            : authFetch(`${API_BASE}/api/chat`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 credentials: 'include',
                 body: JSON.stringify({
-                    messages: requestMessages,
+                    ...body,
                     model: selectedModel,
                     sessionId: sessionId || undefined,
+                    // Only used when this request creates the session
+                    personaId: selectedPersonaId || undefined,
+                    generation: Object.keys(generation).length > 0 ? generation : undefined,
+                    retrieval: useDocuments || undefined,
                 }),
                 signal: controller.signal,
-            });
-
-            if (!res.ok) {
-                const errorData = await res.json();
-                throw new Error(errorData.error || 'Chat request failed');
-            }
+            }));
 
-            const reader = res.body.getReader();
-            const decoder = new TextDecoder();
-
-            // Add empty assistant message
-            setMessages(prev => [...prev, { role: 'assistant', content: '' }]);
-
-            // Start typing animation
-            startTyping();
+        try {
+            let started = false;
+            let resumeAttempts = 0;
 
-            let buffer = '';
             while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                buffer += decoder.decode(value, { stream: true });
-                const lines = buffer.split('\n');
-                buffer = lines.pop() || '';
-
-                for (const line of lines) {
-                    if (!line.startsWith('data: ')) continue;
-                    const data = line.slice(6);
-
-                    if (data === '[DONE]') break;
+                const res = await openStream();
 
-                    try {
-                        const parsed = JSON.parse(data);
+                if (!res.ok) {
+                    const errorData = await res.json();
+                    throw new Error(formatQuotaError(errorData) || errorData.error || 'Chat request failed');
+                }
 
-                        if (parsed.sessionId) {
-                            setSessionId(parsed.sessionId);
-                            navigate(`/chat/${parsed.sessionId}`, { replace: true });
-                            continue;
-                        }
+                if (!started) {
+                    started = true;
+                    // Add empty assistant message
+                    setMessages(prev => [...prev, { role: 'assistant', content: '' }]);
+                    // Start typing animation
+                    startTyping();
+                }
 
-                        if (parsed.error) {
-                            charQueue += `\n\n**Error:** ${parsed.error}`;
-                        } else if (parsed.chunk) {
-                            charQueue += parsed.chunk;
-                        }
-                    } catch {
-                        // Skip malformed JSON lines
+                try {
+                    await readEvents(res, handleEvent);
+                    break;
+                } catch (err) {
+                    // Connection dropped mid-answer: reattach and replay what was missed
+                    if (err.name === 'AbortError' || !streamMessageId || resumeAttempts >= MAX_RESUME_ATTEMPTS) {
+                        throw err;
                     }
+                    resumeAttempts++;
+                    await new Promise(resolve => setTimeout(resolve, RESUME_DELAY_MS));
                 }
             }
 
@@ -490,8 +617,11 @@ function ChatPage() {
             setMessages(prev => {
                 const updated = [...prev];
                 updated[updated.length - 1] = {
+                    ...assistantInfo,
                     role: 'assistant',
                     content: displayedContent,
+                    model: answeredModel,
+                    ...(stopped && { metadata: { stopped: true } }),
                 };
                 return updated;
             });
@@ -518,6 +648,7 @@ function ChatPage() {
                 setMessages(prev => {
                     const updated = [...prev];
                     updated[updated.length - 1] = {
+                        ...assistantInfo,
                         role: 'assistant',
                         content: displayedContent,
                     };
@@ -535,12 +666,191 @@ function ChatPage() {
             isStreamingRef.current = false;
             abortControllerRef.current = null;
         }
-    }, [messages, selectedModel, sessionId, navigate, urlSessionId]);
+    }, [selectedModel, selectedPersonaId, generation, useDocuments, sessionId, navigate]);
+
+    const handleSend = useCallback(async (text, files = []) => {
+        const userMessage = { role: 'user', content: text || '' };
+
+        // Upload files first if any
+        let attachments = [];
+        if (files.length > 0) {
+            try {
+                attachments = await uploadFiles(files);
+                userMessage.attachments = attachments;
+            } catch (err) {
+                console.error('Upload failed:', err);
+                setMessages(prev => [
+                    ...prev,
+                    { role: 'user', content: text || '' },
+                    { role: 'assistant', content: `**Upload Error:** ${err.message}` },
+                ]);
+                return;
+            }
+        }
+
+        // Only the new turn is sent — the server rebuilds context from the stored session
+        const requestMessage = { content: userMessage.content };
+        if (attachments.length > 0) {
+            requestMessage.attachments = attachments;
+        }
+
+        await streamAnswer({ message: requestMessage }, [...messages, userMessage]);
+    }, [messages, streamAnswer]);
+
+    // Resend an edited user message as a new branch; later turns stay on the old branch
+    const handleEdit = useCallback(async (index, text) => {
+        const original = messages[index];
+        const edited = { role: 'user', content: text, attachments: original.attachments };
+        const requestMessage = { content: text };
+        if (original.attachments?.length > 0) {
+            requestMessage.attachments = original.attachments;
+        }
+
+        await streamAnswer(
+            { message: requestMessage, editMessageId: original.id },
+            [...messages.slice(0, index), edited],
+            original,
+        );
+    }, [messages, streamAnswer]);
+
+    // Ask for a new answer to the last user message; the old answer stays as a branch
+    const handleRegenerate = useCallback(async (index) => {
+        await streamAnswer({ regenerate: true }, messages.slice(0, index), messages[index]);
+    }, [messages, streamAnswer]);
+
+    const handleSwitchBranch = useCallback(async (messageId) => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/sessions/${sessionId}/switch-branch`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ messageId }),
+            });
+            if (res.ok) {
+                const data = await res.json();
+                setMessages(withPlanActions(data.messages || []));
+            }
+        } catch (err) {
+            console.error('Failed to switch branch:', err);
+        }
+    }, [sessionId]);
 
-    const handleStop = useCallback(() => {
+    // Jump to a message linked from search (?message=ID), switching to its branch first if needed
+    useEffect(() => {
+        if (!targetMessageId || messages.length === 0 || loadedSessionIdRef.current !== urlSessionId) return;
+
+        if (messages.some(m => m.id === targetMessageId)) {
+            document.getElementById(`message-${targetMessageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            setHighlightedMessageId(targetMessageId);
+            setSearchParams({}, { replace: true });
+        } else if (branchRequestedForRef.current !== targetMessageId) {
+            branchRequestedForRef.current = targetMessageId;
+            handleSwitchBranch(targetMessageId);
+        }
+    }, [targetMessageId, messages, urlSessionId, handleSwitchBranch, setSearchParams]);
+
+    // Ask the server to stop generating so the partial answer is saved as stopped;
+    // the stream then ends by itself. Aborting the request is the fallback.
+    const handleStop = useCallback(async () => {
+        if (sessionId) {
+            try {
+                const res = await authFetch(`${API_BASE}/api/chat/${sessionId}/cancel`, {
+                    method: 'POST',
+                    credentials: 'include',
+                });
+                if (res.ok) return;
+            } catch (err) {
+                console.error('Failed to cancel generation:', err);
+            }
+        }
         abortControllerRef.current?.abort();
         setIsStreaming(false);
-    }, []);
+    }, [sessionId]);
+
+    // Switch persona: its default model is selected, and an existing session is updated right away
+    const handlePersonaChange = useCallback(async (value) => {
+        if (value === MANAGE_PERSONAS) {
+            setIsPersonaManagerOpen(true);
+            return;
+        }
+        const personaId = value || null;
+        setSelectedPersonaId(personaId);
+        const persona = personas.find(p => p.id === personaId);
+        if (persona?.model) setSelectedModel(persona.model);
+
+        if (sessionId) {
+            try {
+                await authFetch(`${API_BASE}/api/sessions/${sessionId}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    body: JSON.stringify({ personaId }),
+                });
+            } catch (err) {
+                console.error('Failed to change persona:', err);
+            }
+        }
+    }, [personas, sessionId]);
+
+    // Download the conversation; the server names the file after the session title
+    const handleExport = useCallback(async ({ key: format }) => {
+        try {
+            const res = await authFetch(`${API_BASE}/api/sessions/${sessionId}/export?format=${format}`, {
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error('Export failed');
+
+            const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1]
+                || `chat.${format === 'markdown' ? 'md' : format}`;
+            const blob = await res.blob();
+            const url = URL.createObjectURL(blob);
+            const a = window.document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            window.document.body.appendChild(a);
+            a.click();
+            window.document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Export failed:', err);
+            message.error('Failed to export chat');
+        }
+    }, [sessionId]);
+
+    // New settings apply to the next answer; an existing session keeps them for later visits
+    const handleGenerationChange = useCallback(async (settings) => {
+        setGeneration(settings);
+        if (sessionId) {
+            try {
+                const res = await authFetch(`${API_BASE}/api/sessions/${sessionId}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    body: JSON.stringify({ generation: Object.keys(settings).length > 0 ? settings : null }),
+                });
+                if (!res.ok) {
+                    const data = await res.json();
+                    message.error(data.error || 'Failed to save settings');
+                }
+            } catch (err) {
+                console.error('Failed to save generation settings:', err);
+            }
+        }
+    }, [sessionId]);
+
+    const handlePersonasChange = (updated) => {
+        setPersonas(updated);
+        // The selected persona was deleted — the server already unlinked it from sessions
+        if (selectedPersonaId && !updated.some(p => p.id === selectedPersonaId)) {
+            setSelectedPersonaId(null);
+        }
+    };
+
+    const personaOptions = [
+        { value: '', label: 'Default assistant' },
+        ...personas.map(p => ({ value: p.id, label: p.name })),
+        { value: MANAGE_PERSONAS, label: 'Manage personas…' },
+    ];
 
     // Build model options for Select - grouped by provider
     const modelOptions = providers.map(provider => ({
@@ -551,6 +861,24 @@ function ChatPage() {
         })),
     }));
 
+    // Display name for a "providerId/modelId" string, used to label fallback answers
+    const getModelLabel = (modelString) => {
+        const [providerId, modelId] = modelString.split('/');
+        const provider = providers.find(p => p.id === providerId);
+        return provider?.models.find(m => m.id === modelId)?.name || modelString;
+    };
+
+    // Defaults and output limit of the selected model, shown in the advanced settings
+    const selectedModelConfig = (() => {
+        const [providerId, modelId] = (selectedModel || '').split('/');
+        return providers.find(p => p.id === providerId)?.models.find(m => m.id === modelId);
+    })();
+    const selectedPersona = personas.find(p => p.id === selectedPersonaId);
+    const generationDefaults = {
+        ...selectedModelConfig?.generation,
+        ...(selectedPersona?.temperature != null && { temperature: selectedPersona.temperature }),
+    };
+
     // Check if any message has a plan (for keeping WorkspacePreview mounted)
     const hasPlanMessage = messages.some(m => m.planAction && m.documentId);
 
@@ -571,6 +899,31 @@ function ChatPage() {
 
             {/* Right Panel: Chat Messages & Input */}
             <div className="chat-right-panel">
+                {sessionId && (
+                    <div className="chat-header">
+                        <span className="chat-header-title">{sessionTitle}</span>
+                        <div className="chat-header-actions">
+                            <Button
+                                size="small"
+                                type="text"
+                                icon={<ShareAltOutlined />}
+                                onClick={() => setShareOpen(true)}
+                                disabled={isStreaming || messages.length === 0 || !canEdit}
+                            >
+                                Share
+                            </Button>
+                            <Dropdown
+                                menu={{ items: EXPORT_ITEMS, onClick: handleExport }}
+                                trigger={['click']}
+                                disabled={isStreaming}
+                            >
+                                <Button size="small" type="text" icon={<DownloadOutlined />}>
+                                    Export
+                                </Button>
+                            </Dropdown>
+                        </div>
+                    </div>
+                )}
                 <div className="chat-messages">
                     <div className="chat-messages-inner">
                         {messages.length === 0 && !isSplitView && (
@@ -584,12 +937,31 @@ function ChatPage() {
                             <>
                                 {messages.map((msg, i) => {
                                     const isLastEmpty = isStreaming && i === messages.length - 1
-                                        && msg.role === 'assistant' && msg.content === '';
+                                        && msg.role === 'assistant' && msg.content === '' && !msg.toolCalls;
                                     if (isLastEmpty) return null;
                                     const isActivePlan = activePlan?.documentId === msg.documentId;
                                     return (
-                                        <div key={i}>
-                                            <ChatMessage message={msg} />
+                                        <div
+                                            key={i}
+                                            id={msg.id ? `message-${msg.id}` : undefined}
+                                            className={msg.id && msg.id === highlightedMessageId ? 'chat-message-highlighted' : undefined}
+                                            onAnimationEnd={() => setHighlightedMessageId(null)}
+                                        >
+                                            <ChatMessage
+                                                message={msg}
+                                                modelLabel={msg.model && msg.model !== selectedModel
+                                                    ? getModelLabel(msg.model)
+                                                    : null}
+                                                disabled={isStreaming}
+                                                onEdit={canEdit && msg.role === 'user' && msg.id
+                                                    ? (text) => handleEdit(i, text)
+                                                    : null}
+                                                onRegenerate={canEdit && msg.role === 'assistant' && msg.id && !msg.planAction
+                                                    && i === messages.length - 1
+                                                    ? () => handleRegenerate(i)
+                                                    : null}
+                                                onSwitchBranch={canEdit ? handleSwitchBranch : null}
+                                            />
                                             {msg.planAction && msg.documentId && (
                                                 <div className="plan-action-buttons">
                                                     <button
@@ -632,15 +1004,42 @@ function ChatPage() {
                 </div>
 
                 <div className="chat-right-panel-input">
-                    <ChatInput
-                        onSend={handleSend}
-                        isStreaming={isStreaming}
-                        onStop={handleStop}
-                        modelOptions={modelOptions}
-                        selectedModel={selectedModel}
-                        onModelChange={setSelectedModel}
-                    />
+                    {!canEdit ? (
+                        <div className="chat-read-only-notice">
+                            You have view access to this chat. Ask a workspace owner for editor access to continue it.
+                        </div>
+                    ) : (
+                        <ChatInput
+                            onSend={handleSend}
+                            isStreaming={isStreaming}
+                            onStop={handleStop}
+                            modelOptions={modelOptions}
+                            selectedModel={selectedModel}
+                            onModelChange={setSelectedModel}
+                            personaOptions={isCreator ? personaOptions : null}
+                            selectedPersonaId={selectedPersonaId}
+                            onPersonaChange={handlePersonaChange}
+                            generation={generation}
+                            onGenerationChange={handleGenerationChange}
+                            generationDefaults={generationDefaults}
+                            maxOutputTokens={selectedModelConfig?.maxOutputTokens}
+                            useDocuments={useDocuments}
+                            onUseDocumentsChange={setUseDocuments}
+                        />
+                    )}
                 </div>
+                <PersonaManager
+                    open={isPersonaManagerOpen}
+                    onClose={() => setIsPersonaManagerOpen(false)}
+                    personas={personas}
+                    onChange={handlePersonasChange}
+                    modelOptions={modelOptions}
+                />
+                <ShareDialog
+                    open={shareOpen}
+                    onClose={() => setShareOpen(false)}
+                    sessionId={sessionId}
+                />
             </div>
         </div>
     );
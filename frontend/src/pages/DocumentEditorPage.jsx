@@ -1,7 +1,10 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import BlockNoteEditor from '../components/BlockNoteEditor';
+import DocumentHistory from '../components/DocumentHistory';
 import authFetch from '../utils/authFetch';
+import { useAuth } from '../contexts/AuthContext';
+import { joinCollabSession } from '../utils/collab';
 import './document-editor.css';
 
 const API_BASE = import.meta.env.VITE_API_URL;
@@ -9,6 +12,9 @@ const API_BASE = import.meta.env.VITE_API_URL;
 function DocumentEditorPage() {
     const { id } = useParams();
     const navigate = useNavigate();
+    const { user } = useAuth();
+    const [searchParams] = useSearchParams();
+    const focusBlockId = searchParams.get('block'); // set by search results
 
     const [document, setDocument] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -16,11 +22,17 @@ function DocumentEditorPage() {
     const [title, setTitle] = useState('');
     const [saveStatus, setSaveStatus] = useState('saved'); // 'saved' | 'saving' | 'unsaved' | 'error'
     const titleTimerRef = useRef(null);
+    const [collab, setCollab] = useState(null);
+    const [presentUsers, setPresentUsers] = useState([]);
+    const [reloadCount, setReloadCount] = useState(0);
+    const [historyOpen, setHistoryOpen] = useState(false);
+    // Autosaves of this visit are collected in one version (see the version history)
+    const [editSession] = useState(() => crypto.randomUUID());
 
-    // Fetch document on mount
+    // Fetch document on mount (and when the collaborative session asks for a reload)
     useEffect(() => {
         fetchDocument();
-    }, [id]);
+    }, [id, reloadCount]);
 
     const fetchDocument = async () => {
         try {
@@ -61,9 +73,12 @@ function DocumentEditorPage() {
                 method: 'PUT',
                 credentials: 'include',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ content }),
+                // Snapshot of the shared document — keeps the collaborative state
+                body: JSON.stringify({ content, collab: Boolean(collab), editSession }),
             });
 
+            // The content was replaced meanwhile — the session ends and the document reloads
+            if (res.status === 409) return;
             if (!res.ok) {
                 throw new Error('Save failed');
             }
@@ -73,7 +88,26 @@ function DocumentEditorPage() {
             console.error('Error saving document:', err);
             setSaveStatus('error');
         }
-    }, [id]);
+    }, [id, collab, editSession]);
+
+    // Join the document's collaborative session. Viewers of a document nobody has
+    // opened for collaboration yet just see the saved content.
+    useEffect(() => {
+        if (!document || (document.role === 'viewer' && !document.hasCollabState)) return;
+
+        const session = joinCollabSession(id, {
+            user,
+            onPresence: setPresentUsers,
+            onEnded: () => setReloadCount(n => n + 1),
+        });
+        setCollab(session);
+
+        return () => {
+            session.destroy();
+            setCollab(null);
+            setPresentUsers([]);
+        };
+    }, [document, id, user]);
 
     // Save title (debounced)
     const handleTitleChange = useCallback((e) => {
@@ -93,14 +127,14 @@ function DocumentEditorPage() {
                     method: 'PUT',
                     credentials: 'include',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ title: newTitle }),
+                    body: JSON.stringify({ title: newTitle, editSession }),
                 });
                 setSaveStatus('saved');
             } catch {
                 setSaveStatus('error');
             }
         }, 1500);
-    }, [id]);
+    }, [id, editSession]);
 
     // Handle content change from editor
     const handleContentChange = useCallback(() => {
@@ -173,6 +207,9 @@ function DocumentEditorPage() {
         );
     }
 
+    // Workspace viewers can read but not change the document
+    const readOnly = document?.role === 'viewer';
+
     const saveStatusLabel = {
         saved: '✓ Saved',
         saving: '⟳ Saving...',
@@ -193,15 +230,34 @@ function DocumentEditorPage() {
                         value={title}
                         onChange={handleTitleChange}
                         placeholder="Untitled document..."
+                        readOnly={readOnly}
                     />
                     {document?.type && (
                         <span className="document-type-badge">{document.type}</span>
                     )}
                 </div>
                 <div className="document-editor-toolbar-right">
-                    <span className={`document-editor-save-status ${saveStatus}`}>
-                        {saveStatusLabel[saveStatus]}
+                    {presentUsers.length > 1 && (
+                        <div className="document-editor-presence">
+                            {presentUsers.map(u => (
+                                <span
+                                    key={u.clientId}
+                                    className="document-editor-presence-avatar"
+                                    style={{ backgroundColor: u.color }}
+                                    title={u.isSelf ? `${u.name} (you)` : u.name}
+                                >
+                                    {u.name[0]?.toUpperCase()}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                    <span className={`document-editor-save-status ${readOnly ? '' : saveStatus}`}>
+                        {readOnly ? 'View only' : saveStatusLabel[saveStatus]}
                     </span>
+                    <button className="document-editor-action-btn" onClick={() => setHistoryOpen(true)}>
+                        <span className="btn-icon">↺</span>
+                        History
+                    </button>
                     <button className="document-editor-action-btn" onClick={handleExport}>
                         <span className="btn-icon">↓</span>
                         Export .md
@@ -209,14 +265,26 @@ function DocumentEditorPage() {
                 </div>
             </div>
 
+            {/* After a restore, load the restored content (connected collaborators reload it too) */}
+            <DocumentHistory
+                open={historyOpen}
+                onClose={() => setHistoryOpen(false)}
+                documentId={id}
+                canRestore={!readOnly}
+                onRestored={() => setReloadCount(n => n + 1)}
+            />
+
             {/* Editor */}
             <div className="document-editor-body">
                 <BlockNoteEditor
+                    key={collab ? 'collab' : 'local'}
                     initialContent={document?.content}
                     documentId={id}
                     onContentChange={handleContentChange}
                     onSave={saveContent}
-                    editable={true}
+                    editable={!readOnly}
+                    focusBlockId={focusBlockId}
+                    collab={collab}
                 />
             </div>
         </div>
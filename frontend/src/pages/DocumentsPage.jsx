@@ -36,7 +36,7 @@ function DocumentsPage() {
 
     const handleDelete = useCallback(async (docId, e) => {
         e.stopPropagation();
-        if (!window.confirm('Delete this document?')) return;
+        if (!window.confirm('Move this document to the trash?')) return;
 
         try {
             const res = await authFetch(`${API_BASE}/api/documents/${docId}`, {
@@ -123,7 +123,7 @@ function DocumentsPage() {
                                 <button
                                     className="document-card-delete"
                                     onClick={(e) => handleDelete(doc._id, e)}
-                                    title="Delete"
+                                    title="Move to trash"
                                 >
                                     ✕
                                 </button>
@@ -1,10 +1,115 @@
-import { Typography, Empty } from 'antd';
+import { useState, useEffect } from 'react';
+import { Typography, Empty, Card, Row, Col, Statistic, Table, Spin, Progress } from 'antd';
+import authFetch from '../utils/authFetch';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+
+const formatCost = (value) => `$${(value || 0).toFixed(4)}`;
+
+const usageColumns = [
+    { title: 'Date', dataIndex: 'date', key: 'date' },
+    { title: 'Requests', dataIndex: 'requests', key: 'requests' },
+    { title: 'Prompt tokens', dataIndex: 'promptTokens', key: 'promptTokens' },
+    { title: 'Completion tokens', dataIndex: 'completionTokens', key: 'completionTokens' },
+    { title: 'Images', dataIndex: 'images', key: 'images' },
+    { title: 'Est. cost', dataIndex: 'costUsd', key: 'costUsd', render: formatCost },
+];
+
+const QUOTA_TITLES = {
+    messagesPerDay: 'Messages today',
+    tokensPerMonth: 'Tokens this month',
+    imagesPerMonth: 'Images this month',
+    plansPerDay: 'Plans today',
+};
 
 function SettingsPage() {
+    const [usage, setUsage] = useState(null);
+    const [quotas, setQuotas] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        const fetchUsage = async () => {
+            try {
+                const res = await authFetch(`${API_BASE}/api/usage`, {
+                    credentials: 'include',
+                });
+                if (!res.ok) throw new Error('Failed to load');
+                setUsage(await res.json());
+            } catch (err) {
+                console.error('Error loading usage:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        const fetchQuotas = async () => {
+            try {
+                const res = await authFetch(`${API_BASE}/api/usage/quotas`, {
+                    credentials: 'include',
+                });
+                if (res.ok) setQuotas(await res.json());
+            } catch (err) {
+                console.error('Error loading quotas:', err);
+            }
+        };
+        fetchUsage();
+        fetchQuotas();
+    }, []);
+
     return (
         <div>
             <Typography.Title level={3} style={{ color: '#fff' }}>Settings</Typography.Title>
-            <Empty description="Settings coming soon" />
+            <Typography.Title level={4} style={{ color: '#fff' }}>Usage</Typography.Title>
+
+            {loading && <Spin />}
+            {!loading && !usage && <Empty description="Usage is not available" />}
+            {usage && (
+                <>
+                    <Row gutter={16} style={{ marginBottom: 16 }}>
+                        <Col span={8}>
+                            <Card>
+                                <Statistic title="Tokens this month" value={usage.month.totalTokens} />
+                            </Card>
+                        </Col>
+                        <Col span={8}>
+                            <Card>
+                                <Statistic title="Images this month" value={usage.month.images} />
+                            </Card>
+                        </Col>
+                        <Col span={8}>
+                            <Card>
+                                <Statistic title="Estimated cost this month" value={formatCost(usage.month.costUsd)} />
+                            </Card>
+                        </Col>
+                    </Row>
+                    {quotas && (
+                        <Row gutter={16} style={{ marginBottom: 16 }}>
+                            {Object.entries(QUOTA_TITLES).map(([name, title]) => {
+                                const quota = quotas[name];
+                                if (!quota || quota.limit === null) return null;
+                                return (
+                                    <Col span={6} key={name}>
+                                        <Card size="small" title={title}>
+                                            <Progress
+                                                percent={quota.limit ? Math.round((quota.used / quota.limit) * 100) : 100}
+                                                status={quota.remaining === 0 ? 'exception' : 'normal'}
+                                            />
+                                            {quota.used.toLocaleString()} / {quota.limit.toLocaleString()}
+                                        </Card>
+                                    </Col>
+                                );
+                            })}
+                        </Row>
+                    )}
+                    <Table
+                        rowKey="date"
+                        size="small"
+                        columns={usageColumns}
+                        dataSource={[...usage.days].reverse()}
+                        pagination={{ pageSize: 10 }}
+                        locale={{ emptyText: 'No usage in the last 30 days' }}
+                    />
+                </>
+            )}
         </div>
     );
 }
@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Spin, Result, Button } from 'antd';
+import ChatMessage from '../components/ChatMessage';
+import './chat.css';
+import './shared-session.css';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+
+/**
+ * Public, read-only view of a shared chat (GET /api/shared/:token).
+ * No login needed; expired and revoked links show an error instead.
+ */
+function SharedSessionPage() {
+    const { token } = useParams();
+    const [snapshot, setSnapshot] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchShared = async () => {
+            try {
+                const res = await fetch(`${API_BASE}/api/shared/${encodeURIComponent(token)}`);
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load shared chat');
+                setSnapshot(data);
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        fetchShared();
+    }, [token]);
+
+    if (error) {
+        return (
+            <div className="shared-session">
+                <Result
+                    status="404"
+                    title="Chat not available"
+                    subTitle={error}
+                    extra={<Link to="/"><Button type="primary">Go to Dragon Template</Button></Link>}
+                />
+            </div>
+        );
+    }
+
+    if (!snapshot) {
+        return (
+            <div className="shared-session shared-session-loading">
+                <Spin size="large" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="shared-session">
+            <header className="shared-session-header">
+                <div className="shared-session-heading">
+                    <h1>{snapshot.title}</h1>
+                    <span>
+                        Shared conversation · read-only · {new Date(snapshot.sharedAt).toLocaleDateString()}
+                    </span>
+                </div>
+                <Link to="/" className="shared-session-brand">🐉 Dragon Template</Link>
+            </header>
+            <div className="chat-messages-inner shared-session-messages">
+                {snapshot.messages.map(msg => (
+                    <ChatMessage key={msg.id} message={msg} />
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default SharedSessionPage;
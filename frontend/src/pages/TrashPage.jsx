@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react';
+import { Typography, Table, Button, Popconfirm, Space, Spin, message } from 'antd';
+import { MessageOutlined, FileTextOutlined, UndoOutlined, DeleteOutlined } from '@ant-design/icons';
+import authFetch from '../utils/authFetch';
+
+const API_BASE = import.meta.env.VITE_API_URL;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "Deletes in 12 days" — the server purges trashed items at purgeAt
+const formatPurgeIn = (purgeAt) => {
+    const days = Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS);
+    if (days <= 1) return 'Deletes within a day';
+    return `Deletes in ${days} days`;
+};
+
+const pathFor = (item) => (item.type === 'session' ? 'sessions' : 'documents');
+
+/**
+ * Deleted chats and documents (GET /api/trash). They can be restored until
+ * they are purged after the retention period, or deleted forever right away.
+ */
+function TrashPage() {
+    const [items, setItems] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        const fetchTrash = async () => {
+            try {
+                const res = await authFetch(`${API_BASE}/api/trash`, {
+                    credentials: 'include',
+                });
+                if (!res.ok) throw new Error('Failed to load');
+                const data = await res.json();
+                setItems(data.items || []);
+            } catch (err) {
+                console.error('Error loading trash:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchTrash();
+    }, []);
+
+    const removeItem = (item) => setItems(prev => prev.filter(i => i.id !== item.id));
+
+    const handleRestore = async (item) => {
+        setBusyId(item.id);
+        try {
+            const res = await authFetch(`${API_BASE}/api/${pathFor(item)}/${item.id}/restore`, {
+                method: 'POST',
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to restore');
+            removeItem(item);
+            message.success(`Restored “${item.title}”`);
+        } catch (err) {
+            message.error(err.message);
+        }
+        setBusyId(null);
+    };
+
+    const handleDeleteForever = async (item) => {
+        setBusyId(item.id);
+        try {
+            const res = await authFetch(`${API_BASE}/api/trash/${pathFor(item)}/${item.id}`, {
+                method: 'DELETE',
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to delete');
+            removeItem(item);
+        } catch (err) {
+            message.error(err.message);
+        }
+        setBusyId(null);
+    };
+
+    const handleEmptyTrash = async () => {
+        setBusyId('all');
+        try {
+            const res = await authFetch(`${API_BASE}/api/trash`, {
+                method: 'DELETE',
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to empty trash');
+            // Anything whose files could not be deleted yet stays in the trash
+            if (!data.success) message.warning('Some items could not be deleted yet — try again later');
+            const left = await authFetch(`${API_BASE}/api/trash`, { credentials: 'include' });
+            if (left.ok) setItems((await left.json()).items || []);
+        } catch (err) {
+            message.error(err.message);
+        }
+        setBusyId(null);
+    };
+
+    const columns = [
+        {
+            title: 'Name',
+            key: 'title',
+            render: (_, item) => (
+                <Space>
+                    {item.type === 'session' ? <MessageOutlined /> : <FileTextOutlined />}
+                    {item.title}
+                </Space>
+            ),
+        },
+        {
+            title: 'Type',
+            key: 'type',
+            render: (_, item) => (item.type === 'session' ? 'Chat' : item.documentType),
+        },
+        {
+            title: 'Deleted',
+            dataIndex: 'deletedAt',
+            key: 'deletedAt',
+            render: (deletedAt) => new Date(deletedAt).toLocaleString(),
+        },
+        {
+            title: 'Purge',
+            dataIndex: 'purgeAt',
+            key: 'purgeAt',
+            render: formatPurgeIn,
+        },
+        {
+            key: 'actions',
+            align: 'right',
+            render: (_, item) => (
+                <Space>
+                    <Button
+                        size="small"
+                        icon={<UndoOutlined />}
+                        loading={busyId === item.id}
+                        disabled={busyId === 'all'}
+                        onClick={() => handleRestore(item)}
+                    >
+                        Restore
+                    </Button>
+                    <Popconfirm
+                        title="Delete forever?"
+                        description="This cannot be undone."
+                        onConfirm={() => handleDeleteForever(item)}
+                        okText="Delete"
+                        okButtonProps={{ danger: true }}
+                    >
+                        <Button size="small" danger icon={<DeleteOutlined />} disabled={busyId !== null}>
+                            Delete forever
+                        </Button>
+                    </Popconfirm>
+                </Space>
+            ),
+        },
+    ];
+
+    return (
+        <div>
+            <Space style={{ width: '100%', justifyContent: 'space-between' }}>
+                <Typography.Title level={3} style={{ color: '#fff' }}>Trash</Typography.Title>
+                {items.length > 0 && (
+                    <Popconfirm
+                        title="Empty the trash?"
+                        description={`${items.length} item${items.length === 1 ? '' : 's'} will be deleted forever.`}
+                        onConfirm={handleEmptyTrash}
+                        okText="Empty trash"
+                        okButtonProps={{ danger: true }}
+                    >
+                        <Button danger loading={busyId === 'all'} disabled={busyId !== null && busyId !== 'all'}>
+                            Empty trash
+                        </Button>
+                    </Popconfirm>
+                )}
+            </Space>
+
+            {loading ? <Spin /> : (
+                <Table
+                    rowKey="id"
+                    size="small"
+                    columns={columns}
+                    dataSource={items}
+                    pagination={{ pageSize: 20 }}
+                    locale={{ emptyText: 'Trash is empty' }}
+                />
+            )}
+        </div>
+    );
+}
+
+export default TrashPage;
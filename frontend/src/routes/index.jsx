@@ -10,6 +10,8 @@ import DocumentEditorPage from '../pages/DocumentEditorPage';
 import WorkflowsPage from '../pages/WorkflowsPage';
 import ProjectsPage from '../pages/ProjectsPage';
 import SettingsPage from '../pages/SettingsPage';
+import TrashPage from '../pages/TrashPage';
+import SharedSessionPage from '../pages/SharedSessionPage';
 
 function ProtectedLayout() {
     return (
@@ -28,6 +30,9 @@ function AppRoutes() {
             <Route path="/login" element={<PublicRoute><LoginPage /></PublicRoute>} />
             <Route path="/register" element={<PublicRoute><RegisterPage /></PublicRoute>} />
 
+            {/* Shared chats — open to anyone with the link, signed in or not */}
+            <Route path="/shared/:token" element={<SharedSessionPage />} />
+
             {/* Protected routes — with shared layout */}
             <Route element={<ProtectedLayout />}>
                 <Route path="/" element={<ChatPage />} />
@@ -37,6 +42,7 @@ function AppRoutes() {
                 <Route path="/workflows" element={<WorkflowsPage />} />
                 <Route path="/projects" element={<ProjectsPage />} />
                 <Route path="/settings" element={<SettingsPage />} />
+                <Route path="/trash" element={<TrashPage />} />
             </Route>
         </Routes>
     );
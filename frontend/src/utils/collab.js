@@ -0,0 +1,87 @@
+import * as Y from 'yjs';
+import { WebsocketProvider } from 'y-websocket';
+
+/**
+ * Collaborative document editing over the backend's Yjs WebSocket
+ * (/api/collab/:documentId, see backend services/collabService.js).
+ */
+const API_BASE = import.meta.env.VITE_API_URL;
+
+// The server asks one editor to fill a new shared state; the editor sends it back when done
+const MESSAGE_SEED = 4;
+
+// Close codes after which the document has to be loaded again
+export const CLOSE_UNAUTHORIZED = 4401;
+export const CLOSE_CONTENT_REPLACED = 4409;
+
+const CURSOR_COLORS = ['#f87171', '#fb923c', '#facc15', '#4ade80', '#2dd4bf', '#60a5fa', '#a78bfa', '#f472b6'];
+
+/**
+ * Stable cursor color for a user.
+ */
+export function getUserColor(userId = '') {
+    let hash = 0;
+    for (const char of userId) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    return CURSOR_COLORS[Math.abs(hash) % CURSOR_COLORS.length];
+}
+
+/**
+ * Create the shared Y.Doc and its provider for a document. The provider does not
+ * connect until `provider.connect()`, so the editor can register handlers first.
+ *
+ * `onSeed(fill)` sets what runs when the server asks this client to fill a new
+ * shared state (e.g. insert the saved blocks into the editor).
+ *
+ * @returns {{ doc: Y.Doc, provider: WebsocketProvider, fragment: Y.XmlFragment, onSeed: Function, destroy: Function }}
+ */
+export function createCollabSession(documentId) {
+    const base = (API_BASE || window.location.origin).replace(/^http/, 'ws');
+    const doc = new Y.Doc();
+    const provider = new WebsocketProvider(`${base}/api/collab`, documentId, doc, { connect: false });
+
+    return {
+        doc,
+        provider,
+        fragment: doc.getXmlFragment('document-store'),
+        onSeed(fill) {
+            provider.messageHandlers[MESSAGE_SEED] = () => {
+                fill();
+                provider.ws?.send(Uint8Array.of(MESSAGE_SEED));
+            };
+        },
+        destroy() {
+            provider.destroy();
+            doc.destroy();
+        },
+    };
+}
+
+/**
+ * Users connected to a session, from the provider's awareness states.
+ * @returns {Array<{ clientId: number, name: string, color: string, isSelf: boolean }>}
+ */
+export function getPresentUsers(provider) {
+    const users = [];
+    for (const [clientId, state] of provider.awareness.getStates()) {
+        if (!state.user) continue;
+        users.push({ clientId, ...state.user, isSelf: clientId === provider.doc.clientID });
+    }
+    return users;
+}
+
+/**
+ * Create a document's session for an editor's `collab` prop, with the user shown to
+ * the other editors. `onPresence(users)` runs when users join or leave; `onEnded(code)`
+ * when the server ended the session because the content was replaced elsewhere, or the
+ * login expired or the user's access changed — the document has to be loaded again.
+ */
+export function joinCollabSession(documentId, { user, onPresence, onEnded }) {
+    const session = createCollabSession(documentId);
+    const name = user?.displayName || user?.email || 'Anonymous';
+
+    session.provider.awareness.on('change', () => onPresence?.(getPresentUsers(session.provider)));
+    session.provider.on('closed', ({ code }) => {
+        if (code === CLOSE_CONTENT_REPLACED || code === CLOSE_UNAUTHORIZED) onEnded?.(code);
+    });
+    return { ...session, user: { name, color: getUserColor(user?.keycloakId || name) } };
+}
@@ -14,3 +14,27 @@ export function mapErrorMessage(backendError, fallback) {
 
     return fallback;
 }
+
+const QUOTA_LABELS = {
+    messagesPerDay: 'daily message limit',
+    tokensPerMonth: 'monthly token limit',
+    imagesPerMonth: 'monthly image limit',
+    plansPerDay: 'daily plan generation limit',
+};
+
+/**
+ * Turn a 429 quota response ({ code: 'QUOTA_EXCEEDED', quota, limit, resetAt })
+ * into a readable message. Returns null for any other error body.
+ */
+export function formatQuotaError(data) {
+    if (data?.code !== 'QUOTA_EXCEEDED') return null;
+
+    const label = QUOTA_LABELS[data.quota] || 'usage limit';
+    const limit = typeof data.limit === 'number' ? ` (${data.limit.toLocaleString()})` : '';
+    const resetAt = data.resetAt ? new Date(data.resetAt) : null;
+    const resets = resetAt && !Number.isNaN(resetAt.getTime())
+        ? ` It resets ${resetAt.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}.`
+        : '';
+
+    return `You've reached your ${label}${limit}.${resets}`;
+}
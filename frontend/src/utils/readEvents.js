@@ -0,0 +1,26 @@
+// Read an SSE response until it closes, calling onEvent(data, id) for every event
+const readEvents = async (res, onEvent) => {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let eventId = null;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+            if (line.startsWith('id: ')) {
+                eventId = Number(line.slice(4));
+            } else if (line.startsWith('data: ')) {
+                onEvent(line.slice(6), eventId);
+            }
+        }
+    }
+};
+
+export default readEvents;
@@ -0,0 +1,17 @@
+/**
+ * The workspace the app is working in, kept across reloads. authFetch sends it
+ * as X-Workspace-Id so lists and new chats/documents follow it; null = personal.
+ */
+const STORAGE_KEY = 'activeWorkspaceId';
+
+export function getActiveWorkspaceId() {
+    return localStorage.getItem(STORAGE_KEY);
+}
+
+export function setActiveWorkspaceId(id) {
+    if (id) {
+        localStorage.setItem(STORAGE_KEY, id);
+    } else {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+}